@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+// Imports report CSVs as snapshots from the command line, through the same parsing and
+// validation as the web upload. Run `npm run import -- --help` for the options, and see
+// "Command-line Import" in the README.
+
+const fs = require('fs');
+const path = require('path');
+
+// The shared code in src/lib is ES modules written for the app's Babel setup.
+process.env.BABEL_ENV = process.env.BABEL_ENV || 'test';
+require('@babel/register')({
+  presets: ['babel-preset-react-app'],
+  babelrc: false,
+  configFile: false,
+  only: [path.join(__dirname, '..', 'src', 'lib')],
+});
+
+const { initializeApp } = require('firebase/app');
+const { getAuth, signInWithEmailAndPassword, connectAuthEmulator } = require('firebase/auth');
+const { getFirestore, connectFirestoreEmulator, terminate } = require('firebase/firestore');
+const { collection, getDocs } = require('../src/lib/store');
+const { createFirestoreSnapshotRepository } = require('../src/lib/snapshotRepository');
+const { followUpsPath, syncFollowUps } = require('../src/lib/followUps');
+const { teamPath } = require('../src/lib/teams');
+const { isTrashed } = require('../src/lib/trash');
+const { findDuplicateUploads, hashContent } = require('../src/lib/duplicates');
+const { auditLogPath, buildAuditEntry, recordAuditEntries } = require('../src/lib/auditLog');
+const {
+  USAGE, describeFile, formatFileResult, parseImportArgs, prepareFile, resolveUploadDate, snapshotsPathFor, summarizeRun,
+} = require('../src/lib/importCli');
+
+// How long a watched file must go unchanged before it's read, so a half-copied report isn't imported.
+const WATCH_SETTLE_MS = 2000;
+
+// Signs in with the account the import runs as. The password only ever comes from the environment.
+const connect = async (options) => {
+  const config = {
+    apiKey: process.env.REACT_APP_FIREBASE_API_KEY,
+    authDomain: process.env.REACT_APP_FIREBASE_AUTH_DOMAIN,
+    projectId: process.env.REACT_APP_FIREBASE_PROJECT_ID,
+    appId: process.env.REACT_APP_FIREBASE_APP_ID,
+  };
+  if (!options.emulator && !config.apiKey) throw new Error('Set the REACT_APP_FIREBASE_* variables (for example with node --env-file=.env.local) or pass --emulator.');
+  if (!process.env.IMPORT_PASSWORD) throw new Error(`Set IMPORT_PASSWORD to the password for ${options.email}.`);
+
+  const app = initializeApp(options.emulator
+    ? { ...config, apiKey: config.apiKey || 'demo-key', projectId: config.projectId || 'demo-sales-dashboard' }
+    : config);
+  const auth = getAuth(app);
+  const db = getFirestore(app);
+  if (options.emulator) {
+    const host = process.env.REACT_APP_FIREBASE_EMULATOR_HOST || 'localhost';
+    connectAuthEmulator(auth, `http://${host}:9099`, { disableWarnings: true });
+    connectFirestoreEmulator(db, host, 8080);
+  }
+
+  const { user } = await signInWithEmailAndPassword(auth, options.email, process.env.IMPORT_PASSWORD);
+  return { db, user, close: () => terminate(db) };
+};
+
+// Mappings saved from the browser's import preview teach the CLI the same header aliases.
+const loadSavedMappings = async (db, appId, userId) => {
+  const snapshot = await getDocs(collection(db, `artifacts/${appId}/users/${userId}/columnMappings`));
+  return snapshot.docs.map(mappingDoc => ({ id: mappingDoc.id, ...mappingDoc.data() }));
+};
+
+// Metadata for the target's live snapshots, to check new files against. Rows stay in their chunks.
+const loadLiveSnapshots = async (db, path) => {
+  const snapshot = await getDocs(collection(db, path));
+  return snapshot.docs.map(snapshotDoc => ({ id: snapshotDoc.id, ...snapshotDoc.data() })).filter(s => !isTrashed(s));
+};
+
+const loadFollowUps = async (db, path) => {
+  const snapshot = await getDocs(collection(db, path));
+  return snapshot.docs.map(followUpDoc => ({ id: followUpDoc.id, ...followUpDoc.data() }));
+};
+
+// Team uploads are recorded in the team's audit log, like uploads from the app. A failure
+// here doesn't undo the change being recorded.
+const recordActivity = async ({ options, db }, entries) => {
+  if (!options.teamId) return;
+  try {
+    await recordAuditEntries(db, auditLogPath(teamPath(options.appId, options.teamId)), entries);
+  } catch (err) {
+    console.error("Audit Log Error:", err);
+  }
+};
+
+const importFile = async (context, filePath) => {
+  const { options, db, user, repository } = context;
+  let prepared = null;
+  let uploadDate = null;
+  let contentHash = null;
+  let duplicates = [];
+  const describe = (status, details = {}) => describeFile(filePath, prepared, {
+    status, uploadDate, contentHash, duplicates, duplicateMode: options.duplicates, ...details,
+  });
+
+  try {
+    uploadDate = resolveUploadDate(options.date, filePath);
+    const text = fs.readFileSync(filePath, 'utf8');
+    contentHash = await hashContent(text);
+    duplicates = findDuplicateUploads(context.liveSnapshots, { contentHash, reportDate: uploadDate || new Date() });
+    prepared = prepareFile(text, {
+      savedMappings: context.savedMappings, delimiter: options.delimiter, allowMissing: options.allowMissing,
+    });
+    if (prepared.error) return describe('failed');
+    if (options.dryRun) return describe('validated');
+    if (duplicates.length > 0 && options.duplicates === 'skip') return describe('skipped');
+
+    const rows = prepared.report.rows;
+    const upload = { originalFileName: path.basename(filePath), contentHash, rowCount: rows.length };
+    const { id, saved } = repository.add({
+      data: rows, originalFileName: upload.originalFileName, columnMapping: prepared.mapping, uploadedBy: user.uid, uploadDate, contentHash,
+    });
+    await saved;
+
+    // As in the app, replaced snapshots are trashed only once the new one is saved.
+    const replaced = options.duplicates === 'replace' ? duplicates.map(match => match.snapshot) : [];
+    const replacedIds = replaced.map(s => s.id);
+    if (replacedIds.length > 0) await repository.trash(replacedIds, user.uid);
+    context.liveSnapshots = [
+      ...context.liveSnapshots.filter(s => !replacedIds.includes(s.id)),
+      { ...upload, id, uploadDate: uploadDate || new Date() },
+    ];
+    await recordActivity(context, replacedIds.length > 0
+      ? [buildAuditEntry('replace', { ...upload, id }, user, { replacedIds }), ...replaced.map(s => buildAuditEntry('trash', s, user, { replacedBy: id }))]
+      : [buildAuditEntry('upload', { ...upload, id }, user)]);
+
+    // Backdated files are history; only a current upload rebuilds the team's follow-up queue.
+    if (options.teamId && !uploadDate) {
+      try {
+        const queuePath = followUpsPath(teamPath(options.appId, options.teamId));
+        await syncFollowUps(db, queuePath, rows, await loadFollowUps(db, queuePath), id);
+      } catch (err) {
+        console.error("Follow-up Sync Error:", err);
+      }
+    }
+    return describe('saved', { snapshotId: id });
+  } catch (err) {
+    return describe('failed', { error: err.message });
+  }
+};
+
+// Imports CSVs as they appear in `folder`, one at a time, until interrupted.
+const watchFolder = (context, folder, onResult) => new Promise((resolve, reject) => {
+  const timers = new Map();
+  const imported = new Set();
+  let queue = Promise.resolve();
+
+  const handleSettled = (filePath) => {
+    timers.delete(filePath);
+    if (!fs.existsSync(filePath)) return;
+    // The same file saved again (a newer export under the old name) is a new report.
+    const version = `${filePath}:${fs.statSync(filePath).mtimeMs}`;
+    if (imported.has(version)) return;
+    imported.add(version);
+    queue = queue.then(() => importFile(context, filePath)).then(onResult);
+  };
+
+  const watcher = fs.watch(folder, (event, name) => {
+    if (!name || !name.toLowerCase().endsWith('.csv')) return;
+    const filePath = path.join(folder, name);
+    clearTimeout(timers.get(filePath));
+    timers.set(filePath, setTimeout(() => handleSettled(filePath), WATCH_SETTLE_MS));
+  });
+  watcher.on('error', reject);
+
+  process.once('SIGINT', () => {
+    watcher.close();
+    timers.forEach(clearTimeout);
+    queue.then(resolve);
+  });
+});
+
+const main = async () => {
+  let options;
+  try {
+    options = parseImportArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  // A dry run only signs in when given an account, to use that account's saved mappings.
+  const connection = options.email ? await connect(options) : null;
+  const context = { options, db: connection?.db, user: connection?.user, savedMappings: [], liveSnapshots: [] };
+  if (connection) {
+    const snapshotsPath = snapshotsPathFor(options, connection.user.uid);
+    console.error(`Importing into the ${options.appId} environment.`);
+    context.savedMappings = await loadSavedMappings(connection.db, options.appId, connection.user.uid);
+    context.repository = createFirestoreSnapshotRepository(connection.db, snapshotsPath);
+    // A dry run without a target has nothing to compare against.
+    if (options.teamId || options.user) context.liveSnapshots = await loadLiveSnapshots(connection.db, snapshotsPath);
+  }
+
+  const results = [];
+  // Watching never ends on its own, so each file is reported as it's done.
+  const onResult = (result) => {
+    results.push(result);
+    console.log(options.json && options.watch ? JSON.stringify(result) : formatFileResult(result));
+  };
+
+  try {
+    for (const filePath of options.files) {
+      const result = await importFile(context, filePath);
+      if (options.json && !options.watch) results.push(result);
+      else onResult(result);
+    }
+    if (options.watch) {
+      console.error(`Watching ${options.watch} for new CSV files. Press Ctrl+C to stop.`);
+      await watchFolder(context, options.watch, onResult);
+    }
+  } finally {
+    if (connection) await connection.close();
+  }
+
+  if (options.json && !options.watch) console.log(JSON.stringify(summarizeRun(results), null, 2));
+  return results.some(result => result.status === 'failed') ? 1 : 0;
+};
+
+main()
+  .then(code => process.exit(code))
+  .catch((err) => {
+    console.error("Import Error:", err.message || err);
+    process.exit(1);
+  });
@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+// A local stand-in for an alert digest webhook: prints each digest it receives and
+// answers 204. Point the team's webhook at http://localhost:4040/ (or the port given
+// with --port) to try digests without a real receiver. See "Alerts and Notifications"
+// in the README.
+
+const http = require('http');
+
+const portIndex = process.argv.indexOf('--port');
+const port = Number(portIndex === -1 ? process.env.PORT || 4040 : process.argv[portIndex + 1]);
+
+const server = http.createServer((req, res) => {
+  // Browsers post with mode 'no-cors', but answer preflights anyway for other senders.
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204).end();
+    return;
+  }
+  if (req.method !== 'POST') {
+    res.writeHead(405, { Allow: 'POST' }).end();
+    return;
+  }
+
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const receivedAt = new Date().toISOString();
+    try {
+      const payload = JSON.parse(body);
+      console.log(`--- ${receivedAt}: ${payload.alerts?.length ?? 0} alert(s) for ${payload.team || 'personal workspace'} (${payload.format}) ---`);
+      console.log(payload.text);
+    } catch (err) {
+      console.log(`--- ${receivedAt}: body was not JSON ---`);
+      console.log(body);
+    }
+    res.writeHead(204).end();
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Waiting for alert digests on http://localhost:${port}/ (Ctrl+C to stop)`);
+});
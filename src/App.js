@@ -1,9 +1,85 @@
-import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 
 // Firebase Imports (v9 modular SDK)
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signOut, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, collection, addDoc, query, orderBy, onSnapshot, serverTimestamp, Timestamp, getDocs, writeBatch } from 'firebase/firestore';
+import { getAuth, signOut, onAuthStateChanged, connectAuthEmulator } from 'firebase/auth';
+import { initializeFirestore, persistentLocalCache, persistentMultipleTabManager, connectFirestoreEmulator } from 'firebase/firestore';
+import { collection, doc, setDoc, deleteDoc, query, where, orderBy, limit, onSnapshot, serverTimestamp } from './lib/store';
+
+import SnapshotHistory from './components/SnapshotHistory';
+import SnapshotTrends from './components/SnapshotTrends';
+import SnapshotDiff from './components/SnapshotDiff';
+import ImportPreview from './components/ImportPreview';
+import GenealogyTree from './components/GenealogyTree';
+import RankProgress from './components/RankProgress';
+import RankRulesSettings from './components/RankRulesSettings';
+import QualificationPlanner from './components/QualificationPlanner';
+import AuthScreen from './components/AuthScreen';
+import TeamOnboarding, { PendingInvites } from './components/TeamOnboarding';
+import TeamPanel from './components/TeamPanel';
+import TrashPanel from './components/TrashPanel';
+import ExportMenu from './components/ExportMenu';
+import LeaderReport from './components/LeaderReport';
+import AssociateFilters from './components/AssociateFilters';
+import AssociateTable, { TABLE_ROW_HEIGHT } from './components/AssociateTable';
+import VirtualList from './components/VirtualList';
+import SavedViews from './components/SavedViews';
+import AssociateProfile from './components/AssociateProfile';
+import FollowUpQueue from './components/FollowUpQueue';
+import MonthlyPace, { AssociateGoals } from './components/MonthlyPace';
+import Leaderboards from './components/Leaderboards';
+import TeamComposition from './components/TeamComposition';
+import DuplicateUploadPrompt from './components/DuplicateUploadPrompt';
+import ActivityFeed from './components/ActivityFeed';
+import AlertRulesSettings from './components/AlertRulesSettings';
+import NotificationCenter from './components/NotificationCenter';
+import DemoDataPanel from './components/DemoDataPanel';
+import RecruitCohorts from './components/RecruitCohorts';
+import { formatSnapshotDate, getSnapshotDate, getSnapshotRows, hasSnapshotRows, monthKey } from './lib/snapshots';
+import { getAssociateKey, getLevelTitle } from './lib/associates';
+import { headerSignature } from './lib/schema';
+import { buildGenealogy, getLegRows } from './lib/genealogy';
+import { evaluateNextRanks, isRuleConfigured, normalizeRankRules } from './lib/qualification';
+import { completeEmailLinkSignIn, describeAuthError } from './lib/auth';
+import { canEdit, ensureLocalTeam, getRoleLabel, normalizeEmail, teamPath } from './lib/teams';
+import { openLocalStore } from './lib/localStore';
+import { settleWrite, useOnlineStatus } from './lib/offline';
+import { associatesTable, onHoldTable, premiumContributorsTable, recruitsContributorsTable, summaryTable } from './lib/reports';
+import { downloadBlob, exportFileName } from './lib/exporters';
+import { findProfileAssociate } from './lib/associateHistory';
+import { notesPath } from './lib/notes';
+import { followUpsPath, syncFollowUps, updateFollowUp } from './lib/followUps';
+import { getAssociateGoal, goalsDocPath, normalizeGoals, saveAssociateGoal, saveTeamGoal } from './lib/goals';
+import { buildOrgPace, getMonthProgress, getPriorMonthSnapshots, projectRank } from './lib/pacing';
+import { associatePath, dashboardPath, navigate, useRoute } from './lib/router';
+import { countActiveFilters, filterAssociates, getLevelOptions, mergeViewIntoSearch, nextSort, normalizeView, paramsToView, sortAssociates, SORT_FIELDS, VIEW_MODES } from './lib/associateFilters';
+import { TRASH_RETENTION_DAYS, isPastRetention } from './lib/trash';
+import { createFirestoreSnapshotRepository } from './lib/snapshotRepository';
+import { isLegacySnapshot } from './lib/snapshotStorage';
+import { findPreviousSnapshot } from './lib/leaderboards';
+import { useVirtualRows } from './lib/virtualRows';
+import { buildOrganizationalSummary, buildQualificationStatus, buildStatusSummary, rankContributors } from './lib/metrics';
+import { ACTIVITY_FEED_LIMIT, auditLogPath, buildAuditEntry, recordAuditEntries } from './lib/auditLog';
+import { findDuplicateUploads, hashContent } from './lib/duplicates';
+import { evaluateAlertRules, normalizeAlertSettings } from './lib/alerts';
+import { alertStatePath, isUnread, markNotificationsRead, notificationsPath, saveAlertState, saveNotifications, shouldEvaluateSnapshot, sortNotifications } from './lib/notifications';
+import { DIGEST_FORMATS, buildDigest, buildDigestPayload, sendDigest } from './lib/alertDigest';
+import { CURRENCIES, LOCALES, setLocaleSettings, t, tNodes, useLocale } from './lib/i18n';
+import { formatCurrency, formatNumber } from './lib/format';
+import { ENVIRONMENTS, getEnvironmentLabel, isProduction, resolveEnvironment } from './lib/environment';
+import { importDemoReport } from './lib/demoData';
+
+// Set REACT_APP_USE_FIREBASE_EMULATOR=true to run against `npm run emulators`.
+const useEmulator = process.env.REACT_APP_USE_FIREBASE_EMULATOR === 'true';
+// With no Firebase project configured, or REACT_APP_LOCAL_MODE=true, data is kept in
+// this browser's IndexedDB instead and the app runs without an account.
+const localMode = process.env.REACT_APP_LOCAL_MODE === 'true' || (!process.env.REACT_APP_FIREBASE_API_KEY && !useEmulator);
+const LOCAL_USER = { uid: 'local', email: null, isAnonymous: false };
+const ACTIVE_TEAM_KEY = 'activeTeamId';
+
+// Fixed row heights (px, including spacing) for the virtualized associate and contributor lists.
+const LIST_ROW_HEIGHT = 64;
+const CONTRIBUTOR_ROW_HEIGHT = 58;
 
 // --- Helper Components ---
 
@@ -20,13 +96,13 @@ const Modal = ({ isOpen, onClose, onConfirm, title, children }) => {
             onClick={onClose}
             className="px-4 py-2 bg-gray-300 text-gray-800 rounded-lg shadow hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-400 focus:ring-offset-2"
           >
-            Cancel
+            {t('common.cancel')}
           </button>
           <button
             onClick={onConfirm}
             className="px-4 py-2 bg-red-500 text-white rounded-lg shadow hover:bg-red-600 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-offset-2"
           >
-            Confirm
+            {t('common.confirm')}
           </button>
         </div>
       </div>
@@ -37,45 +113,152 @@ const Modal = ({ isOpen, onClose, onConfirm, title, children }) => {
 
 // --- Main App Component ---
 const App = () => {
+  const route = useRoute();
+  const online = useOnlineStatus();
+  const { locale, currency } = useLocale();
+
   // Core Data State
-  const [associateData, setAssociateData] = useState([]);
+  // Snapshot metadata from the listener; rows are loaded per snapshot on demand into loadedRows,
+  // and requestedRows maps the IDs already asked for to their load so each loads once.
+  const [storedSnapshots, setStoredSnapshots] = useState([]);
+  const [loadedRows, setLoadedRows] = useState({});
+  const requestedRows = useRef(new Map());
+  const [trashedSnapshots, setTrashedSnapshots] = useState([]);
+  // Expired snapshots already being purged, so the purge's own updates don't start another.
+  const purgingSnapshotIds = useRef(new Set());
+  const [activity, setActivity] = useState([]);
+  const [activeSnapshotId, setActiveSnapshotId] = useState(null);
 
   // UI State
   const [selectedAssociate, setSelectedAssociate] = useState(null);
-  const [searchTerm, setSearchTerm] = useState('');
+  const [focusedAssociateId, setFocusedAssociateId] = useState(null);
+  // Filters, sort and list/table mode for the associates panel, mirrored in the URL.
+  const [associateView, setAssociateView] = useState(() => paramsToView(new URLSearchParams(window.location.search)));
+  const [savedViews, setSavedViews] = useState([]);
+  const [followUps, setFollowUps] = useState([]);
+  const [goals, setGoals] = useState(() => normalizeGoals());
   const [loading, setLoading] = useState(true);
+  const [hasPendingWrites, setHasPendingWrites] = useState(false);
+  const [saveProgress, setSaveProgress] = useState(null);
+  const [migrationProgress, setMigrationProgress] = useState(null);
   const [error, setError] = useState(null);
   const [fileName, setFileName] = useState('');
   const [showOnHoldList, setShowOnHoldList] = useState(false);
   const [isConfirmModalOpen, setIsConfirmModalOpen] = useState(false);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [isDemoDataOpen, setIsDemoDataOpen] = useState(false);
+  const [savedMappings, setSavedMappings] = useState([]);
+  const [rankRules, setRankRules] = useState(() => normalizeRankRules());
+  const [isRankRulesOpen, setIsRankRulesOpen] = useState(false);
+  const [showPlanner, setShowPlanner] = useState(false);
 
   // Firebase State
+  // All data lives under artifacts/{appId}/...; team workspaces under teams/{teamId}. The app
+  // ID is the environment set with REACT_APP_ENVIRONMENT, so staging and demo data stay apart.
+  const [appId, setAppId] = useState(null);
   const [db, setDb] = useState(null);
   const [auth, setAuth] = useState(null);
-  const [userId, setUserId] = useState(null);
+  const [user, setUser] = useState(null);
   const [isAuthReady, setIsAuthReady] = useState(false);
+  const [authError, setAuthError] = useState(null);
 
-  // --- Mappings ---
-  const levelMap = {
-    1: 'Associate',
-    2: 'Senior Associate',
-    3: 'Manager',
-    4: 'Senior Manager',
-    5: 'Director',
-    6: 'Senior Director',
-    7: 'Executive Director',
-    8: 'Bronze ED',
-    9: 'Silver ED',
-    10: 'Gold ED',
-    11: 'Platinum ED'
-  };
+  // Team Workspace State
+  const [teams, setTeams] = useState([]);
+  const [teamsLoaded, setTeamsLoaded] = useState(false);
+  const [activeTeamId, setActiveTeamId] = useState(() => window.localStorage.getItem(ACTIVE_TEAM_KEY));
+  const [pendingInvites, setPendingInvites] = useState([]);
+  const [isTeamPanelOpen, setIsTeamPanelOpen] = useState(false);
+
+  // Trash State
+  const [isTrashOpen, setIsTrashOpen] = useState(false);
+  const [undoAction, setUndoAction] = useState(null);
+
+  // Alerts State: settings and the evaluation marker are undefined until loaded.
+  const [alertSettings, setAlertSettings] = useState(undefined);
+  const [alertState, setAlertState] = useState(undefined);
+  const [notifications, setNotifications] = useState([]);
+  const [isAlertRulesOpen, setIsAlertRulesOpen] = useState(false);
+  const [isNotificationsOpen, setIsNotificationsOpen] = useState(false);
+  const evaluatedSnapshotIds = useRef(new Set());
+
+  // Anonymous sessions from older versions only count once upgraded to a real account.
+  const userId = user && !user.isAnonymous ? user.uid : null;
+  const activeTeam = teams.find(team => team.id === activeTeamId) || teams[0] || null;
+  const teamId = activeTeam?.id || null;
+  const role = activeTeam?.roles?.[userId] || null;
+  const isOwner = canEdit(role);
+  const snapshotRepository = useMemo(
+    () => (db && teamId ? createFirestoreSnapshotRepository(db, `${teamPath(appId, teamId)}/snapshots`) : null),
+    [db, appId, teamId],
+  );
+
+  // Loads rows for the given snapshots once each; a failed load can be retried by asking again.
+  // Resolves once each of those loads has settled, whether or not it succeeded.
+  const loadSnapshotRows = useCallback((ids) => {
+    if (!snapshotRepository) return Promise.resolve();
+    return Promise.all(ids.map(id => {
+      const snapshot = storedSnapshots.find(s => s.id === id);
+      if (!snapshot || hasSnapshotRows(snapshot)) return null;
+      if (!requestedRows.current.has(id)) {
+        requestedRows.current.set(id, snapshotRepository.loadRows(snapshot)
+          .then(rows => setLoadedRows(current => ({ ...current, [id]: rows })))
+          .catch(err => {
+            requestedRows.current.delete(id);
+            console.error("Snapshot Rows Error:", err);
+            setError(t(err.code === 'incomplete' ? 'app.errors.snapshotIncomplete' : 'app.errors.loadRows'));
+          }));
+      }
+      return requestedRows.current.get(id);
+    }));
+  }, [snapshotRepository, storedSnapshots]);
+
+  // Stored snapshots with their rows attached once loaded. Legacy snapshots arrive with rows already.
+  const snapshots = useMemo(
+    () => storedSnapshots.map(s => (hasSnapshotRows(s) || !loadedRows[s.id] ? s : { ...s, data: loadedRows[s.id] })),
+    [storedSnapshots, loadedRows],
+  );
 
-  const getLevelTitle = (level) => levelMap[level] || `Level ${level}`;
+  // The snapshot driving the dashboard: the one picked in the history panel, or the newest upload.
+  const activeSnapshot = useMemo(() => {
+    if (snapshots.length === 0) return null;
+    return snapshots.find(s => s.id === activeSnapshotId) || snapshots[0];
+  }, [snapshots, activeSnapshotId]);
+
+  // Goals follow the month of the snapshot being viewed, so history shows that month's goals.
+  const activeSnapshotDate = getSnapshotDate(activeSnapshot);
+  const goalMonth = monthKey(activeSnapshotDate || new Date());
 
   // --- Effects ---
 
-  // Effect 1: Initialize Firebase and handle authentication
+  // Effect 1: Initialize Firebase and handle authentication, or open the local store in local mode.
   useEffect(() => {
+    let environment;
+    try {
+      environment = resolveEnvironment(process.env.REACT_APP_ENVIRONMENT);
+    } catch (environmentError) {
+      console.error("Environment Error:", environmentError);
+      setError(t('app.errors.environment', { name: process.env.REACT_APP_ENVIRONMENT, names: ENVIRONMENTS.join(', ') }));
+      setLoading(false);
+      return;
+    }
+    setAppId(environment);
+
+    if (localMode) {
+      openLocalStore(`sales-dashboard-${environment}`)
+        .then(async (store) => {
+          await ensureLocalTeam(store, environment, LOCAL_USER);
+          setDb(store);
+          setUser(LOCAL_USER);
+          setIsAuthReady(true);
+        })
+        .catch((storeError) => {
+          console.error("Local Store Error:", storeError);
+          setError(t('app.errors.localStorage'));
+          setLoading(false);
+        });
+      return;
+    }
+
     const firebaseConfig = {
       apiKey: process.env.REACT_APP_FIREBASE_API_KEY,
       authDomain: process.env.REACT_APP_FIREBASE_AUTH_DOMAIN,
@@ -86,514 +269,1413 @@ const App = () => {
       measurementId: process.env.REACT_APP_FIREBASE_MEASUREMENT_ID
     };
 
-    if (!firebaseConfig.apiKey) {
-      setError("Firebase configuration is missing. Make sure you have set up your .env file and Netlify environment variables.");
-      setLoading(false);
-      return;
-    }
-
     try {
-      const app = initializeApp(firebaseConfig);
+      const app = initializeApp(useEmulator
+        ? { ...firebaseConfig, apiKey: firebaseConfig.apiKey || 'demo-key', projectId: firebaseConfig.projectId || 'demo-sales-dashboard' }
+        : firebaseConfig);
       const authInstance = getAuth(app);
-      const firestoreInstance = getFirestore(app);
-      
+      // The persistent cache keeps the last loaded data available offline and queues writes until reconnecting.
+      const firestoreInstance = initializeFirestore(app, {
+        localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+      });
+
+      if (useEmulator) {
+        const host = process.env.REACT_APP_FIREBASE_EMULATOR_HOST || 'localhost';
+        connectAuthEmulator(authInstance, `http://${host}:9099`, { disableWarnings: true });
+        connectFirestoreEmulator(firestoreInstance, host, 8080);
+      }
+
       setDb(firestoreInstance);
       setAuth(authInstance);
 
-      const unsubscribe = onAuthStateChanged(authInstance, async (user) => {
-        if (user) {
-          setUserId(user.uid);
-          setIsAuthReady(true);
-        } else {
-          try {
-            await signInAnonymously(authInstance);
-          } catch (authError) {
-            console.error("Firebase Authentication Error:", authError);
-            setError("Authentication failed. Please refresh the page or check your connection.");
-            setIsAuthReady(false);
-            setLoading(false);
-          }
-        }
+      completeEmailLinkSignIn(authInstance).catch((linkError) => {
+        console.error("Email Link Sign-in Error:", linkError);
+        setAuthError(describeAuthError(linkError));
+      });
+
+      const unsubscribe = onAuthStateChanged(authInstance, (currentUser) => {
+        setUser(currentUser);
+        setIsAuthReady(true);
+        if (!currentUser || currentUser.isAnonymous) setLoading(false);
       });
 
       return () => unsubscribe();
 
     } catch (initError) {
       console.error("Firebase Initialization Error:", initError);
-      setError("Failed to initialize the application. Please check the console for details.");
+      setError(t('app.errors.initialize'));
       setLoading(false);
     }
   }, []);
 
-  // Effect 2: Fetch associate data from Firestore once authentication is ready.
+  // Effect 2: Track the teams the signed-in user belongs to.
+  useEffect(() => {
+    setTeams([]);
+    setTeamsLoaded(false);
+    if (!db || !userId) return;
+
+    const teamsQuery = query(collection(db, `artifacts/${appId}/teams`), where('memberIds', 'array-contains', userId));
+    const unsubscribe = onSnapshot(teamsQuery, (snapshot) => {
+      setTeams(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).sort((a, b) => (a.name || '').localeCompare(b.name || '')));
+      setTeamsLoaded(true);
+    }, (dbError) => {
+      console.error("Team Load Error:", dbError);
+      setError(t('app.errors.loadTeams'));
+      setTeamsLoaded(true);
+      setLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, [db, appId, userId]);
+
+  // Effect 3: Watch for team invitations addressed to the signed-in user's email.
+  useEffect(() => {
+    setPendingInvites([]);
+    if (!db || !userId || !user.email) return;
+
+    const invitesQuery = query(
+      collection(db, `artifacts/${appId}/invites`),
+      where('email', '==', normalizeEmail(user.email)),
+      where('status', '==', 'pending'),
+    );
+    const unsubscribe = onSnapshot(invitesQuery, (snapshot) => {
+      setPendingInvites(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (dbError) => {
+      console.error("Invite Load Error:", dbError);
+    });
+
+    return () => unsubscribe();
+  }, [db, appId, userId, user]);
+
+  // Effect 4: Fetch the active team's snapshots once authentication is ready.
+  // The repository splits soft-deleted snapshots off into the trash.
   useEffect(() => {
-    if (!db || !isAuthReady || !userId) {
-      if(isAuthReady) setLoading(false);
+    setStoredSnapshots([]);
+    setLoadedRows({});
+    requestedRows.current = new Map();
+    setTrashedSnapshots([]);
+    if (!snapshotRepository || !isAuthReady) {
+      if (isAuthReady && teamsLoaded) setLoading(false);
       return;
     }
-    
+
     setLoading(true);
-    
-    const appId = 'production';
-    const snapshotsColRef = collection(db, `artifacts/${appId}/users/${userId}/snapshots`);
-    const q = query(snapshotsColRef, orderBy("uploadDate", "desc"));
-
-    const unsubscribe = onSnapshot(q, (snapshot) => {
-      const allSnapshots = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-
-      if (allSnapshots.length > 0) {
-        const latestSnapshot = allSnapshots[0];
-        if (latestSnapshot.data && Array.isArray(latestSnapshot.data)) {
-          setAssociateData(latestSnapshot.data);
-          const displayDate = latestSnapshot.uploadDate instanceof Timestamp
-            ? new Date(latestSnapshot.uploadDate.toDate()).toLocaleString()
-            : 'N/A';
-          setFileName(`Loaded from DB: ${displayDate}`);
-        } else {
-          setAssociateData([]);
-          setFileName('');
-        }
-
-      } else {
-        setAssociateData([]);
-        setFileName('');
-      }
+
+    const unsubscribe = snapshotRepository.subscribe(({ live, trashed, hasPendingWrites: pending }) => {
+      setHasPendingWrites(pending);
+      setStoredSnapshots(live);
+      setTrashedSnapshots(trashed);
       setLoading(false);
       setError(null);
     }, (dbError) => {
       console.error("Firestore Snapshot Error:", dbError);
-      setError(dbError.code === 'permission-denied' ? "Permission Denied." : "Error loading data.");
+      setError(dbError.code === 'permission-denied' ? t('teams.errors.permissionDenied') : t('app.errors.loadData'));
       setLoading(false);
     });
 
     return () => unsubscribe();
-  }, [db, isAuthReady, userId]);
+  }, [snapshotRepository, isAuthReady, teamsLoaded]);
+
+  // Effect 5: Keep the user's saved column mappings in sync for the import preview.
+  useEffect(() => {
+    if (!db || !isAuthReady || !userId) return;
+
+    const mappingsColRef = collection(db, `artifacts/${appId}/users/${userId}/columnMappings`);
+    const unsubscribe = onSnapshot(mappingsColRef, (snapshot) => {
+      setSavedMappings(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (dbError) => {
+      console.error("Column Mapping Load Error:", dbError);
+    });
+
+    return () => unsubscribe();
+  }, [db, appId, isAuthReady, userId]);
   
-  // --- Memoized Calculations ---
+  // Effect 6: Keep the user's saved associate views in sync.
+  useEffect(() => {
+    setSavedViews([]);
+    if (!db || !isAuthReady || !userId) return;
 
-  const organizationalSummary = useMemo(() => {
-    const depthZeroAssociate = associateData.find(assoc => assoc['Depth Level'] === 0);
-    if (!depthZeroAssociate) return null;
+    const viewsColRef = collection(db, `artifacts/${appId}/users/${userId}/views`);
+    const unsubscribe = onSnapshot(viewsColRef, (snapshot) => {
+      setSavedViews(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).sort((a, b) => (a.name || '').localeCompare(b.name || '')));
+    }, (dbError) => {
+      console.error("Saved View Load Error:", dbError);
+    });
 
-    const prevPremiumContributors = associateData.filter(assoc => (assoc['Personal Premium PMTD'] || 0) > 0).length;
-    const prevRecruitsContributors = associateData.filter(assoc => (assoc['Personal Recruits PMTD'] || 0) > 0).length;
+    return () => unsubscribe();
+  }, [db, appId, isAuthReady, userId]);
 
-    return {
-      orgPremiumMTD: depthZeroAssociate['Org Premium MTD'] || 0,
-      orgPremiumPMTD: depthZeroAssociate['Org Premium PMTD'] || 0,
-      orgRecruitsMTD: depthZeroAssociate['Org Recruits MTD'] || 0,
-      orgRecruitsPMTD: depthZeroAssociate['Org Recruits PMTD'] || 0,
-      premiumContributorsPMTD: prevPremiumContributors,
-      recruitsContributorsPMTD: prevRecruitsContributors,
-    };
-  }, [associateData]);
+  // Effect 7: Keep the team's follow-up queue in sync.
+  useEffect(() => {
+    setFollowUps([]);
+    if (!db || !isAuthReady || !teamId) return;
 
-  const qualificationStatus = useMemo(() => {
-    const sdThreshold = 700, sdLegLimit = 350, edThreshold = 1400, edLegLimit = 700;
-    const depthZeroAssociate = associateData.find(assoc => assoc['Depth Level'] === 0);
-    if (!depthZeroAssociate) return null;
+    const followUpsColRef = collection(db, followUpsPath(teamPath(appId, teamId)));
+    const unsubscribe = onSnapshot(followUpsColRef, (snapshot) => {
+      setFollowUps(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data({ serverTimestamps: 'estimate' }) })));
+    }, (dbError) => {
+      console.error("Follow-up Load Error:", dbError);
+    });
 
-    const depthOneAssociates = associateData.filter(assoc => assoc['Depth Level'] === 1);
-    const personalPremiumMTD = depthZeroAssociate['Personal Premium MTD'] || 0;
+    return () => unsubscribe();
+  }, [db, appId, isAuthReady, teamId]);
 
-    const result = {
-      sd: { qualified: false, threshold: sdThreshold, totalCountablePremium: 0, needed: 0 },
-      ed: { qualified: false, threshold: edThreshold, totalCountablePremium: 0, needed: 0 },
-    };
+  // Effect 8: Load the team's rank qualification rules, falling back to the defaults.
+  useEffect(() => {
+    setRankRules(normalizeRankRules());
+    if (!db || !isAuthReady || !teamId) return;
 
-    const effectiveSdLegPremium = depthOneAssociates.reduce((total, leg) => {
-        const legPremium = leg['Org Premium MTD'] || 0;
-        return total + Math.min(legPremium, sdLegLimit);
-    }, 0);
-
-    const effectiveEdLegPremium = depthOneAssociates.reduce((total, leg) => {
-        const legPremium = leg['Org Premium MTD'] || 0;
-        return total + Math.min(legPremium, edLegLimit);
-    }, 0);
-    
-    result.sd.totalCountablePremium = effectiveSdLegPremium + personalPremiumMTD;
-    result.ed.totalCountablePremium = effectiveEdLegPremium + personalPremiumMTD;
-    result.sd.qualified = result.sd.totalCountablePremium >= sdThreshold;
-    result.ed.qualified = result.ed.totalCountablePremium >= edThreshold;
-    
-    if (!result.sd.qualified) result.sd.needed = sdThreshold - result.sd.totalCountablePremium;
-    if (!result.ed.qualified) result.ed.needed = edThreshold - result.ed.totalCountablePremium;
-
-    return result;
-  }, [associateData]);
+    const rulesDocRef = doc(db, `${teamPath(appId, teamId)}/settings/rankRules`);
+    const unsubscribe = onSnapshot(rulesDocRef, (snapshot) => {
+      setRankRules(normalizeRankRules(snapshot.exists() ? snapshot.data().rules : undefined));
+    }, (dbError) => {
+      console.error("Rank Rules Load Error:", dbError);
+    });
 
-  const filteredAssociates = useMemo(() => {
-    if (!searchTerm) return associateData;
-    const lowerCaseSearchTerm = searchTerm.toLowerCase();
-    return associateData.filter(a =>
-        (a.Name || '').toLowerCase().includes(lowerCaseSearchTerm) ||
-        (a['Associate ID'] || '').toString().toLowerCase().includes(lowerCaseSearchTerm)
-    );
-  }, [associateData, searchTerm]);
-
-  const statusSummary = useMemo(() => {
-    const summary = { active: 0, notVested: 0, onHold: 0, onHoldList: [] };
-    associateData.forEach(associate => {
-      const status = (associate.Status || '').trim();
-      if (status === '') summary.active++;
-      else if (status === 'D') summary.notVested++;
-      else if (status === 'H') {
-        summary.onHold++;
-        summary.onHoldList.push(associate);
-      }
+    return () => unsubscribe();
+  }, [db, appId, isAuthReady, teamId]);
+
+  // Effect 9: Owners permanently remove trashed snapshots once their restore window has passed.
+  useEffect(() => {
+    if (!snapshotRepository || !isOwner) return;
+    const expired = trashedSnapshots.filter(s => isPastRetention(s) && !purgingSnapshotIds.current.has(s.id));
+    if (expired.length === 0) return;
+
+    const ids = expired.map(s => s.id);
+    ids.forEach(id => purgingSnapshotIds.current.add(id));
+    snapshotRepository.purge(ids)
+      .then(() => recordAuditEntries(db, auditLogPath(teamPath(appId, teamId)), expired.map(s => buildAuditEntry('purge', s, user, { reason: 'expired' }))))
+      .catch(dbError => {
+        ids.forEach(id => purgingSnapshotIds.current.delete(id));
+        console.error("Trash Purge Error:", dbError);
+      });
+  }, [snapshotRepository, isOwner, trashedSnapshots, db, appId, teamId, user]);
+
+  // Effect 10: Reflect the associates view in the URL so it can be bookmarked or shared.
+  useEffect(() => {
+    const { pathname, search, hash } = window.location;
+    const nextSearch = mergeViewIntoSearch(search, associateView);
+    if (nextSearch !== search) window.history.replaceState(window.history.state, '', `${pathname}${nextSearch}${hash}`);
+  }, [associateView]);
+
+  // Effect 11: The undo prompt for a deletion disappears after a short while.
+  useEffect(() => {
+    if (!undoAction) return;
+    const timer = setTimeout(() => setUndoAction(null), 10000);
+    return () => clearTimeout(timer);
+  }, [undoAction]);
+
+  // Effect 12: Load the team's goals for the month being viewed.
+  useEffect(() => {
+    setGoals(normalizeGoals());
+    if (!db || !isAuthReady || !teamId) return;
+
+    const goalsDocRef = doc(db, goalsDocPath(teamPath(appId, teamId), goalMonth));
+    const unsubscribe = onSnapshot(goalsDocRef, (snapshot) => {
+      setGoals(normalizeGoals(snapshot.exists() ? snapshot.data() : undefined));
+    }, (dbError) => {
+      console.error("Goals Load Error:", dbError);
     });
-    return summary;
-  }, [associateData]);
 
-  const currentMonthPremiumContributors = useMemo(() => {
-    return associateData
-      .filter(a => (a['Personal Premium MTD'] || 0) > 0)
-      .sort((a, b) => (b['Personal Premium MTD'] || 0) - (a['Personal Premium MTD'] || 0));
-  }, [associateData]);
+    return () => unsubscribe();
+  }, [db, appId, isAuthReady, teamId, goalMonth]);
 
-  const currentMonthRecruitsContributors = useMemo(() => {
-    return associateData
-      .filter(a => (a['Personal Recruits MTD'] || 0) > 0)
-      .sort((a, b) => (b['Personal Recruits MTD'] || 0) - (a['Personal Recruits MTD'] || 0));
-  }, [associateData]);
+  // Effect 13: Load the rows the dashboard needs: the latest and viewed uploads, the one
+  // before it (most improved, comparisons) and last month's (pacing). A profile needs every upload.
+  useEffect(() => {
+    if (storedSnapshots.length === 0) return;
+    const viewed = storedSnapshots.find(s => s.id === activeSnapshotId) || storedSnapshots[0];
+    const ids = route.name === 'associate'
+      ? storedSnapshots.map(s => s.id)
+      : [
+        storedSnapshots[0].id,
+        viewed.id,
+        findPreviousSnapshot(storedSnapshots, viewed)?.id,
+        ...(getSnapshotDate(viewed) ? getPriorMonthSnapshots(storedSnapshots, getSnapshotDate(viewed)).map(s => s.id) : []),
+      ];
+    loadSnapshotRows(ids.filter(Boolean));
+  }, [storedSnapshots, activeSnapshotId, route.name, loadSnapshotRows]);
 
+  // Effect 14: Keep the most recent entries of the team's audit log in sync for the activity feed.
+  useEffect(() => {
+    setActivity([]);
+    if (!db || !isAuthReady || !teamId) return;
 
-  // --- Event Handlers ---
+    const auditQuery = query(collection(db, auditLogPath(teamPath(appId, teamId))), orderBy('at', 'desc'), limit(ACTIVITY_FEED_LIMIT));
+    const unsubscribe = onSnapshot(auditQuery, (snapshot) => {
+      setActivity(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data({ serverTimestamps: 'estimate' }) })));
+    }, (dbError) => {
+      console.error("Activity Load Error:", dbError);
+    });
+
+    return () => unsubscribe();
+  }, [db, appId, isAuthReady, teamId]);
+
+  // Effect 15: Load the team's alert rules and digest webhook.
+  useEffect(() => {
+    setAlertSettings(undefined);
+    if (!db || !isAuthReady || !teamId) return;
+
+    const settingsDocRef = doc(db, `${teamPath(appId, teamId)}/settings/alerts`);
+    const unsubscribe = onSnapshot(settingsDocRef, (snapshot) => {
+      setAlertSettings(normalizeAlertSettings(snapshot.exists() ? snapshot.data() : undefined));
+    }, (dbError) => {
+      console.error("Alert Rules Load Error:", dbError);
+    });
+
+    return () => unsubscribe();
+  }, [db, appId, isAuthReady, teamId]);
+
+  // Effect 16: Keep the signed-in user's notifications for the active team in sync.
+  useEffect(() => {
+    setNotifications([]);
+    if (!db || !isAuthReady || !userId || !teamId) return;
+
+    // Sorted here rather than in the query, which would need a composite index.
+    const notificationsQuery = query(collection(db, notificationsPath(appId, userId)), where('teamId', '==', teamId));
+    const unsubscribe = onSnapshot(notificationsQuery, (snapshot) => {
+      setNotifications(sortNotifications(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data({ serverTimestamps: 'estimate' }) }))));
+    }, (dbError) => {
+      console.error("Notifications Load Error:", dbError);
+    });
+
+    return () => unsubscribe();
+  }, [db, appId, isAuthReady, userId, teamId]);
+
+  // Effect 17: Track the newest upload this user's alerts have been checked against.
+  useEffect(() => {
+    setAlertState(undefined);
+    if (!db || !isAuthReady || !userId || !teamId) return;
+
+    const unsubscribe = onSnapshot(doc(db, alertStatePath(appId, userId, teamId)), (snapshot) => {
+      setAlertState(snapshot.exists() ? snapshot.data() : null);
+    }, (dbError) => {
+      console.error("Alert State Load Error:", dbError);
+    });
 
-  const splitCsvLine = (line) => {
-    const result = []; let currentField = ''; let inQuote = false;
-    for (let i = 0; i < line.length; i++) {
-      const char = line[i];
-      if (char === '"') inQuote = !inQuote;
-      else if (char === ',' && !inQuote) { result.push(currentField.trim()); currentField = ''; }
-      else currentField += char;
+    return () => unsubscribe();
+  }, [db, appId, isAuthReady, userId, teamId]);
+
+  // Effect 18: When a new upload arrives, check the alert rules against it once its rows, the
+  // previous upload's and (for pace rules) last month's are loaded. The uploader's browser also
+  // posts the digest to the team's webhook.
+  useEffect(() => {
+    const latest = storedSnapshots[0];
+    if (!db || !userId || !teamId || !alertSettings || alertState === undefined) return;
+    if (!getSnapshotDate(latest) || !shouldEvaluateSnapshot(latest, alertState) || evaluatedSnapshotIds.current.has(latest.id)) return;
+
+    const previous = findPreviousSnapshot(storedSnapshots, latest);
+    const usesPace = alertSettings.rules.some(rule => rule.enabled && rule.field === 'premiumPace');
+    const needed = [latest, previous, ...(usesPace ? getPriorMonthSnapshots(storedSnapshots, getSnapshotDate(latest)) : [])].filter(Boolean);
+    const hydrated = (id) => snapshots.find(s => s.id === id);
+    const missing = needed.filter(s => !hasSnapshotRows(hydrated(s.id)));
+    if (missing.length > 0) {
+      loadSnapshotRows(missing.map(s => s.id));
+      return;
     }
-    result.push(currentField.trim());
-    return result;
-  };
 
+    evaluatedSnapshotIds.current.add(latest.id);
+    const snapshot = hydrated(latest.id);
+    const alerts = evaluateAlertRules(alertSettings.rules, { snapshot, previousSnapshot: previous && hydrated(previous.id), snapshots, rankRules });
+    const { webhookUrl, digestFormat } = alertSettings;
+
+    saveNotifications(db, notificationsPath(appId, userId), teamId, snapshot, alerts)
+      .then(() => saveAlertState(db, alertStatePath(appId, userId, teamId), snapshot))
+      .catch(dbError => {
+        evaluatedSnapshotIds.current.delete(latest.id);
+        console.error("Alert Notifications Error:", dbError);
+      });
+    if (alerts.length > 0 && webhookUrl && latest.uploadedBy === userId) {
+      sendDigest(webhookUrl, buildDigestPayload({ format: digestFormat, teamName: activeTeam?.name, snapshot, alerts }))
+        .catch(err => console.error("Alert Digest Error:", err));
+    }
+  }, [db, appId, userId, teamId, activeTeam?.name, alertSettings, alertState, storedSnapshots, snapshots, rankRules, loadSnapshotRows]);
+
+  // --- Memoized Calculations ---
+
+  const snapshotRows = useMemo(() => getSnapshotRows(activeSnapshot), [activeSnapshot]);
+  const isLoadingRows = Boolean(activeSnapshot) && !hasSnapshotRows(activeSnapshot);
+  const genealogy = useMemo(() => buildGenealogy(snapshotRows), [snapshotRows]);
+  const focusedNode = focusedAssociateId ? genealogy.byId.get(focusedAssociateId) || null : null;
+
+  // Everything below reads associateData, so focusing a leg re-roots the whole dashboard at that associate.
+  const associateData = useMemo(() => (focusedNode ? getLegRows(focusedNode) : snapshotRows), [focusedNode, snapshotRows]);
+  const isViewingLatest = !activeSnapshot || activeSnapshot.id === snapshots[0].id;
+
+  const organizationalSummary = useMemo(() => buildOrganizationalSummary(associateData), [associateData]);
+  const qualificationStatus = useMemo(() => buildQualificationStatus(associateData, rankRules), [associateData, rankRules]);
+
+  // Month-end projections for the summary's root associate, including SD/ED on current pace.
+  const pace = useMemo(
+    () => buildOrgPace(activeSnapshot, snapshots, organizationalSummary, qualificationStatus?.root),
+    [activeSnapshot, snapshots, organizationalSummary, qualificationStatus],
+  );
+  const projectedRanks = useMemo(() => {
+    if (!pace || !qualificationStatus) return [];
+    return [6, 7]
+      .filter(level => isRuleConfigured(rankRules[level]))
+      .map(level => ({ level, result: projectRank(rankRules[level], qualificationStatus.root, qualificationStatus.legs, pace.progress) }));
+  }, [pace, qualificationStatus, rankRules]);
+
+  const filteredAssociates = useMemo(
+    () => sortAssociates(filterAssociates(associateData, associateView.filters), associateView.sort),
+    [associateData, associateView],
+  );
+  // Profiles look the associate up in the whole organization, even while a leg is focused.
+  const profile = useMemo(
+    () => (route.name === 'associate' ? findProfileAssociate(snapshotRows, snapshots, route.associateId) : null),
+    [route, snapshotRows, snapshots],
+  );
+
+  // Not memoized: the option labels are translated, so they follow the language setting.
+  const levelOptions = getLevelOptions(associateData);
+  const activeFilterCount = countActiveFilters(associateView.filters);
+  const associateRows = useVirtualRows(filteredAssociates.length, associateView.mode === 'table' ? TABLE_ROW_HEIGHT : LIST_ROW_HEIGHT);
+  const legacySnapshotCount = [...storedSnapshots, ...trashedSnapshots].filter(isLegacySnapshot).length;
+
+  const statusSummary = useMemo(() => buildStatusSummary(associateData), [associateData]);
+  const currentMonthPremiumContributors = useMemo(() => rankContributors(associateData, 'Personal Premium MTD'), [associateData]);
+  const currentMonthRecruitsContributors = useMemo(() => rankContributors(associateData, 'Personal Recruits MTD'), [associateData]);
+
+  const unreadCount = useMemo(() => notifications.filter(isUnread).length, [notifications]);
+  // Associates offered to alert rules: everyone in the latest upload, by name.
+  const alertAssociateOptions = useMemo(() => getSnapshotRows(snapshots[0])
+    .map(row => ({ key: getAssociateKey(row), name: row.Name || row['Associate ID'] }))
+    .sort((a, b) => String(a.name).localeCompare(String(b.name))), [snapshots]);
+
+
+  // --- Event Handlers ---
+
+  // Reads the chosen file and opens the import preview; saving happens in handleConfirmImport.
   const handleFileUpload = (event) => {
     const file = event.target.files[0];
-    if (!file || !db || !userId) {
-      setError("Cannot upload file. Not ready or not authenticated.");
+    if (!file || !db || !teamId || !isOwner) {
+      setError(t('app.errors.uploadNotReady'));
       event.target.value = null;
       return;
     }
 
-    setLoading(true); setError(null); setFileName(file.name); setSelectedAssociate(null);
+    setError(null);
 
     const reader = new FileReader();
     reader.onload = async (e) => {
-      try {
-        const lines = e.target.result.split('\n').filter(line => line.trim() !== '');
-        if (lines.length < 2) throw new Error("CSV must have a header and at least one data row.");
-        
-        const headers = splitCsvLine(lines[0]);
-        const seenIds = new Set();
-        const parsedData = lines.slice(1).map((line, i) => {
-            const values = splitCsvLine(line);
-            if (values.length !== headers.length) {
-                console.warn(`Skipping malformed row ${i + 2}`); return null;
-            }
-            const row = {};
-            headers.forEach((header, index) => {
-                const value = values[index];
-                if (header.includes('Premium') || header.includes('Recruits') || header.includes('Total') || header.includes('Level')) {
-                    row[header] = parseFloat(value) || 0;
-                } else if (header === 'Associate ID') {
-                    let id = value;
-                    if (!id || id === '0' || seenIds.has(id)) id = crypto.randomUUID();
-                    seenIds.add(id);
-                    row[header] = id;
-                } else {
-                    row[header] = value;
-                }
-            });
-            return row;
-        }).filter(Boolean);
-
-        if (parsedData.length === 0) throw new Error("No valid data parsed from CSV.");
-
-        const appId = 'production';
-        const snapshotsColRef = collection(db, `artifacts/${appId}/users/${userId}/snapshots`);
-        await addDoc(snapshotsColRef, {
-          uploadDate: serverTimestamp(), data: parsedData, originalFileName: file.name,
-        });
-        
-      } catch (err) {
-        console.error("File processing/saving error:", err);
-        setError(`Failed to process file. ${err.message || ''}`);
-      } finally {
-        setLoading(false);
-        event.target.value = null;
-      }
+      const text = e.target.result;
+      // Without a hash (say, outside a secure context) only same-day uploads are flagged.
+      const contentHash = await hashContent(text).catch((hashError) => {
+        console.error("Content Hash Error:", hashError);
+        return null;
+      });
+      const duplicates = findDuplicateUploads(storedSnapshots, { contentHash });
+      // With no match there's nothing to ask, so the upload goes straight to the preview.
+      setPendingImport({ fileName: file.name, text, contentHash, duplicates, duplicateChoice: duplicates.length > 0 ? null : 'keep' });
     };
-    reader.onerror = () => { setError("Failed to read file."); setLoading(false); };
+    reader.onerror = () => setError(t('app.errors.readFile'));
     reader.readAsText(file);
+    event.target.value = null;
+  };
+
+  // Writes made offline resolve once they're queued; a rejection after reconnecting lands here.
+  const handleLateWriteError = (err) => {
+    console.error("Offline Sync Error:", err);
+    setError(t('app.errors.offlineSync', { message: err.message || '' }));
+  };
+
+  // Appends to the team's audit log. A failure here doesn't undo the change being recorded.
+  const recordActivity = async (entries) => {
+    try {
+      await settleWrite(recordAuditEntries(db, auditLogPath(teamPath(appId, teamId)), entries), handleLateWriteError);
+    } catch (err) {
+      console.error("Audit Log Error:", err);
+      setError(t('app.errors.activityLog'));
+    }
+  };
+
+  // Skipping drops the upload; replacing or keeping both continues to the import preview.
+  const handleChooseDuplicate = (choice) => {
+    if (choice === 'skip') setPendingImport(null);
+    else setPendingImport(current => ({ ...current, duplicateChoice: choice }));
+  };
+
+  // Rebuilds the follow-up queue from an upload. A failure here doesn't undo the upload.
+  const handleSyncFollowUps = async (rows, snapshotId) => {
+    try {
+      await settleWrite(syncFollowUps(db, followUpsPath(teamPath(appId, teamId)), rows, followUps, snapshotId), handleLateWriteError);
+    } catch (err) {
+      console.error("Follow-up Sync Error:", err);
+      setError(t('app.errors.followUpSync'));
+    }
+  };
+
+  const handleUpdateFollowUp = async (itemId, changes) => {
+    try {
+      await settleWrite(updateFollowUp(db, followUpsPath(teamPath(appId, teamId)), itemId, changes, userId), handleLateWriteError);
+    } catch (err) {
+      console.error("Follow-up Update Error:", err);
+      setError(t('app.errors.followUpUpdate'));
+    }
+  };
+
+  const handleConfirmImport = async (parsedData, { headers, mapping }) => {
+    const { fileName: originalFileName, contentHash, duplicates, duplicateChoice } = pendingImport;
+    const replaced = duplicateChoice === 'replace' ? duplicates.map(match => match.snapshot) : [];
+    setPendingImport(null);
+    setLoading(true); setError(null); setFileName(originalFileName); setSelectedAssociate(null); setActiveSnapshotId(null); setFocusedAssociateId(null);
+
+    try {
+      setSaveProgress({ saved: 0, total: parsedData.length });
+      const { id: snapshotId, saved } = snapshotRepository.add({
+        data: parsedData, originalFileName, columnMapping: mapping, uploadedBy: userId, contentHash,
+      }, setSaveProgress);
+      // The rows are already here, so the new snapshot doesn't need to be read back.
+      requestedRows.current.set(snapshotId, Promise.resolve());
+      setLoadedRows(current => ({ ...current, [snapshotId]: parsedData }));
+      await settleWrite(saved, handleLateWriteError);
+      // Replaced snapshots are trashed only once the new one is saved, so a failed upload replaces nothing.
+      const replacedIds = replaced.map(s => s.id);
+      if (replacedIds.length > 0) await settleWrite(snapshotRepository.trash(replacedIds, userId), handleLateWriteError);
+      const upload = { id: snapshotId, originalFileName, contentHash, rowCount: parsedData.length };
+      await recordActivity(replacedIds.length > 0
+        ? [buildAuditEntry('replace', upload, user, { replacedIds }), ...replaced.map(s => buildAuditEntry('trash', s, user, { replacedBy: snapshotId }))]
+        : [buildAuditEntry('upload', upload, user)]);
+      await handleSyncFollowUps(parsedData, snapshotId);
+      // Remember the mapping so the next upload with the same headers maps itself.
+      await settleWrite(setDoc(doc(db, `artifacts/${appId}/users/${userId}/columnMappings`, headerSignature(headers)), {
+        headers, mapping, updatedAt: serverTimestamp(),
+      }), handleLateWriteError);
+    } catch (err) {
+      console.error("File saving error:", err);
+      setError(t('app.errors.saveFile', { message: err.message || '' }));
+    } finally {
+      setLoading(false);
+      setSaveProgress(null);
+    }
   };
   
+  // Saves generated reports as backdated snapshots, oldest first, the way the import CLI saves
+  // historical files. Reports already uploaded with the same content are skipped.
+  const handleLoadDemoData = async (reports) => {
+    setIsDemoDataOpen(false);
+    setLoading(true); setError(null); setFileName(''); setSelectedAssociate(null); setActiveSnapshotId(null); setFocusedAssociateId(null);
+
+    try {
+      let newest = null;
+      for (const report of reports) {
+        const { text, mapping, rows } = importDemoReport(report);
+        const contentHash = await hashContent(text).catch((hashError) => {
+          console.error("Content Hash Error:", hashError);
+          return null;
+        });
+        if (contentHash && storedSnapshots.some(s => s.contentHash === contentHash)) continue;
+
+        setSaveProgress({ saved: 0, total: rows.length });
+        const { id: snapshotId, saved } = snapshotRepository.add({
+          data: rows, originalFileName: report.fileName, columnMapping: mapping, uploadedBy: userId, contentHash, uploadDate: report.date,
+        }, setSaveProgress);
+        requestedRows.current.set(snapshotId, Promise.resolve());
+        setLoadedRows(current => ({ ...current, [snapshotId]: rows }));
+        await settleWrite(saved, handleLateWriteError);
+        await recordActivity([buildAuditEntry('upload', { id: snapshotId, originalFileName: report.fileName, contentHash, rowCount: rows.length }, user)]);
+        newest = { rows, snapshotId };
+      }
+      if (newest) await handleSyncFollowUps(newest.rows, newest.snapshotId);
+    } catch (err) {
+      console.error("Demo Data Error:", err);
+      setError(t('app.errors.loadDemo', { message: err.message || '' }));
+    } finally {
+      setLoading(false);
+      setSaveProgress(null);
+    }
+  };
+
   const handleSelectAssociate = useCallback((associate) => setSelectedAssociate(associate), []);
 
-  const handleClearAllData = async () => {
-    setIsConfirmModalOpen(false);
-    if (!db || !userId || !auth) {
-        setError("Cannot clear data. Application not ready.");
-        return;
+  const handleSelectAssociateById = useCallback((associateId) => {
+    const associate = associateData.find(a => a['Associate ID'] === associateId);
+    if (associate) setSelectedAssociate(associate);
+  }, [associateData]);
+
+  const handleOpenProfile = useCallback((associateId) => navigate(associatePath(associateId)), []);
+
+  // --- Alerts & Notifications ---
+
+  const handleSaveAlertSettings = async (settings) => {
+    try {
+      await settleWrite(setDoc(doc(db, `${teamPath(appId, teamId)}/settings/alerts`), { ...settings, updatedAt: serverTimestamp() }), handleLateWriteError);
+      setIsAlertRulesOpen(false);
+    } catch (err) {
+      console.error("Error saving alert rules:", err);
+      setError(t('app.errors.saveAlertRules'));
     }
-    setLoading(true);
-    setError(null);
+  };
+
+  const handleMarkNotificationsRead = async (ids) => {
     try {
-        const appId = 'production';
-        const snapshotsColRef = collection(db, `artifacts/${appId}/users/${userId}/snapshots`);
-        const snapshot = await getDocs(snapshotsColRef);
-        
-        if (snapshot.empty) {
-            setLoading(false);
-            return;
-        }
-
-        const batch = writeBatch(db);
-        snapshot.docs.forEach(doc => {
-            batch.delete(doc.ref);
-        });
-        await batch.commit();
+      await settleWrite(markNotificationsRead(db, notificationsPath(appId, userId), ids), handleLateWriteError);
+    } catch (err) {
+      console.error("Notification Update Error:", err);
+      setError(t('app.errors.markRead'));
+    }
+  };
+
+  const handleOpenNotification = (notification) => {
+    if (isUnread(notification)) handleMarkNotificationsRead([notification.id]);
+    setIsNotificationsOpen(false);
+    if (notification.associateId) handleOpenProfile(notification.associateId);
+  };
+
+  // Digests are rebuilt from the stored notifications, so they match what the user sees.
+  const getDigestInput = (group) => ({
+    teamName: activeTeam?.name,
+    snapshot: { id: group.snapshotId, uploadDate: group.snapshotDate },
+    alerts: group.items,
+  });
+
+  const handleDownloadDigest = (group) => {
+    const format = DIGEST_FORMATS[alertSettings?.digestFormat] ? alertSettings.digestFormat : 'markdown';
+    const { extension, mimeType } = DIGEST_FORMATS[format];
+    const blob = new Blob([buildDigest(format, getDigestInput(group))], { type: `${mimeType};charset=utf-8` });
+    downloadBlob(blob, `${exportFileName(activeTeam?.name, 'alerts')}.${extension}`);
+  };
+
+  const handleSendDigest = async (group) => {
+    try {
+      await sendDigest(alertSettings.webhookUrl, buildDigestPayload({ format: alertSettings.digestFormat, ...getDigestInput(group) }));
+    } catch (err) {
+      console.error("Alert Digest Error:", err);
+      setError(t('app.errors.digestWebhook'));
+    }
+  };
+
+  const handleSaveRankRules = async (rules) => {
+    try {
+      await settleWrite(setDoc(doc(db, `${teamPath(appId, teamId)}/settings/rankRules`), { rules, updatedAt: serverTimestamp() }), handleLateWriteError);
+      setIsRankRulesOpen(false);
+    } catch (err) {
+      console.error("Error saving rank rules:", err);
+      setError(t('app.errors.saveRankRules'));
+    }
+  };
 
-        setAssociateData([]);
+  // Returns whether the goal was saved, so the goal form knows to close.
+  const handleSaveGoal = async (associate, goal) => {
+    const path = goalsDocPath(teamPath(appId, teamId), goalMonth);
+    try {
+      const write = associate ? saveAssociateGoal(db, path, getAssociateKey(associate), goal) : saveTeamGoal(db, path, goal);
+      await settleWrite(write, handleLateWriteError);
+      return true;
+    } catch (err) {
+      console.error("Error saving goal:", err);
+      setError(t('app.errors.saveGoal'));
+      return false;
+    }
+  };
+
+  const handleFocusLeg = (associateId) => {
+    setFocusedAssociateId(associateId);
+    setSelectedAssociate(genealogy.byId.get(associateId)?.associate || null);
+  };
+
+  // Switching snapshots keeps the selected associate if they exist in the target snapshot.
+  const handleSelectSnapshot = (snapshotId) => {
+    const target = snapshots.find(s => s.id === snapshotId);
+    setActiveSnapshotId(snapshotId === snapshots[0]?.id ? null : snapshotId);
+    setFileName('');
+    setSelectedAssociate(current => {
+      if (!current || !target) return null;
+      return getSnapshotRows(target).find(a => a['Associate ID'] === current['Associate ID']) || null;
+    });
+  };
+
+  const handleChangeFilters = (filters) => setAssociateView(view => ({ ...view, filters }));
+
+  // Drill-down from the composition charts: replace the filters and bring the list into view.
+  const handleDrillDown = (filters) => {
+    handleChangeFilters(filters);
+    document.getElementById('associates')?.scrollIntoView?.({ behavior: 'smooth' });
+  };
+
+  const handleSort = (key) => setAssociateView(view => ({ ...view, sort: nextSort(view.sort, key) }));
+
+  const handleApplyView = (view) => setAssociateView(normalizeView(view));
+
+  // Returns the new view's ID, or null when saving failed.
+  const handleSaveView = async (name) => {
+    try {
+      const viewRef = doc(collection(db, `artifacts/${appId}/users/${userId}/views`));
+      await settleWrite(setDoc(viewRef, {
+        name, ...normalizeView(associateView), createdAt: serverTimestamp(),
+      }), handleLateWriteError);
+      return viewRef.id;
+    } catch (err) {
+      console.error("Save View Error:", err);
+      setError(t('app.errors.saveView'));
+      return null;
+    }
+  };
+
+  const handleDeleteView = async (viewId) => {
+    try {
+      await deleteDoc(doc(db, `artifacts/${appId}/users/${userId}/views`, viewId));
+    } catch (err) {
+      console.error("Delete View Error:", err);
+      setError(t('app.errors.deleteView'));
+    }
+  };
+
+  const handleSelectTeam = (nextTeamId) => {
+    window.localStorage.setItem(ACTIVE_TEAM_KEY, nextTeamId);
+    setActiveTeamId(nextTeamId);
+    setActiveSnapshotId(null);
+    setSelectedAssociate(null);
+    setFocusedAssociateId(null);
+    setFileName('');
+  };
+
+  const handleSignOut = async () => {
+    try {
+      await signOut(auth);
+      setActiveTeamId(null);
+      setSelectedAssociate(null);
+      setFocusedAssociateId(null);
+    } catch (err) {
+      console.error("Sign Out Error:", err);
+      setError(t('app.errors.signOut'));
+    }
+  };
+
+  // Moves snapshots to the trash and offers an undo. Nothing is deleted for good here.
+  // `details` are added to each audit entry, such as why the snapshots were trashed.
+  const moveToTrash = async (ids, message, details = {}) => {
+    if (!snapshotRepository || !isOwner) {
+      setError(t('app.errors.deleteNotReady'));
+      return;
+    }
+    if (ids.length === 0) return;
+    setError(null);
+    try {
+      await settleWrite(snapshotRepository.trash(ids, userId), handleLateWriteError);
+      await recordActivity(ids.map(id => buildAuditEntry('trash', storedSnapshots.find(s => s.id === id) || { id }, user, details)));
+      if (ids.includes(activeSnapshot?.id)) {
+        setActiveSnapshotId(null);
         setSelectedAssociate(null);
-        setFileName('');
-        await signOut(auth);
+        setFocusedAssociateId(null);
+      }
+      setUndoAction({ message, ids });
+    } catch (err) {
+      console.error("Error deleting snapshots:", err);
+      setError(t('app.errors.delete'));
+    }
+  };
+
+  const handleDeleteSnapshot = (snapshotId) => {
+    const target = snapshots.find(s => s.id === snapshotId);
+    moveToTrash([snapshotId], t('app.movedToTrash', { name: target?.originalFileName || t('app.snapshot') }));
+  };
+
+  const handleRestoreSnapshots = async (ids) => {
+    setUndoAction(null);
+    try {
+      await settleWrite(snapshotRepository.restore(ids), handleLateWriteError);
+      await recordActivity(ids.map(id => buildAuditEntry('restore', trashedSnapshots.find(s => s.id === id) || { id }, user)));
+    } catch (err) {
+      console.error("Error restoring snapshots:", err);
+      setError(t('app.errors.restore'));
+    }
+  };
+
+  const handlePurgeSnapshots = async (ids) => {
+    try {
+      await settleWrite(snapshotRepository.purge(ids), handleLateWriteError);
+      await recordActivity(ids.map(id => buildAuditEntry('purge', trashedSnapshots.find(s => s.id === id) || { id }, user)));
+    } catch (err) {
+      console.error("Error purging snapshots:", err);
+      setError(t('app.errors.purge'));
+    }
+  };
 
+  // Converts snapshots saved as a single document into chunked storage, one at a time.
+  const handleMigrateSnapshots = async () => {
+    const legacy = [...storedSnapshots, ...trashedSnapshots].filter(isLegacySnapshot);
+    setMigrationProgress({ done: 0, total: legacy.length });
+    try {
+      for (const snapshot of legacy) {
+        // Its rows leave the listener's documents, so keep them in the cache instead.
+        requestedRows.current.set(snapshot.id, Promise.resolve());
+        setLoadedRows(current => ({ ...current, [snapshot.id]: getSnapshotRows(snapshot) }));
+        await snapshotRepository.migrate(snapshot);
+        setMigrationProgress(current => ({ ...current, done: current.done + 1 }));
+      }
     } catch (err) {
-        console.error("Error clearing data:", err);
-        setError("Failed to clear data. Please try again.");
-        setLoading(false);
+      console.error("Snapshot Migration Error:", err);
+      setError(t('app.errors.migrate'));
+    } finally {
+      setMigrationProgress(null);
     }
   };
 
+  // Clearing trashes every snapshot in the team; the user stays signed in.
+  const handleClearAllData = async () => {
+    setIsConfirmModalOpen(false);
+    await moveToTrash(snapshots.map(s => s.id), t('app.movedAllToTrash', { count: snapshots.length }), { reason: 'clear-all' });
+    setFileName('');
+  };
+
 
   // --- Render Logic ---
 
-  if (loading && !isAuthReady) {
+  const selectedNode = selectedAssociate ? genealogy.byId.get(selectedAssociate['Associate ID']) : null;
+
+  // Exports and the printed report read the same values as the cards below.
+  const reportInputs = {
+    organizationalSummary,
+    qualificationStatus,
+    statusSummary,
+    premiumContributors: currentMonthPremiumContributors,
+    recruitsContributors: currentMonthRecruitsContributors,
+  };
+  const isTableMode = associateView.mode === 'table';
+  const exportName = (...parts) => exportFileName(activeTeam?.name, focusedNode?.associate.Name, ...parts);
+  const getAllTables = () => [
+    summaryTable(reportInputs),
+    associatesTable(filteredAssociates),
+    premiumContributorsTable(currentMonthPremiumContributors),
+    recruitsContributorsTable(currentMonthRecruitsContributors),
+    onHoldTable(statusSummary),
+  ];
+
+  if ((loading && !isAuthReady) || (userId && !teamsLoaded)) {
     return (
       <div className="flex items-center justify-center min-h-screen bg-gray-100">
         <div className="text-center">
-            <p className="text-xl text-gray-700">Initializing & Authenticating...</p>
+            <p className="text-xl text-gray-700">{t('app.initializing')}</p>
             <div className="mt-4 w-12 h-12 border-4 border-blue-500 border-t-transparent rounded-full animate-spin mx-auto"></div>
         </div>
       </div>
     );
   }
 
+  if (auth && isAuthReady && !userId) {
+    return <AuthScreen auth={auth} isAnonymous={!!user?.isAnonymous} error={authError} />;
+  }
+
+  if (userId && !activeTeam) {
+    return (
+      <TeamOnboarding db={db} appId={appId} user={user} invites={pendingInvites} onSelectTeam={handleSelectTeam} onSignOut={handleSignOut} />
+    );
+  }
+
   return (
-    <div className="min-h-screen bg-gray-100 p-4 font-sans antialiased">
+    <div className="min-h-screen bg-gray-100 p-4 font-sans antialiased print:bg-white print:p-0">
+      <LeaderReport teamName={activeTeam?.name} snapshotLabel={formatSnapshotDate(activeSnapshot)} {...reportInputs} />
       <Modal
         isOpen={isConfirmModalOpen}
         onClose={() => setIsConfirmModalOpen(false)}
         onConfirm={handleClearAllData}
-        title="Clear All Data?"
+        title={t('app.clearAll.title')}
       >
-        <p>This will permanently delete all uploaded snapshots for your user ID. This action cannot be undone.</p>
+        <p>{t('app.clearAll.body', { team: activeTeam?.name || t('app.clearAll.thisTeam'), days: TRASH_RETENTION_DAYS })}</p>
       </Modal>
+      {isTrashOpen && (
+        <TrashPanel trashed={trashedSnapshots} onRestore={handleRestoreSnapshots} onPurge={handlePurgeSnapshots} onClose={() => setIsTrashOpen(false)} />
+      )}
+      {undoAction && (
+        <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-40 print:hidden bg-gray-800 text-white text-sm rounded-lg shadow-lg px-4 py-3 flex items-center gap-4">
+          <span>{undoAction.message}</span>
+          <button onClick={() => handleRestoreSnapshots(undoAction.ids)} className="font-semibold text-blue-300 hover:text-blue-200">{t('app.undo')}</button>
+          <button onClick={() => setUndoAction(null)} className="text-gray-400 hover:text-white" aria-label={t('app.dismiss')}>×</button>
+        </div>
+      )}
+      {isTeamPanelOpen && activeTeam && (
+        <TeamPanel db={db} appId={appId} team={activeTeam} user={user} onSelectTeam={handleSelectTeam} onClose={() => setIsTeamPanelOpen(false)} />
+      )}
+      {isRankRulesOpen && (
+        <RankRulesSettings rules={rankRules} onSave={handleSaveRankRules} onClose={() => setIsRankRulesOpen(false)} />
+      )}
+      {isNotificationsOpen && (
+        <NotificationCenter
+          notifications={notifications}
+          onMarkRead={handleMarkNotificationsRead}
+          onOpen={handleOpenNotification}
+          onDownloadDigest={handleDownloadDigest}
+          onSendDigest={alertSettings?.webhookUrl ? handleSendDigest : undefined}
+          onEditRules={isOwner ? () => { setIsNotificationsOpen(false); setIsAlertRulesOpen(true); } : undefined}
+          onClose={() => setIsNotificationsOpen(false)}
+        />
+      )}
+      {isDemoDataOpen && (
+        <DemoDataPanel
+          environment={appId}
+          onLoad={isOwner && snapshotRepository && !isProduction(appId) ? handleLoadDemoData : undefined}
+          onClose={() => setIsDemoDataOpen(false)}
+        />
+      )}
+      {isAlertRulesOpen && alertSettings && (
+        <AlertRulesSettings
+          settings={alertSettings}
+          associates={alertAssociateOptions}
+          rankRules={rankRules}
+          onSave={handleSaveAlertSettings}
+          onClose={() => setIsAlertRulesOpen(false)}
+        />
+      )}
+      {pendingImport && !pendingImport.duplicateChoice && (
+        <DuplicateUploadPrompt fileName={pendingImport.fileName} matches={pendingImport.duplicates} onChoose={handleChooseDuplicate} />
+      )}
+      {pendingImport?.duplicateChoice && (
+        <ImportPreview
+          fileName={pendingImport.fileName}
+          text={pendingImport.text}
+          savedMappings={savedMappings}
+          onCancel={() => setPendingImport(null)}
+          onConfirm={handleConfirmImport}
+        />
+      )}
       
-      <div className="mx-auto p-2 sm:p-4 lg:p-6 max-w-screen-2xl">
+      {/* Panels memoize their chart labels and formatted values, so a language or currency change remounts them. */}
+      <div key={`${locale}|${currency}`} className="mx-auto p-2 sm:p-4 lg:p-6 max-w-screen-2xl print:hidden">
         <header className="mb-6">
             <h1 className="text-3xl md:text-4xl font-bold text-center text-gray-800 mb-4">
-              Sales Organization Dashboard
+              {t('app.title')}
             </h1>
-            <div className="text-center text-xs sm:text-sm text-gray-600 flex justify-center items-center gap-4">
-              {userId && <span>User ID: <span className="font-semibold">{userId}</span></span>}
-              {auth && (
+            <div className="text-center text-xs sm:text-sm text-gray-600 flex flex-wrap justify-center items-center gap-4">
+              {appId && (
+                <span
+                  title={t('app.header.environment', { name: getEnvironmentLabel(appId) })}
+                  className={`px-2 py-0.5 rounded-full text-xs font-semibold ${isProduction(appId) ? 'bg-gray-200 text-gray-700' : 'bg-purple-100 text-purple-800'}`}
+                >
+                  {getEnvironmentLabel(appId)}
+                </span>
+              )}
+              {localMode ? (
+                <span className="px-2 py-0.5 rounded-full bg-amber-100 text-amber-800 text-xs font-semibold">{t('app.header.localMode')}</span>
+              ) : user && <span>{tNodes('app.header.signedInAs', { email: <span className="font-semibold">{user.email}</span> })}</span>}
+              {activeTeam && !localMode && (
+                <span className="flex items-center gap-2">
+                  {t('app.header.team')}
+                  {teams.length > 1 ? (
+                    <select value={activeTeam.id} onChange={(e) => handleSelectTeam(e.target.value)} className="p-1 border border-gray-300 rounded-md text-xs sm:text-sm">
+                      {teams.map(team => <option key={team.id} value={team.id}>{team.name}</option>)}
+                    </select>
+                  ) : (
+                    <span className="font-semibold">{activeTeam.name}</span>
+                  )}
+                  <span className="px-2 py-0.5 rounded-full bg-gray-200 text-gray-700 text-xs font-semibold">{getRoleLabel(role)}</span>
+                </span>
+              )}
+              {activeTeam && !localMode && (
+                <button onClick={() => setIsTeamPanelOpen(true)} className="px-3 py-1.5 bg-white border border-gray-300 text-gray-700 rounded-md shadow-sm hover:bg-gray-50">
+                  {t('app.header.teamSettings')}
+                </button>
+              )}
+              {activeTeam && userId && (
+                <button onClick={() => setIsNotificationsOpen(true)} className="px-3 py-1.5 bg-white border border-gray-300 text-gray-700 rounded-md shadow-sm hover:bg-gray-50">
+                  {t('app.header.notifications')}{unreadCount > 0 && <span className="ml-1.5 px-1.5 py-0.5 rounded-full bg-red-500 text-white text-xs font-semibold">{formatNumber(unreadCount)}</span>}
+                </button>
+              )}
+              {auth && user && (
+                <button onClick={handleSignOut} className="px-3 py-1.5 bg-white border border-gray-300 text-gray-700 rounded-md shadow-sm hover:bg-gray-50">
+                  {t('auth.signOut')}
+                </button>
+              )}
+              {associateData.length > 0 && organizationalSummary && (
+                <button onClick={() => window.print()} className="px-3 py-1.5 bg-white border border-gray-300 text-gray-700 rounded-md shadow-sm hover:bg-gray-50">
+                  {t('app.header.print')}
+                </button>
+              )}
+              {associateData.length > 0 && (
+                <ExportMenu label={t('app.header.exportAll')} getTables={getAllTables} baseName={exportName('report')} formats={[{ key: 'xlsx', label: 'Excel (XLSX)' }]} />
+              )}
+              {isOwner && (
+                <button onClick={() => setIsTrashOpen(true)} className="px-3 py-1.5 bg-white border border-gray-300 text-gray-700 rounded-md shadow-sm hover:bg-gray-50">
+                  {t('trash.title', { count: formatNumber(trashedSnapshots.length) })}
+                </button>
+              )}
+              {isOwner && snapshots.length > 0 && (
                 <button
                   onClick={() => setIsConfirmModalOpen(true)}
                   className="px-3 py-1.5 bg-red-500 text-white rounded-md shadow-sm hover:bg-red-600 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-offset-2 transition-colors"
                 >
-                  Clear Data & Restart
+                  {t('app.clearAll.button')}
                 </button>
               )}
+              <select
+                value={locale}
+                onChange={(e) => setLocaleSettings({ locale: e.target.value, currency: LOCALES.find(l => l.key === e.target.value).currency })}
+                aria-label={t('app.header.language')}
+                className="p-1 border border-gray-300 rounded-md text-xs sm:text-sm"
+              >
+                {LOCALES.map(l => <option key={l.key} value={l.key}>{l.label}</option>)}
+              </select>
+              <select
+                value={currency}
+                onChange={(e) => setLocaleSettings({ currency: e.target.value })}
+                aria-label={t('app.header.currency')}
+                className="p-1 border border-gray-300 rounded-md text-xs sm:text-sm"
+              >
+                {CURRENCIES.map(code => <option key={code} value={code}>{code}</option>)}
+              </select>
             </div>
         </header>
 
-        <main>
-            <section className="mb-6 grid grid-cols-1 lg:grid-cols-2 gap-6">
-                <div className="bg-white p-4 rounded-lg shadow-md">
-                  <h2 className="text-xl font-semibold text-gray-700 mb-3">Upload Sales Data</h2>
-                  <input
-                    type="file"
-                    accept=".csv"
-                    onChange={handleFileUpload}
-                    className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100 disabled:opacity-50"
-                    disabled={!isAuthReady || loading}
-                  />
-                  <p className="mt-2 text-xs text-gray-500">
-                    Report to upload: <a href="https://legalshield.myvoffice.com/index.cfm?Fuseaction=evo_Modules.QueryReport&QryID=Counters&QueryType=Counters&tabsel=Personal_Active_Enrollments" target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">Premium & Recruiting Activity: Organization</a>
-                  </p>
-                  {fileName && <p className="mt-2 text-sm text-gray-600">Last Loaded: <span className="font-medium">{fileName}</span></p>}
-                  {loading && <p className="mt-2 text-blue-500">Processing...</p>}
-                  {error && <p className="mt-2 text-red-600 font-medium">{error}</p>}
-                </div>
-                
-                <div className="bg-white p-4 rounded-lg shadow-md">
-                    <h2 className="text-xl font-semibold text-gray-700 mb-3">Associate Status</h2>
-                    <div className="grid grid-cols-3 gap-4 text-center">
-                        <div>
-                            <p className="text-green-600 font-bold text-3xl">{statusSummary.active}</p>
-                            <p className="text-sm text-gray-500">Active</p>
-                        </div>
-                        <div>
-                            <p className="text-orange-600 font-bold text-3xl">{statusSummary.notVested}</p>
-                            <p className="text-sm text-gray-500">Not Vested (D)</p>
-                        </div>
-                        <div className="relative">
-                            <p className="text-red-600 font-bold text-3xl cursor-pointer" onClick={() => setShowOnHoldList(!showOnHoldList)}>{statusSummary.onHold}</p>
-                            <p className="text-sm text-gray-500">On Hold (H)</p>
-                            {showOnHoldList && (
-                                <div className="absolute z-10 bg-white border rounded-lg shadow-lg mt-2 w-48 text-left max-h-48 overflow-y-auto">
-                                    {statusSummary.onHoldList.length > 0 ? statusSummary.onHoldList.map(a => (
-                                        <div key={a['Associate ID']} className="px-3 py-2 text-sm hover:bg-gray-100 cursor-pointer" onClick={() => { handleSelectAssociate(a); setShowOnHoldList(false); }}>
-                                            {a.Name}
-                                        </div>
-                                    )) : <div className="px-3 py-2 text-sm text-gray-500">None</div>}
-                                </div>
-                            )}
-                        </div>
-                    </div>
-                </div>
-            </section>
+        {!localMode && (!online || hasPendingWrites) && (
+            <div className="mb-6 p-3 bg-gray-200 border border-gray-300 rounded-lg text-sm text-gray-800">
+                {online
+                  ? t('app.syncing')
+                  : t('app.offline')}
+            </div>
+        )}
 
-            {organizationalSummary && qualificationStatus && (
-                <section className="mb-6 bg-white p-4 rounded-lg shadow-md">
-                    <h2 className="text-xl font-semibold text-gray-700 mb-4">Organization & Qualification Summary</h2>
-                    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
-                        <div className="bg-indigo-50 p-3 rounded-lg"><h3 className="text-sm font-medium text-indigo-700">Org Premium MTD</h3><p className="text-2xl font-bold text-indigo-900">${organizationalSummary.orgPremiumMTD.toFixed(2)}</p><p className="text-xs text-gray-600">vs PMTD: ${organizationalSummary.orgPremiumPMTD.toFixed(2)}</p></div>
-                        <div className="bg-pink-50 p-3 rounded-lg"><h3 className="text-sm font-medium text-pink-700">Org Recruits MTD</h3><p className="text-2xl font-bold text-pink-900">{organizationalSummary.orgRecruitsMTD}</p><p className="text-xs text-gray-600">vs PMTD: {organizationalSummary.orgRecruitsPMTD}</p></div>
-                        <div className={`p-3 rounded-lg ${qualificationStatus.sd.qualified ? 'bg-green-100' : 'bg-yellow-100'}`}><h3 className="text-sm font-medium text-gray-700">Senior Director (SD)</h3><p className={`text-lg font-bold ${qualificationStatus.sd.qualified ? 'text-green-800' : 'text-yellow-800'}`}>{qualificationStatus.sd.qualified ? 'QUALIFIED' : 'NOT QUALIFIED'}</p><p className="text-xs text-gray-600">${qualificationStatus.sd.totalCountablePremium.toFixed(2)} / ${qualificationStatus.sd.threshold.toFixed(2)}{!qualificationStatus.sd.qualified && <span className="text-red-600"> (Needs ${qualificationStatus.sd.needed.toFixed(2)})</span>}</p></div>
-                        <div className={`p-3 rounded-lg ${qualificationStatus.ed.qualified ? 'bg-green-100' : 'bg-yellow-100'}`}><h3 className="text-sm font-medium text-gray-700">Executive Director (ED)</h3><p className={`text-lg font-bold ${qualificationStatus.ed.qualified ? 'text-green-800' : 'text-yellow-800'}`}>{qualificationStatus.ed.qualified ? 'QUALIFIED' : 'NOT QUALIFIED'}</p><p className="text-xs text-gray-600">${qualificationStatus.ed.totalCountablePremium.toFixed(2)} / ${qualificationStatus.ed.threshold.toFixed(2)}{!qualificationStatus.ed.qualified && <span className="text-red-600"> (Needs ${qualificationStatus.ed.needed.toFixed(2)})</span>}</p></div>
-                    </div>
-                </section>
+        {route.name === 'associate' ? (
+          <main>
+            {profile?.associate ? (
+              <AssociateProfile
+                key={route.associateId}
+                associate={profile.associate}
+                inCurrentSnapshot={profile.inCurrentSnapshot}
+                snapshots={snapshots}
+                node={genealogy.byId.get(route.associateId) || null}
+                rankRules={rankRules}
+                db={db}
+                notesPath={userId ? notesPath(appId, userId) : null}
+                onBack={() => navigate(dashboardPath())}
+                onOpenAssociate={handleOpenProfile}
+                onFocusLeg={(associateId) => { handleFocusLeg(associateId); navigate(dashboardPath()); }}
+              />
+            ) : (
+              <div className="bg-white p-6 rounded-lg shadow-md text-center text-gray-600">
+                <p>{loading || !snapshots.every(hasSnapshotRows) ? t('app.loading') : t('app.associateNotFound', { id: route.associateId })}</p>
+                <button onClick={() => navigate(dashboardPath())} className="mt-3 text-sm text-blue-600 hover:underline">{t('profile.back')}</button>
+              </div>
             )}
+          </main>
+        ) : (
+          <main>
+              {pendingInvites.length > 0 && (
+                  <section className="mb-6 bg-white p-4 rounded-lg shadow-md">
+                    <PendingInvites db={db} appId={appId} user={user} invites={pendingInvites} onAccepted={handleSelectTeam} />
+                  </section>
+              )}
+              <section className="mb-6 grid grid-cols-1 lg:grid-cols-2 gap-6">
+                  <div className="bg-white p-4 rounded-lg shadow-md">
+                    <h2 className="text-xl font-semibold text-gray-700 mb-3">{t('app.upload.title')}</h2>
+                    {isOwner ? (
+                      <input
+                        type="file"
+                        accept=".csv"
+                        aria-label={t('app.upload.input')}
+                        onChange={handleFileUpload}
+                        className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100 disabled:opacity-50"
+                        disabled={!isAuthReady || loading}
+                      />
+                    ) : (
+                      <p className="text-sm text-gray-600">{t('app.upload.viewOnly')}</p>
+                    )}
+                    <p className="mt-2 text-xs text-gray-500">
+                      {tNodes('app.upload.reportToUpload', {
+                        report: <a href="https://legalshield.myvoffice.com/index.cfm?Fuseaction=evo_Modules.QueryReport&QryID=Counters&QueryType=Counters&tabsel=Personal_Active_Enrollments" target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">Premium & Recruiting Activity: Organization</a>,
+                      })}
+                    </p>
+                    {(fileName || activeSnapshot) && <p className="mt-2 text-sm text-gray-600">{tNodes('app.upload.lastLoaded', { name: <span className="font-medium">{fileName || t('app.upload.loadedFromDb', { date: formatSnapshotDate(activeSnapshot) })}</span> })}</p>}
+                    {loading && <p className="mt-2 text-blue-500">{saveProgress ? t('app.upload.saving', { saved: formatNumber(saveProgress.saved), total: formatNumber(saveProgress.total) }) : t('app.upload.processing')}</p>}
+                    {!loading && isLoadingRows && <p className="mt-2 text-blue-500">{t('app.upload.loadingRows')}</p>}
+                    <button onClick={() => setIsDemoDataOpen(true)} disabled={loading} className="mt-2 text-sm text-blue-600 hover:underline disabled:opacity-50">{t('app.upload.demoData')}</button>
+                    {error && <p className="mt-2 text-red-600 font-medium">{error}</p>}
+                  </div>
+                
+                  <div className="bg-white p-4 rounded-lg shadow-md">
+                      <div className="flex justify-between items-center mb-3">
+                          <h2 className="text-xl font-semibold text-gray-700">{t('summary.associateStatus')}</h2>
+                          {statusSummary.onHoldList.length > 0 && <ExportMenu label={t('app.exportOnHold')} getTables={() => [onHoldTable(statusSummary)]} baseName={exportName('on-hold')} />}
+                      </div>
+                      <div className="grid grid-cols-3 gap-4 text-center">
+                          <div>
+                              <p className="text-green-600 font-bold text-3xl">{formatNumber(statusSummary.active)}</p>
+                              <p className="text-sm text-gray-500">{t('statuses.active')}</p>
+                          </div>
+                          <div>
+                              <p className="text-orange-600 font-bold text-3xl">{formatNumber(statusSummary.notVested)}</p>
+                              <p className="text-sm text-gray-500">{t('statuses.notVested')}</p>
+                          </div>
+                          <div className="relative">
+                              <p className="text-red-600 font-bold text-3xl cursor-pointer" onClick={() => setShowOnHoldList(!showOnHoldList)}>{formatNumber(statusSummary.onHold)}</p>
+                              <p className="text-sm text-gray-500">{t('statuses.onHold')}</p>
+                              {showOnHoldList && (
+                                  <div className="absolute z-10 bg-white border rounded-lg shadow-lg mt-2 w-48 text-left max-h-48 overflow-y-auto">
+                                      {statusSummary.onHoldList.length > 0 ? statusSummary.onHoldList.map(a => (
+                                          <div key={a['Associate ID']} className="px-3 py-2 text-sm hover:bg-gray-100 cursor-pointer" onClick={() => { handleSelectAssociate(a); setShowOnHoldList(false); }}>
+                                              {a.Name}
+                                          </div>
+                                      )) : <div className="px-3 py-2 text-sm text-gray-500">{t('report.none')}</div>}
+                                  </div>
+                              )}
+                          </div>
+                      </div>
+                  </div>
+              </section>
 
-            {associateData.length > 0 && organizationalSummary && (
-              <section className="mb-6 bg-white p-4 rounded-lg shadow-md">
-                <h2 className="text-xl font-semibold text-gray-700 mb-4">Monthly Contributor Snapshot</h2>
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
-                  <div>
-                    <h3 className="text-lg font-semibold text-gray-600 mb-3">Premium Contributors</h3>
-                    <div className="flex items-center gap-4 mb-3">
-                      <div className="text-center">
-                        <div className="bg-blue-500 text-white rounded-lg w-16 h-16 flex items-center justify-center text-2xl font-bold">{currentMonthPremiumContributors.length}</div>
-                        <p className="text-xs font-semibold text-gray-500 mt-1">MTD</p>
+              {(followUps.length > 0 || (isOwner && snapshots.length > 0)) && (
+                  <section className="mb-6 bg-white p-4 rounded-lg shadow-md">
+                      <h2 className="text-xl font-semibold text-gray-700 mb-3">{t('app.sections.followUps')}</h2>
+                      <FollowUpQueue
+                          items={followUps}
+                          members={(activeTeam.memberIds || []).map(id => ({ id, email: activeTeam.memberEmails?.[id] || id }))}
+                          userId={userId}
+                          canEdit={Boolean(role)}
+                          onUpdate={handleUpdateFollowUp}
+                          onOpenAssociate={handleOpenProfile}
+                          onRebuild={isOwner && snapshots.length > 0 && hasSnapshotRows(snapshots[0]) ? () => handleSyncFollowUps(getSnapshotRows(snapshots[0]), snapshots[0].id) : undefined}
+                      />
+                  </section>
+              )}
+
+              {!isViewingLatest && (
+                  <div className="mb-6 p-3 bg-amber-100 border border-amber-300 rounded-lg flex flex-wrap items-center justify-between gap-2 text-sm text-amber-900">
+                      <span>{tNodes(activeSnapshot.originalFileName ? 'app.historical.withFile' : 'app.historical.title', { date: <span className="font-semibold">{formatSnapshotDate(activeSnapshot)}</span>, file: activeSnapshot.originalFileName })}</span>
+                      <button onClick={() => handleSelectSnapshot(snapshots[0].id)} className="px-3 py-1 bg-amber-500 text-white rounded-md shadow-sm hover:bg-amber-600">{t('app.historical.returnToLatest')}</button>
+                  </div>
+              )}
+
+              {snapshots.length > 0 && (
+                  <section className="mb-6 grid grid-cols-1 lg:grid-cols-3 gap-6">
+                      <div className="lg:col-span-1 bg-white p-4 rounded-lg shadow-md">
+                          <h2 className="text-xl font-semibold text-gray-700 mb-3">{t('app.sections.history', { count: formatNumber(snapshots.length) })}</h2>
+                          {isOwner && legacySnapshotCount > 0 && (
+                              <div className="mb-3 p-2 bg-amber-50 border border-amber-200 rounded-md text-xs text-amber-900">
+                                  {migrationProgress
+                                      ? t('app.legacy.converting', { done: formatNumber(migrationProgress.done), total: formatNumber(migrationProgress.total) })
+                                      : <>{t('app.legacy.notice', { count: legacySnapshotCount, formatted: formatNumber(legacySnapshotCount) })} <button onClick={handleMigrateSnapshots} disabled={!online} className="font-semibold text-blue-600 hover:underline disabled:opacity-50">{t('app.legacy.convert')}</button></>}
+                              </div>
+                          )}
+                          <SnapshotHistory snapshots={snapshots} activeSnapshotId={activeSnapshot?.id} onSelectSnapshot={handleSelectSnapshot} onDeleteSnapshot={isOwner ? handleDeleteSnapshot : undefined} />
                       </div>
-                      <div className="text-center">
-                        <div className="bg-blue-200 text-blue-800 rounded-lg w-16 h-16 flex items-center justify-center text-2xl font-bold">{organizationalSummary.premiumContributorsPMTD}</div>
-                        <p className="text-xs font-semibold text-gray-500 mt-1">PMTD</p>
+                      <div className="lg:col-span-2 bg-white p-4 rounded-lg shadow-md">
+                          <h2 className="text-xl font-semibold text-gray-700 mb-3">{t('app.sections.trends')}</h2>
+                          <SnapshotTrends snapshots={snapshots} />
+                      </div>
+                  </section>
+              )}
+
+              {snapshots.length > 1 && (
+                  <section className="mb-6 bg-white p-4 rounded-lg shadow-md">
+                      <h2 className="text-xl font-semibold text-gray-700 mb-3">{t('app.sections.compare')}</h2>
+                      <SnapshotDiff snapshots={snapshots} onSelectAssociate={handleSelectAssociateById} onLoadSnapshots={loadSnapshotRows} />
+                  </section>
+              )}
+
+              {snapshots.length > 1 && (
+                  <section className="mb-6 bg-white p-4 rounded-lg shadow-md">
+                      <h2 className="text-xl font-semibold text-gray-700 mb-3">{t('app.sections.cohorts')}</h2>
+                      <RecruitCohorts snapshots={snapshots} onLoadSnapshots={loadSnapshotRows} onOpenAssociate={handleOpenProfile} />
+                  </section>
+              )}
+
+              {activity.length > 0 && (
+                  <section className="mb-6 bg-white p-4 rounded-lg shadow-md">
+                      <h2 className="text-xl font-semibold text-gray-700 mb-3">{t('app.sections.activity')}</h2>
+                      <ActivityFeed entries={activity} currentUserId={userId} />
+                  </section>
+              )}
+
+              {focusedNode && (
+                  <div className="mb-6 p-3 bg-indigo-100 border border-indigo-300 rounded-lg flex flex-wrap items-center justify-between gap-2 text-sm text-indigo-900">
+                      <span>{tNodes('app.focus.notice', { name: <span className="font-semibold">{focusedNode.associate.Name}</span>, count: focusedNode.rollup.size, formatted: formatNumber(focusedNode.rollup.size) })}</span>
+                      <button onClick={() => setFocusedAssociateId(null)} className="px-3 py-1 bg-indigo-500 text-white rounded-md shadow-sm hover:bg-indigo-600">{t('app.focus.showAll')}</button>
+                  </div>
+              )}
+
+              {organizationalSummary && qualificationStatus && (
+                  <section className="mb-6 bg-white p-4 rounded-lg shadow-md">
+                      <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+                          <h2 className="text-xl font-semibold text-gray-700">{t('app.sections.summary')}</h2>
+                          <div className="flex items-center gap-3">
+                              {isOwner && <button onClick={() => setIsRankRulesOpen(true)} className="text-sm text-blue-600 hover:underline">{t('app.editRankRules')}</button>}
+                              <ExportMenu getTables={() => [summaryTable(reportInputs)]} baseName={exportName('summary')} />
+                          </div>
+                      </div>
+                      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+                          <div className="bg-indigo-50 p-3 rounded-lg"><h3 className="text-sm font-medium text-indigo-700">{t('summary.orgPremiumMTD')}</h3><p className="text-2xl font-bold text-indigo-900">{formatCurrency(organizationalSummary.orgPremiumMTD)}</p><p className="text-xs text-gray-600">{t('summary.vsPMTD', { value: formatCurrency(organizationalSummary.orgPremiumPMTD) })}</p></div>
+                          <div className="bg-pink-50 p-3 rounded-lg"><h3 className="text-sm font-medium text-pink-700">{t('summary.orgRecruitsMTD')}</h3><p className="text-2xl font-bold text-pink-900">{formatNumber(organizationalSummary.orgRecruitsMTD)}</p><p className="text-xs text-gray-600">{t('summary.vsPMTD', { value: formatNumber(organizationalSummary.orgRecruitsPMTD) })}</p></div>
+                          {qualificationStatus.sd && <div className={`p-3 rounded-lg ${qualificationStatus.sd.qualified ? 'bg-green-100' : 'bg-yellow-100'}`}><h3 className="text-sm font-medium text-gray-700">{t('summary.sdTitle')}</h3><p className={`text-lg font-bold ${qualificationStatus.sd.qualified ? 'text-green-800' : 'text-yellow-800'}`}>{qualificationStatus.sd.qualified ? t('summary.qualified') : t('summary.notQualified')}</p><p className="text-xs text-gray-600">{t('summary.progress', { current: formatCurrency(qualificationStatus.sd.totalCountablePremium), target: formatCurrency(qualificationStatus.sd.threshold) })}{!qualificationStatus.sd.qualified && <span className="text-red-600"> ({qualificationStatus.sd.needed > 0 ? t('app.needs', { value: formatCurrency(qualificationStatus.sd.needed) }) : t('app.minimumNotMet')})</span>}</p></div>}
+                          {qualificationStatus.ed && <div className={`p-3 rounded-lg ${qualificationStatus.ed.qualified ? 'bg-green-100' : 'bg-yellow-100'}`}><h3 className="text-sm font-medium text-gray-700">{t('summary.edTitle')}</h3><p className={`text-lg font-bold ${qualificationStatus.ed.qualified ? 'text-green-800' : 'text-yellow-800'}`}>{qualificationStatus.ed.qualified ? t('summary.qualified') : t('summary.notQualified')}</p><p className="text-xs text-gray-600">{t('summary.progress', { current: formatCurrency(qualificationStatus.ed.totalCountablePremium), target: formatCurrency(qualificationStatus.ed.threshold) })}{!qualificationStatus.ed.qualified && <span className="text-red-600"> ({qualificationStatus.ed.needed > 0 ? t('app.needs', { value: formatCurrency(qualificationStatus.ed.needed) }) : t('app.minimumNotMet')})</span>}</p></div>}
+                      </div>
+                      <h3 className="text-md font-semibold text-gray-600 mt-5 mb-3">
+                          {t('app.rankProgressFor', { name: qualificationStatus.root.Name })} <span className="text-sm font-normal text-gray-500">{t('app.currently', { rank: getLevelTitle(qualificationStatus.root.Level) })}</span>
+                      </h3>
+                      <RankProgress evaluations={qualificationStatus.nextRanks} />
+                      {pace && (
+                          <>
+                              <h3 className="text-md font-semibold text-gray-600 mt-5 mb-3">{t('app.sections.pace')}</h3>
+                              <MonthlyPace
+                                  pace={pace}
+                                  projectedRanks={projectedRanks}
+                                  goal={focusedNode ? getAssociateGoal(goals, getAssociateKey(qualificationStatus.root)) : goals.team}
+                                  goalLabel={focusedNode ? t('goals.associateGoals', { name: qualificationStatus.root.Name }) : t('goals.teamGoals')}
+                                  canEditGoal={isOwner}
+                                  onSaveGoal={(goal) => handleSaveGoal(focusedNode ? qualificationStatus.root : null, goal)}
+                              />
+                          </>
+                      )}
+                      <button onClick={() => setShowPlanner(!showPlanner)} className="mt-4 text-sm font-medium text-blue-600 hover:underline">
+                          {showPlanner ? t('app.hidePlanner') : t('app.showPlanner')}
+                      </button>
+                      {showPlanner && (
+                          <div className="mt-3">
+                              <QualificationPlanner
+                                  key={qualificationStatus.root['Associate ID']}
+                                  associate={qualificationStatus.root}
+                                  legs={qualificationStatus.legs}
+                                  rules={rankRules}
+                              />
+                          </div>
+                      )}
+                  </section>
+              )}
+
+              {associateData.length > 0 && organizationalSummary && (
+                <section className="mb-6 bg-white p-4 rounded-lg shadow-md">
+                  <h2 className="text-xl font-semibold text-gray-700 mb-4">{t('app.sections.contributors')}</h2>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+                    <div>
+                      <div className="flex justify-between items-center mb-3">
+                        <h3 className="text-lg font-semibold text-gray-600">{t('summary.premiumContributors')}</h3>
+                        <ExportMenu getTables={() => [premiumContributorsTable(currentMonthPremiumContributors)]} baseName={exportName('premium-contributors')} />
+                      </div>
+                      <div className="flex items-center gap-4 mb-3">
+                        <div className="text-center">
+                          <div className="bg-blue-500 text-white rounded-lg w-16 h-16 flex items-center justify-center text-2xl font-bold">{formatNumber(currentMonthPremiumContributors.length)}</div>
+                          <p className="text-xs font-semibold text-gray-500 mt-1">{t('profile.mtd')}</p>
+                        </div>
+                        <div className="text-center">
+                          <div className="bg-blue-200 text-blue-800 rounded-lg w-16 h-16 flex items-center justify-center text-2xl font-bold">{formatNumber(organizationalSummary.premiumContributorsPMTD)}</div>
+                          <p className="text-xs font-semibold text-gray-500 mt-1">{t('profile.pmtd')}</p>
+                        </div>
                       </div>
-                    </div>
-                    <div className="max-h-60 overflow-y-auto border rounded-lg p-2 bg-gray-50">
                       {currentMonthPremiumContributors.length > 0 ? (
-                        currentMonthPremiumContributors.map(a => (
-                          <div key={a['Associate ID']} onClick={() => handleSelectAssociate(a)} className="p-2 mb-1.5 rounded-md hover:bg-blue-100 cursor-pointer">
-                            <p className="font-medium text-sm text-gray-800">{a.Name}</p>
-                            <div className="flex justify-between text-xs text-gray-600">
-                              <span>MTD: <span className="font-semibold text-green-600">${(a['Personal Premium MTD'] || 0).toFixed(2)}</span></span>
-                              <span>PMTD: ${(a['Personal Premium PMTD'] || 0).toFixed(2)}</span>
+                        <VirtualList
+                          items={currentMonthPremiumContributors}
+                          rowHeight={CONTRIBUTOR_ROW_HEIGHT}
+                          getKey={a => a['Associate ID']}
+                          className="max-h-60 border rounded-lg p-2 bg-gray-50"
+                          renderItem={a => (
+                            <div onClick={() => handleSelectAssociate(a)} className="p-2 mb-1.5 rounded-md hover:bg-blue-100 cursor-pointer">
+                              <p className="font-medium text-sm text-gray-800 truncate">{a.Name}</p>
+                              <div className="flex justify-between text-xs text-gray-600">
+                                <span>{t('profile.mtd')}: <span className="font-semibold text-green-600">{formatCurrency(a['Personal Premium MTD'])}</span></span>
+                                <span>{t('profile.pmtd')}: {formatCurrency(a['Personal Premium PMTD'])}</span>
+                              </div>
                             </div>
-                          </div>
-                        ))
-                      ) : <p className="text-center text-gray-500 py-4">None</p>}
+                          )}
+                        />
+                      ) : <p className="text-center text-gray-500 py-4 border rounded-lg bg-gray-50">{t('report.none')}</p>}
                     </div>
-                  </div>
-                  <div>
-                    <h3 className="text-lg font-semibold text-gray-600 mb-3">Recruits Contributors</h3>
-                    <div className="flex items-center gap-4 mb-3">
-                      <div className="text-center">
-                        <div className="bg-purple-500 text-white rounded-lg w-16 h-16 flex items-center justify-center text-2xl font-bold">{currentMonthRecruitsContributors.length}</div>
-                        <p className="text-xs font-semibold text-gray-500 mt-1">MTD</p>
+                    <div>
+                      <div className="flex justify-between items-center mb-3">
+                        <h3 className="text-lg font-semibold text-gray-600">{t('summary.recruitsContributors')}</h3>
+                        <ExportMenu getTables={() => [recruitsContributorsTable(currentMonthRecruitsContributors)]} baseName={exportName('recruits-contributors')} />
                       </div>
-                      <div className="text-center">
-                        <div className="bg-purple-200 text-purple-800 rounded-lg w-16 h-16 flex items-center justify-center text-2xl font-bold">{organizationalSummary.recruitsContributorsPMTD}</div>
-                        <p className="text-xs font-semibold text-gray-500 mt-1">PMTD</p>
+                      <div className="flex items-center gap-4 mb-3">
+                        <div className="text-center">
+                          <div className="bg-purple-500 text-white rounded-lg w-16 h-16 flex items-center justify-center text-2xl font-bold">{formatNumber(currentMonthRecruitsContributors.length)}</div>
+                          <p className="text-xs font-semibold text-gray-500 mt-1">{t('profile.mtd')}</p>
+                        </div>
+                        <div className="text-center">
+                          <div className="bg-purple-200 text-purple-800 rounded-lg w-16 h-16 flex items-center justify-center text-2xl font-bold">{formatNumber(organizationalSummary.recruitsContributorsPMTD)}</div>
+                          <p className="text-xs font-semibold text-gray-500 mt-1">{t('profile.pmtd')}</p>
+                        </div>
                       </div>
-                    </div>
-                    <div className="max-h-60 overflow-y-auto border rounded-lg p-2 bg-gray-50">
                       {currentMonthRecruitsContributors.length > 0 ? (
-                        currentMonthRecruitsContributors.map(a => (
-                          <div key={a['Associate ID']} onClick={() => handleSelectAssociate(a)} className="p-2 mb-1.5 rounded-md hover:bg-purple-100 cursor-pointer">
-                            <p className="font-medium text-sm text-gray-800">{a.Name}</p>
-                            <div className="flex justify-between text-xs text-gray-600">
-                              <span>MTD: <span className="font-semibold text-green-600">{a['Personal Recruits MTD'] || 0}</span></span>
-                              <span>PMTD: {a['Personal Recruits PMTD'] || 0}</span>
+                        <VirtualList
+                          items={currentMonthRecruitsContributors}
+                          rowHeight={CONTRIBUTOR_ROW_HEIGHT}
+                          getKey={a => a['Associate ID']}
+                          className="max-h-60 border rounded-lg p-2 bg-gray-50"
+                          renderItem={a => (
+                            <div onClick={() => handleSelectAssociate(a)} className="p-2 mb-1.5 rounded-md hover:bg-purple-100 cursor-pointer">
+                              <p className="font-medium text-sm text-gray-800 truncate">{a.Name}</p>
+                              <div className="flex justify-between text-xs text-gray-600">
+                                <span>{t('profile.mtd')}: <span className="font-semibold text-green-600">{formatNumber(a['Personal Recruits MTD'])}</span></span>
+                                <span>{t('profile.pmtd')}: {formatNumber(a['Personal Recruits PMTD'])}</span>
+                              </div>
                             </div>
-                          </div>
-                        ))
-                      ) : <p className="text-center text-gray-500 py-4">None</p>}
+                          )}
+                        />
+                      ) : <p className="text-center text-gray-500 py-4 border rounded-lg bg-gray-50">{t('report.none')}</p>}
                     </div>
                   </div>
-                </div>
-              </section>
-            )}
+                </section>
+              )}
 
-            <section className="grid grid-cols-1 lg:grid-cols-3 gap-6">
-                <div className="lg:col-span-1 bg-white p-4 rounded-lg shadow-md">
-                    <h2 className="text-xl font-semibold text-gray-700 mb-3">Associates ({filteredAssociates.length})</h2>
-                    <input
-                      type="text"
-                      placeholder="Search by name or ID..."
-                      className="w-full p-2 border border-gray-300 rounded-lg mb-3 focus:outline-none focus:ring-2 focus:ring-blue-500"
-                      value={searchTerm}
-                      onChange={(e) => setSearchTerm(e.target.value)}
-                    />
-                    <div className="max-h-[60vh] overflow-y-auto pr-2">
-                      {filteredAssociates.length > 0 ? (
-                        filteredAssociates.map((associate) => (
-                          <div
-                            key={associate['Associate ID']}
-                            className={`p-2.5 mb-2 rounded-lg cursor-pointer transition-all ${selectedAssociate?.['Associate ID'] === associate['Associate ID'] ? 'bg-blue-100 border-l-4 border-blue-500' : 'bg-gray-50 hover:bg-gray-100'}`}
-                            onClick={() => handleSelectAssociate(associate)}
-                          >
-                            <p className="font-medium text-gray-800 text-sm">{associate.Name}</p>
-                            <p className="text-xs text-gray-500">ID: {associate['Associate ID']} | Rank: {getLevelTitle(associate.Level)}</p>
+              {associateData.length > 0 && (
+                  <section className="mb-6 bg-white p-4 rounded-lg shadow-md">
+                      <h2 className="text-xl font-semibold text-gray-700 mb-3">{t('app.sections.leaderboards')}</h2>
+                      <Leaderboards rows={associateData} snapshots={snapshots} snapshot={activeSnapshot} onSelectAssociate={handleSelectAssociate} onLoadSnapshots={loadSnapshotRows} />
+                  </section>
+              )}
+
+              {associateData.length > 0 && (
+                  <section className="mb-6 bg-white p-4 rounded-lg shadow-md">
+                      <h2 className="text-xl font-semibold text-gray-700 mb-3">{t('app.sections.composition')}</h2>
+                      <TeamComposition rows={associateData} snapshots={snapshots} onDrillDown={handleDrillDown} onSelectAssociate={handleSelectAssociate} />
+                  </section>
+              )}
+
+              {snapshotRows.length > 0 && (
+                  <section className="mb-6 bg-white p-4 rounded-lg shadow-md">
+                      <h2 className="text-xl font-semibold text-gray-700 mb-3">{t('app.sections.genealogy')}</h2>
+                      <GenealogyTree
+                          roots={focusedNode ? [focusedNode] : genealogy.roots}
+                          source={genealogy.source}
+                          selectedId={selectedAssociate?.['Associate ID']}
+                          focusedId={focusedNode?.id}
+                          onSelectAssociate={handleSelectAssociate}
+                          onFocus={handleFocusLeg}
+                      />
+                  </section>
+              )}
+
+              <section id="associates" className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                  <div className={`${isTableMode ? 'lg:col-span-2' : 'lg:col-span-1'} bg-white p-4 rounded-lg shadow-md`}>
+                      <div className="flex justify-between items-center mb-3">
+                          <h2 className="text-xl font-semibold text-gray-700">{t('app.sections.associates', { count: formatNumber(filteredAssociates.length) })}</h2>
+                          <div className="flex items-center gap-2">
+                              <div className="flex text-xs border border-gray-300 rounded-md overflow-hidden">
+                                  {VIEW_MODES.map(mode => (
+                                      <button
+                                          key={mode}
+                                          onClick={() => setAssociateView(view => ({ ...view, mode }))}
+                                          className={`px-2 py-1 ${associateView.mode === mode ? 'bg-blue-500 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                                      >
+                                          {t(`app.viewModes.${mode}`)}
+                                      </button>
+                                  ))}
+                              </div>
+                              {filteredAssociates.length > 0 && <ExportMenu getTables={() => [associatesTable(filteredAssociates)]} baseName={exportName('associates', activeFilterCount > 0 && 'filtered')} />}
                           </div>
-                        ))
-                      ) : (
-                        <p className="text-gray-500 text-center py-4">No associates found.</p>
+                      </div>
+                      <input
+                        type="text"
+                        placeholder={t('app.search')}
+                        className="w-full p-2 border border-gray-300 rounded-lg mb-3 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        value={associateView.filters.search}
+                        onChange={(e) => handleChangeFilters({ ...associateView.filters, search: e.target.value })}
+                      />
+                      <SavedViews views={savedViews} onApply={handleApplyView} onSave={handleSaveView} onDelete={handleDeleteView} />
+                      <AssociateFilters filters={associateView.filters} onChange={handleChangeFilters} levelOptions={levelOptions} activeCount={activeFilterCount} />
+                      {!isTableMode && (
+                        <div className="flex items-center gap-2 mb-3 text-xs text-gray-600">
+                          <label htmlFor="associate-sort">{t('app.sortBy')}</label>
+                          <select
+                            id="associate-sort"
+                            value={associateView.sort ? `${associateView.sort.key}:${associateView.sort.direction}` : ''}
+                            onChange={(e) => {
+                              const [key, direction] = e.target.value.split(':');
+                              setAssociateView(view => ({ ...view, sort: key ? { key, direction } : null }));
+                            }}
+                            className="p-1 border border-gray-300 rounded-md"
+                          >
+                            <option value="">{t('app.reportOrder')}</option>
+                            {SORT_FIELDS.flatMap(field => [
+                              <option key={`${field.key}:asc`} value={`${field.key}:asc`}>{t(field.labelKey)} ↑</option>,
+                              <option key={`${field.key}:desc`} value={`${field.key}:desc`}>{t(field.labelKey)} ↓</option>,
+                            ])}
+                          </select>
+                        </div>
                       )}
-                    </div>
-                </div>
+                      <div ref={associateRows.ref} onScroll={associateRows.onScroll} className="max-h-[60vh] overflow-y-auto pr-2">
+                        {filteredAssociates.length === 0 ? (
+                          <p className="text-gray-500 text-center py-4">{t('app.noAssociates')}</p>
+                        ) : isTableMode ? (
+                          <AssociateTable
+                            associates={filteredAssociates}
+                            selectedId={selectedAssociate?.['Associate ID']}
+                            sort={associateView.sort}
+                            onSort={handleSort}
+                            onSelect={handleSelectAssociate}
+                            range={associateRows}
+                          />
+                        ) : (
+                          <div style={{ paddingTop: associateRows.paddingTop, paddingBottom: associateRows.paddingBottom }}>
+                            {filteredAssociates.slice(associateRows.start, associateRows.end).map((associate) => (
+                              <div
+                                key={associate['Associate ID']}
+                                style={{ height: LIST_ROW_HEIGHT - 8 }}
+                                className={`p-2.5 mb-2 rounded-lg cursor-pointer transition-all ${selectedAssociate?.['Associate ID'] === associate['Associate ID'] ? 'bg-blue-100 border-l-4 border-blue-500' : 'bg-gray-50 hover:bg-gray-100'}`}
+                                onClick={() => handleSelectAssociate(associate)}
+                              >
+                                <p className="font-medium text-gray-800 text-sm truncate">{associate.Name}</p>
+                                <p className="text-xs text-gray-500 truncate">{t('app.listLine', { id: associate['Associate ID'], rank: getLevelTitle(associate.Level) })}</p>
+                              </div>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                  </div>
 
-                <div className="lg:col-span-2 bg-white p-4 rounded-lg shadow-md">
-                    {selectedAssociate ? (
-                        <div className="max-h-[80vh] overflow-y-auto pr-2">
-                            <h2 className="text-2xl font-bold text-gray-800 mb-2">{selectedAssociate.Name}</h2>
-                            <p className="text-md text-gray-600 mb-4">ID: {selectedAssociate['Associate ID']}</p>
+                  <div className={`${isTableMode ? 'lg:col-span-1' : 'lg:col-span-2'} bg-white p-4 rounded-lg shadow-md`}>
+                      {selectedAssociate ? (
+                          <div className="max-h-[80vh] overflow-y-auto pr-2">
+                              <h2 className="text-2xl font-bold text-gray-800 mb-2">{selectedAssociate.Name}</h2>
+                              <p className="text-md text-gray-600 mb-2">{t('app.details.id', { id: selectedAssociate['Associate ID'] })}</p>
+                              <button onClick={() => handleOpenProfile(selectedAssociate['Associate ID'])} className="mb-4 text-sm font-medium text-blue-600 hover:underline">
+                                  {t('app.details.openProfile')}
+                              </button>
                             
-                            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
-                                <div className="bg-gray-50 p-4 rounded-lg shadow-sm">
-                                  <p className="text-gray-800"><span className="font-semibold">Rank:</span> {getLevelTitle(selectedAssociate.Level)}</p>
-                                  <p className="text-gray-800"><span className="font-semibold">Depth Level:</span> {selectedAssociate['Depth Level']}</p>
-                                </div>
-                                <div className="bg-blue-50 p-4 rounded-lg">
-                                    <h4 className="text-lg font-medium text-blue-700">Personal Premium</h4>
-                                    <p className="text-gray-800"><span className="font-semibold">MTD:</span> ${selectedAssociate['Personal Premium MTD']?.toFixed(2) || '0.00'}</p>
-                                    <p className="text-gray-800"><span className="font-semibold">PMTD:</span> ${selectedAssociate['Personal Premium PMTD']?.toFixed(2) || '0.00'}</p>
-                                    <p className="text-gray-800"><span className="font-semibold">YTD:</span> ${selectedAssociate['Personal Premium YTD']?.toFixed(2) || '0.00'}</p>
-                                </div>
-                                <div className="bg-yellow-50 p-4 rounded-lg">
-                                    <h4 className="text-lg font-medium text-yellow-700">Personal Recruits</h4>
-                                    <p className="text-gray-800"><span className="font-semibold">MTD:</span> {selectedAssociate['Personal Recruits MTD'] || 0}</p>
-                                    <p className="text-gray-800"><span className="font-semibold">PMTD:</span> {selectedAssociate['Personal Recruits PMTD'] || 0}</p>
-                                    <p className="text-gray-800"><span className="font-semibold">YTD:</span> {selectedAssociate['Personal Recruits YTD'] || 0}</p>
-                                </div>
-                            </div>
+                              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+                                  <div className="bg-gray-50 p-4 rounded-lg shadow-sm">
+                                    <p className="text-gray-800"><span className="font-semibold">{t('fields.rank')}:</span> {getLevelTitle(selectedAssociate.Level)}</p>
+                                    <p className="text-gray-800"><span className="font-semibold">{t('filters.depthLevel')}:</span> {selectedAssociate['Depth Level']}</p>
+                                  </div>
+                                  <div className="bg-blue-50 p-4 rounded-lg">
+                                      <h4 className="text-lg font-medium text-blue-700">{t('profile.personalPremium')}</h4>
+                                      <p className="text-gray-800"><span className="font-semibold">{t('profile.mtd')}:</span> {formatCurrency(selectedAssociate['Personal Premium MTD'])}</p>
+                                      <p className="text-gray-800"><span className="font-semibold">{t('profile.pmtd')}:</span> {formatCurrency(selectedAssociate['Personal Premium PMTD'])}</p>
+                                      <p className="text-gray-800"><span className="font-semibold">{t('profile.ytd')}:</span> {formatCurrency(selectedAssociate['Personal Premium YTD'])}</p>
+                                  </div>
+                                  <div className="bg-yellow-50 p-4 rounded-lg">
+                                      <h4 className="text-lg font-medium text-yellow-700">{t('profile.personalRecruits')}</h4>
+                                      <p className="text-gray-800"><span className="font-semibold">{t('profile.mtd')}:</span> {formatNumber(selectedAssociate['Personal Recruits MTD'])}</p>
+                                      <p className="text-gray-800"><span className="font-semibold">{t('profile.pmtd')}:</span> {formatNumber(selectedAssociate['Personal Recruits PMTD'])}</p>
+                                      <p className="text-gray-800"><span className="font-semibold">{t('profile.ytd')}:</span> {formatNumber(selectedAssociate['Personal Recruits YTD'])}</p>
+                                  </div>
+                                  {selectedNode && selectedNode.children.length > 0 && (
+                                      <div className="bg-indigo-50 p-4 rounded-lg">
+                                          <h4 className="text-lg font-medium text-indigo-700">{t('profile.rollup')}</h4>
+                                          <p className="text-gray-800"><span className="font-semibold">{t('profile.associates')}:</span> {t('profile.downlineCount', { total: formatNumber(selectedNode.rollup.size - 1), direct: formatNumber(selectedNode.children.length) })}</p>
+                                          <p className="text-gray-800"><span className="font-semibold">{t('profile.premium')}:</span> {formatCurrency(selectedNode.rollup.premiumMTD)}</p>
+                                          <p className="text-gray-800"><span className="font-semibold">{t('profile.recruits')}:</span> {formatNumber(selectedNode.rollup.recruitsMTD)}</p>
+                                          {selectedNode.id !== focusedNode?.id && (
+                                              <button onClick={() => handleFocusLeg(selectedNode.id)} className="mt-2 px-3 py-1 text-sm bg-indigo-500 text-white rounded-md shadow-sm hover:bg-indigo-600">{t('profile.focusLeg')}</button>
+                                          )}
+                                      </div>
+                                  )}
+                                  {activeSnapshotDate && (
+                                      <AssociateGoals
+                                          associate={selectedAssociate}
+                                          date={activeSnapshotDate}
+                                          progress={getMonthProgress(activeSnapshotDate)}
+                                          goal={getAssociateGoal(goals, getAssociateKey(selectedAssociate))}
+                                          canEditGoal={isOwner}
+                                          onSaveGoal={(goal) => handleSaveGoal(selectedAssociate, goal)}
+                                      />
+                                  )}
+                              </div>
 
-                        </div>
-                    ) : (
-                        <div className="flex items-center justify-center h-full text-gray-500">
-                            <p>{associateData.length > 0 ? "Select an associate to view details." : "Upload a CSV file to begin."}</p>
-                        </div>
-                    )}
-                </div>
-            </section>
-        </main>
+                              {selectedNode && (
+                                  <div className="mb-6">
+                                      <h3 className="text-lg font-semibold text-gray-700 mb-3">{t('profile.rankProgress')}</h3>
+                                      <RankProgress evaluations={evaluateNextRanks(rankRules, selectedAssociate, selectedNode.children.map(child => child.associate))} />
+                                  </div>
+                              )}
+                          </div>
+                      ) : (
+                          <div className="flex items-center justify-center h-full text-gray-500">
+                              <p>{associateData.length > 0 ? t('app.selectPrompt') : t('app.uploadPrompt')}</p>
+                          </div>
+                      )}
+                  </div>
+              </section>
+          </main>
+        )}
       </div>
     </div>
   );
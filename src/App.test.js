@@ -1,8 +1,58 @@
-import { render, screen } from '@testing-library/react';
+import 'fake-indexeddb/auto';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
 import App from './App';
+import { readFixture } from './lib/__fixtures__';
 
-test('renders learn react link', () => {
+// Without Firebase settings the app runs in local mode against IndexedDB, which
+// persists across the tests in this file, so they run in order.
+
+test('opens an empty local workspace when no Firebase project is configured', async () => {
+  render(<App />);
+  expect(await screen.findByText('Upload a CSV file to begin.')).toBeInTheDocument();
+  expect(screen.getByText(/Local mode/)).toBeInTheDocument();
+  expect(screen.queryByText(/Couldn't open/)).not.toBeInTheDocument();
+});
+
+test('imports a CSV and shows the organization summary', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  const input = await screen.findByLabelText('Sales data CSV');
+  await waitFor(() => expect(input).toBeEnabled());
+
+  userEvent.upload(input, new File([readFixture('org-report.csv')], 'org-report.csv', { type: 'text/csv' }));
+  userEvent.click(await screen.findByRole('button', { name: 'Save Snapshot (7 rows)' }));
+
+  expect(await screen.findByText('Organization & Qualification Summary')).toBeInTheDocument();
+  expect(screen.getByRole('heading', { name: 'Org Premium MTD' })).toBeInTheDocument();
+  // The printable leader report repeats the figure.
+  expect(screen.getAllByText('$1,150.00').length).toBeGreaterThan(0);
+  expect(screen.getByText('Snapshot History (1)')).toBeInTheDocument();
+});
+
+test('asks before saving the same file again and logs the replacement', async () => {
+  render(<App />);
+  const input = await screen.findByLabelText('Sales data CSV');
+  await screen.findByText('Snapshot History (1)');
+
+  userEvent.upload(input, new File([readFixture('org-report.csv')], 'org-report.csv', { type: 'text/csv' }));
+  expect(await screen.findByText('Possible Duplicate Upload')).toBeInTheDocument();
+  expect(screen.getByText('Identical file')).toBeInTheDocument();
+  userEvent.click(screen.getByRole('button', { name: 'Replace the existing snapshot(s)' }));
+  userEvent.click(await screen.findByRole('button', { name: 'Save Snapshot (7 rows)' }));
+
+  expect(await screen.findByText('Replaced')).toBeInTheDocument();
+  expect(screen.getByText('Snapshot History (1)')).toBeInTheDocument();
+  expect(screen.getByText(/Replaced by a newer upload/)).toBeInTheDocument();
+  expect(screen.getByText('Moved to trash')).toBeInTheDocument();
+});
+
+test('reports an unknown environment instead of loading', async () => {
+  process.env.REACT_APP_ENVIRONMENT = 'prodution';
+  try {
+    render(<App />);
+    expect(await screen.findByText(/Unknown environment "prodution"/)).toBeInTheDocument();
+    expect(screen.queryByLabelText('Sales data CSV')).not.toBeInTheDocument();
+  } finally {
+    delete process.env.REACT_APP_ENVIRONMENT;
+  }
 });
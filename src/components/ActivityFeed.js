@@ -0,0 +1,54 @@
+import React from 'react';
+import { getAuditActionLabel, getAuditDate } from '../lib/auditLog';
+import { shortHash } from '../lib/duplicates';
+import { formatDateTime, formatNumber } from '../lib/format';
+import { t } from '../lib/i18n';
+
+const actionClasses = {
+  upload: 'bg-green-100 text-green-800',
+  replace: 'bg-blue-100 text-blue-800',
+  trash: 'bg-amber-100 text-amber-800',
+  restore: 'bg-indigo-100 text-indigo-800',
+  purge: 'bg-red-100 text-red-700',
+};
+
+// Why an entry happened, when it wasn't a plain click on that snapshot.
+const describeReason = (entry) => {
+  if (entry.reason === 'clear-all') return t('activity.reasons.clearAll');
+  if (entry.reason === 'expired') return t('activity.reasons.expired');
+  if (entry.replacedBy) return t('activity.reasons.replacedBy');
+  if (entry.replacedIds?.length) return t('activity.reasons.replaced', { count: entry.replacedIds.length });
+  return null;
+};
+
+// The team's audit log, newest first. `currentUserId` is shown as "You".
+const ActivityFeed = ({ entries, currentUserId }) => {
+  if (entries.length === 0) {
+    return <p className="text-center text-gray-500 py-4">{t('activity.empty')}</p>;
+  }
+
+  return (
+    <ul className="max-h-72 overflow-y-auto border rounded-lg bg-gray-50 divide-y text-sm">
+      {entries.map(entry => {
+        const reason = describeReason(entry);
+        return (
+          <li key={entry.id} className="px-3 py-2 flex flex-wrap items-center gap-x-3 gap-y-1">
+            <span className={`text-xs font-semibold px-2 py-0.5 rounded-full ${actionClasses[entry.action] || 'bg-gray-200 text-gray-700'}`}>
+              {getAuditActionLabel(entry.action)}
+            </span>
+            <span className="font-medium text-gray-800 truncate max-w-[16rem]" title={entry.fileName || undefined}>{entry.fileName || t('snapshots.untitled')}</span>
+            <span className="text-xs text-gray-500">
+              {t('snapshots.rows', { count: entry.rowCount, rows: formatNumber(entry.rowCount) })}{entry.contentHash && <> · <span className="font-mono" title={entry.contentHash}>{shortHash(entry.contentHash)}</span></>}
+              {reason && ` · ${reason}`}
+            </span>
+            <span className="ml-auto text-xs text-gray-500 whitespace-nowrap">
+              {entry.userId === currentUserId ? t('activity.you') : entry.userEmail || entry.userId} · {formatDateTime(getAuditDate(entry))}
+            </span>
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+export default ActivityFeed;
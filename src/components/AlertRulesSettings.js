@@ -0,0 +1,218 @@
+import React, { useState } from 'react';
+import { getLevelTitle, getStatusLabel } from '../lib/associates';
+import {
+  ALERT_FIELDS, ALERT_PRESETS, ALERT_SCOPES, ALERT_STATUS_CODES, DEFAULT_TOP_PRODUCERS, LEG_CAP_LEVELS,
+  describeAlertRule, getAlertFieldLabel, getAlertScopeLabel, getComparisonLabel, getComparisonsForField, getPresetName,
+  newAlertRule, newRuleFromPreset, normalizeAlertRule,
+} from '../lib/alerts';
+import { DIGEST_FORMATS } from '../lib/alertDigest';
+import { t } from '../lib/i18n';
+
+const inputClass = 'p-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// One rule's editor. Changing the field resets the comparison and threshold to ones that suit it.
+const RuleEditor = ({ rule, associates, rankRules, onChange, onRemove }) => {
+  const isStatus = ALERT_FIELDS[rule.field].kind === 'status';
+  const needsAssociate = rule.scope.type === 'associate' || rule.scope.type === 'leg';
+
+  const update = (changes) => onChange({ ...rule, ...changes });
+  const updateScope = (changes) => update({ scope: { ...rule.scope, ...changes } });
+
+  const handleScopeType = (type) => {
+    if (type === 'topProducers') update({ scope: { type, count: DEFAULT_TOP_PRODUCERS } });
+    else if (type === 'associate' || type === 'leg') update({ scope: { type, associateKey: rule.scope.associateKey || '', associateName: rule.scope.associateName || '' } });
+    else update({ scope: { type } });
+  };
+
+  const handleAssociate = (key) => {
+    const associate = associates.find(a => a.key === key);
+    updateScope({ associateKey: key, associateName: associate?.name || '' });
+  };
+
+  const handleField = (field) => onChange(normalizeAlertRule({ ...rule, field, comparison: getComparisonsForField(field)[0], threshold: { type: 'value' } }));
+
+  // Leg caps are offered as "legCap:6"; anything else is a typed value.
+  const thresholdChoice = rule.threshold.type === 'legCap' ? `legCap:${rule.threshold.level}` : 'value';
+  const handleThresholdChoice = (choice) => update({
+    threshold: choice === 'value' ? { type: 'value', value: 0 } : { type: 'legCap', level: Number(choice.split(':')[1]) },
+  });
+
+  return (
+    <li className="p-3 border rounded-lg bg-gray-50 space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <label className="flex items-center gap-1 text-sm text-gray-700">
+          <input type="checkbox" checked={rule.enabled} onChange={(e) => update({ enabled: e.target.checked })} />
+          {t('alerts.settings.on')}
+        </label>
+        <input
+          type="text"
+          value={rule.name}
+          onChange={(e) => update({ name: e.target.value })}
+          placeholder={t('alerts.settings.namePlaceholder')}
+          aria-label={t('alerts.settings.name')}
+          className={`${inputClass} flex-1 min-w-[12rem]`}
+        />
+        <button onClick={onRemove} className="text-sm text-red-600 hover:underline">{t('alerts.settings.remove')}</button>
+      </div>
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <select value={rule.scope.type} onChange={(e) => handleScopeType(e.target.value)} aria-label={t('alerts.settings.scope')} className={inputClass}>
+          {ALERT_SCOPES.map(key => <option key={key} value={key}>{getAlertScopeLabel(key)}</option>)}
+        </select>
+        {needsAssociate && (
+          <select value={rule.scope.associateKey} onChange={(e) => handleAssociate(e.target.value)} aria-label={t('alerts.settings.associate')} className={`${inputClass} max-w-[14rem]`}>
+            <option value="">{t('alerts.settings.chooseAssociate')}</option>
+            {rule.scope.associateKey && !associates.some(a => a.key === rule.scope.associateKey) && (
+              <option value={rule.scope.associateKey}>{t('alerts.settings.notInLatest', { name: rule.scope.associateName })}</option>
+            )}
+            {associates.map(a => <option key={a.key} value={a.key}>{a.name}</option>)}
+          </select>
+        )}
+        {rule.scope.type === 'topProducers' && (
+          <input
+            type="number"
+            min="1"
+            step="1"
+            value={rule.scope.count}
+            onChange={(e) => updateScope({ count: Math.max(1, Math.round(Number(e.target.value)) || 1) })}
+            aria-label={t('alerts.settings.topCount')}
+            className={`${inputClass} w-16`}
+          />
+        )}
+        <select value={rule.field} onChange={(e) => handleField(e.target.value)} aria-label={t('alerts.settings.field')} className={inputClass}>
+          {Object.keys(ALERT_FIELDS).map(key => <option key={key} value={key}>{getAlertFieldLabel(key)}</option>)}
+        </select>
+        <select value={rule.comparison} onChange={(e) => update({ comparison: e.target.value })} aria-label={t('alerts.settings.comparison')} className={inputClass}>
+          {getComparisonsForField(rule.field).map(key => <option key={key} value={key}>{getComparisonLabel(key)}</option>)}
+        </select>
+        {isStatus ? (
+          <select value={rule.threshold.value} onChange={(e) => update({ threshold: { type: 'value', value: e.target.value } })} aria-label={t('alerts.settings.status')} className={inputClass}>
+            {ALERT_STATUS_CODES.map(code => <option key={code} value={code}>{getStatusLabel(code)}</option>)}
+          </select>
+        ) : (
+          <>
+            <select value={thresholdChoice} onChange={(e) => handleThresholdChoice(e.target.value)} aria-label={t('alerts.settings.thresholdType')} className={inputClass}>
+              <option value="value">{t('alerts.settings.aValueOf')}</option>
+              {ALERT_FIELDS[rule.field].kind === 'currency' && LEG_CAP_LEVELS.map(level => (
+                <option key={level} value={`legCap:${level}`}>{t('alerts.settings.legCapOption', { rank: getLevelTitle(level) })}</option>
+              ))}
+            </select>
+            {rule.threshold.type === 'value' && (
+              <input
+                type="number"
+                step="any"
+                value={rule.threshold.value}
+                onChange={(e) => update({ threshold: { type: 'value', value: e.target.value } })}
+                aria-label={t('alerts.settings.threshold')}
+                className={`${inputClass} w-28`}
+              />
+            )}
+          </>
+        )}
+      </div>
+      <p className="text-xs text-gray-500">{describeAlertRule(normalizeAlertRule(rule), rankRules)}</p>
+    </li>
+  );
+};
+
+// Owner settings for the team's alert rules and digest webhook. `associates` ({ key, name })
+// come from the latest upload for the associate and leg scopes.
+const AlertRulesSettings = ({ settings, associates, rankRules, onSave, onClose }) => {
+  const [rules, setRules] = useState(settings.rules);
+  const [webhookUrl, setWebhookUrl] = useState(settings.webhookUrl);
+  const [digestFormat, setDigestFormat] = useState(settings.digestFormat);
+  const [saving, setSaving] = useState(false);
+
+  const updateRule = (id, rule) => setRules(current => current.map(r => (r.id === id ? rule : r)));
+  const missingAssociate = rules.some(rule => (rule.scope.type === 'associate' || rule.scope.type === 'leg') && !rule.scope.associateKey);
+  const invalidUrl = webhookUrl.trim() !== '' && !/^https?:\/\/\S+$/i.test(webhookUrl.trim());
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await onSave({ rules: rules.map(normalizeAlertRule), webhookUrl: webhookUrl.trim(), digestFormat });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 p-4">
+      <div className="bg-white p-6 rounded-lg shadow-xl max-w-4xl w-full max-h-[90vh] flex flex-col">
+        <h3 className="text-lg font-bold text-gray-800 mb-1">{t('alerts.settings.title')}</h3>
+        <p className="text-xs text-gray-600 mb-4">
+          {t('alerts.settings.intro')}
+        </p>
+        <div className="overflow-auto flex-1 space-y-4">
+          {rules.length === 0 ? (
+            <p className="text-center text-gray-500 py-4">{t('alerts.settings.empty')}</p>
+          ) : (
+            <ul className="space-y-3">
+              {rules.map(rule => (
+                <RuleEditor
+                  key={rule.id}
+                  rule={rule}
+                  associates={associates}
+                  rankRules={rankRules}
+                  onChange={(next) => updateRule(rule.id, next)}
+                  onRemove={() => setRules(current => current.filter(r => r.id !== rule.id))}
+                />
+              ))}
+            </ul>
+          )}
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <button onClick={() => setRules(current => [...current, newAlertRule()])} className="px-3 py-1 bg-blue-500 text-white rounded-md shadow-sm hover:bg-blue-600">
+              {t('alerts.settings.add')}
+            </button>
+            <span className="text-gray-500">{t('alerts.settings.orStartFrom')}</span>
+            {ALERT_PRESETS.map(preset => (
+              <button key={preset.key} onClick={() => setRules(current => [...current, newRuleFromPreset(preset)])} className="px-2 py-1 border border-gray-300 rounded-md hover:bg-gray-100">
+                {getPresetName(preset)}
+              </button>
+            ))}
+          </div>
+          <div className="border-t pt-4 grid gap-3 md:grid-cols-[1fr_auto] text-sm">
+            <label className="flex flex-col gap-1 text-gray-700">
+              {t('alerts.settings.webhookUrl')}
+              <input
+                type="url"
+                value={webhookUrl}
+                onChange={(e) => setWebhookUrl(e.target.value)}
+                placeholder="http://localhost:4040/"
+                className={inputClass}
+              />
+              <span className="text-xs text-gray-500">{t('alerts.settings.webhookHelp')}</span>
+            </label>
+            <label className="flex flex-col gap-1 text-gray-700">
+              {t('alerts.settings.digestFormat')}
+              <select value={digestFormat} onChange={(e) => setDigestFormat(e.target.value)} className={inputClass}>
+                {Object.entries(DIGEST_FORMATS).map(([key, format]) => <option key={key} value={key}>{format.label}</option>)}
+              </select>
+            </label>
+          </div>
+        </div>
+        {(missingAssociate || invalidUrl) && (
+          <p className="text-sm text-red-600 mt-3">
+            {missingAssociate ? t('alerts.settings.missingAssociate') : t('alerts.settings.invalidUrl')}
+          </p>
+        )}
+        <div className="flex justify-end gap-4 mt-4">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-300 text-gray-800 rounded-lg shadow hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-400 focus:ring-offset-2"
+          >
+            {t('common.cancel')}
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={saving || missingAssociate || invalidUrl}
+            className="px-4 py-2 bg-blue-500 text-white rounded-lg shadow hover:bg-blue-600 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50"
+          >
+            {saving ? t('common.saving') : t('alerts.settings.save')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AlertRulesSettings;
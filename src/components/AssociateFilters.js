@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { EMPTY_FILTERS, RANGE_FIELDS, STATUS_FILTERS } from '../lib/associateFilters';
+import { getStatusLabel } from '../lib/associates';
+import { t } from '../lib/i18n';
+
+const numberInputClass = 'w-full p-1 border border-gray-300 rounded-md text-xs focus:outline-none focus:ring-1 focus:ring-blue-500';
+
+const toNumberOrNull = (text) => (text === '' ? null : Number(text));
+
+const toggle = (list, value) => (list.includes(value) ? list.filter(item => item !== value) : [...list, value]);
+
+const RangeInputs = ({ label, min, max, onChange, step }) => (
+  <div>
+    <p className="text-xs font-medium text-gray-600 mb-1">{label}</p>
+    <div className="flex items-center gap-1">
+      <input type="number" step={step} placeholder={t('filters.min')} value={min ?? ''} onChange={(e) => onChange(toNumberOrNull(e.target.value), max)} className={numberInputClass} />
+      <span className="text-gray-400">–</span>
+      <input type="number" step={step} placeholder={t('filters.max')} value={max ?? ''} onChange={(e) => onChange(min, toNumberOrNull(e.target.value))} className={numberInputClass} />
+    </div>
+  </div>
+);
+
+// Structured filters for the associates panel. The search box lives outside
+// this panel; everything here is behind a "Filters" toggle.
+const AssociateFilters = ({ filters, onChange, levelOptions, activeCount }) => {
+  const [open, setOpen] = useState(false);
+  const update = (changes) => onChange({ ...filters, ...changes });
+
+  const setRange = (key, min, max) => {
+    const ranges = { ...filters.ranges };
+    if (min === null && max === null) delete ranges[key];
+    else ranges[key] = { min, max };
+    update({ ranges });
+  };
+
+  return (
+    <div className="mb-3">
+      <div className="flex items-center justify-between">
+        <button onClick={() => setOpen(!open)} className="text-sm font-medium text-blue-600 hover:underline">
+          {open ? '▾' : '▸'} {activeCount > 0 ? t('filters.toggleActive', { count: activeCount }) : t('filters.toggle')}
+        </button>
+        {activeCount > 0 && (
+          <button onClick={() => onChange(EMPTY_FILTERS)} className="text-xs text-gray-500 hover:underline">{t('filters.clearAll')}</button>
+        )}
+      </div>
+
+      {open && (
+        <div className="mt-2 p-3 border rounded-lg bg-gray-50 space-y-3">
+          <div>
+            <p className="text-xs font-medium text-gray-600 mb-1">{t('fields.rank')}</p>
+            <div className="flex flex-wrap gap-x-3 gap-y-1">
+              {levelOptions.map(option => (
+                <label key={option.value} className="flex items-center gap-1 text-xs text-gray-700">
+                  <input type="checkbox" checked={filters.levels.includes(option.value)} onChange={() => update({ levels: toggle(filters.levels, option.value) })} />
+                  {option.label}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <p className="text-xs font-medium text-gray-600 mb-1">{t('fields.status')}</p>
+            <div className="flex flex-wrap gap-x-3 gap-y-1">
+              {STATUS_FILTERS.map(status => (
+                <label key={status.value} className="flex items-center gap-1 text-xs text-gray-700">
+                  <input type="checkbox" checked={filters.statuses.includes(status.value)} onChange={() => update({ statuses: toggle(filters.statuses, status.value) })} />
+                  {getStatusLabel(status.code)}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            <RangeInputs label={t('filters.depthLevel')} step="1" min={filters.depthMin} max={filters.depthMax} onChange={(depthMin, depthMax) => update({ depthMin, depthMax })} />
+            {RANGE_FIELDS.map(field => (
+              <RangeInputs
+                key={field.key}
+                label={t(field.labelKey)}
+                step={field.type === 'currency' ? '0.01' : '1'}
+                min={filters.ranges[field.key]?.min ?? null}
+                max={filters.ranges[field.key]?.max ?? null}
+                onChange={(min, max) => setRange(field.key, min, max)}
+              />
+            ))}
+          </div>
+
+          <label className="flex items-center gap-2 text-xs text-gray-700">
+            <input type="checkbox" checked={filters.zeroProductionMTD} onChange={(e) => update({ zeroProductionMTD: e.target.checked })} />
+            {t('filters.zeroProduction')}
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AssociateFilters;
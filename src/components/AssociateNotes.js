@@ -0,0 +1,96 @@
+import React, { useEffect, useState } from 'react';
+import { collection, onSnapshot, query, where } from '../lib/store';
+import { getAssociateKey } from '../lib/associates';
+import { toDate } from '../lib/snapshots';
+import { addNote, deleteNote, setNoteDone } from '../lib/notes';
+import { formatDate, formatDateTime } from '../lib/format';
+import { t } from '../lib/i18n';
+
+// Private notes and follow-ups for one associate, newest first.
+const AssociateNotes = ({ db, path, associate }) => {
+  const associateKey = getAssociateKey(associate);
+  const [notes, setNotes] = useState([]);
+  const [text, setText] = useState('');
+  const [followUpDate, setFollowUpDate] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const notesQuery = query(collection(db, path), where('associateKey', '==', associateKey));
+    return onSnapshot(notesQuery, (snapshot) => {
+      const loaded = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data({ serverTimestamps: 'estimate' }) }));
+      setNotes(loaded.sort((a, b) => (toDate(b.createdAt) || 0) - (toDate(a.createdAt) || 0)));
+    }, (dbError) => {
+      console.error("Notes Load Error:", dbError);
+      setError(t('notes.errors.load'));
+    });
+  }, [db, path, associateKey]);
+
+  const run = async (action) => {
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      console.error("Notes Error:", err);
+      setError(t('notes.errors.save'));
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    setSaving(true);
+    await run(async () => {
+      await addNote(db, path, { associate, text, followUpDate });
+      setText('');
+      setFollowUpDate('');
+    });
+    setSaving(false);
+  };
+
+  return (
+    <div>
+      <form onSubmit={handleAdd} className="mb-4 space-y-2">
+        <textarea
+          rows={3}
+          placeholder={t('notes.placeholder')}
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <label htmlFor="follow-up-date" className="text-gray-600">{t('notes.followUpOn')}</label>
+          <input id="follow-up-date" type="date" value={followUpDate} onChange={(e) => setFollowUpDate(e.target.value)} className="p-1 border border-gray-300 rounded-md" />
+          <button type="submit" disabled={saving || !text.trim()} className="ml-auto px-4 py-1.5 bg-blue-500 text-white rounded-lg shadow hover:bg-blue-600 disabled:opacity-50">
+            {saving ? t('common.saving') : t('notes.add')}
+          </button>
+        </div>
+      </form>
+      {error && <p className="mb-2 text-sm text-red-600">{error}</p>}
+
+      {notes.length === 0 ? (
+        <p className="text-center text-gray-500 py-4 text-sm">{t('notes.empty')}</p>
+      ) : (
+        <ul className="space-y-2">
+          {notes.map(note => (
+            <li key={note.id} className={`p-3 rounded-lg border text-sm ${note.done ? 'bg-gray-50 text-gray-500' : 'bg-white'}`}>
+              <p className="whitespace-pre-wrap text-gray-800">{note.text}</p>
+              <div className="mt-2 flex flex-wrap items-center gap-3 text-xs text-gray-500">
+                <span>{formatDateTime(toDate(note.createdAt))}</span>
+                {note.followUpDate && (
+                  <label className="flex items-center gap-1">
+                    <input type="checkbox" checked={Boolean(note.done)} onChange={(e) => run(() => setNoteDone(db, path, note.id, e.target.checked))} />
+                    <span className={note.done ? 'line-through' : 'text-amber-700 font-medium'}>{t('notes.followUp', { date: formatDate(new Date(`${note.followUpDate}T00:00:00`)) })}</span>
+                  </label>
+                )}
+                <button onClick={() => run(() => deleteNote(db, path, note.id))} className="ml-auto text-red-600 hover:underline">{t('common.delete')}</button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AssociateNotes;
@@ -0,0 +1,151 @@
+import React, { useMemo } from 'react';
+import { ResponsiveContainer, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend } from 'recharts';
+import { getLevelTitle, getStatusLabel } from '../lib/associates';
+import { buildAssociateHistory, getRankStatusChanges } from '../lib/associateHistory';
+import { evaluateNextRanks } from '../lib/qualification';
+import { formatCompactNumber, formatCurrency, formatDate, formatNumber } from '../lib/format';
+import { t } from '../lib/i18n';
+import AssociateNotes from './AssociateNotes';
+import RankProgress from './RankProgress';
+
+const changeStyles = {
+  promoted: 'text-green-700',
+  demoted: 'text-red-700',
+  status: 'text-amber-700',
+  joined: 'text-blue-700',
+  left: 'text-gray-500',
+};
+
+const Stat = ({ label, value }) => (
+  <p className="text-gray-800"><span className="font-semibold">{label}:</span> {value}</p>
+);
+
+// Full-page profile for one associate: current numbers, their history across
+// every stored snapshot, their place in the genealogy, and private notes.
+const AssociateProfile = ({ associate, inCurrentSnapshot, snapshots, node, rankRules, db, notesPath, onBack, onOpenAssociate, onFocusLeg }) => {
+  const history = useMemo(() => buildAssociateHistory(snapshots, associate), [snapshots, associate]);
+  const changes = useMemo(() => getRankStatusChanges(history).reverse(), [history]);
+  const chartData = history.filter(point => point.present);
+
+  return (
+    <div>
+      <button onClick={onBack} className="mb-4 text-sm text-blue-600 hover:underline">{t('profile.back')}</button>
+
+      <section className="mb-6 bg-white p-4 rounded-lg shadow-md">
+        <div className="flex flex-wrap justify-between items-start gap-2">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-800">{associate.Name}</h2>
+            <p className="text-md text-gray-600">{t('profile.idLine', { id: associate['Associate ID'], rank: getLevelTitle(associate.Level), status: getStatusLabel(associate.Status) })}</p>
+          </div>
+          {node?.parent && (
+            <button onClick={() => onOpenAssociate(node.parent.id)} className="text-sm text-blue-600 hover:underline">{t('profile.upline', { name: node.parent.associate.Name })}</button>
+          )}
+        </div>
+        {!inCurrentSnapshot && (
+          <p className="mt-3 p-2 bg-amber-100 border border-amber-300 rounded-lg text-sm text-amber-900">
+            {t('profile.notInSnapshot')}
+          </p>
+        )}
+        <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="bg-blue-50 p-4 rounded-lg">
+            <h4 className="text-lg font-medium text-blue-700">{t('profile.personalPremium')}</h4>
+            <Stat label={t('profile.mtd')} value={formatCurrency(associate['Personal Premium MTD'])} />
+            <Stat label={t('profile.pmtd')} value={formatCurrency(associate['Personal Premium PMTD'])} />
+            <Stat label={t('profile.ytd')} value={formatCurrency(associate['Personal Premium YTD'])} />
+          </div>
+          <div className="bg-yellow-50 p-4 rounded-lg">
+            <h4 className="text-lg font-medium text-yellow-700">{t('profile.personalRecruits')}</h4>
+            <Stat label={t('profile.mtd')} value={formatNumber(associate['Personal Recruits MTD'])} />
+            <Stat label={t('profile.pmtd')} value={formatNumber(associate['Personal Recruits PMTD'])} />
+            <Stat label={t('profile.ytd')} value={formatNumber(associate['Personal Recruits YTD'])} />
+          </div>
+          <div className="bg-indigo-50 p-4 rounded-lg">
+            <h4 className="text-lg font-medium text-indigo-700">{t('profile.rollup')}</h4>
+            {node && node.children.length > 0 ? (
+              <>
+                <Stat label={t('profile.associates')} value={t('profile.downlineCount', { total: formatNumber(node.rollup.size - 1), direct: formatNumber(node.children.length) })} />
+                <Stat label={t('profile.premium')} value={formatCurrency(node.rollup.premiumMTD)} />
+                <Stat label={t('profile.recruits')} value={formatNumber(node.rollup.recruitsMTD)} />
+                <button onClick={() => onFocusLeg(node.id)} className="mt-2 px-3 py-1 text-sm bg-indigo-500 text-white rounded-md shadow-sm hover:bg-indigo-600">{t('profile.focusLeg')}</button>
+              </>
+            ) : (
+              <>
+                <Stat label={t('pace.orgPremium')} value={formatCurrency(associate['Org Premium MTD'])} />
+                <Stat label={t('pace.orgRecruits')} value={formatNumber(associate['Org Recruits MTD'])} />
+                <p className="mt-1 text-xs text-gray-500">{node ? t('profile.noDownline') : t('profile.noGenealogy')}</p>
+              </>
+            )}
+          </div>
+        </div>
+      </section>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2 space-y-6">
+          <section className="bg-white p-4 rounded-lg shadow-md">
+            <h3 className="text-xl font-semibold text-gray-700 mb-3">{t('profile.history')}</h3>
+            {chartData.length < 2 ? (
+              <p className="text-center text-gray-500 py-4">{t('profile.needMoreSnapshots', { count: chartData.length })}</p>
+            ) : (
+              <div className="h-64">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={chartData}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="label" tick={{ fontSize: 11 }} />
+                    <YAxis yAxisId="premium" tick={{ fontSize: 11 }} tickFormatter={value => formatCurrency(value, { compact: true })} />
+                    <YAxis yAxisId="recruits" orientation="right" allowDecimals={false} tick={{ fontSize: 11 }} tickFormatter={formatCompactNumber} />
+                    <Tooltip formatter={(value, name, item) => (item.dataKey === 'recruitsMTD' ? formatNumber(value) : formatCurrency(value))} />
+                    <Legend />
+                    <Line yAxisId="premium" type="monotone" dataKey="premiumMTD" name={t('alerts.fields.personalPremiumMTD')} stroke="#3b82f6" strokeWidth={2} />
+                    <Line yAxisId="recruits" type="monotone" dataKey="recruitsMTD" name={t('alerts.fields.personalRecruitsMTD')} stroke="#a855f7" strokeWidth={2} />
+                    <Line yAxisId="premium" type="monotone" dataKey="orgPremiumMTD" name={t('alerts.fields.orgPremiumMTD')} stroke="#4f46e5" strokeDasharray="4 3" />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            )}
+
+            <h4 className="text-md font-semibold text-gray-600 mt-5 mb-2">{t('profile.rankHistory')}</h4>
+            {changes.length === 0 ? (
+              <p className="text-sm text-gray-500">{t('profile.noChanges')}</p>
+            ) : (
+              <ul className="text-sm divide-y border rounded-lg">
+                {changes.map((change, index) => (
+                  <li key={`${change.snapshotId}-${index}`} className="px-3 py-2 flex justify-between gap-2">
+                    <span className={changeStyles[change.kind]}>{change.text}</span>
+                    <span className="text-gray-500 whitespace-nowrap">{formatDate(change.date)}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+
+          {node && (
+            <section className="bg-white p-4 rounded-lg shadow-md">
+              <h3 className="text-xl font-semibold text-gray-700 mb-3">{t('profile.rankProgress')}</h3>
+              <RankProgress evaluations={evaluateNextRanks(rankRules, associate, node.children.map(child => child.associate))} />
+              {node.children.length > 0 && (
+                <>
+                  <h4 className="text-md font-semibold text-gray-600 mt-5 mb-2">{t('profile.directDownline', { count: node.children.length })}</h4>
+                  <ul className="text-sm divide-y border rounded-lg max-h-72 overflow-y-auto">
+                    {node.children.map(child => (
+                      <li key={child.id} className="px-3 py-2 flex justify-between gap-2 hover:bg-gray-50 cursor-pointer" onClick={() => onOpenAssociate(child.id)}>
+                        <span className="text-gray-800">{child.associate.Name} <span className="text-xs text-gray-500">{getLevelTitle(child.associate.Level)}</span></span>
+                        <span className="text-gray-600">{formatCurrency(child.rollup.premiumMTD)} · {t('profile.inLeg', { count: formatNumber(child.rollup.size) })}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </>
+              )}
+            </section>
+          )}
+        </div>
+
+        <section className="bg-white p-4 rounded-lg shadow-md h-fit">
+          <h3 className="text-xl font-semibold text-gray-700 mb-3">{t('profile.notes')}</h3>
+          {notesPath ? <AssociateNotes db={db} path={notesPath} associate={associate} /> : <p className="text-sm text-gray-500">{t('profile.signInForNotes')}</p>}
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default AssociateProfile;
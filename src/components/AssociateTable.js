@@ -0,0 +1,64 @@
+import React from 'react';
+import { getLevelTitle, getStatusLabel } from '../lib/associates';
+import { formatCurrency, formatNumber } from '../lib/format';
+import { t } from '../lib/i18n';
+
+// `labelKey` is the column heading in src/locales.
+const columns = [
+  { key: 'Name', labelKey: 'fields.name' },
+  { key: 'Associate ID', labelKey: 'fields.id' },
+  { key: 'Level', labelKey: 'fields.rank', render: a => getLevelTitle(a.Level) },
+  { key: 'Status', labelKey: 'fields.status', render: a => getStatusLabel(a.Status) },
+  { key: 'Depth Level', labelKey: 'fields.depth', numeric: true },
+  { key: 'Personal Premium MTD', labelKey: 'associates.columns.premiumMTD', numeric: true, render: a => formatCurrency(a['Personal Premium MTD']) },
+  { key: 'Personal Premium PMTD', labelKey: 'associates.columns.premiumPMTD', numeric: true, render: a => formatCurrency(a['Personal Premium PMTD']) },
+  { key: 'Personal Recruits MTD', labelKey: 'associates.columns.recruitsMTD', numeric: true, render: a => formatNumber(a['Personal Recruits MTD']) },
+  { key: 'Personal Recruits PMTD', labelKey: 'associates.columns.recruitsPMTD', numeric: true, render: a => formatNumber(a['Personal Recruits PMTD']) },
+];
+
+// Every row is this tall (px) so the panel can virtualize long tables.
+export const TABLE_ROW_HEIGHT = 28;
+
+// Compact, sortable table mode for the associates panel. `range` ({ start, end,
+// paddingTop, paddingBottom } from useVirtualRows) limits which rows render.
+const AssociateTable = ({ associates, selectedId, sort, onSort, onSelect, range }) => (
+  <table className="w-full text-xs text-left">
+    <thead className="sticky top-0 bg-gray-100 text-gray-600 uppercase">
+      <tr>
+        {columns.map(column => {
+          const active = sort?.key === column.key;
+          return (
+            <th
+              key={column.key}
+              onClick={() => onSort(column.key)}
+              className={`px-2 py-1.5 cursor-pointer select-none whitespace-nowrap hover:text-gray-900 ${column.numeric ? 'text-right' : ''}`}
+              aria-sort={active ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+            >
+              {t(column.labelKey)}{active && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+            </th>
+          );
+        })}
+      </tr>
+    </thead>
+    <tbody>
+      {range?.paddingTop > 0 && <tr aria-hidden="true" style={{ height: range.paddingTop }} />}
+      {(range ? associates.slice(range.start, range.end) : associates).map(associate => (
+        <tr
+          key={associate['Associate ID']}
+          onClick={() => onSelect(associate)}
+          style={{ height: TABLE_ROW_HEIGHT }}
+          className={`border-t cursor-pointer ${selectedId === associate['Associate ID'] ? 'bg-blue-100' : 'hover:bg-gray-50'}`}
+        >
+          {columns.map(column => (
+            <td key={column.key} className={`px-2 py-1 whitespace-nowrap ${column.numeric ? 'text-right' : ''} ${column.key === 'Name' ? 'font-medium text-gray-800' : 'text-gray-600'}`}>
+              {column.render ? column.render(associate) : associate[column.key]}
+            </td>
+          ))}
+        </tr>
+      ))}
+      {range?.paddingBottom > 0 && <tr aria-hidden="true" style={{ height: range.paddingBottom }} />}
+    </tbody>
+  </table>
+);
+
+export default AssociateTable;
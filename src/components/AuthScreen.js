@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+import { describeAuthError, sendEmailLink, signInWithPassword, signUpWithPassword } from '../lib/auth';
+import { t, tNodes } from '../lib/i18n';
+
+const modes = ['signIn', 'signUp', 'emailLink'];
+
+// Sign-in screen for email/password and passwordless email-link accounts.
+const AuthScreen = ({ auth, isAnonymous, error: initialError }) => {
+  const [mode, setMode] = useState(isAnonymous ? 'signUp' : 'signIn');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(initialError || null);
+  const [linkSent, setLinkSent] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      if (mode === 'signIn') await signInWithPassword(auth, email, password);
+      else if (mode === 'signUp') await signUpWithPassword(auth, email, password);
+      else {
+        await sendEmailLink(auth, email);
+        setLinkSent(true);
+      }
+    } catch (authError) {
+      console.error("Firebase Authentication Error:", authError);
+      setError(describeAuthError(authError));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gray-100 p-4">
+      <div className="bg-white p-6 rounded-lg shadow-md max-w-sm w-full">
+        <h1 className="text-2xl font-bold text-center text-gray-800 mb-4">{t('app.title')}</h1>
+        {isAnonymous && (
+          <p className="mb-4 p-3 bg-amber-100 border border-amber-300 rounded-lg text-sm text-amber-900">
+            {t('auth.anonymousNotice')}
+          </p>
+        )}
+        <div className="flex mb-4 border-b">
+          {modes.map(value => (
+            <button
+              key={value}
+              onClick={() => { setMode(value); setError(null); setLinkSent(false); }}
+              className={`flex-1 pb-2 text-sm font-medium ${mode === value ? 'text-blue-600 border-b-2 border-blue-600' : 'text-gray-500 hover:text-gray-700'}`}
+            >
+              {t(`auth.modes.${value}`)}
+            </button>
+          ))}
+        </div>
+        {linkSent ? (
+          <p className="text-sm text-gray-700">{tNodes('auth.linkSent', { email: <span className="font-semibold">{email}</span> })}</p>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-3">
+            <input
+              type="email"
+              required
+              placeholder={t('auth.email')}
+              autoComplete="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className="w-full p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            {mode !== 'emailLink' && (
+              <input
+                type="password"
+                required
+                minLength={6}
+                placeholder={t('auth.password')}
+                autoComplete={mode === 'signUp' ? 'new-password' : 'current-password'}
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className="w-full p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            )}
+            <button
+              type="submit"
+              disabled={submitting}
+              className="w-full px-4 py-2 bg-blue-500 text-white rounded-lg shadow hover:bg-blue-600 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50"
+            >
+              {submitting ? t('auth.pleaseWait') : t(`auth.submit.${mode}`)}
+            </button>
+          </form>
+        )}
+        {error && <p className="mt-3 text-sm text-red-600 font-medium">{error}</p>}
+      </div>
+    </div>
+  );
+};
+
+export default AuthScreen;
@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { DEFAULT_DEMO_OPTIONS, DEMO_LIMITS, DEMO_RANK_MIXES, DEMO_STATUS_CODES, demoReportToCsv, generateDemoReports } from '../lib/demoData';
+import { downloadBlob } from '../lib/exporters';
+import { isProduction } from '../lib/environment';
+import { t } from '../lib/i18n';
+
+const STATUS_LABEL_KEYS = { active: 'statuses.active', notVested: 'statuses.notVested', onHold: 'statuses.onHold' };
+
+const inputClass = 'w-full p-1.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Settings screen for generating a fake organization. Reports can always be downloaded;
+// `onLoad` saves them as snapshots and is left out where that isn't allowed.
+const DemoDataPanel = ({ environment, onLoad, onClose }) => {
+  const [draft, setDraft] = useState(() => ({
+    associates: String(DEFAULT_DEMO_OPTIONS.associates),
+    depth: String(DEFAULT_DEMO_OPTIONS.depth),
+    months: String(DEFAULT_DEMO_OPTIONS.months),
+    rankMix: 'balanced',
+    statusMix: Object.fromEntries(Object.entries(DEFAULT_DEMO_OPTIONS.statusMix).map(([key, value]) => [key, String(value)])),
+    seed: String(DEFAULT_DEMO_OPTIONS.seed),
+  }));
+  const [loading, setLoading] = useState(false);
+
+  const update = (key, value) => setDraft(current => ({ ...current, [key]: value }));
+  const updateStatus = (key, value) => setDraft(current => ({ ...current, statusMix: { ...current.statusMix, [key]: value } }));
+
+  // The generator clamps out-of-range values, so the draft is passed as typed.
+  const buildReports = () => generateDemoReports({
+    associates: draft.associates,
+    depth: draft.depth,
+    months: draft.months,
+    rankMix: DEMO_RANK_MIXES[draft.rankMix],
+    statusMix: draft.statusMix,
+    seed: draft.seed,
+  });
+
+  const handleDownload = () => {
+    buildReports().forEach(report => {
+      downloadBlob(new Blob(['\uFEFF', demoReportToCsv(report)], { type: 'text/csv;charset=utf-8' }), report.fileName);
+    });
+  };
+
+  const handleLoad = async () => {
+    setLoading(true);
+    try {
+      await onLoad(buildReports());
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const numberField = (key, label) => (
+    <label className="text-sm text-gray-700">
+      {label}
+      <input type="number" min={DEMO_LIMITS[key].min} max={DEMO_LIMITS[key].max} value={draft[key]} onChange={(e) => update(key, e.target.value)} className={`${inputClass} mt-1`} />
+    </label>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 p-4">
+      <div className="bg-white p-6 rounded-lg shadow-xl max-w-lg w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-start mb-1">
+          <h3 className="text-lg font-bold text-gray-800">{t('demo.title')}</h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-800 text-xl leading-none" aria-label={t('common.close')}>×</button>
+        </div>
+        <p className="text-xs text-gray-600 mb-4">{t('demo.intro')}</p>
+
+        <div className="grid grid-cols-2 gap-3 mb-3">
+          {numberField('associates', t('demo.associates'))}
+          {numberField('depth', t('demo.depth'))}
+          {numberField('months', t('demo.months'))}
+          <label className="text-sm text-gray-700">
+            {t('demo.seed')}
+            <input type="number" min="0" value={draft.seed} onChange={(e) => update('seed', e.target.value)} className={`${inputClass} mt-1`} />
+          </label>
+        </div>
+        <label className="block text-sm text-gray-700 mb-3">
+          {t('demo.rankMix')}
+          <select value={draft.rankMix} onChange={(e) => update('rankMix', e.target.value)} className={`${inputClass} mt-1`}>
+            {Object.keys(DEMO_RANK_MIXES).map(key => <option key={key} value={key}>{t(`demo.rankMixes.${key}`)}</option>)}
+          </select>
+        </label>
+        <fieldset className="mb-4">
+          <legend className="text-sm text-gray-700 mb-1">{t('demo.statusMix')}</legend>
+          <div className="grid grid-cols-3 gap-3">
+            {Object.keys(DEMO_STATUS_CODES).map(key => (
+              <label key={key} className="text-xs text-gray-600">
+                {t(STATUS_LABEL_KEYS[key])}
+                <input type="number" min="0" max="100" value={draft.statusMix[key]} onChange={(e) => updateStatus(key, e.target.value)} className={`${inputClass} mt-1`} />
+              </label>
+            ))}
+          </div>
+        </fieldset>
+
+        {!onLoad && (
+          <p className="text-xs text-gray-600 mb-4">{isProduction(environment) ? t('demo.productionNote') : t('demo.ownerNote')}</p>
+        )}
+        <div className="flex flex-wrap justify-end gap-3">
+          <button
+            onClick={handleDownload}
+            className="px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-lg shadow-sm hover:bg-gray-50"
+          >
+            {t('demo.download')}
+          </button>
+          {onLoad && (
+            <button
+              onClick={handleLoad}
+              disabled={loading}
+              className="px-4 py-2 bg-blue-500 text-white rounded-lg shadow hover:bg-blue-600 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50"
+            >
+              {loading ? t('demo.loading') : t('demo.load')}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DemoDataPanel;
@@ -0,0 +1,48 @@
+import React from 'react';
+import { formatSnapshotDate, getSnapshotRowCount } from '../lib/snapshots';
+import { DUPLICATE_CHOICES } from '../lib/duplicates';
+import { formatNumber } from '../lib/format';
+import { t, tNodes } from '../lib/i18n';
+
+const choiceClasses = {
+  skip: 'bg-gray-200 text-gray-800 hover:bg-gray-300',
+  replace: 'bg-red-500 text-white hover:bg-red-600',
+  keep: 'bg-blue-500 text-white hover:bg-blue-600',
+};
+
+// Asks what to do with an upload that matches existing snapshots, before its import preview opens.
+// Replaced snapshots go to the trash, so they can still be restored.
+const DuplicateUploadPrompt = ({ fileName, matches, onChoose }) => (
+  <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 p-4">
+    <div className="bg-white p-6 rounded-lg shadow-xl max-w-xl w-full max-h-[90vh] overflow-y-auto">
+      <h3 className="text-lg font-bold text-gray-800 mb-1">{t('duplicates.title')}</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        {matches.some(match => match.sameContent)
+          ? tNodes('duplicates.sameContent', { fileName: <span className="font-semibold">{fileName}</span> })
+          : tNodes('duplicates.sameDay', { fileName: <span className="font-semibold">{fileName}</span> })}
+      </p>
+      <ul className="border rounded-lg divide-y mb-4 text-sm">
+        {matches.map(({ snapshot, sameContent }) => (
+          <li key={snapshot.id} className="px-3 py-2 flex justify-between gap-4">
+            <div className="min-w-0">
+              <p className="font-medium text-gray-800 truncate">{snapshot.originalFileName || t('snapshots.untitled')}</p>
+              <p className="text-xs text-gray-500">{formatSnapshotDate(snapshot)} · {t('snapshots.rows', { count: getSnapshotRowCount(snapshot), rows: formatNumber(getSnapshotRowCount(snapshot)) })}</p>
+            </div>
+            <span className={`self-center shrink-0 text-xs font-semibold px-2 py-0.5 rounded-full ${sameContent ? 'bg-red-100 text-red-700' : 'bg-amber-100 text-amber-800'}`}>
+              {sameContent ? t('duplicates.identical') : t('duplicates.sameDayBadge')}
+            </span>
+          </li>
+        ))}
+      </ul>
+      <div className="flex flex-wrap justify-end gap-2">
+        {DUPLICATE_CHOICES.map(choice => (
+          <button key={choice} onClick={() => onChoose(choice)} className={`px-3 py-2 text-sm rounded-md shadow-sm ${choiceClasses[choice]}`}>
+            {t(`duplicates.choices.${choice}`)}
+          </button>
+        ))}
+      </div>
+    </div>
+  </div>
+);
+
+export default DuplicateUploadPrompt;
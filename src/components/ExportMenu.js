@@ -0,0 +1,46 @@
+import React, { useState } from 'react';
+import { EXPORT_FORMATS, exportTables } from '../lib/exporters';
+import { t } from '../lib/i18n';
+
+// Small "Export" dropdown. Tables are built lazily through getTables so large
+// lists aren't serialized until someone actually downloads them.
+const ExportMenu = ({ getTables, baseName, label = t('export.label'), formats = EXPORT_FORMATS }) => {
+  const [open, setOpen] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleExport = (format) => {
+    setOpen(false);
+    setError(null);
+    try {
+      exportTables(getTables(), format, baseName);
+    } catch (err) {
+      console.error("Export Error:", err);
+      setError(t('export.failed'));
+    }
+  };
+
+  return (
+    <div className="relative inline-block text-left print:hidden">
+      <button
+        onClick={() => setOpen(!open)}
+        className="px-2 py-1 text-xs bg-white border border-gray-300 text-gray-700 rounded-md shadow-sm hover:bg-gray-50"
+        aria-haspopup="true"
+        aria-expanded={open}
+      >
+        {label} ▾
+      </button>
+      {open && (
+        <div className="absolute right-0 z-20 mt-1 w-36 bg-white border rounded-lg shadow-lg py-1">
+          {formats.map(format => (
+            <button key={format.key} onClick={() => handleExport(format.key)} className="block w-full text-left px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-100">
+              {format.label}
+            </button>
+          ))}
+        </div>
+      )}
+      {error && <span className="ml-2 text-xs text-red-600">{error}</span>}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,124 @@
+import React, { useMemo, useState } from 'react';
+import { toDate } from '../lib/snapshots';
+import { OUTCOMES, getOutcomeLabel, getReasonLabel, isOverdue } from '../lib/followUps';
+import { formatDateTime } from '../lib/format';
+import { t } from '../lib/i18n';
+
+const reasonStyles = {
+  onHold: 'bg-red-100 text-red-800',
+  notVested: 'bg-orange-100 text-orange-800',
+  stalled: 'bg-yellow-100 text-yellow-800',
+};
+
+const filters = ['open', 'mine', 'unassigned', 'overdue', 'closed'];
+
+const selectClass = 'p-1 border border-gray-300 rounded-md text-xs disabled:bg-gray-100';
+
+// Team follow-up queue for on-hold, not-vested and stalled associates.
+const FollowUpQueue = ({ items, members, userId, canEdit, onUpdate, onOpenAssociate, onRebuild }) => {
+  const [filter, setFilter] = useState('open');
+  const [rebuilding, setRebuilding] = useState(false);
+
+  const visible = useMemo(() => items
+    .filter(item => {
+      if (filter === 'closed') return item.status === 'closed';
+      if (item.status !== 'open') return false;
+      if (filter === 'mine') return item.assigneeId === userId;
+      if (filter === 'unassigned') return !item.assigneeId;
+      if (filter === 'overdue') return isOverdue(item);
+      return true;
+    })
+    // Overdue first, then by due date (undated last), then by name.
+    .sort((a, b) => (isOverdue(b) - isOverdue(a))
+      || (a.dueDate || '9999').localeCompare(b.dueDate || '9999')
+      || (a.associateName || '').localeCompare(b.associateName || '')), [items, filter, userId]);
+
+  const counts = useMemo(() => ({
+    open: items.filter(item => item.status === 'open').length,
+    overdue: items.filter(item => isOverdue(item)).length,
+  }), [items]);
+
+  const handleRebuild = async () => {
+    setRebuilding(true);
+    await onRebuild();
+    setRebuilding(false);
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-3">
+        <div className="flex flex-wrap gap-1 text-xs">
+          {filters.map(value => (
+            <button
+              key={value}
+              onClick={() => setFilter(value)}
+              className={`px-2 py-1 rounded-md ${filter === value ? 'bg-blue-500 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+            >
+              {t(`followUps.filters.${value}`)}{value === 'open' && ` (${counts.open})`}{value === 'overdue' && counts.overdue > 0 && ` (${counts.overdue})`}
+            </button>
+          ))}
+        </div>
+        {onRebuild && (
+          <button onClick={handleRebuild} disabled={rebuilding} className="text-xs text-blue-600 hover:underline disabled:opacity-50">
+            {rebuilding ? t('followUps.rebuilding') : t('followUps.rebuild')}
+          </button>
+        )}
+      </div>
+
+      {visible.length === 0 ? (
+        <p className="text-center text-gray-500 py-4">{filter === 'open' ? t('followUps.emptyOpen') : t('followUps.empty')}</p>
+      ) : (
+        <div className="max-h-96 overflow-y-auto border rounded-lg">
+          <table className="w-full text-sm text-left">
+            <thead className="sticky top-0 bg-gray-100 text-xs uppercase text-gray-600">
+              <tr>
+                <th className="px-3 py-2">{t('followUps.columns.associate')}</th>
+                <th className="px-3 py-2">{t('followUps.columns.why')}</th>
+                <th className="px-3 py-2">{t('followUps.columns.assignee')}</th>
+                <th className="px-3 py-2">{t('followUps.columns.due')}</th>
+                <th className="px-3 py-2">{t('followUps.columns.outcome')}</th>
+                <th className="px-3 py-2">{t('followUps.columns.updated')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visible.map(item => (
+                <tr key={item.id} className={`border-t ${isOverdue(item) ? 'bg-red-50' : ''}`}>
+                  <td className="px-3 py-2">
+                    <button onClick={() => onOpenAssociate(item.associateId)} className="font-medium text-gray-800 hover:text-blue-600 hover:underline text-left">{item.associateName}</button>
+                  </td>
+                  <td className="px-3 py-2">
+                    <div className="flex flex-wrap gap-1">
+                      {(item.reasons || []).map(reason => (
+                        <span key={reason} className={`px-1.5 py-0.5 rounded text-xs font-medium ${reasonStyles[reason]}`}>{getReasonLabel(reason)}</span>
+                      ))}
+                      {item.closedReason === 'auto' && <span className="text-xs text-green-700">{t('followUps.clearedOnUpload')}</span>}
+                      {item.closedReason === 'left' && <span className="text-xs text-gray-500">{t('followUps.leftReport')}</span>}
+                    </div>
+                  </td>
+                  <td className="px-3 py-2">
+                    <select value={item.assigneeId || ''} disabled={!canEdit} onChange={(e) => onUpdate(item.id, { assigneeId: e.target.value || null })} className={selectClass}>
+                      <option value="">{t('followUps.filters.unassigned')}</option>
+                      {members.map(member => <option key={member.id} value={member.id}>{member.id === userId ? t('followUps.me') : member.email}</option>)}
+                    </select>
+                  </td>
+                  <td className="px-3 py-2">
+                    <input type="date" value={item.dueDate || ''} disabled={!canEdit} onChange={(e) => onUpdate(item.id, { dueDate: e.target.value || null })} className={selectClass} />
+                  </td>
+                  <td className="px-3 py-2">
+                    <select value={item.outcome || ''} disabled={!canEdit} onChange={(e) => onUpdate(item.id, { outcome: e.target.value || null })} className={selectClass}>
+                      <option value="">—</option>
+                      {OUTCOMES.map(value => <option key={value} value={value}>{getOutcomeLabel(value)}</option>)}
+                    </select>
+                  </td>
+                  <td className="px-3 py-2 text-xs text-gray-500 whitespace-nowrap">{formatDateTime(toDate(item.updatedAt))}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FollowUpQueue;
@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import { getLevelTitle, getStatusLabel, normalizeStatus } from '../lib/associates';
+import { formatCurrency, formatNumber } from '../lib/format';
+import { t } from '../lib/i18n';
+
+const DEFAULT_EXPANDED_DEPTH = 1;
+
+const statusBadgeClass = { '': 'bg-green-100 text-green-800', D: 'bg-orange-100 text-orange-800', H: 'bg-red-100 text-red-800' };
+
+const TreeNode = ({ node, level, expanded, onToggle, selectedId, focusedId, onSelectAssociate, onFocus }) => {
+  const isExpanded = expanded[node.id] ?? level < DEFAULT_EXPANDED_DEPTH;
+  const status = normalizeStatus(node.associate.Status);
+  const hasChildren = node.children.length > 0;
+
+  return (
+    <li>
+      <div
+        className={`flex flex-wrap items-center gap-2 py-1 pr-2 rounded-md ${selectedId === node.id ? 'bg-blue-100' : 'hover:bg-gray-100'}`}
+        style={{ paddingLeft: `${level * 1.25}rem` }}
+      >
+        <button
+          onClick={() => onToggle(node.id, !isExpanded)}
+          disabled={!hasChildren}
+          className="w-5 text-gray-500 disabled:opacity-0"
+          aria-label={isExpanded ? t('tree.collapse') : t('tree.expand')}
+        >
+          {isExpanded ? '▾' : '▸'}
+        </button>
+        <button onClick={() => onSelectAssociate(node.associate)} className="font-medium text-sm text-gray-800 hover:text-blue-600 hover:underline">
+          {node.associate.Name || node.id}
+        </button>
+        <span className="text-xs text-gray-500">{getLevelTitle(node.associate.Level)}</span>
+        <span className={`text-xs px-1.5 rounded ${statusBadgeClass[status] || 'bg-gray-100 text-gray-700'}`}>{getStatusLabel(status)}</span>
+        <span className="ml-auto text-xs text-gray-600 whitespace-nowrap">
+          {formatCurrency(node.rollup.premiumMTD)} · {t('tree.recruits', { count: node.rollup.recruitsMTD, formatted: formatNumber(node.rollup.recruitsMTD) })}
+          {hasChildren && ` · ${t('tree.downline', { count: formatNumber(node.rollup.size - 1) })}`}
+        </span>
+        {hasChildren && node.id !== focusedId && (
+          <button onClick={() => onFocus(node.id)} className="text-xs text-indigo-600 hover:underline">{t('tree.focus')}</button>
+        )}
+      </div>
+      {isExpanded && hasChildren && (
+        <ul>
+          {node.children.map(child => (
+            <TreeNode
+              key={child.id}
+              node={child}
+              level={level + 1}
+              expanded={expanded}
+              onToggle={onToggle}
+              selectedId={selectedId}
+              focusedId={focusedId}
+              onSelectAssociate={onSelectAssociate}
+              onFocus={onFocus}
+            />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+// Collapsible downline tree. Roll-ups are MTD personal premium and recruits summed over each node's downline.
+const GenealogyTree = ({ roots, source, selectedId, focusedId, onSelectAssociate, onFocus }) => {
+  const [expanded, setExpanded] = useState({});
+
+  const setAll = (isExpanded) => {
+    const next = {};
+    const pending = [...roots];
+    while (pending.length > 0) {
+      const node = pending.pop();
+      if (node.children.length > 0) next[node.id] = isExpanded;
+      pending.push(...node.children);
+    }
+    setExpanded(next);
+  };
+
+  if (roots.length === 0) return <p className="text-center text-gray-500 py-4">{t('tree.empty')}</p>;
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2 text-xs text-gray-500">
+        <span>{source === 'sponsor' ? t('tree.fromSponsor') : t('tree.inferred')}</span>
+        <span className="flex gap-3">
+          <button onClick={() => setAll(true)} className="text-blue-600 hover:underline">{t('tree.expandAll')}</button>
+          <button onClick={() => setAll(false)} className="text-blue-600 hover:underline">{t('tree.collapseAll')}</button>
+        </span>
+      </div>
+      <ul className="max-h-[60vh] overflow-y-auto border rounded-lg p-2 bg-gray-50">
+        {roots.map(root => (
+          <TreeNode
+            key={root.id}
+            node={root}
+            level={0}
+            expanded={expanded}
+            onToggle={(id, value) => setExpanded(current => ({ ...current, [id]: value }))}
+            selectedId={selectedId}
+            focusedId={focusedId}
+            onSelectAssociate={onSelectAssociate}
+            onFocus={onFocus}
+          />
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default GenealogyTree;
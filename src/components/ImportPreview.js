@@ -0,0 +1,236 @@
+import React, { useMemo, useState } from 'react';
+import { buildImport, readCsvFile } from '../lib/csvImport';
+import { SUPPORTED_DELIMITERS, delimiterLabel } from '../lib/csv';
+import { CANONICAL_FIELDS, getFieldTypeLabel, getMissingRequiredFields, matchHeaders } from '../lib/schema';
+import { formatNumber, formatPercent } from '../lib/format';
+import { t } from '../lib/i18n';
+
+const PREVIEW_ROWS = 10;
+
+const IssueList = ({ title, items, renderItem, className }) => {
+  if (items.length === 0) return null;
+  return (
+    <div className="mb-4">
+      <h4 className={`text-sm font-semibold mb-1 ${className}`}>{title} ({formatNumber(items.length)})</h4>
+      <ul className="max-h-32 overflow-y-auto border rounded-lg bg-gray-50 text-xs text-gray-700 divide-y">
+        {items.map((item, index) => <li key={index} className="px-3 py-1.5">{renderItem(item)}</li>)}
+      </ul>
+    </div>
+  );
+};
+
+const matchLabel = (source, score, isOverride) => {
+  if (isOverride) return <span className="text-blue-600">{t('import.match.manual')}</span>;
+  if (source === 'saved') return <span className="text-green-600">{t('import.match.saved')}</span>;
+  if (score === undefined) return null;
+  if (score >= 1) return <span className="text-green-600">{t('import.match.exact')}</span>;
+  return <span className="text-yellow-700">{t('import.match.fuzzy', { score: formatPercent(score, { digits: 0 }) })}</span>;
+};
+
+const ColumnMapping = ({ headers, detected, mapping, overrides, onChange }) => (
+  <div className="overflow-x-auto border rounded-lg mb-4">
+    <table className="w-full text-xs text-left">
+      <thead className="bg-gray-100 text-gray-600">
+        <tr>
+          <th className="px-2 py-1.5">{t('import.columns.field')}</th>
+          <th className="px-2 py-1.5">{t('import.columns.type')}</th>
+          <th className="px-2 py-1.5">{t('import.columns.csvColumn')}</th>
+          <th className="px-2 py-1.5">{t('import.columns.match')}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {CANONICAL_FIELDS.map(field => {
+          const header = mapping[field.key];
+          const isMissing = field.required && !header;
+          return (
+            <tr key={field.key} className={`border-t ${isMissing ? 'bg-red-50' : ''}`}>
+              <td className="px-2 py-1 font-medium text-gray-800">{field.key}{field.required && <span className="text-red-600"> *</span>}</td>
+              <td className="px-2 py-1 text-gray-600">{getFieldTypeLabel(field.type)}</td>
+              <td className="px-2 py-1">
+                <select
+                  value={header || ''}
+                  onChange={(e) => onChange(field.key, e.target.value || null)}
+                  className={`p-1 border rounded-md text-xs ${isMissing ? 'border-red-400' : 'border-gray-300'}`}
+                >
+                  <option value="">{t('import.notMapped')}</option>
+                  {headers.map(h => <option key={h} value={h}>{h}</option>)}
+                </select>
+              </td>
+              <td className="px-2 py-1">{header && matchLabel(detected.source, detected.scores[field.key], field.key in overrides)}</td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  </div>
+);
+
+// Shows a parsed CSV with its column mapping and validation report. Nothing is saved until the user confirms.
+const ImportPreview = ({ fileName, text, savedMappings, onCancel, onConfirm }) => {
+  const [delimiter, setDelimiter] = useState('');
+  const [overrides, setOverrides] = useState({});
+  const [showMapping, setShowMapping] = useState(false);
+  const [acknowledgedMissing, setAcknowledgedMissing] = useState(false);
+
+  const { parsed, parseError } = useMemo(() => {
+    try {
+      return { parsed: readCsvFile(text, { delimiter: delimiter || undefined }), parseError: null };
+    } catch (err) {
+      return { parsed: null, parseError: err.message };
+    }
+  }, [text, delimiter]);
+
+  const detected = useMemo(() => (parsed ? matchHeaders(parsed.headers, savedMappings) : null), [parsed, savedMappings]);
+  const mapping = useMemo(() => (detected ? { ...detected.mapping, ...overrides } : {}), [detected, overrides]);
+  const missingFields = useMemo(() => getMissingRequiredFields(mapping), [mapping]);
+  const report = useMemo(() => (parsed ? buildImport(parsed, mapping) : null), [parsed, mapping]);
+
+  const hasFuzzyMatches = detected && Object.values(detected.scores).some(score => score < 1);
+  const isMappingOpen = showMapping || missingFields.length > 0 || hasFuzzyMatches;
+  const canSave = report && report.rows.length > 0 && (missingFields.length === 0 || acknowledgedMissing);
+
+  const previewColumns = report && report.rows.length > 0 ? Object.keys(report.rows[0]) : [];
+
+  const handleDelimiterChange = (value) => {
+    setDelimiter(value);
+    setOverrides({});
+  };
+
+  // A CSV column can feed only one field, so picking it here unmaps it elsewhere.
+  const handleMappingChange = (fieldKey, header) => {
+    setOverrides(current => {
+      const next = { ...current, [fieldKey]: header };
+      if (header) {
+        Object.keys(mapping).forEach(key => {
+          if (key !== fieldKey && mapping[key] === header) next[key] = null;
+        });
+      }
+      return next;
+    });
+    setAcknowledgedMissing(false);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 p-4">
+      <div className="bg-white p-6 rounded-lg shadow-xl max-w-5xl w-full max-h-[90vh] flex flex-col">
+        <div className="flex flex-wrap items-start justify-between gap-4 mb-4">
+          <div>
+            <h3 className="text-lg font-bold text-gray-800">{t('import.review')}</h3>
+            <p className="text-sm text-gray-600">{fileName}</p>
+          </div>
+          <label className="text-xs font-semibold text-gray-600">
+            {t('import.delimiter')}
+            <select
+              value={delimiter}
+              onChange={(e) => handleDelimiterChange(e.target.value)}
+              className="ml-2 p-1.5 border border-gray-300 rounded-lg text-sm font-normal text-gray-800"
+            >
+              <option value="">{parsed ? t('import.autoDetected', { delimiter: delimiterLabel(parsed.delimiter) }) : t('import.autoDetect')}</option>
+              {SUPPORTED_DELIMITERS.map(d => <option key={d} value={d}>{delimiterLabel(d)}</option>)}
+            </select>
+          </label>
+        </div>
+
+        <div className="overflow-y-auto flex-1 pr-1">
+          {parseError ? (
+            <p className="text-red-600 font-medium">{parseError}</p>
+          ) : (
+            <>
+              {missingFields.length > 0 && (
+                <div className="mb-4 p-3 bg-red-100 border-2 border-red-500 rounded-lg text-sm text-red-800">
+                  <p className="font-bold">{t('import.missingFields', { fields: missingFields.join(', ') })}</p>
+                  <p>{t('import.missingHelp')}</p>
+                  <label className="flex items-center gap-2 mt-2 font-medium">
+                    <input type="checkbox" checked={acknowledgedMissing} onChange={(e) => setAcknowledgedMissing(e.target.checked)} />
+                    {t('import.acknowledgeMissing')}
+                  </label>
+                </div>
+              )}
+
+              <div className="flex items-center justify-between mb-2">
+                <h4 className="text-sm font-semibold text-gray-700">
+                  {t('import.columnMapping')}
+                  {detected.source === 'saved' && <span className="ml-2 text-xs font-normal text-green-700">{t('import.usingSavedMapping')}</span>}
+                </h4>
+                {missingFields.length === 0 && !hasFuzzyMatches && (
+                  <button onClick={() => setShowMapping(!showMapping)} className="text-xs text-blue-600 hover:underline">
+                    {showMapping ? t('import.hideMapping') : t('import.editMapping')}
+                  </button>
+                )}
+              </div>
+              {isMappingOpen ? (
+                <ColumnMapping headers={parsed.headers} detected={detected} mapping={mapping} overrides={overrides} onChange={handleMappingChange} />
+              ) : (
+                <p className="mb-4 text-xs text-gray-600">{t('import.allMatched', { count: CANONICAL_FIELDS.filter(f => mapping[f.key]).length })}</p>
+              )}
+
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 mb-4 text-center">
+                <div className="bg-green-50 p-2 rounded-lg"><p className="text-2xl font-bold text-green-700">{formatNumber(report.rows.length)}</p><p className="text-xs text-gray-500">{t('import.stats.rows')}</p></div>
+                <div className="bg-red-50 p-2 rounded-lg"><p className="text-2xl font-bold text-red-700">{formatNumber(report.skipped.length)}</p><p className="text-xs text-gray-500">{t('import.stats.skipped')}</p></div>
+                <div className="bg-orange-50 p-2 rounded-lg"><p className="text-2xl font-bold text-orange-700">{formatNumber(report.regeneratedIds.length)}</p><p className="text-xs text-gray-500">{t('import.stats.regenerated')}</p></div>
+                <div className="bg-yellow-50 p-2 rounded-lg"><p className="text-2xl font-bold text-yellow-700">{formatNumber(report.invalidValues.length)}</p><p className="text-xs text-gray-500">{t('import.stats.invalid')}</p></div>
+              </div>
+
+              <IssueList
+                title={t('import.issues.skipped')}
+                items={report.skipped}
+                className="text-red-700"
+                renderItem={item => <><span className="font-semibold">{t('import.line', { line: item.line })}</span> {item.reason}</>}
+              />
+              <IssueList
+                title={t('import.issues.regenerated')}
+                items={report.regeneratedIds}
+                className="text-orange-700"
+                renderItem={item => <><span className="font-semibold">{t('import.line', { line: item.line })}</span> {item.name || t('import.unnamed')} — {item.reason}{item.originalId && item.originalId !== '0' ? ` (${item.originalId})` : ''}</>}
+              />
+              <IssueList
+                title={t('import.issues.invalid')}
+                items={report.invalidValues}
+                className="text-yellow-700"
+                renderItem={item => <><span className="font-semibold">{t('import.line', { line: item.line })}</span> {item.column} = "{item.value}" {t('import.expected', { type: getFieldTypeLabel(item.type).toLocaleLowerCase() })}</>}
+              />
+
+              <h4 className="text-sm font-semibold text-gray-700 mb-1">{t('import.preview', { shown: formatNumber(Math.min(PREVIEW_ROWS, report.rows.length)), total: formatNumber(report.rows.length) })}</h4>
+              <div className="overflow-x-auto border rounded-lg">
+                <table className="w-full text-xs text-left">
+                  <thead className="bg-gray-100 text-gray-600">
+                    <tr>
+                      <th className="px-2 py-1.5">{t('import.columns.line')}</th>
+                      {previewColumns.map(h => <th key={h} className="px-2 py-1.5 whitespace-nowrap">{h}</th>)}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.rows.slice(0, PREVIEW_ROWS).map((row, index) => (
+                      <tr key={report.rowLines[index]} className="border-t">
+                        <td className="px-2 py-1 text-gray-400">{report.rowLines[index]}</td>
+                        {previewColumns.map(h => <td key={h} className="px-2 py-1 whitespace-nowrap text-gray-800">{String(row[h] ?? '')}</td>)}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-4 mt-4">
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 bg-gray-300 text-gray-800 rounded-lg shadow hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-400 focus:ring-offset-2"
+          >
+            {t('common.cancel')}
+          </button>
+          <button
+            onClick={() => onConfirm(report.rows, { headers: parsed.headers, mapping })}
+            disabled={!canSave}
+            className="px-4 py-2 bg-blue-500 text-white rounded-lg shadow hover:bg-blue-600 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50"
+          >
+            {t('import.save', { count: canSave ? report.rows.length : 0, formatted: formatNumber(canSave ? report.rows.length : 0) })}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportPreview;
@@ -0,0 +1,101 @@
+import React from 'react';
+import { getLevelTitle } from '../lib/associates';
+import { formatCurrency, formatDate, formatNumber } from '../lib/format';
+import { t } from '../lib/i18n';
+
+const TOP_CONTRIBUTORS = 10;
+
+const Card = ({ title, value, detail }) => (
+  <div className="border border-gray-300 rounded p-2">
+    <p className="text-xs font-medium text-gray-600">{title}</p>
+    <p className="text-lg font-bold text-gray-900">{value}</p>
+    {detail && <p className="text-xs text-gray-600">{detail}</p>}
+  </div>
+);
+
+const RankCard = ({ title, evaluation }) => (
+  <Card
+    title={title}
+    value={evaluation.qualified ? t('summary.qualified') : t('summary.notQualified')}
+    detail={t(evaluation.qualified || evaluation.needed <= 0 ? 'summary.progress' : 'summary.progressNeeds', {
+      current: formatCurrency(evaluation.totalCountablePremium),
+      target: formatCurrency(evaluation.threshold),
+      needed: formatCurrency(evaluation.needed),
+    })}
+  />
+);
+
+const ContributorTable = ({ title, contributors, valueKey, priorKey, format }) => (
+  <div>
+    <h3 className="text-sm font-semibold text-gray-800 mb-1">{title} ({contributors.length})</h3>
+    <table className="w-full text-xs">
+      <thead>
+        <tr className="border-b border-gray-400 text-left">
+          <th className="py-0.5">#</th>
+          <th className="py-0.5">{t('fields.name')}</th>
+          <th className="py-0.5 text-right">MTD</th>
+          <th className="py-0.5 text-right">PMTD</th>
+        </tr>
+      </thead>
+      <tbody>
+        {contributors.slice(0, TOP_CONTRIBUTORS).map((a, i) => (
+          <tr key={a['Associate ID']} className="border-b border-gray-200">
+            <td className="py-0.5">{i + 1}</td>
+            <td className="py-0.5">{a.Name}</td>
+            <td className="py-0.5 text-right">{format(a[valueKey])}</td>
+            <td className="py-0.5 text-right">{format(a[priorKey])}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+    {contributors.length === 0 && <p className="text-xs text-gray-500">{t('report.none')}</p>}
+  </div>
+);
+
+
+// One-page leader report. Hidden on screen and shown only when printing, so
+// "Print Report" (or the browser's Save as PDF) produces it from the same
+// computed values the dashboard shows.
+const LeaderReport = ({ teamName, snapshotLabel, organizationalSummary, qualificationStatus, statusSummary, premiumContributors, recruitsContributors }) => {
+  if (!organizationalSummary || !qualificationStatus) return null;
+  const { root } = qualificationStatus;
+
+  return (
+    <div className="hidden print:block text-gray-900 font-sans">
+      <header className="mb-3 border-b-2 border-gray-800 pb-2">
+        <h1 className="text-xl font-bold">{t('report.title', { team: teamName })}</h1>
+        <p className="text-xs text-gray-700">
+          {t('report.subtitle', { name: root.Name, rank: getLevelTitle(root.Level), snapshot: snapshotLabel, date: formatDate(new Date()) })}
+        </p>
+      </header>
+
+      <section className="grid grid-cols-4 gap-2 mb-3">
+        <Card title={t('summary.orgPremiumMTD')} value={formatCurrency(organizationalSummary.orgPremiumMTD)} detail={t('summary.vsPMTD', { value: formatCurrency(organizationalSummary.orgPremiumPMTD) })} />
+        <Card title={t('summary.orgRecruitsMTD')} value={formatNumber(organizationalSummary.orgRecruitsMTD)} detail={t('summary.vsPMTD', { value: formatNumber(organizationalSummary.orgRecruitsPMTD) })} />
+        <Card title={t('summary.premiumContributors')} value={formatNumber(premiumContributors.length)} detail={t('summary.pmtd', { value: formatNumber(organizationalSummary.premiumContributorsPMTD) })} />
+        <Card title={t('summary.recruitsContributors')} value={formatNumber(recruitsContributors.length)} detail={t('summary.pmtd', { value: formatNumber(organizationalSummary.recruitsContributorsPMTD) })} />
+        {qualificationStatus.sd && <RankCard title={t('summary.sdTitle')} evaluation={qualificationStatus.sd} />}
+        {qualificationStatus.ed && <RankCard title={t('summary.edTitle')} evaluation={qualificationStatus.ed} />}
+        <Card
+          title={t('summary.associateStatus')}
+          value={t('summary.activeCount', { count: formatNumber(statusSummary.active) })}
+          detail={t('summary.statusBreakdown', { notVested: formatNumber(statusSummary.notVested), onHold: formatNumber(statusSummary.onHold) })}
+        />
+      </section>
+
+      <section className="grid grid-cols-2 gap-4">
+        <ContributorTable title={t('report.topPremium')} contributors={premiumContributors} valueKey="Personal Premium MTD" priorKey="Personal Premium PMTD" format={formatCurrency} />
+        <ContributorTable title={t('report.topRecruits')} contributors={recruitsContributors} valueKey="Personal Recruits MTD" priorKey="Personal Recruits PMTD" format={formatNumber} />
+      </section>
+
+      {statusSummary.onHoldList.length > 0 && (
+        <section className="mt-3">
+          <h3 className="text-sm font-semibold text-gray-800 mb-1">{t('summary.onHoldCount', { count: statusSummary.onHoldList.length })}</h3>
+          <p className="text-xs">{statusSummary.onHoldList.map(a => a.Name).join(', ')}</p>
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default LeaderReport;
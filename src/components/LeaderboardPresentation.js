@@ -0,0 +1,83 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { formatSnapshotDate } from '../lib/snapshots';
+import { boardTitle, buildBoard, formatMetric, getPresentationBoards } from '../lib/leaderboards';
+import { t } from '../lib/i18n';
+
+const PRESENTATION_LIMIT = 8;
+const CYCLE_SECONDS = 15;
+
+// Full-screen, large-type leaderboards for a team meeting. Cycles through the boards
+// on a timer; arrow keys step, space pauses and Escape closes. The first-time board
+// waits while `isLoadingHistory`.
+const LeaderboardPresentation = ({ context, board, isLoadingHistory, onClose }) => {
+  const containerRef = useRef(null);
+  const [index, setIndex] = useState(0);
+  const [paused, setPaused] = useState(false);
+
+  const boards = useMemo(() => getPresentationBoards(board), [board]);
+  const current = boards[index];
+  const isLoading = isLoadingHistory && current.type === 'firstTime';
+  const entries = isLoading ? [] : buildBoard(context, current, PRESENTATION_LIMIT);
+
+  useEffect(() => {
+    const element = containerRef.current;
+    // Not every browser (or an embedded view) allows fullscreen; the overlay covers the window either way.
+    if (element?.requestFullscreen) element.requestFullscreen().catch(() => {});
+    return () => {
+      if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+    };
+  }, []);
+
+  useEffect(() => {
+    if (paused) return undefined;
+    const timer = setInterval(() => setIndex(i => (i + 1) % boards.length), CYCLE_SECONDS * 1000);
+    return () => clearInterval(timer);
+  }, [paused, boards.length, index]);
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onClose();
+      else if (e.key === 'ArrowRight') setIndex(i => (i + 1) % boards.length);
+      else if (e.key === 'ArrowLeft') setIndex(i => (i - 1 + boards.length) % boards.length);
+      else if (e.key === ' ') {
+        e.preventDefault();
+        setPaused(p => !p);
+      }
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [boards.length, onClose]);
+
+  return (
+    <div ref={containerRef} className="fixed inset-0 z-50 bg-gray-900 text-white flex flex-col p-10 overflow-hidden">
+      <div className="flex justify-between items-start mb-8">
+        <div>
+          <p className="text-xl text-gray-400">{formatSnapshotDate(context.snapshot)}</p>
+          <h2 className="text-5xl font-bold">{boardTitle(current)}</h2>
+        </div>
+        <div className="flex items-center gap-3 text-lg">
+          <span className="text-gray-400">{index + 1} / {boards.length}</span>
+          <button onClick={() => setPaused(p => !p)} className="px-4 py-2 bg-gray-700 rounded-md hover:bg-gray-600">{paused ? t('presentation.resume') : t('presentation.pause')}</button>
+          <button onClick={onClose} className="px-4 py-2 bg-gray-700 rounded-md hover:bg-gray-600">{t('common.close')}</button>
+        </div>
+      </div>
+      {entries.length > 0 ? (
+        <ol className="flex-1 space-y-4">
+          {entries.map(entry => (
+            <li key={entry.associate['Associate ID']} className="flex items-center gap-6 text-4xl">
+              <span className={`w-16 text-right font-bold ${entry.rank === 1 ? 'text-yellow-400' : 'text-gray-400'}`}>{entry.rank}</span>
+              <span className="flex-1 truncate">{entry.associate.Name}</span>
+              {entry.detail && <span className="text-2xl text-gray-400">{entry.detail}</span>}
+              <span className="font-bold text-green-400">{formatMetric(current.measure, entry.value)}</span>
+            </li>
+          ))}
+        </ol>
+      ) : (
+        <p className="flex-1 flex items-center justify-center text-4xl text-gray-500">{isLoading ? t('leaderboards.loadingUploads') : t('leaderboards.emptyBoard')}</p>
+      )}
+      <p className="text-center text-gray-500 mt-6">{paused ? t('presentation.keysPaused') : t('presentation.keys')}</p>
+    </div>
+  );
+};
+
+export default LeaderboardPresentation;
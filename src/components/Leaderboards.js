@@ -0,0 +1,141 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { formatSnapshotDate, hasSnapshotRows } from '../lib/snapshots';
+import { BASES, DEFAULT_BOARD, MEASURES, PERIODS, boardTitle, buildBoard, findPreviousSnapshot, formatMetric, getFirstTimeHistory, getSnapshotRange } from '../lib/leaderboards';
+import { t } from '../lib/i18n';
+import LeaderboardPresentation from './LeaderboardPresentation';
+
+const BOARD_LIMIT = 10;
+
+const rankBadgeClasses = ['bg-yellow-400 text-yellow-900', 'bg-gray-300 text-gray-800', 'bg-amber-600 text-white'];
+
+// `options` are keys; their labels are under `labelPrefix` in src/locales.
+const OptionGroup = ({ options, labelPrefix, value, onChange }) => (
+  <div className="flex text-xs border border-gray-300 rounded-md overflow-hidden">
+    {options.map(key => (
+      <button
+        key={key}
+        onClick={() => onChange(key)}
+        className={`px-2 py-1 ${value === key ? 'bg-blue-500 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+      >
+        {t(`${labelPrefix}.${key}`)}
+      </button>
+    ))}
+  </div>
+);
+
+const BoardList = ({ title, entries, measure, emptyText, onSelectAssociate }) => (
+  <div>
+    <h3 className="text-md font-semibold text-gray-600 mb-2">{title}</h3>
+    <div className="max-h-80 overflow-y-auto border rounded-lg p-2 bg-gray-50">
+      {entries.length > 0 ? entries.map(entry => (
+        <div
+          key={entry.associate['Associate ID']}
+          onClick={() => onSelectAssociate(entry.associate)}
+          className="flex items-center gap-3 p-2 mb-1.5 rounded-md hover:bg-blue-100 cursor-pointer"
+        >
+          <span className={`w-7 h-7 shrink-0 rounded-full flex items-center justify-center text-xs font-bold ${rankBadgeClasses[entry.rank - 1] || 'bg-gray-200 text-gray-700'}`}>{entry.rank}</span>
+          <div className="flex-1 min-w-0">
+            <p className="font-medium text-sm text-gray-800 truncate">{entry.associate.Name}</p>
+            {entry.detail && <p className="text-xs text-gray-500">{entry.detail}</p>}
+          </div>
+          <span className="text-sm font-semibold text-green-600">{formatMetric(measure, entry.value)}</span>
+        </div>
+      )) : <p className="text-center text-gray-500 py-4">{emptyText}</p>}
+    </div>
+  </div>
+);
+
+// Leaderboards for the snapshot in view, plus a full-screen presentation for team meetings.
+// `onLoadSnapshots(ids)` asks for the rows of a picked range's uploads and of the earlier
+// months the first-time board checks.
+const Leaderboards = ({ rows, snapshots, snapshot, onSelectAssociate, onLoadSnapshots }) => {
+  const [board, setBoard] = useState(DEFAULT_BOARD);
+  const [range, setRange] = useState({ startId: null, endId: null });
+  const [isPresenting, setIsPresenting] = useState(false);
+
+  const previousSnapshot = useMemo(() => findPreviousSnapshot(snapshots, snapshot), [snapshots, snapshot]);
+  // Until the user picks, the range runs from the previous upload to the one in view.
+  const activeRange = {
+    startId: range.startId || previousSnapshot?.id || snapshot?.id,
+    endId: range.endId || snapshot?.id,
+  };
+  const context = { rows, snapshots, snapshot, range: activeRange };
+
+  const rangeSnapshots = board.period === 'range' ? getSnapshotRange(snapshots, activeRange.startId, activeRange.endId) : [];
+  const isLoadingRange = rangeSnapshots.some(s => !hasSnapshotRows(s));
+  const rangeIds = rangeSnapshots.map(s => s.id).join(',');
+  useEffect(() => {
+    if (onLoadSnapshots && rangeIds) onLoadSnapshots(rangeIds.split(','));
+  }, [onLoadSnapshots, rangeIds]);
+
+  const historySnapshots = getFirstTimeHistory(snapshots, snapshot);
+  const isLoadingHistory = historySnapshots.some(s => !hasSnapshotRows(s));
+  const historyIds = historySnapshots.map(s => s.id).join(',');
+  useEffect(() => {
+    if (onLoadSnapshots && historyIds) onLoadSnapshots(historyIds.split(','));
+  }, [onLoadSnapshots, historyIds]);
+
+  const periods = snapshots.length > 1 ? PERIODS : PERIODS.filter(key => key !== 'range');
+
+  const improvedBoard = { type: 'improved', basis: board.basis, measure: board.measure };
+  const firstTimeBoard = { type: 'firstTime', basis: 'personal', measure: board.measure };
+
+  const rangeSelect = (key, label) => (
+    <label className="flex flex-col text-xs font-semibold text-gray-600">
+      {label}
+      <select
+        value={activeRange[key] || ''}
+        onChange={(e) => setRange(current => ({ ...current, [key]: e.target.value }))}
+        className="mt-1 p-2 border border-gray-300 rounded-lg text-sm font-normal text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500"
+      >
+        {snapshots.map(s => <option key={s.id} value={s.id}>{formatSnapshotDate(s)}</option>)}
+      </select>
+    </label>
+  );
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <OptionGroup options={Object.keys(BASES)} labelPrefix="leaderboards.bases" value={board.basis} onChange={basis => setBoard(current => ({ ...current, basis }))} />
+        <OptionGroup options={Object.keys(MEASURES)} labelPrefix="leaderboards.measures" value={board.measure} onChange={measure => setBoard(current => ({ ...current, measure }))} />
+        <OptionGroup options={periods} labelPrefix="leaderboards.periods" value={board.period} onChange={period => setBoard(current => ({ ...current, period }))} />
+        <button onClick={() => setIsPresenting(true)} className="ml-auto px-3 py-1 bg-gray-800 text-white text-sm rounded-md shadow-sm hover:bg-gray-900">
+          {t('leaderboards.present')}
+        </button>
+      </div>
+      {board.period === 'range' && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+          {rangeSelect('startId', t('leaderboards.from'))}
+          {rangeSelect('endId', t('leaderboards.to'))}
+          <p className="md:col-span-2 text-xs text-gray-500">{t('leaderboards.rangeHelp')}</p>
+        </div>
+      )}
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <BoardList
+          title={boardTitle(board)}
+          entries={isLoadingRange ? [] : buildBoard(context, board, BOARD_LIMIT)}
+          measure={board.measure}
+          emptyText={isLoadingRange ? t('leaderboards.loadingUploads') : board.period === 'range' ? t('leaderboards.noRangeProduction') : t('leaderboards.noProduction')}
+          onSelectAssociate={onSelectAssociate}
+        />
+        <BoardList
+          title={boardTitle(improvedBoard)}
+          entries={buildBoard(context, improvedBoard, BOARD_LIMIT)}
+          measure={board.measure}
+          emptyText={previousSnapshot ? t('leaderboards.noGains') : t('leaderboards.needPrevious')}
+          onSelectAssociate={onSelectAssociate}
+        />
+        <BoardList
+          title={boardTitle(firstTimeBoard)}
+          entries={isLoadingHistory ? [] : buildBoard(context, firstTimeBoard, BOARD_LIMIT)}
+          measure={board.measure}
+          emptyText={isLoadingHistory ? t('leaderboards.loadingUploads') : t('leaderboards.noFirstTime')}
+          onSelectAssociate={onSelectAssociate}
+        />
+      </div>
+      {isPresenting && <LeaderboardPresentation context={context} board={board} isLoadingHistory={isLoadingHistory} onClose={() => setIsPresenting(false)} />}
+    </div>
+  );
+};
+
+export default Leaderboards;
@@ -0,0 +1,156 @@
+import React, { useId, useState } from 'react';
+import { getLevelTitle } from '../lib/associates';
+import { hasGoal, parseGoal } from '../lib/goals';
+import { goalProgress, projectMonthEnd } from '../lib/pacing';
+import { formatCurrency, formatDate, formatMonth, formatNumber, formatPercent } from '../lib/format';
+import { t } from '../lib/i18n';
+
+const formatRecruits = (value) => formatNumber(value, { maximumFractionDigits: 1 });
+
+const metrics = [
+  { key: 'premium', labelKey: 'pace.orgPremium', field: 'Org Premium MTD', format: formatCurrency, bar: 'bg-indigo-500' },
+  { key: 'recruits', labelKey: 'pace.orgRecruits', field: 'Org Recruits MTD', format: formatRecruits, bar: 'bg-pink-500' },
+];
+
+// A progress bar toward a monthly goal, with how much of it the current pace would reach.
+export const GoalBar = ({ value, projected, goal, format, barClass = 'bg-blue-500' }) => {
+  const progress = goalProgress(value, goal);
+  if (progress === null) return null;
+  return (
+    <div className="mt-2">
+      <div className="flex justify-between text-xs text-gray-600">
+        <span>{t('goals.goal', { value: format(goal) })}</span>
+        <span className="font-semibold">{formatPercent(progress, { digits: 0 })}</span>
+      </div>
+      <div className="mt-1 h-2 bg-white rounded-full overflow-hidden">
+        <div className={`h-full ${progress >= 1 ? 'bg-green-500' : barClass}`} style={{ width: `${progress * 100}%` }} />
+      </div>
+      {progress < 1 && (
+        <p className={`mt-1 text-xs ${projected >= goal ? 'text-green-700' : 'text-red-600'}`}>
+          {projected >= goal ? t('goals.onPace') : t('goals.onPaceFor', { percent: formatPercent(projected / goal, { digits: 0 }) })}
+        </p>
+      )}
+    </div>
+  );
+};
+
+const toDraft = (goal) => ({
+  premium: goal.premium === null ? '' : String(goal.premium),
+  recruits: goal.recruits === null ? '' : String(goal.recruits),
+});
+
+// Inline editor for a monthly premium/recruits goal. Blank fields clear that goal.
+export const GoalForm = ({ goal, label, onSave }) => {
+  const id = useId();
+  const [draft, setDraft] = useState(() => toDraft(goal));
+  const [isEditing, setIsEditing] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  if (!isEditing) {
+    return (
+      <button onClick={() => { setDraft(toDraft(goal)); setIsEditing(true); }} className="text-sm text-blue-600 hover:underline">
+        {t(hasGoal(goal) ? 'goals.edit' : 'goals.set', { label })}
+      </button>
+    );
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    const saved = await onSave(parseGoal(draft));
+    setSaving(false);
+    if (saved) setIsEditing(false);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex flex-wrap items-center gap-2 text-sm">
+      <label htmlFor={`${id}-premium`} className="text-gray-600">{t('goals.premium')}</label>
+      <input id={`${id}-premium`} type="number" min="0" step="0.01" value={draft.premium} onChange={(e) => setDraft({ ...draft, premium: e.target.value })} className="w-28 p-1 border border-gray-300 rounded-md" />
+      <label htmlFor={`${id}-recruits`} className="text-gray-600">{t('goals.recruits')}</label>
+      <input id={`${id}-recruits`} type="number" min="0" step="1" value={draft.recruits} onChange={(e) => setDraft({ ...draft, recruits: e.target.value })} className="w-20 p-1 border border-gray-300 rounded-md" />
+      <button type="submit" disabled={saving} className="px-3 py-1 bg-blue-500 text-white rounded-md shadow-sm hover:bg-blue-600 disabled:opacity-50">
+        {saving ? t('common.saving') : t('common.save')}
+      </button>
+      <button type="button" onClick={() => setIsEditing(false)} className="px-3 py-1 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300">{t('common.cancel')}</button>
+    </form>
+  );
+};
+
+const PaceComparison = ({ metric, format }) => {
+  if (metric.vsSamePoint === null) {
+    return <p className="text-xs text-gray-500">{t('pace.noComparison')}</p>;
+  }
+  const ahead = metric.vsSamePoint >= 0;
+  return (
+    <p className="text-xs text-gray-600">
+      <span className={`font-semibold ${ahead ? 'text-green-700' : 'text-red-600'}`}>
+        {formatPercent(metric.vsSamePoint, { digits: 0, signed: true })}
+      </span> {t('pace.vsSamePoint', { value: format(metric.samePoint) })}
+    </p>
+  );
+};
+
+// Month-end projections for the organization summary, goal progress and projected
+// qualification. `pace` comes from buildOrgPace; `projectedRanks` from projectRank.
+const MonthlyPace = ({ pace, projectedRanks, goal, goalLabel, canEditGoal, onSaveGoal }) => {
+  const { progress, prior } = pace;
+  const monthLabel = formatMonth(pace.date);
+
+  return (
+    <div>
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-3 text-xs text-gray-500">
+        <span>
+          {t('pace.dayOf', { day: Math.floor(progress.elapsedDays), days: progress.daysInMonth, percent: formatPercent(progress.fraction, { digits: 0 }), month: monthLabel })}{' '}
+          {prior.source === 'snapshot'
+            ? t('pace.comparedWith', { date: formatDate(prior.date) })
+            : t('pace.straightLine')}
+        </span>
+        {canEditGoal && <GoalForm key={progress.month} goal={goal} label={t('goals.labelForMonth', { label: goalLabel, month: monthLabel })} onSave={onSaveGoal} />}
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+        {metrics.map(({ key, labelKey, format, bar }) => (
+          <div key={key} className="bg-gray-50 p-3 rounded-lg">
+            <h3 className="text-sm font-medium text-gray-700">{t('pace.projected', { label: t(labelKey) })}</h3>
+            <p className="text-2xl font-bold text-gray-900">{format(pace[key].projected)}</p>
+            <p className="text-xs text-gray-600">{t('summary.vsPMTD', { value: format(pace[key].pmtd) })}</p>
+            <PaceComparison metric={pace[key]} format={format} />
+            <GoalBar value={pace[key].mtd} projected={pace[key].projected} goal={goal[key]} format={format} barClass={bar} />
+          </div>
+        ))}
+        {projectedRanks.map(({ level, result }) => (
+          <div key={level} className={`p-3 rounded-lg ${result.qualified ? 'bg-green-50' : 'bg-yellow-50'}`}>
+            <h3 className="text-sm font-medium text-gray-700">{t('pace.rankAtMonthEnd', { rank: getLevelTitle(level) })}</h3>
+            <p className={`text-lg font-bold ${result.qualified ? 'text-green-800' : 'text-yellow-800'}`}>{result.qualified ? t('pace.onPace') : t('pace.offPace')}</p>
+            <p className="text-xs text-gray-600">
+              {t('pace.projectedPremium', { current: formatCurrency(result.totalCountablePremium), target: formatCurrency(result.threshold) })}
+              {!result.qualified && <span className="text-red-600"> ({result.needed > 0 ? t('pace.short', { value: formatCurrency(result.needed) }) : t('pace.minimumNotMet')})</span>}
+            </p>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// One associate's goals for the month, measured against their Org MTD figures.
+export const AssociateGoals = ({ associate, date, progress, goal, canEditGoal, onSaveGoal }) => {
+  if (!hasGoal(goal) && !canEditGoal) return null;
+  return (
+    <div className="bg-gray-50 p-4 rounded-lg">
+      <h4 className="text-lg font-medium text-gray-700">{t('goals.monthGoals', { month: formatMonth(date) })}</h4>
+      {metrics.map(({ key, labelKey, field, format, bar }) => {
+        const value = associate[field] || 0;
+        return goal[key] > 0 && (
+          <div key={key} className="mt-2">
+            <p className="text-sm text-gray-800"><span className="font-semibold">{t(labelKey)}:</span> {t('goals.valueProjected', { value: format(value), projected: format(projectMonthEnd(value, progress)) })}</p>
+            <GoalBar value={value} projected={projectMonthEnd(value, progress)} goal={goal[key]} format={format} barClass={bar} />
+          </div>
+        );
+      })}
+      {!hasGoal(goal) && <p className="text-sm text-gray-500">{t('goals.none')}</p>}
+      {canEditGoal && <div className="mt-3"><GoalForm key={`${progress.month}:${associate['Associate ID']}`} goal={goal} label={t('goals.goals')} onSave={onSaveGoal} /></div>}
+    </div>
+  );
+};
+
+export default MonthlyPace;
@@ -0,0 +1,101 @@
+import React, { useMemo, useState } from 'react';
+import { getNotificationDate, isUnread } from '../lib/notifications';
+import { toDate } from '../lib/snapshots';
+import { formatDateTime } from '../lib/format';
+import { t } from '../lib/i18n';
+
+// Notifications grouped by the upload that raised them, newest upload first.
+const groupByUpload = (notifications) => {
+  const groups = new Map();
+  notifications.forEach(notification => {
+    if (!groups.has(notification.snapshotId)) {
+      groups.set(notification.snapshotId, { snapshotId: notification.snapshotId, snapshotDate: toDate(notification.snapshotDate), items: [] });
+    }
+    groups.get(notification.snapshotId).items.push(notification);
+  });
+  return [...groups.values()];
+};
+
+// The signed-in user's alert history. Opening an alert marks it read and shows its associate.
+// `onSendDigest` is only given when the team has a webhook; `onEditRules` only to owners.
+const NotificationCenter = ({ notifications, onMarkRead, onOpen, onDownloadDigest, onSendDigest, onEditRules, onClose }) => {
+  const [showUnreadOnly, setShowUnreadOnly] = useState(false);
+  const [sending, setSending] = useState(null);
+
+  const unreadIds = notifications.filter(isUnread).map(n => n.id);
+  const groups = useMemo(
+    () => groupByUpload(showUnreadOnly ? notifications.filter(isUnread) : notifications),
+    [notifications, showUnreadOnly],
+  );
+
+  const handleSend = async (group) => {
+    setSending(group.snapshotId);
+    try {
+      await onSendDigest(group);
+    } finally {
+      setSending(null);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 p-4">
+      <div className="bg-white p-6 rounded-lg shadow-xl max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-start mb-2">
+          <h3 className="text-lg font-bold text-gray-800">{t('alerts.center.title', { count: unreadIds.length })}</h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-800 text-xl leading-none" aria-label={t('common.close')}>×</button>
+        </div>
+        <div className="flex flex-wrap items-center gap-4 text-sm mb-4">
+          <label className="flex items-center gap-1 text-gray-700">
+            <input type="checkbox" checked={showUnreadOnly} onChange={(e) => setShowUnreadOnly(e.target.checked)} />
+            {t('alerts.center.unreadOnly')}
+          </label>
+          {unreadIds.length > 0 && (
+            <button onClick={() => onMarkRead(unreadIds)} className="text-blue-600 hover:underline">{t('alerts.center.markAllRead')}</button>
+          )}
+          {onEditRules && <button onClick={onEditRules} className="ml-auto text-blue-600 hover:underline">{t('alerts.center.editRules')}</button>}
+        </div>
+
+        {groups.length === 0 ? (
+          <p className="text-center text-gray-500 py-4">
+            {notifications.length === 0 ? t('alerts.center.empty') : t('alerts.center.nothingUnread')}
+          </p>
+        ) : (
+          <div className="space-y-4">
+            {groups.map(group => (
+              <section key={group.snapshotId} className="border rounded-lg">
+                <div className="flex flex-wrap items-center gap-3 px-3 py-2 bg-gray-100 text-sm">
+                  <span className="font-semibold text-gray-800">{t('alerts.center.uploadOf', { date: group.snapshotDate ? formatDateTime(group.snapshotDate) : t('common.notAvailable') })}</span>
+                  <span className="text-gray-500">{t('alerts.center.alertCount', { count: group.items.length })}</span>
+                  <span className="ml-auto flex gap-3">
+                    <button onClick={() => onDownloadDigest(group)} className="text-blue-600 hover:underline">{t('alerts.center.downloadDigest')}</button>
+                    {onSendDigest && (
+                      <button onClick={() => handleSend(group)} disabled={sending === group.snapshotId} className="text-blue-600 hover:underline disabled:opacity-50">
+                        {sending === group.snapshotId ? t('alerts.center.sending') : t('alerts.center.sendDigest')}
+                      </button>
+                    )}
+                  </span>
+                </div>
+                <ul className="divide-y text-sm">
+                  {group.items.map(notification => (
+                    <li key={notification.id} className={`px-3 py-2 flex items-start gap-3 ${isUnread(notification) ? 'bg-blue-50' : ''}`}>
+                      <button onClick={() => onOpen(notification)} className="flex-1 text-left">
+                        <span className="block text-xs font-semibold text-gray-500">{notification.ruleName}</span>
+                        <span className={isUnread(notification) ? 'font-medium text-gray-900' : 'text-gray-700'}>{notification.message}</span>
+                      </button>
+                      <span className="text-xs text-gray-500 whitespace-nowrap">{formatDateTime(getNotificationDate(notification))}</span>
+                      {isUnread(notification) && (
+                        <button onClick={() => onMarkRead([notification.id])} className="text-xs text-blue-600 hover:underline whitespace-nowrap">{t('alerts.center.markRead')}</button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default NotificationCenter;
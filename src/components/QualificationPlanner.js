@@ -0,0 +1,157 @@
+import React, { useMemo, useState } from 'react';
+import { getLevelTitle } from '../lib/associates';
+import { RANK_LEVELS, isRuleConfigured } from '../lib/qualification';
+import { PERSONAL, applyHypotheticals, planQualification } from '../lib/planner';
+import { formatCurrency, formatNumber } from '../lib/format';
+import { t } from '../lib/i18n';
+
+const HypotheticalInput = ({ actual, value, onChange }) => (
+  <input
+    type="number"
+    min="0"
+    step="0.01"
+    value={value ?? ''}
+    placeholder={actual.toFixed(2)}
+    onChange={(e) => onChange(e.target.value)}
+    className={`w-28 p-1 border rounded-md text-right focus:outline-none focus:ring-2 focus:ring-blue-500 ${value !== undefined ? 'border-blue-400 bg-blue-50' : 'border-gray-300'}`}
+  />
+);
+
+// Per-leg breakdown of countable vs capped premium for a rank rule, with suggested
+// increases and editable what-if values that recompute qualification live.
+const QualificationPlanner = ({ associate, legs, rules }) => {
+  const configuredLevels = RANK_LEVELS.filter(level => isRuleConfigured(rules[level]));
+  const [level, setLevel] = useState(() => configuredLevels.find(l => l > (Number(associate.Level) || 0)) || configuredLevels[0]);
+  const [overrides, setOverrides] = useState({});
+
+  const rule = rules[level];
+  const plan = useMemo(() => {
+    if (!isRuleConfigured(rule)) return null;
+    const numericOverrides = Object.fromEntries(Object.entries(overrides).map(([key, value]) => [key, Number(value) || 0]));
+    const hypothetical = applyHypotheticals(associate, legs, numericOverrides);
+    return planQualification(rule, hypothetical.associate, hypothetical.legs);
+  }, [rule, associate, legs, overrides]);
+
+  if (!plan) return <p className="text-sm text-gray-500">{t('planner.noRules')}</p>;
+
+  const { evaluation, legBreakdown, suggestions, unreachable } = plan;
+  const hasOverrides = Object.keys(overrides).length > 0;
+  const legName = (key) => (key === PERSONAL ? t('planner.personal') : legs.find(leg => leg['Associate ID'] === key)?.Name || key);
+
+  const setOverride = (key, value) => setOverrides(current => {
+    const next = { ...current };
+    if (value === '') delete next[key]; else next[key] = value;
+    return next;
+  });
+
+  // Loads a suggestion into the what-if inputs so its effect can be checked and tweaked.
+  const applySuggestion = (increases) => setOverrides(current => {
+    const next = { ...current };
+    increases.forEach(({ key, amount }) => {
+      const base = key === PERSONAL ? evaluation.personalPremium : legBreakdown.find(leg => leg.associate['Associate ID'] === key).premium;
+      next[key] = (base + amount).toFixed(2);
+    });
+    return next;
+  });
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+        <label className="text-sm text-gray-700">
+          {t('planner.targetRank')}
+          <select
+            value={level}
+            onChange={(e) => setLevel(Number(e.target.value))}
+            className="ml-2 p-1.5 border border-gray-300 rounded-lg text-sm"
+          >
+            {configuredLevels.map(l => <option key={l} value={l}>{getLevelTitle(l)}</option>)}
+          </select>
+        </label>
+        <div className={`px-3 py-1 rounded-lg text-sm font-semibold ${evaluation.qualified ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'}`}>
+          {formatCurrency(evaluation.totalCountablePremium)} / {formatCurrency(evaluation.threshold)} — {evaluation.qualified ? t('summary.qualified') : t('summary.notQualified')}
+          {hasOverrides && ` ${t('planner.whatIfTag')}`}
+        </div>
+      </div>
+
+      <div className="overflow-x-auto border rounded-lg mb-3">
+        <table className="w-full text-sm text-left">
+          <thead className="bg-gray-100 text-xs text-gray-600">
+            <tr>
+              <th className="px-3 py-2">{t('planner.columns.source')}</th>
+              <th className="px-3 py-2 text-right">{t('fields.premiumMTD')}</th>
+              <th className="px-3 py-2 text-right">{t('planner.columns.whatIf')}</th>
+              <th className="px-3 py-2 text-right">{t('planner.columns.countable')}</th>
+              <th className="px-3 py-2 text-right">{t('planner.columns.cappedOff')}</th>
+              <th className="px-3 py-2">{t('planner.columns.room')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr className="border-t bg-blue-50/40">
+              <td className="px-3 py-1.5 font-medium text-gray-800">{t('planner.personalRow', { name: associate.Name })}</td>
+              <td className="px-3 py-1.5 text-right">{formatCurrency(associate['Personal Premium MTD'])}</td>
+              <td className="px-3 py-1.5 text-right"><HypotheticalInput actual={associate['Personal Premium MTD'] || 0} value={overrides[PERSONAL]} onChange={(v) => setOverride(PERSONAL, v)} /></td>
+              <td className="px-3 py-1.5 text-right">{formatCurrency(evaluation.personalPremium)}</td>
+              <td className="px-3 py-1.5 text-right text-gray-400">—</td>
+              <td className="px-3 py-1.5 text-xs text-gray-500">{t('planner.uncapped')}{rule.personalMin > 0 && ` · ${t('planner.min', { value: formatCurrency(rule.personalMin) })}`}</td>
+            </tr>
+            {legBreakdown.map(leg => {
+              const id = leg.associate['Associate ID'];
+              const original = legs.find(l => l['Associate ID'] === id);
+              return (
+                <tr key={id} className="border-t">
+                  <td className="px-3 py-1.5 text-gray-800">{leg.associate.Name}</td>
+                  <td className="px-3 py-1.5 text-right">{formatCurrency(original['Org Premium MTD'])}</td>
+                  <td className="px-3 py-1.5 text-right"><HypotheticalInput actual={original['Org Premium MTD'] || 0} value={overrides[id]} onChange={(v) => setOverride(id, v)} /></td>
+                  <td className="px-3 py-1.5 text-right">{formatCurrency(leg.countable)}</td>
+                  <td className={`px-3 py-1.5 text-right ${leg.capped > 0 ? 'text-red-600' : 'text-gray-400'}`}>{formatCurrency(leg.capped)}</td>
+                  <td className="px-3 py-1.5 text-xs">
+                    {leg.maxed
+                      ? <span className="font-semibold text-green-700">{t('planner.maxed')}</span>
+                      : leg.headroom === Infinity ? <span className="text-gray-500">{t('planner.uncapped')}</span> : <span className="text-blue-700">{t('planner.room', { value: formatCurrency(leg.headroom) })}</span>}
+                  </td>
+                </tr>
+              );
+            })}
+            {legBreakdown.length === 0 && (
+              <tr className="border-t"><td colSpan={6} className="px-3 py-3 text-center text-gray-500">{t('planner.noLegs')}</td></tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {rule.minLegs > 0 && (
+        <p className={`text-xs mb-2 ${evaluation.legsMet ? 'text-green-700' : 'text-red-600'}`}>
+          {t('planner.requiredLegs', { current: formatNumber(evaluation.qualifyingLegs), required: formatNumber(rule.minLegs) })}
+        </p>
+      )}
+
+      {unreachable && <p className="text-xs text-red-600 mb-2">{t('planner.unreachable')}</p>}
+
+      {suggestions.length > 0 && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          {suggestions.map(suggestion => (
+            <div key={suggestion.label} className="p-3 border rounded-lg bg-gray-50">
+              <div className="flex justify-between items-center mb-1">
+                <h4 className="text-sm font-semibold text-gray-700">
+                  {suggestion.label} <span className="font-normal text-gray-500">{t('planner.changes', { count: suggestion.increases.length })}</span>
+                </h4>
+                <button onClick={() => applySuggestion(suggestion.increases)} className="text-xs text-blue-600 hover:underline">{t('planner.tryIt')}</button>
+              </div>
+              <ul className="text-xs text-gray-700 space-y-0.5">
+                {suggestion.increases.map(({ key, amount }) => (
+                  <li key={key}>{key === PERSONAL ? t('planner.increasePersonal', { value: formatCurrency(amount) }) : t('planner.increaseLeg', { value: formatCurrency(amount), name: legName(key) })}</li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {hasOverrides && (
+        <button onClick={() => setOverrides({})} className="mt-3 text-sm text-gray-600 hover:underline">{t('planner.clearWhatIf')}</button>
+      )}
+    </div>
+  );
+};
+
+export default QualificationPlanner;
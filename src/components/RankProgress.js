@@ -0,0 +1,55 @@
+import React from 'react';
+import { getLevelTitle } from '../lib/associates';
+import { formatCurrency, formatNumber, formatPercent } from '../lib/format';
+import { t } from '../lib/i18n';
+
+const Requirement = ({ met, children }) => (
+  <li className={met ? 'text-green-700' : 'text-red-600'}>{met ? '✓' : '✗'} {children}</li>
+);
+
+// Progress cards for the next ranks above an associate, as produced by evaluateNextRanks.
+const RankProgress = ({ evaluations }) => {
+  if (evaluations.length === 0) {
+    return <p className="text-sm text-gray-500">{t('rankProgress.topRank')}</p>;
+  }
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      {evaluations.map(({ level, configured, result }) => (
+        <div key={level} className={`p-3 rounded-lg ${!configured ? 'bg-gray-50' : result.qualified ? 'bg-green-100' : 'bg-yellow-100'}`}>
+          <div className="flex justify-between items-baseline">
+            <h4 className="text-sm font-medium text-gray-700">{getLevelTitle(level)}</h4>
+            {configured && (
+              <span className={`text-xs font-bold ${result.qualified ? 'text-green-800' : 'text-yellow-800'}`}>
+                {result.qualified ? t('rankProgress.qualified') : formatPercent(result.progress, { digits: 0 })}
+              </span>
+            )}
+          </div>
+          {configured ? (
+            <>
+              <div className="mt-2 h-2 bg-white rounded-full overflow-hidden">
+                <div className={`h-full ${result.qualified ? 'bg-green-500' : 'bg-yellow-500'}`} style={{ width: `${result.progress * 100}%` }} />
+              </div>
+              <ul className="mt-2 text-xs space-y-0.5">
+                <Requirement met={result.totalCountablePremium >= result.threshold}>
+                  {t('rankProgress.countablePremium', { current: formatCurrency(result.totalCountablePremium), target: formatCurrency(result.threshold) })}
+                  {result.legCap > 0 && ` ${t('rankProgress.legsCapped', { cap: formatCurrency(result.legCap) })}`}
+                </Requirement>
+                {result.personalMin > 0 && (
+                  <Requirement met={result.personalMet}>{t('rankProgress.personalPremium', { current: formatCurrency(result.personalPremium), target: formatCurrency(result.personalMin) })}</Requirement>
+                )}
+                {result.minLegs > 0 && (
+                  <Requirement met={result.legsMet}>{t('rankProgress.qualifyingLegs', { current: formatNumber(result.qualifyingLegs), target: formatNumber(result.minLegs) })}</Requirement>
+                )}
+              </ul>
+            </>
+          ) : (
+            <p className="mt-1 text-xs text-gray-500">{t('rankProgress.noRule')}</p>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default RankProgress;
@@ -0,0 +1,24 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import RankProgress from './RankProgress';
+import { buildQualificationStatus } from '../lib/metrics';
+import { normalizeRankRules } from '../lib/qualification';
+import { importFixture } from '../lib/__fixtures__';
+
+test('shows qualification and remaining progress for the next ranks', () => {
+  const { report } = importFixture('org-report.csv');
+  const { nextRanks } = buildQualificationStatus(report.rows, normalizeRankRules());
+  render(<RankProgress evaluations={nextRanks} />);
+
+  expect(screen.getByText('Senior Director')).toBeInTheDocument();
+  expect(screen.getByText('QUALIFIED')).toBeInTheDocument();
+  expect(screen.getByText('82%')).toBeInTheDocument();
+  expect(screen.getByText(/\$1,150\.00 \/ \$1,400\.00 countable premium/)).toBeInTheDocument();
+});
+
+test('explains ranks without a rule and the top rank', () => {
+  const { rerender } = render(<RankProgress evaluations={[{ level: 3, configured: false, result: null }]} />);
+  expect(screen.getByText('No qualification rule configured for this rank.')).toBeInTheDocument();
+  rerender(<RankProgress evaluations={[]} />);
+  expect(screen.getByText('Already at the top rank.')).toBeInTheDocument();
+});
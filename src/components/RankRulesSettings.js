@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import { getLevelTitle } from '../lib/associates';
+import { DEFAULT_RANK_RULES, RANK_LEVELS, normalizeRankRules } from '../lib/qualification';
+import { t } from '../lib/i18n';
+
+// Headings and hints are under rankRules.fields in src/locales.
+const ruleFields = [
+  { key: 'threshold', hasHint: true },
+  { key: 'legCap', hasHint: true },
+  { key: 'minLegs' },
+  { key: 'personalMin' },
+];
+
+const toDraft = (rules) => Object.fromEntries(RANK_LEVELS.map(level => [
+  level,
+  Object.fromEntries(ruleFields.map(({ key }) => [key, rules[level][key] === null ? '' : String(rules[level][key])])),
+]));
+
+// Settings screen for the per-rank qualification rules. Edits are kept as strings until saved.
+const RankRulesSettings = ({ rules, onSave, onClose }) => {
+  const [draft, setDraft] = useState(() => toDraft(rules));
+  const [saving, setSaving] = useState(false);
+
+  const updateField = (level, key, value) => setDraft(current => ({
+    ...current,
+    [level]: { ...current[level], [key]: value },
+  }));
+
+  const handleSave = async () => {
+    setSaving(true);
+    const parsed = Object.fromEntries(RANK_LEVELS.map(level => [level, {
+      ...draft[level],
+      threshold: draft[level].threshold === '' ? null : draft[level].threshold,
+    }]));
+    try {
+      await onSave(normalizeRankRules(parsed));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 p-4">
+      <div className="bg-white p-6 rounded-lg shadow-xl max-w-4xl w-full max-h-[90vh] flex flex-col">
+        <h3 className="text-lg font-bold text-gray-800 mb-1">{t('rankRules.title')}</h3>
+        <p className="text-xs text-gray-600 mb-4">
+          {t('rankRules.intro')}
+        </p>
+        <div className="overflow-auto flex-1 border rounded-lg">
+          <table className="w-full text-sm text-left">
+            <thead className="sticky top-0 bg-gray-100 text-xs text-gray-600">
+              <tr>
+                <th className="px-3 py-2">{t('fields.rank')}</th>
+                {ruleFields.map(field => (
+                  <th key={field.key} className="px-3 py-2">
+                    {t(`rankRules.fields.${field.key}`)}
+                    {field.hasHint && <span className="block font-normal text-gray-400">{t(`rankRules.hints.${field.key}`)}</span>}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {RANK_LEVELS.map(level => (
+                <tr key={level} className="border-t">
+                  <td className="px-3 py-1.5 font-medium text-gray-800 whitespace-nowrap">{getLevelTitle(level)}</td>
+                  {ruleFields.map(field => (
+                    <td key={field.key} className="px-3 py-1.5">
+                      <input
+                        type="number"
+                        min="0"
+                        step={field.key === 'minLegs' ? 1 : 0.01}
+                        value={draft[level][field.key]}
+                        onChange={(e) => updateField(level, field.key, e.target.value)}
+                        className="w-28 p-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className="flex flex-wrap justify-between gap-4 mt-4">
+          <button onClick={() => setDraft(toDraft(DEFAULT_RANK_RULES))} className="text-sm text-gray-600 hover:underline">
+            {t('rankRules.reset')}
+          </button>
+          <div className="flex gap-4">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-300 text-gray-800 rounded-lg shadow hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-400 focus:ring-offset-2"
+            >
+              {t('common.cancel')}
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="px-4 py-2 bg-blue-500 text-white rounded-lg shadow hover:bg-blue-600 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50"
+            >
+              {saving ? t('common.saving') : t('rankRules.save')}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RankRulesSettings;
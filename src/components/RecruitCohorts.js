@@ -0,0 +1,206 @@
+import React, { useMemo, useState } from 'react';
+import { ResponsiveContainer, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend } from 'recharts';
+import { COHORT_GROUPINGS, COHORT_METRICS, buildCohorts, buildRecruiterBreakdown, cohortRate } from '../lib/cohorts';
+import { hasSnapshotRows } from '../lib/snapshots';
+import { formatNumber, formatPercent } from '../lib/format';
+import { t } from '../lib/i18n';
+
+// The chart follows the most recent recruit cohorts; older ones stay in the table.
+const CHART_COHORTS = 6;
+const CHART_COLORS = ['#4f46e5', '#db2777', '#059669', '#d97706', '#0891b2', '#7c3aed'];
+
+// Darker cells for higher shares, so the table reads as a heat map.
+const RATE_CLASSES = ['bg-white', 'bg-blue-50', 'bg-blue-100', 'bg-blue-200', 'bg-blue-300', 'bg-blue-400'];
+const rateClass = (rate) => (rate === null ? 'bg-white' : RATE_CLASSES[Math.min(RATE_CLASSES.length - 1, Math.ceil(rate * (RATE_CLASSES.length - 1)))]);
+
+const RECRUITER_COLUMNS = ['recruits', 'present', 'active', 'produced', 'advanced'];
+
+// Retention of recruits grouped by the period they first appeared in, with a breakdown by
+// sponsor when the report has a Sponsor ID column. Cohorts need every upload's rows, which
+// `onLoadSnapshots(ids)` fetches once asked; it resolves when the loads settle, and if any
+// failed the button comes back to try again.
+const RecruitCohorts = ({ snapshots, onLoadSnapshots, onOpenAssociate }) => {
+  const [groupBy, setGroupBy] = useState('month');
+  const [metric, setMetric] = useState('present');
+  const [recruiterCohortId, setRecruiterCohortId] = useState('');
+  const [requested, setRequested] = useState(false);
+
+  const isComplete = snapshots.every(hasSnapshotRows);
+  const data = useMemo(() => (isComplete ? buildCohorts(snapshots, groupBy) : null), [snapshots, groupBy, isComplete]);
+  const recruiters = useMemo(
+    () => (data?.hasSponsors ? buildRecruiterBreakdown(data, recruiterCohortId ? [recruiterCohortId] : []) : []),
+    [data, recruiterCohortId],
+  );
+
+  const periodLabel = (offset) => t(`cohorts.offsets.${groupBy}`, { count: offset });
+
+  const handleLoadHistory = () => {
+    setRequested(true);
+    onLoadSnapshots(snapshots.map(s => s.id)).finally(() => setRequested(false));
+  };
+
+  if (!isComplete) {
+    return (
+      <div className="text-center text-gray-500 py-4">
+        {requested ? (
+          <p>{t('cohorts.loading')}</p>
+        ) : (
+          <>
+            <p className="mb-2">{t('cohorts.needHistory', { count: snapshots.length })}</p>
+            <button
+              onClick={handleLoadHistory}
+              className="px-3 py-1.5 bg-blue-500 text-white text-sm rounded-md shadow-sm hover:bg-blue-600"
+            >
+              {t('cohorts.loadHistory')}
+            </button>
+          </>
+        )}
+      </div>
+    );
+  }
+
+  if (data.periods.length < 2) {
+    return <p className="text-center text-gray-500 py-4">{t('cohorts.needTwo')}</p>;
+  }
+
+  const maxOffset = data.periods.length - 1;
+  // One chart point per period since joining, with each recent cohort's share as a percentage.
+  const chartCohorts = data.cohorts.filter(c => !c.baseline && c.size > 0).slice(-CHART_COHORTS);
+  const chartData = Array.from({ length: Math.max(0, ...chartCohorts.map(c => c.periods.length)) }, (_, offset) => ({
+    label: periodLabel(offset),
+    ...Object.fromEntries(chartCohorts
+      .filter(c => c.periods[offset])
+      .map(c => [c.id, cohortRate(c, c.periods[offset][metric]) * 100])),
+  }));
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2 mb-4 text-xs">
+        <div className="flex border border-gray-300 rounded-md overflow-hidden">
+          {COHORT_METRICS.map(key => (
+            <button key={key} onClick={() => setMetric(key)} className={`px-2 py-1 ${metric === key ? 'bg-blue-500 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}>
+              {t(`cohorts.metrics.${key}`)}
+            </button>
+          ))}
+        </div>
+        <div className="ml-auto flex gap-2">
+          {COHORT_GROUPINGS.map(value => (
+            <button
+              key={value}
+              onClick={() => { setGroupBy(value); setRecruiterCohortId(''); }}
+              className={`px-2 py-1 rounded-md ${groupBy === value ? 'bg-blue-500 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+            >
+              {t(`trends.groupBy.${value}`)}
+            </button>
+          ))}
+        </div>
+      </div>
+      <p className="text-xs text-gray-500 mb-2">{t(`cohorts.metricHelp.${metric}`)}</p>
+
+      <div className="overflow-x-auto border rounded-lg mb-4">
+        <table className="w-full text-sm text-left">
+          <thead className="bg-gray-100 text-xs text-gray-600">
+            <tr>
+              <th className="px-3 py-2">{t('cohorts.cohort')}</th>
+              <th className="px-3 py-2 text-right">{t('cohorts.size')}</th>
+              {Array.from({ length: maxOffset + 1 }, (_, offset) => (
+                <th key={offset} className="px-3 py-2 text-right whitespace-nowrap">{periodLabel(offset)}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {data.cohorts.map(cohort => (
+              <tr key={cohort.id} className={`border-t ${cohort.baseline ? 'text-gray-500' : 'text-gray-800'}`}>
+                <td className="px-3 py-1.5 whitespace-nowrap">
+                  {cohort.label}
+                  {cohort.baseline && <span className="block text-xs">{t('cohorts.baseline')}</span>}
+                </td>
+                <td className="px-3 py-1.5 text-right">{formatNumber(cohort.size)}</td>
+                {Array.from({ length: maxOffset + 1 }, (_, offset) => {
+                  const counts = cohort.periods[offset];
+                  if (!counts) return <td key={offset} />;
+                  const rate = cohortRate(cohort, counts[metric]);
+                  return (
+                    <td
+                      key={offset}
+                      title={t('cohorts.cell', { count: formatNumber(counts[metric]), size: formatNumber(cohort.size), period: counts.label })}
+                      className={`px-3 py-1.5 text-right ${rateClass(rate)}`}
+                    >
+                      {rate === null ? '—' : formatPercent(rate, { digits: 0 })}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {chartCohorts.length > 0 && (
+        <div className="h-64 mb-6">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={chartData}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="label" tick={{ fontSize: 11 }} />
+              <YAxis domain={[0, 100]} tick={{ fontSize: 11 }} tickFormatter={value => formatPercent(value / 100, { digits: 0 })} />
+              <Tooltip formatter={value => formatPercent(value / 100, { digits: 0 })} />
+              <Legend />
+              {chartCohorts.map((cohort, i) => (
+                <Line key={cohort.id} type="monotone" dataKey={cohort.id} name={cohort.label} stroke={CHART_COLORS[i % CHART_COLORS.length]} strokeWidth={2} connectNulls={false} />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      {data.hasSponsors && (
+        <div>
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+            <h3 className="text-md font-semibold text-gray-600">{t('cohorts.recruiters.title')}</h3>
+            <select
+              value={recruiterCohortId}
+              onChange={(e) => setRecruiterCohortId(e.target.value)}
+              aria-label={t('cohorts.cohort')}
+              className="p-1 border border-gray-300 rounded-md text-sm"
+            >
+              <option value="">{t('cohorts.recruiters.allCohorts')}</option>
+              {data.cohorts.filter(c => !c.baseline).map(c => <option key={c.id} value={c.id}>{c.label}</option>)}
+            </select>
+          </div>
+          <p className="text-xs text-gray-500 mb-2">{t('cohorts.recruiters.help')}</p>
+          {recruiters.length > 0 ? (
+            <div className="max-h-80 overflow-y-auto border rounded-lg">
+              <table className="w-full text-sm text-left">
+                <thead className="sticky top-0 bg-gray-100 text-xs text-gray-600">
+                  <tr>
+                    <th className="px-3 py-2">{t('cohorts.recruiters.recruiter')}</th>
+                    {RECRUITER_COLUMNS.map(key => <th key={key} className="px-3 py-2 text-right">{t(`cohorts.recruiters.columns.${key}`)}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {recruiters.map(entry => (
+                    <tr key={entry.sponsorId} className="border-t">
+                      <td className="px-3 py-1.5">
+                        <button onClick={() => onOpenAssociate(entry.sponsorId)} className="text-blue-600 hover:underline text-left">{entry.name}</button>
+                      </td>
+                      {RECRUITER_COLUMNS.map(key => (
+                        <td key={key} className="px-3 py-1.5 text-right text-gray-800">
+                          {formatNumber(entry[key])}
+                          {key !== 'recruits' && <span className="ml-1 text-xs text-gray-500">({formatPercent(entry[key] / entry.recruits, { digits: 0 })})</span>}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p className="text-center text-gray-500 py-4 border rounded-lg bg-gray-50">{t('cohorts.recruiters.none')}</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecruitCohorts;
@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import { t } from '../lib/i18n';
+
+// Named filter/sort presets stored with the user. Applying one replaces the
+// current view; saving stores the current one under a new name.
+const SavedViews = ({ views, onApply, onSave, onDelete }) => {
+  const [selectedId, setSelectedId] = useState('');
+  const [naming, setNaming] = useState(false);
+  const [name, setName] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleSelect = (id) => {
+    setSelectedId(id);
+    const view = views.find(v => v.id === id);
+    if (view) onApply(view);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    const id = await onSave(name.trim());
+    setSaving(false);
+    if (id) {
+      setSelectedId(id);
+      setNaming(false);
+      setName('');
+    }
+  };
+
+  const handleDelete = async () => {
+    await onDelete(selectedId);
+    setSelectedId('');
+  };
+
+  return (
+    <div className="mb-3 text-sm">
+      <div className="flex items-center gap-2">
+        <select value={views.some(v => v.id === selectedId) ? selectedId : ''} onChange={(e) => handleSelect(e.target.value)} className="flex-1 min-w-0 p-1.5 border border-gray-300 rounded-md text-sm">
+          <option value="">{t('views.placeholder')}</option>
+          {views.map(view => <option key={view.id} value={view.id}>{view.name}</option>)}
+        </select>
+        {selectedId && views.some(v => v.id === selectedId) && (
+          <button onClick={handleDelete} className="text-xs text-red-600 hover:underline">{t('views.delete')}</button>
+        )}
+        {!naming && <button onClick={() => setNaming(true)} className="text-xs text-blue-600 hover:underline whitespace-nowrap">{t('views.save')}</button>}
+      </div>
+      {naming && (
+        <form onSubmit={handleSave} className="mt-2 flex gap-2">
+          <input
+            required
+            autoFocus
+            placeholder={t('views.namePlaceholder')}
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            className="flex-1 min-w-0 p-1.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-1 focus:ring-blue-500"
+          />
+          <button type="submit" disabled={saving} className="px-3 py-1 bg-blue-500 text-white rounded-md shadow-sm hover:bg-blue-600 disabled:opacity-50">{t('common.save')}</button>
+          <button type="button" onClick={() => { setNaming(false); setName(''); }} className="px-3 py-1 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400">{t('common.cancel')}</button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default SavedViews;
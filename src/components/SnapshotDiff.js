@@ -0,0 +1,184 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { formatSnapshotDate, getSnapshotRows, hasSnapshotRows } from '../lib/snapshots';
+import { diffSnapshots, hasChanges } from '../lib/snapshotDiff';
+import { getLevelTitle, getStatusLabel } from '../lib/associates';
+import { formatCurrency, formatNumber } from '../lib/format';
+import { t } from '../lib/i18n';
+
+// Headings are under diff.columns in src/locales.
+const columns = [
+  { key: 'name' },
+  { key: 'change' },
+  { key: 'status' },
+  { key: 'level' },
+  { key: 'premiumDelta', numeric: true },
+  { key: 'recruitsDelta', numeric: true },
+  { key: 'orgPremiumDelta', numeric: true },
+];
+
+const sortValue = (entry, key) => {
+  switch (key) {
+    case 'status': return entry.statusChanged ? 1 : 0;
+    case 'level': return (entry.levelTo ?? 0) - (entry.levelFrom ?? entry.levelTo ?? 0);
+    case 'change': return entry.change;
+    case 'name': return entry.name.toLowerCase();
+    default: return entry[key];
+  }
+};
+
+const formatDelta = (value, isCurrency) => {
+  if (value === 0) return <span className="text-gray-400">0</span>;
+  const text = isCurrency ? formatCurrency(Math.abs(value)) : formatNumber(Math.abs(value));
+  return <span className={value > 0 ? 'text-green-600' : 'text-red-600'}>{value > 0 ? '+' : '−'}{text}</span>;
+};
+
+const SummaryStat = ({ label, value, className }) => (
+  <div className="bg-gray-50 p-2 rounded-lg text-center">
+    <p className={`text-2xl font-bold ${className}`}>{value}</p>
+    <p className="text-xs text-gray-500">{label}</p>
+  </div>
+);
+
+// Compares any two stored snapshots keyed on Associate ID. `onLoadSnapshots(ids)`
+// asks for the rows of picked snapshots that haven't been loaded yet.
+const SnapshotDiff = ({ snapshots, onSelectAssociate, onLoadSnapshots }) => {
+  // Until the user picks, compare the two newest uploads so a fresh upload is diffed automatically.
+  const [fromId, setFromId] = useState(null);
+  const [toId, setToId] = useState(null);
+  const [sort, setSort] = useState({ key: 'change', direction: 'asc' });
+  const [showUnchanged, setShowUnchanged] = useState(false);
+
+  const fromSnapshot = snapshots.find(s => s.id === fromId) || snapshots[1];
+  const toSnapshot = snapshots.find(s => s.id === toId) || snapshots[0];
+
+  const isLoading = !hasSnapshotRows(fromSnapshot) || !hasSnapshotRows(toSnapshot);
+
+  useEffect(() => {
+    if (onLoadSnapshots && fromSnapshot && toSnapshot) onLoadSnapshots([fromSnapshot.id, toSnapshot.id]);
+  }, [onLoadSnapshots, fromSnapshot, toSnapshot]);
+
+  const diff = useMemo(() => {
+    if (!fromSnapshot || !toSnapshot || fromSnapshot === toSnapshot || isLoading) return null;
+    return diffSnapshots(getSnapshotRows(fromSnapshot), getSnapshotRows(toSnapshot));
+  }, [fromSnapshot, toSnapshot, isLoading]);
+
+  const rows = useMemo(() => {
+    if (!diff) return [];
+    const visible = showUnchanged ? diff.entries : diff.entries.filter(hasChanges);
+    const direction = sort.direction === 'asc' ? 1 : -1;
+    return [...visible].sort((a, b) => {
+      const av = sortValue(a, sort.key), bv = sortValue(b, sort.key);
+      if (av < bv) return -direction;
+      if (av > bv) return direction;
+      return a.name.localeCompare(b.name);
+    });
+  }, [diff, sort, showUnchanged]);
+
+  if (snapshots.length < 2) {
+    return <p className="text-center text-gray-500 py-4">{t('diff.needTwo')}</p>;
+  }
+
+  const toggleSort = (key) => setSort(current => ({
+    key,
+    direction: current.key === key && current.direction === 'asc' ? 'desc' : 'asc',
+  }));
+
+  const snapshotSelect = (value, onChange, label) => (
+    <label className="flex flex-col text-xs font-semibold text-gray-600">
+      {label}
+      <select
+        value={value?.id || ''}
+        onChange={(e) => onChange(e.target.value)}
+        className="mt-1 p-2 border border-gray-300 rounded-lg text-sm font-normal text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500"
+      >
+        {snapshots.map(s => (
+          <option key={s.id} value={s.id}>{formatSnapshotDate(s)}{s.originalFileName ? ` — ${s.originalFileName}` : ''}</option>
+        ))}
+      </select>
+    </label>
+  );
+
+  return (
+    <div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+        {snapshotSelect(fromSnapshot, setFromId, t('diff.from'))}
+        {snapshotSelect(toSnapshot, setToId, t('diff.to'))}
+      </div>
+
+      {!diff ? (
+        <p className="text-center text-gray-500 py-4">{fromSnapshot !== toSnapshot && isLoading ? t('diff.loading') : t('diff.pickTwo')}</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-7 gap-2 mb-3">
+            <SummaryStat label={t('diff.summary.joined')} value={formatNumber(diff.summary.joined)} className="text-green-600" />
+            <SummaryStat label={t('diff.summary.left')} value={formatNumber(diff.summary.left)} className="text-red-600" />
+            <SummaryStat label={t('diff.summary.statusChanges')} value={formatNumber(diff.summary.statusChanges)} className="text-orange-600" />
+            <SummaryStat label={t('diff.summary.promotions')} value={formatNumber(diff.summary.promotions)} className="text-blue-600" />
+            <SummaryStat label={t('diff.summary.demotions')} value={formatNumber(diff.summary.demotions)} className="text-gray-700" />
+            <SummaryStat label={t('diff.columns.premiumDelta')} value={formatDelta(diff.summary.premiumDelta, true)} className="text-lg" />
+            <SummaryStat label={t('diff.columns.recruitsDelta')} value={formatDelta(diff.summary.recruitsDelta)} className="text-lg" />
+          </div>
+          {(diff.summary.matchedByName > 0 || diff.summary.unresolved > 0) && (
+            <p className="mb-3 text-xs text-gray-600">
+              {diff.summary.matchedByName > 0 && `${t('diff.matchedByName', { count: diff.summary.matchedByName })} `}
+              {diff.summary.unresolved > 0 && t('diff.unresolved', { count: diff.summary.unresolved })}
+            </p>
+          )}
+          <label className="flex items-center gap-2 mb-2 text-sm text-gray-600">
+            <input type="checkbox" checked={showUnchanged} onChange={(e) => setShowUnchanged(e.target.checked)} />
+            {t('diff.showUnchanged')}
+          </label>
+          <div className="max-h-96 overflow-auto border rounded-lg">
+            <table className="w-full text-sm text-left">
+              <thead className="sticky top-0 bg-gray-100 text-xs uppercase text-gray-600">
+                <tr>
+                  {columns.map(col => (
+                    <th
+                      key={col.key}
+                      onClick={() => toggleSort(col.key)}
+                      className={`px-3 py-2 cursor-pointer select-none whitespace-nowrap hover:bg-gray-200 ${col.numeric ? 'text-right' : ''}`}
+                    >
+                      {t(`diff.columns.${col.key}`)}{sort.key === col.key && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.length > 0 ? rows.map(entry => (
+                  <tr key={entry.key} className="border-t hover:bg-gray-50">
+                    <td className="px-3 py-2">
+                      <button className="text-left text-gray-800 hover:text-blue-600 hover:underline" onClick={() => onSelectAssociate(entry.id)}>{entry.name}</button>
+                      {entry.matchedBy === 'name' && <span className="ml-1 text-xs text-gray-400" title={t('diff.byNameTitle')}>{t('diff.byName')}</span>}
+                    </td>
+                    <td className="px-3 py-2">
+                      <span className={`text-xs font-semibold ${entry.change === 'joined' ? 'text-green-700' : entry.change === 'left' ? 'text-red-700' : 'text-gray-600'}`}>
+                        {entry.change === 'matched' && !hasChanges(entry) ? t('diff.changes.unchanged') : t(`diff.changes.${entry.change}`)}
+                      </span>
+                    </td>
+                    <td className="px-3 py-2 whitespace-nowrap">
+                      {entry.statusChanged
+                        ? <span className="text-orange-700">{getStatusLabel(entry.statusFrom)} → {getStatusLabel(entry.statusTo)}</span>
+                        : getStatusLabel(entry.statusTo ?? entry.statusFrom)}
+                    </td>
+                    <td className="px-3 py-2 whitespace-nowrap">
+                      {entry.levelChange
+                        ? <span className={entry.levelChange === 'promotion' ? 'text-blue-700' : 'text-red-700'}>{getLevelTitle(entry.levelFrom)} → {getLevelTitle(entry.levelTo)}</span>
+                        : getLevelTitle(entry.levelTo ?? entry.levelFrom)}
+                    </td>
+                    <td className="px-3 py-2 text-right">{formatDelta(entry.premiumDelta, true)}</td>
+                    <td className="px-3 py-2 text-right">{formatDelta(entry.recruitsDelta)}</td>
+                    <td className="px-3 py-2 text-right">{formatDelta(entry.orgPremiumDelta, true)}</td>
+                  </tr>
+                )) : (
+                  <tr><td colSpan={columns.length} className="px-3 py-4 text-center text-gray-500">{t('diff.none')}</td></tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SnapshotDiff;
@@ -0,0 +1,65 @@
+import React from 'react';
+import { formatSnapshotDate, getSnapshotRowCount } from '../lib/snapshots';
+import { formatNumber } from '../lib/format';
+import { t } from '../lib/i18n';
+
+// Lists every stored snapshot (newest first) and lets the user switch the dashboard to any of them.
+// Delete buttons only appear when `onDeleteSnapshot` is passed (owners).
+const SnapshotHistory = ({ snapshots, activeSnapshotId, onSelectSnapshot, onDeleteSnapshot }) => {
+  if (snapshots.length === 0) {
+    return <p className="text-center text-gray-500 py-4">{t('snapshots.empty')}</p>;
+  }
+
+  return (
+    <div className="max-h-72 overflow-y-auto border rounded-lg bg-gray-50">
+      <table className="w-full text-sm text-left">
+        <thead className="sticky top-0 bg-gray-100 text-xs uppercase text-gray-600">
+          <tr>
+            <th className="px-3 py-2">{t('snapshots.uploaded')}</th>
+            <th className="px-3 py-2">{t('snapshots.file')}</th>
+            <th className="px-3 py-2 text-right">{t('snapshots.rowCount')}</th>
+            <th className="px-3 py-2"></th>
+          </tr>
+        </thead>
+        <tbody>
+          {snapshots.map((snapshot, index) => {
+            const isActive = snapshot.id === activeSnapshotId;
+            return (
+              <tr key={snapshot.id} className={`border-t ${isActive ? 'bg-blue-100' : 'hover:bg-gray-100'}`}>
+                <td className="px-3 py-2 whitespace-nowrap text-gray-800">
+                  {formatSnapshotDate(snapshot)}
+                  {index === 0 && <span className="ml-2 text-xs font-semibold text-green-700">{t('snapshots.latest')}</span>}
+                </td>
+                <td className="px-3 py-2 text-gray-600 truncate max-w-[12rem]" title={snapshot.originalFileName}>{snapshot.originalFileName || '—'}</td>
+                <td className="px-3 py-2 text-right text-gray-800">{formatNumber(getSnapshotRowCount(snapshot))}</td>
+                <td className="px-3 py-2 text-right whitespace-nowrap">
+                  {isActive ? (
+                    <span className="text-xs font-semibold text-blue-700">{t('snapshots.viewing')}</span>
+                  ) : (
+                    <button
+                      onClick={() => onSelectSnapshot(snapshot.id)}
+                      className="px-2 py-1 text-xs bg-blue-500 text-white rounded-md shadow-sm hover:bg-blue-600 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      {t('snapshots.view')}
+                    </button>
+                  )}
+                  {onDeleteSnapshot && (
+                    <button
+                      onClick={() => onDeleteSnapshot(snapshot.id)}
+                      className="ml-2 px-2 py-1 text-xs text-red-600 rounded-md hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-red-500"
+                      title={t('snapshots.moveToTrash')}
+                    >
+                      {t('snapshots.delete')}
+                    </button>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default SnapshotHistory;
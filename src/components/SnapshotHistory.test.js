@@ -0,0 +1,64 @@
+import React, { useEffect, useState } from 'react';
+import { act, render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import SnapshotHistory from './SnapshotHistory';
+import { createMemorySnapshotRepository } from '../lib/snapshotRepository';
+import { makeSnapshot } from '../lib/__fixtures__';
+
+// Wires the history list to a repository the way the dashboard does.
+const Harness = ({ repository }) => {
+  const [snapshots, setSnapshots] = useState([]);
+  const [activeId, setActiveId] = useState(null);
+  useEffect(() => repository.subscribe(({ live }) => setSnapshots(live)), [repository]);
+  return (
+    <SnapshotHistory
+      snapshots={snapshots}
+      activeSnapshotId={activeId || snapshots[0]?.id}
+      onSelectSnapshot={setActiveId}
+      onDeleteSnapshot={(id) => repository.trash([id], 'owner')}
+    />
+  );
+};
+
+const setup = () => {
+  const repository = createMemorySnapshotRepository([
+    makeSnapshot('september', new Date(2026, 8, 30), [{}, {}, {}]),
+    makeSnapshot('october', new Date(2026, 9, 15), [{}, {}]),
+  ]);
+  render(<Harness repository={repository} />);
+  return repository;
+};
+
+const rowFor = (fileName) => screen.getAllByRole('row').find(row => within(row).queryByText(fileName));
+
+test('lists snapshots newest first with their row counts', () => {
+  setup();
+  const rows = screen.getAllByRole('row').slice(1);
+  expect(rows.map(row => within(row).getAllByRole('cell')[1].textContent)).toEqual(['october.csv', 'september.csv']);
+  expect(within(rowFor('october.csv')).getByText('Latest')).toBeInTheDocument();
+  expect(within(rowFor('september.csv')).getByText('3')).toBeInTheDocument();
+});
+
+test('switches the viewed snapshot', () => {
+  setup();
+  userEvent.click(within(rowFor('september.csv')).getByRole('button', { name: 'View' }));
+  expect(within(rowFor('september.csv')).getByText('Viewing')).toBeInTheDocument();
+  expect(within(rowFor('october.csv')).getByRole('button', { name: 'View' })).toBeInTheDocument();
+});
+
+test('moves a deleted snapshot out of the list and back on restore', async () => {
+  const repository = setup();
+  userEvent.click(within(rowFor('october.csv')).getByRole('button', { name: 'Delete' }));
+  expect(await screen.findByText('september.csv')).toBeInTheDocument();
+  expect(screen.queryByText('october.csv')).not.toBeInTheDocument();
+
+  await act(() => repository.restore(['october']));
+  expect(screen.getByText('october.csv')).toBeInTheDocument();
+});
+
+test('hides delete buttons for viewers and shows an empty state', () => {
+  const { rerender } = render(<SnapshotHistory snapshots={[makeSnapshot('only', new Date(), [])]} activeSnapshotId="only" onSelectSnapshot={() => {}} />);
+  expect(screen.queryByRole('button', { name: 'Delete' })).not.toBeInTheDocument();
+  rerender(<SnapshotHistory snapshots={[]} onSelectSnapshot={() => {}} />);
+  expect(screen.getByText('No snapshots uploaded yet.')).toBeInTheDocument();
+});
@@ -0,0 +1,62 @@
+import React, { useMemo, useState } from 'react';
+import { ResponsiveContainer, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend } from 'recharts';
+import { buildTrendSeries } from '../lib/snapshots';
+import { formatCompactNumber, formatCurrency, formatNumber } from '../lib/format';
+import { t } from '../lib/i18n';
+
+// Trend charts for Org Premium MTD, Org Recruits MTD and contributor counts across stored snapshots.
+const SnapshotTrends = ({ snapshots }) => {
+  const [groupBy, setGroupBy] = useState('month');
+  const series = useMemo(() => buildTrendSeries(snapshots, groupBy), [snapshots, groupBy]);
+
+  if (series.length < 2) {
+    return <p className="text-center text-gray-500 py-4">{t('trends.needTwo')}</p>;
+  }
+
+  return (
+    <div>
+      <div className="flex justify-end gap-2 mb-2 text-xs">
+        {['month', 'upload'].map(value => (
+          <button
+            key={value}
+            onClick={() => setGroupBy(value)}
+            className={`px-2 py-1 rounded-md ${groupBy === value ? 'bg-blue-500 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+          >
+            {t(`trends.groupBy.${value}`)}
+          </button>
+        ))}
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="h-64">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={series}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="label" tick={{ fontSize: 11 }} />
+              <YAxis yAxisId="premium" tick={{ fontSize: 11 }} tickFormatter={value => formatCurrency(value, { compact: true })} />
+              <YAxis yAxisId="recruits" orientation="right" allowDecimals={false} tick={{ fontSize: 11 }} tickFormatter={formatCompactNumber} />
+              <Tooltip formatter={(value, name, item) => (item.dataKey === 'orgPremiumMTD' ? formatCurrency(value) : formatNumber(value))} />
+              <Legend />
+              <Line yAxisId="premium" type="monotone" dataKey="orgPremiumMTD" name={t('trends.orgPremiumMTD')} stroke="#4f46e5" strokeWidth={2} />
+              <Line yAxisId="recruits" type="monotone" dataKey="orgRecruitsMTD" name={t('trends.orgRecruitsMTD')} stroke="#db2777" strokeWidth={2} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+        <div className="h-64">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={series}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="label" tick={{ fontSize: 11 }} />
+              <YAxis allowDecimals={false} tick={{ fontSize: 11 }} tickFormatter={formatCompactNumber} />
+              <Tooltip formatter={value => formatNumber(value)} />
+              <Legend />
+              <Line type="monotone" dataKey="premiumContributorsMTD" name={t('trends.premiumContributors')} stroke="#3b82f6" strokeWidth={2} />
+              <Line type="monotone" dataKey="recruitsContributorsMTD" name={t('trends.recruitsContributors')} stroke="#a855f7" strokeWidth={2} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SnapshotTrends;
@@ -0,0 +1,134 @@
+import React, { useMemo, useState } from 'react';
+import { ResponsiveContainer, BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend } from 'recharts';
+import { RANK_TIERS, buildCompositionTrend, buildConcentration, buildDepthDistribution, buildRankDistribution, buildStatusDistribution, buildTierDistribution, getTierLabel } from '../lib/composition';
+import { formatCurrency, formatNumber, formatPercent } from '../lib/format';
+import { t, tNodes } from '../lib/i18n';
+
+const tierColors = { associate: '#93c5fd', manager: '#3b82f6', director: '#4f46e5', ed: '#a855f7' };
+
+// A clickable bar chart over composition buckets. `dataKey` is 'count' or 'share'.
+const DistributionChart = ({ title, data, dataKey, color, onDrillDown }) => (
+  <div>
+    <h3 className="text-sm font-semibold text-gray-600 mb-2">{title}</h3>
+    <div className="h-56">
+      <ResponsiveContainer width="100%" height="100%">
+        <BarChart data={data}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="label" tick={{ fontSize: 10 }} interval={0} angle={data.length > 5 ? -30 : 0} textAnchor={data.length > 5 ? 'end' : 'middle'} height={data.length > 5 ? 60 : 30} />
+          <YAxis allowDecimals={dataKey === 'share'} tick={{ fontSize: 11 }} tickFormatter={dataKey === 'share' ? formatPercent : formatNumber} />
+          <Tooltip formatter={(value) => (dataKey === 'share' ? formatPercent(value) : formatNumber(value))} />
+          <Bar dataKey={dataKey} name={dataKey === 'share' ? t('composition.sharePremium') : t('composition.associates')} fill={color} cursor="pointer" onClick={(entry) => onDrillDown(entry.payload)} />
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  </div>
+);
+
+const ConcentrationStat = ({ label, value, note, warn }) => (
+  <div className={`p-3 rounded-lg ${warn ? 'bg-yellow-100' : 'bg-gray-50'}`}>
+    <h3 className="text-sm font-medium text-gray-700">{label}</h3>
+    <p className={`text-2xl font-bold ${warn ? 'text-yellow-800' : 'text-gray-900'}`}>{value}</p>
+    <p className="text-xs text-gray-600">{note}</p>
+  </div>
+);
+
+// Headcount and production by rank, depth and status for the rows in view, with
+// concentration figures and their history across uploads. Clicking a bar applies
+// that bucket's filters to the associates list.
+const TeamComposition = ({ rows, snapshots, onDrillDown, onSelectAssociate }) => {
+  const [view, setView] = useState('headcount');
+  const ranks = useMemo(() => buildRankDistribution(rows), [rows]);
+  const tiers = useMemo(() => buildTierDistribution(rows), [rows]);
+  const depths = useMemo(() => buildDepthDistribution(rows), [rows]);
+  const statuses = useMemo(() => buildStatusDistribution(rows), [rows]);
+  const concentration = useMemo(() => buildConcentration(rows), [rows]);
+  const trend = useMemo(() => buildCompositionTrend(snapshots), [snapshots]);
+
+  const dataKey = view === 'headcount' ? 'count' : 'share';
+  const drillDown = (entry) => entry && onDrillDown(entry.filters);
+
+  return (
+    <div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-5">
+        <ConcentrationStat
+          label={t('composition.topShare')}
+          value={formatPercent(concentration.topShare)}
+          note={t('composition.topShareNote', { count: concentration.topCount })}
+          warn={concentration.topShare > 0.5}
+        />
+        <ConcentrationStat
+          label={t('composition.largestLegShare')}
+          value={formatPercent(concentration.largestLegShare)}
+          note={concentration.largestLeg
+            ? tNodes('composition.largestLegNote', {
+              count: concentration.legCount,
+              name: <button onClick={() => onSelectAssociate(concentration.largestLeg)} className="text-blue-600 hover:underline">{concentration.largestLeg.Name}</button>,
+            })
+            : t('composition.noLegs')}
+          warn={concentration.largestLegShare > 0.5}
+        />
+        <ConcentrationStat label={t('composition.teamPremium')} value={formatCurrency(concentration.totalPremium)} note={t('composition.teamPremiumNote', { count: rows.length })} />
+      </div>
+
+      <div className="flex justify-end mb-2">
+        <div className="flex text-xs border border-gray-300 rounded-md overflow-hidden">
+          {['headcount', 'production'].map(value => (
+            <button
+              key={value}
+              onClick={() => setView(value)}
+              className={`px-2 py-1 ${view === value ? 'bg-blue-500 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+            >
+              {t(`composition.views.${value}`)}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        {view === 'headcount'
+          ? <DistributionChart title={t('composition.byRank')} data={ranks} dataKey={dataKey} color="#4f46e5" onDrillDown={drillDown} />
+          : <DistributionChart title={t('composition.byRankTier')} data={tiers} dataKey={dataKey} color="#4f46e5" onDrillDown={drillDown} />}
+        <DistributionChart title={t('composition.byDepth')} data={depths} dataKey={dataKey} color="#0891b2" onDrillDown={drillDown} />
+        {view === 'headcount' && <DistributionChart title={t('composition.byStatus')} data={statuses} dataKey={dataKey} color="#db2777" onDrillDown={drillDown} />}
+      </div>
+      <p className="mt-2 text-xs text-gray-500">{t('composition.drillDownHint')}</p>
+
+      {trend.length > 1 && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mt-5">
+          <div>
+            <h3 className="text-sm font-semibold text-gray-600 mb-2">{t('composition.tierTrend')}</h3>
+            <div className="h-56">
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={trend}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="label" tick={{ fontSize: 11 }} />
+                  <YAxis allowDecimals={false} tick={{ fontSize: 11 }} tickFormatter={formatNumber} />
+                  <Tooltip formatter={formatNumber} />
+                  <Legend />
+                  {RANK_TIERS.map(tier => <Bar key={tier.id} dataKey={tier.id} name={getTierLabel(tier.id)} stackId="tiers" fill={tierColors[tier.id]} />)}
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+          <div>
+            <h3 className="text-sm font-semibold text-gray-600 mb-2">{t('composition.concentrationTrend')}</h3>
+            <div className="h-56">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={trend}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="label" tick={{ fontSize: 11 }} />
+                  <YAxis domain={[0, 1]} tickFormatter={formatPercent} tick={{ fontSize: 11 }} />
+                  <Tooltip formatter={formatPercent} />
+                  <Legend />
+                  <Line type="monotone" dataKey="topShare" name={t('composition.topShareSeries')} stroke="#4f46e5" strokeWidth={2} />
+                  <Line type="monotone" dataKey="largestLegShare" name={t('composition.largestLegSeries')} stroke="#db2777" strokeWidth={2} />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TeamComposition;
@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { acceptInvite, createTeam, getRoleLabel } from '../lib/teams';
+import { t } from '../lib/i18n';
+
+// Invites addressed to the signed-in user's email, each joinable with one click.
+const PendingInvites = ({ db, appId, user, invites, onAccepted }) => {
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleAccept = async (invite) => {
+    setBusyId(invite.id);
+    setError(null);
+    try {
+      await acceptInvite(db, appId, { invite, user });
+      onAccepted(invite.teamId);
+    } catch (err) {
+      console.error("Accept Invite Error:", err);
+      setError(t('teams.errors.acceptInvite'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (invites.length === 0) return null;
+  return (
+    <div className="mb-4">
+      <h3 className="text-sm font-semibold text-gray-700 mb-2">{t('teams.invitations')}</h3>
+      <ul className="border rounded-lg divide-y">
+        {invites.map(invite => (
+          <li key={invite.id} className="px-3 py-2 flex justify-between items-center text-sm">
+            <span className="text-gray-800">{invite.teamName} <span className="text-xs text-gray-500">{t('teams.asRole', { role: getRoleLabel(invite.role) })}</span></span>
+            <button
+              onClick={() => handleAccept(invite)}
+              disabled={busyId !== null}
+              className="px-3 py-1 bg-green-500 text-white rounded-md shadow-sm hover:bg-green-600 disabled:opacity-50"
+            >
+              {busyId === invite.id ? t('teams.joining') : t('teams.accept')}
+            </button>
+          </li>
+        ))}
+      </ul>
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+// Shown to signed-in users who don't belong to a team yet.
+const TeamOnboarding = ({ db, appId, user, invites, onSelectTeam, onSignOut }) => {
+  const [teamName, setTeamName] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    setError(null);
+    try {
+      onSelectTeam(await createTeam(db, appId, { name: teamName, user }));
+    } catch (err) {
+      console.error("Create Team Error:", err);
+      setError(t('teams.errors.create'));
+      setCreating(false);
+    }
+  };
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gray-100 p-4">
+      <div className="bg-white p-6 rounded-lg shadow-md max-w-md w-full">
+        <h1 className="text-2xl font-bold text-gray-800 mb-1">{t('teams.welcome')}</h1>
+        <p className="text-sm text-gray-600 mb-4">{t('teams.onboardingIntro', { email: user.email })}</p>
+        <PendingInvites db={db} appId={appId} user={user} invites={invites} onAccepted={onSelectTeam} />
+        <h3 className="text-sm font-semibold text-gray-700 mb-2">{t('teams.createTitle')}</h3>
+        <form onSubmit={handleCreate} className="flex gap-2">
+          <input
+            required
+            placeholder={t('teams.namePlaceholder')}
+            value={teamName}
+            onChange={(e) => setTeamName(e.target.value)}
+            className="flex-1 p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <button type="submit" disabled={creating} className="px-3 py-2 bg-blue-500 text-white text-sm rounded-lg shadow hover:bg-blue-600 disabled:opacity-50">
+            {creating ? t('teams.creating') : t('teams.create')}
+          </button>
+        </form>
+        {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+        <button onClick={onSignOut} className="mt-6 text-sm text-gray-500 hover:underline">{t('auth.signOut')}</button>
+      </div>
+    </div>
+  );
+};
+
+export { PendingInvites };
+export default TeamOnboarding;
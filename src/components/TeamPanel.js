@@ -0,0 +1,157 @@
+import React, { useEffect, useState } from 'react';
+import { collection, getDocs, onSnapshot, query, where } from '../lib/store';
+import { ROLES, canEdit, createTeam, getRoleLabel, inviteMember, migrateUserSnapshots, removeMember, revokeInvite, updateMemberRole } from '../lib/teams';
+import { formatNumber } from '../lib/format';
+import { t } from '../lib/i18n';
+
+const inputClass = 'p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+const buttonClass = 'px-3 py-2 bg-blue-500 text-white text-sm rounded-lg shadow hover:bg-blue-600 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50';
+
+// Team management: members and roles, invitations, creating another team, and
+// moving snapshots left over from an anonymous session into this team.
+const TeamPanel = ({ db, appId, team, user, onSelectTeam, onClose }) => {
+  const role = team.roles?.[user.uid];
+  const isOwner = canEdit(role);
+  const [teamInvites, setTeamInvites] = useState([]);
+  const [legacyCount, setLegacyCount] = useState(0);
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState('viewer');
+  const [newTeamName, setNewTeamName] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    if (!isOwner) return;
+    const invitesQuery = query(collection(db, `artifacts/${appId}/invites`), where('teamId', '==', team.id), where('status', '==', 'pending'));
+    return onSnapshot(invitesQuery, (snapshot) => {
+      setTeamInvites(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (dbError) => console.error("Invite Load Error:", dbError));
+  }, [db, appId, team.id, isOwner]);
+
+  useEffect(() => {
+    if (!isOwner) return;
+    getDocs(collection(db, `artifacts/${appId}/users/${user.uid}/snapshots`))
+      .then(snapshot => setLegacyCount(snapshot.size))
+      .catch(dbError => console.error("Legacy Snapshot Check Error:", dbError));
+  }, [db, appId, user.uid, isOwner]);
+
+  // Runs a team action; a string it resolves to is shown as a success message.
+  const run = async (action) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      const successMessage = await action();
+      if (successMessage) setMessage({ type: 'success', text: successMessage });
+    } catch (err) {
+      console.error("Team Action Error:", err);
+      setMessage({ type: 'error', text: err.code === 'permission-denied' ? t('teams.errors.permissionDenied') : t('teams.errors.generic') });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleInvite = (e) => {
+    e.preventDefault();
+    const email = inviteEmail;
+    run(async () => {
+      await inviteMember(db, appId, { team, email, role: inviteRole, invitedBy: user.uid });
+      setInviteEmail('');
+      return t('teams.invited', { email });
+    });
+  };
+
+  const handleCreateTeam = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const teamId = await createTeam(db, appId, { name: newTeamName, user });
+      setNewTeamName('');
+      onSelectTeam(teamId);
+    });
+  };
+
+  const handleMigrate = () => run(async () => {
+    const migrated = await migrateUserSnapshots(db, appId, { userId: user.uid, teamId: team.id });
+    setLegacyCount(0);
+    return t('teams.migrated', { count: migrated, team: team.name });
+  });
+
+  const members = (team.memberIds || []).map(id => ({ id, role: team.roles?.[id], email: team.memberEmails?.[id] || id }));
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 p-4">
+      <div className="bg-white p-6 rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h3 className="text-lg font-bold text-gray-800">{team.name}</h3>
+            <p className="text-sm text-gray-600">{t('teams.yourRole', { role: getRoleLabel(role) })}</p>
+          </div>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-800 text-xl leading-none" aria-label={t('common.close')}>×</button>
+        </div>
+
+        {message && <p className={`mb-4 text-sm font-medium ${message.type === 'error' ? 'text-red-600' : 'text-green-700'}`}>{message.text}</p>}
+
+        {isOwner && legacyCount > 0 && (
+          <div className="mb-4 p-3 bg-amber-100 border border-amber-300 rounded-lg text-sm text-amber-900 flex flex-wrap items-center justify-between gap-2">
+            <span>{t('teams.legacySnapshots', { count: legacyCount, formatted: formatNumber(legacyCount) })}</span>
+            <button onClick={handleMigrate} disabled={busy} className={buttonClass}>{t('teams.moveInto', { team: team.name })}</button>
+          </div>
+        )}
+
+        <h4 className="text-sm font-semibold text-gray-700 mb-2">{t('teams.members')}</h4>
+        <ul className="mb-4 border rounded-lg divide-y">
+          {members.map(member => (
+            <li key={member.id} className="px-3 py-2 flex flex-wrap items-center justify-between gap-2 text-sm">
+              <span className="text-gray-800">{member.id === user.uid ? t('teams.memberYou', { email: member.email }) : member.email}</span>
+              {isOwner && member.id !== team.ownerId ? (
+                <span className="flex items-center gap-2">
+                  <select
+                    value={member.role}
+                    disabled={busy}
+                    onChange={(e) => run(() => updateMemberRole(db, appId, { team, memberId: member.id, role: e.target.value }))}
+                    className="p-1 border border-gray-300 rounded-md text-xs"
+                  >
+                    {ROLES.map(value => <option key={value} value={value}>{getRoleLabel(value)}</option>)}
+                  </select>
+                  <button onClick={() => run(() => removeMember(db, appId, { team, memberId: member.id }))} disabled={busy} className="text-xs text-red-600 hover:underline">{t('teams.remove')}</button>
+                </span>
+              ) : (
+                <span className="text-xs text-gray-500">{getRoleLabel(member.role)}</span>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        {isOwner && (
+          <>
+            <h4 className="text-sm font-semibold text-gray-700 mb-2">{t('teams.inviteTitle')}</h4>
+            <form onSubmit={handleInvite} className="flex flex-wrap gap-2 mb-3">
+              <input type="email" required placeholder={t('auth.emailPlaceholder')} value={inviteEmail} onChange={(e) => setInviteEmail(e.target.value)} className={`${inputClass} flex-1 min-w-[12rem]`} />
+              <select value={inviteRole} onChange={(e) => setInviteRole(e.target.value)} className={inputClass}>
+                {ROLES.map(value => <option key={value} value={value}>{getRoleLabel(value)}</option>)}
+              </select>
+              <button type="submit" disabled={busy} className={buttonClass}>{t('teams.invite')}</button>
+            </form>
+            {teamInvites.length > 0 && (
+              <ul className="mb-4 border rounded-lg divide-y text-sm">
+                {teamInvites.map(invite => (
+                  <li key={invite.id} className="px-3 py-2 flex justify-between items-center">
+                    <span className="text-gray-700">{invite.email} <span className="text-xs text-gray-500">{t('teams.pendingInvite', { role: getRoleLabel(invite.role) })}</span></span>
+                    <button onClick={() => run(() => revokeInvite(db, appId, invite))} disabled={busy} className="text-xs text-red-600 hover:underline">{t('teams.revoke')}</button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </>
+        )}
+
+        <h4 className="text-sm font-semibold text-gray-700 mb-2">{t('teams.createAnother')}</h4>
+        <form onSubmit={handleCreateTeam} className="flex gap-2">
+          <input required placeholder={t('teams.namePlaceholder')} value={newTeamName} onChange={(e) => setNewTeamName(e.target.value)} className={`${inputClass} flex-1`} />
+          <button type="submit" disabled={busy} className={buttonClass}>{t('teams.create')}</button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default TeamPanel;
@@ -0,0 +1,79 @@
+import React, { useState } from 'react';
+import { formatSnapshotDate, getSnapshotRowCount } from '../lib/snapshots';
+import { TRASH_RETENTION_DAYS, getDeletedDate, getPurgeDate } from '../lib/trash';
+import { formatDate, formatNumber } from '../lib/format';
+import { t } from '../lib/i18n';
+
+// Deleted snapshots, restorable until their retention window runs out.
+const TrashPanel = ({ trashed, onRestore, onPurge, onClose }) => {
+  const [busy, setBusy] = useState(false);
+  const [confirmEmpty, setConfirmEmpty] = useState(false);
+
+  const run = async (action) => {
+    setBusy(true);
+    try {
+      await action();
+    } finally {
+      setBusy(false);
+      setConfirmEmpty(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 p-4">
+      <div className="bg-white p-6 rounded-lg shadow-xl max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-start mb-2">
+          <h3 className="text-lg font-bold text-gray-800">{t('trash.title', { count: trashed.length })}</h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-800 text-xl leading-none" aria-label={t('common.close')}>×</button>
+        </div>
+        <p className="text-sm text-gray-600 mb-4">{t('trash.retention', { days: TRASH_RETENTION_DAYS })}</p>
+
+        {trashed.length === 0 ? (
+          <p className="text-center text-gray-500 py-4">{t('trash.empty')}</p>
+        ) : (
+          <>
+            <div className="border rounded-lg overflow-x-auto mb-4">
+              <table className="w-full text-sm text-left">
+                <thead className="bg-gray-100 text-xs uppercase text-gray-600">
+                  <tr>
+                    <th className="px-3 py-2">{t('snapshots.uploaded')}</th>
+                    <th className="px-3 py-2">{t('snapshots.file')}</th>
+                    <th className="px-3 py-2 text-right">{t('snapshots.rowCount')}</th>
+                    <th className="px-3 py-2">{t('trash.deleted')}</th>
+                    <th className="px-3 py-2">{t('trash.restorableUntil')}</th>
+                    <th className="px-3 py-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {trashed.map(snapshot => (
+                    <tr key={snapshot.id} className="border-t">
+                      <td className="px-3 py-2 whitespace-nowrap text-gray-800">{formatSnapshotDate(snapshot)}</td>
+                      <td className="px-3 py-2 text-gray-600 truncate max-w-[12rem]" title={snapshot.originalFileName}>{snapshot.originalFileName || '—'}</td>
+                      <td className="px-3 py-2 text-right text-gray-800">{formatNumber(getSnapshotRowCount(snapshot))}</td>
+                      <td className="px-3 py-2 whitespace-nowrap text-gray-600">{formatDate(getDeletedDate(snapshot))}</td>
+                      <td className="px-3 py-2 whitespace-nowrap text-gray-600">{formatDate(getPurgeDate(snapshot))}</td>
+                      <td className="px-3 py-2 text-right whitespace-nowrap">
+                        <button onClick={() => run(() => onRestore([snapshot.id]))} disabled={busy} className="px-2 py-1 text-xs bg-blue-500 text-white rounded-md shadow-sm hover:bg-blue-600 disabled:opacity-50">{t('trash.restore')}</button>
+                        <button onClick={() => run(() => onPurge([snapshot.id]))} disabled={busy} className="ml-2 text-xs text-red-600 hover:underline disabled:opacity-50">{t('trash.deleteForever')}</button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="flex flex-wrap justify-end gap-2">
+              <button onClick={() => run(() => onRestore(trashed.map(s => s.id)))} disabled={busy} className="px-4 py-2 bg-blue-500 text-white rounded-lg shadow hover:bg-blue-600 disabled:opacity-50">{t('trash.restoreAll')}</button>
+              {confirmEmpty ? (
+                <button onClick={() => run(() => onPurge(trashed.map(s => s.id)))} disabled={busy} className="px-4 py-2 bg-red-600 text-white rounded-lg shadow hover:bg-red-700 disabled:opacity-50">{t('trash.confirmEmpty', { count: trashed.length })}</button>
+              ) : (
+                <button onClick={() => setConfirmEmpty(true)} disabled={busy} className="px-4 py-2 bg-red-500 text-white rounded-lg shadow hover:bg-red-600 disabled:opacity-50">{t('trash.emptyTrash')}</button>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TrashPanel;
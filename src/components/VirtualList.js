@@ -0,0 +1,22 @@
+import React from 'react';
+import { useVirtualRows } from '../lib/virtualRows';
+
+// A scrollable list that only renders the items in view. `rowHeight` (px) must fit
+// every item, including its spacing.
+const VirtualList = ({ items, rowHeight, getKey, renderItem, className = '' }) => {
+  const { ref, onScroll, start, end, paddingTop, paddingBottom } = useVirtualRows(items.length, rowHeight);
+
+  return (
+    <div ref={ref} onScroll={onScroll} className={`overflow-y-auto ${className}`}>
+      <div style={{ paddingTop, paddingBottom }}>
+        {items.slice(start, end).map(item => (
+          <div key={getKey(item)} style={{ height: rowHeight }}>
+            {renderItem(item)}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default VirtualList;
@@ -3,6 +3,10 @@ import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
 import reportWebVitals from './reportWebVitals';
+import { getLocaleSettings } from './lib/i18n';
+
+// Screen readers and the browser's own formatting follow the saved language from the first paint.
+document.documentElement.lang = getLocaleSettings().locale;
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
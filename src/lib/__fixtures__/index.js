@@ -0,0 +1,18 @@
+import fs from 'fs';
+import path from 'path';
+import { buildImport, readCsvFile } from '../csvImport';
+import { matchHeaders } from '../schema';
+
+// Test helpers for the CSV fixtures in this folder.
+
+export const readFixture = (name) => fs.readFileSync(path.join(__dirname, name), 'utf8');
+
+// Runs a fixture through the same steps as the import preview with the detected mapping.
+export const importFixture = (name) => {
+  const parsed = readCsvFile(readFixture(name));
+  const { mapping } = matchHeaders(parsed.headers);
+  return { parsed, mapping, report: buildImport(parsed, mapping) };
+};
+
+// A stored snapshot as Firestore would return it, for repository and component tests.
+export const makeSnapshot = (id, uploadDate, rows, fields = {}) => ({ id, uploadDate, data: rows, originalFileName: `${id}.csv`, ...fields });
@@ -0,0 +1,75 @@
+import { formatSnapshotDate } from './snapshots';
+import { t } from './i18n';
+
+// --- Alert Digests ---
+// A summary of the alerts one upload triggered, as Markdown or HTML, for sending to the
+// team's webhook or downloading. Webhooks receive a JSON body with the rendered text and
+// the alerts themselves (see "Alerts and Notifications" in the README).
+
+export const DIGEST_FORMATS = {
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+  html: { label: 'HTML', extension: 'html', mimeType: 'text/html' },
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Alerts grouped under the rule that raised them, in rule order.
+const groupByRule = (alerts) => {
+  const groups = new Map();
+  alerts.forEach(alert => {
+    if (!groups.has(alert.ruleId)) groups.set(alert.ruleId, { name: alert.ruleName, alerts: [] });
+    groups.get(alert.ruleId).alerts.push(alert);
+  });
+  return [...groups.values()];
+};
+
+const digestTitle = (teamName, snapshot) => t('alerts.digest.title', { team: teamName || t('app.title'), date: formatSnapshotDate(snapshot) });
+
+export const buildMarkdownDigest = ({ teamName, snapshot, alerts }) => [
+  `# ${digestTitle(teamName, snapshot)}`,
+  '',
+  t('alerts.digest.count', { count: alerts.length }),
+  ...groupByRule(alerts).flatMap(group => [
+    '',
+    `## ${group.name}`,
+    '',
+    ...group.alerts.map(alert => `- ${alert.message}`),
+  ]),
+  '',
+].join('\n');
+
+export const buildHtmlDigest = ({ teamName, snapshot, alerts }) => [
+  '<!DOCTYPE html>',
+  `<html><head><meta charset="utf-8"><title>${escapeHtml(digestTitle(teamName, snapshot))}</title></head><body>`,
+  `<h1>${escapeHtml(digestTitle(teamName, snapshot))}</h1>`,
+  `<p>${escapeHtml(t('alerts.digest.count', { count: alerts.length }))}</p>`,
+  ...groupByRule(alerts).map(group => `<h2>${escapeHtml(group.name)}</h2>\n<ul>\n${group.alerts.map(alert => `<li>${escapeHtml(alert.message)}</li>`).join('\n')}\n</ul>`),
+  '</body></html>',
+  '',
+].join('\n');
+
+export const buildDigest = (format, digest) => (format === 'html' ? buildHtmlDigest(digest) : buildMarkdownDigest(digest));
+
+export const buildDigestPayload = ({ format, teamName, snapshot, alerts }) => ({
+  format,
+  text: buildDigest(format, { teamName, snapshot, alerts }),
+  team: teamName || null,
+  snapshotId: snapshot.id,
+  snapshotDate: formatSnapshotDate(snapshot),
+  alerts: alerts.map(({ ruleName, label, field, value, previousValue, threshold, message }) => ({
+    ruleName, label, field, value, previousValue, threshold, message,
+  })),
+});
+
+// Sent as text/plain so the browser doesn't need a CORS preflight; receivers parse the body as
+// JSON. With no-cors the response can't be read, so a resolved promise only means it was sent.
+export const sendDigest = (url, payload) => fetch(url, {
+  method: 'POST',
+  mode: 'no-cors',
+  headers: { 'Content-Type': 'text/plain;charset=UTF-8' },
+  body: JSON.stringify(payload),
+});
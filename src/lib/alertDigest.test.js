@@ -0,0 +1,30 @@
+import { buildDigestPayload, buildHtmlDigest, buildMarkdownDigest } from './alertDigest';
+
+const snapshot = { id: 's1', uploadDate: new Date(2025, 2, 15, 12) };
+const alerts = [
+  { ruleId: 'r1', ruleName: 'Legs under cap', label: "Frankie Moss's leg", message: "Frankie Moss's leg: Org Premium MTD drops below $350.00", value: 300 },
+  { ruleId: 'r2', ruleName: 'On hold <top 10>', label: 'Ellis, Avery', message: 'Ellis, Avery: Status becomes On Hold (H)', value: 'H' },
+  { ruleId: 'r1', ruleName: 'Legs under cap', label: "Gray Lin's leg", message: "Gray Lin's leg: Org Premium MTD drops below $350.00", value: 130 },
+];
+
+test('the Markdown digest lists alerts under the rule that raised them', () => {
+  const text = buildMarkdownDigest({ teamName: 'Acme', snapshot, alerts });
+  expect(text).toMatch(/^# Acme alerts for the .+ upload\n\n3 alerts fired\.\n\n## Legs under cap\n\n- Frankie Moss's leg: .+\n- Gray Lin's leg: .+\n\n## On hold <top 10>\n\n- Ellis, Avery: Status becomes On Hold \(H\)\n$/);
+});
+
+test('the HTML digest escapes names and messages', () => {
+  const html = buildHtmlDigest({ teamName: 'A&B', snapshot, alerts });
+  expect(html).toContain('<h1>A&amp;B alerts for the');
+  expect(html).toContain('<h2>On hold &lt;top 10&gt;</h2>');
+  expect(html).not.toContain('<top 10>');
+});
+
+test('the webhook payload carries the rendered digest and the alerts', () => {
+  const payload = buildDigestPayload({ format: 'html', teamName: 'Acme', snapshot, alerts });
+  expect(payload).toMatchObject({ format: 'html', team: 'Acme', snapshotId: 's1' });
+  expect(payload.text).toMatch(/^<!DOCTYPE html>/);
+  expect(payload.alerts[1]).toEqual({
+    ruleName: 'On hold <top 10>', label: 'Ellis, Avery', message: 'Ellis, Avery: Status becomes On Hold (H)', value: 'H',
+    field: undefined, previousValue: undefined, threshold: undefined,
+  });
+});
@@ -0,0 +1,240 @@
+import { getAssociateKey, getLevelTitle, getStatusLabel, normalizeStatus } from './associates';
+import { findAssociateRow } from './associateHistory';
+import { getRootAssociate, rankContributors } from './metrics';
+import { STATUS_CODES } from './schema';
+import { findPriorSamePoint, getMonthProgress } from './pacing';
+import { getSnapshotDate, getSnapshotRows } from './snapshots';
+import { formatCurrency, formatNumber, formatPercent } from './format';
+import { t } from './i18n';
+
+// --- Alert Rules ---
+// Owner-defined checks run against each new upload. A rule reads one field for every
+// associate in its scope and fires for each one where the comparison with its threshold
+// holds. Rules live in the team's settings/alerts doc with the digest webhook.
+
+export const ALERT_SCOPES = ['org', 'associate', 'leg', 'depth1Legs', 'topProducers'];
+
+export const DEFAULT_TOP_PRODUCERS = 10;
+
+// `kind` decides the comparisons offered and how values are shown. Labels are under alerts.fields in src/locales.
+export const ALERT_FIELDS = {
+  status: { kind: 'status' },
+  personalPremiumMTD: { kind: 'currency', column: 'Personal Premium MTD' },
+  personalRecruitsMTD: { kind: 'count', column: 'Personal Recruits MTD' },
+  orgPremiumMTD: { kind: 'currency', column: 'Org Premium MTD' },
+  orgRecruitsMTD: { kind: 'count', column: 'Org Recruits MTD' },
+  premiumPace: { kind: 'percent' },
+};
+
+// The "drops"/"rises"/"becomes" comparisons only fire on a change since the previous upload,
+// so a leg that stays under its cap is reported once rather than on every upload.
+export const ALERT_COMPARISONS = {
+  below: { kinds: ['currency', 'count', 'percent'], test: (value, previous, threshold) => value < threshold },
+  above: { kinds: ['currency', 'count', 'percent'], test: (value, previous, threshold) => value > threshold },
+  dropsBelow: { kinds: ['currency', 'count', 'percent'], test: (value, previous, threshold) => value < threshold && previous !== null && previous >= threshold },
+  risesAbove: { kinds: ['currency', 'count', 'percent'], test: (value, previous, threshold) => value > threshold && previous !== null && previous <= threshold },
+  is: { kinds: ['status'], test: (value, previous, threshold) => value === threshold },
+  becomes: { kinds: ['status'], test: (value, previous, threshold) => value === threshold && previous !== null && previous !== threshold },
+};
+
+export const getAlertScopeLabel = (scope) => t(`alerts.scopes.${scope}`);
+export const getAlertFieldLabel = (field) => t(`alerts.fields.${field}`);
+export const getComparisonLabel = (comparison) => t(`alerts.comparisons.${comparison}`);
+
+export const getComparisonsForField = (field) => Object.keys(ALERT_COMPARISONS)
+  .filter(key => ALERT_COMPARISONS[key].kinds.includes(ALERT_FIELDS[field].kind));
+
+// Leg-cap thresholds follow the team's rank rules, so editing a cap updates every rule using it.
+export const LEG_CAP_LEVELS = [6, 7];
+
+export const newAlertRule = (overrides = {}) => ({
+  id: crypto.randomUUID(),
+  name: '',
+  enabled: true,
+  scope: { type: 'org' },
+  field: 'orgPremiumMTD',
+  comparison: 'dropsBelow',
+  threshold: { type: 'value', value: 0 },
+  ...overrides,
+});
+
+// Starting points for the checks teams ask for most. `key` names the preset in src/locales.
+export const ALERT_PRESETS = [
+  {
+    key: 'topProducerOnHold',
+    scope: { type: 'topProducers', count: DEFAULT_TOP_PRODUCERS },
+    field: 'status',
+    comparison: 'becomes',
+    threshold: { type: 'value', value: 'H' },
+  },
+  {
+    key: 'legBelowCap',
+    scope: { type: 'depth1Legs' },
+    field: 'orgPremiumMTD',
+    comparison: 'dropsBelow',
+    threshold: { type: 'legCap', level: 6 },
+  },
+  {
+    key: 'premiumBehind',
+    scope: { type: 'org' },
+    field: 'premiumPace',
+    comparison: 'dropsBelow',
+    threshold: { type: 'value', value: 0 },
+  },
+];
+
+export const getPresetName = (preset) => t(`alerts.presets.${preset.key}`);
+
+export const newRuleFromPreset = ({ key, ...fields }) => newAlertRule({ ...fields, name: getPresetName({ key }) });
+
+// Fills in anything a stored or edited rule is missing, and makes sure its comparison and
+// threshold suit its field (a status threshold is a code, everything else a number).
+export const normalizeAlertRule = (rule) => {
+  const field = ALERT_FIELDS[rule.field] ? rule.field : 'orgPremiumMTD';
+  const comparisons = getComparisonsForField(field);
+  const isStatus = ALERT_FIELDS[field].kind === 'status';
+  let threshold = rule.threshold?.type === 'legCap' && !isStatus ? rule.threshold : { type: 'value', value: rule.threshold?.value };
+  if (threshold.type === 'value') {
+    threshold = isStatus
+      ? { type: 'value', value: STATUS_CODES.includes(threshold.value) ? threshold.value : 'H' }
+      : { type: 'value', value: Number(threshold.value) || 0 };
+  }
+  return {
+    ...newAlertRule(),
+    ...rule,
+    field,
+    comparison: comparisons.includes(rule.comparison) ? rule.comparison : comparisons[0],
+    scope: ALERT_SCOPES.includes(rule.scope?.type) ? rule.scope : { type: 'org' },
+    threshold,
+  };
+};
+
+export const normalizeAlertSettings = (data) => ({
+  rules: (data?.rules || []).map(normalizeAlertRule),
+  webhookUrl: data?.webhookUrl || '',
+  digestFormat: data?.digestFormat === 'html' ? 'html' : 'markdown',
+});
+
+export const resolveThreshold = (threshold, rankRules) => (threshold?.type === 'legCap'
+  ? rankRules?.[threshold.level]?.legCap || 0
+  : threshold?.value);
+
+export const formatAlertValue = (field, value) => {
+  if (value === null || value === undefined) return '—';
+  const { kind } = ALERT_FIELDS[field];
+  if (kind === 'status') return getStatusLabel(value);
+  if (kind === 'currency') return formatCurrency(value);
+  if (kind === 'percent') return formatPercent(value / 100, { signed: true });
+  return formatNumber(value);
+};
+
+export const describeThreshold = (rule, rankRules) => {
+  const value = formatAlertValue(rule.field, resolveThreshold(rule.threshold, rankRules));
+  return rule.threshold?.type === 'legCap' ? t('alerts.legCapThreshold', { rank: getLevelTitle(rule.threshold.level), value }) : value;
+};
+
+export const describeScope = (scope) => {
+  const name = scope.associateName || t('alerts.anAssociate');
+  if (scope.type === 'associate') return name;
+  if (scope.type === 'leg') return t('alerts.legOf', { name });
+  if (scope.type === 'topProducers') return t('alerts.topProducers', { count: scope.count || DEFAULT_TOP_PRODUCERS });
+  return t(`alerts.scopeDescriptions.${scope.type}`);
+};
+
+// "Every depth-1 leg: Org Premium MTD drops below the Senior Director leg cap ($350.00)".
+export const describeAlertRule = (rule, rankRules) => {
+  const scope = describeScope(rule.scope);
+  return t('alerts.ruleDescription', {
+    scope: `${scope.charAt(0).toLocaleUpperCase()}${scope.slice(1)}`,
+    field: getAlertFieldLabel(rule.field),
+    comparison: getComparisonLabel(rule.comparison),
+    threshold: describeThreshold(rule, rankRules),
+  });
+};
+
+// Status codes the status comparisons can test for.
+export const ALERT_STATUS_CODES = STATUS_CODES;
+
+// The associates a rule looks at, each with their row from the previous upload (null if they weren't in it).
+const getScopeTargets = (scope, rows, previousRows) => {
+  const withPrevious = (row, label) => ({ row, label, previous: previousRows ? findAssociateRow(previousRows, row) : null });
+
+  if (scope.type === 'org') {
+    const root = getRootAssociate(rows);
+    return root ? [withPrevious(root, t('alerts.organization'))] : [];
+  }
+  if (scope.type === 'associate' || scope.type === 'leg') {
+    const row = rows.find(r => getAssociateKey(r) === scope.associateKey);
+    if (!row) return [];
+    return [withPrevious(row, scope.type === 'leg' ? t('alerts.legOf', { name: row.Name }) : row.Name)];
+  }
+  if (scope.type === 'depth1Legs') {
+    return rows.filter(row => row['Depth Level'] === 1).map(row => withPrevious(row, t('alerts.legOf', { name: row.Name })));
+  }
+  if (scope.type === 'topProducers') {
+    // Ranked on the previous upload, so a producer who stops producing (say, by going on hold) is still watched.
+    return rankContributors(previousRows || rows, 'Personal Premium MTD')
+      .slice(0, scope.count || DEFAULT_TOP_PRODUCERS)
+      .map(producer => findAssociateRow(rows, producer))
+      .filter(Boolean)
+      .map(row => withPrevious(row, row.Name));
+  }
+  return [];
+};
+
+// Org Premium MTD relative to the same point last month, as a percentage (-20 is 20% behind).
+const getPremiumPace = (row, date, snapshots) => {
+  if (!row || !date) return null;
+  const progress = getMonthProgress(date);
+  const prior = findPriorSamePoint(snapshots, row, date, progress, {
+    premium: row['Org Premium PMTD'] || 0,
+    recruits: row['Org Recruits PMTD'] || 0,
+  });
+  return prior.premium > 0 ? ((row['Org Premium MTD'] || 0) / prior.premium - 1) * 100 : null;
+};
+
+const readField = (field, row, date, snapshots) => {
+  if (!row) return null;
+  if (field === 'status') return normalizeStatus(row.Status);
+  if (field === 'premiumPace') return getPremiumPace(row, date, snapshots);
+  return row[ALERT_FIELDS[field].column] || 0;
+};
+
+// Runs every enabled rule against `snapshot`. `previousSnapshot` supplies the "before" values
+// and `snapshots` the prior month's uploads for pace. Returns one alert per rule and associate.
+export const evaluateAlertRules = (rules, { snapshot, previousSnapshot, snapshots, rankRules }) => {
+  const rows = getSnapshotRows(snapshot);
+  const previousRows = previousSnapshot ? getSnapshotRows(previousSnapshot) : null;
+  const date = getSnapshotDate(snapshot);
+  const previousDate = getSnapshotDate(previousSnapshot);
+
+  return rules.filter(rule => rule.enabled).flatMap(rule => {
+    const threshold = resolveThreshold(rule.threshold, rankRules);
+    const { test } = ALERT_COMPARISONS[rule.comparison];
+    return getScopeTargets(rule.scope, rows, previousRows).flatMap(({ row, previous, label }) => {
+      const value = readField(rule.field, row, date, snapshots);
+      const previousValue = readField(rule.field, previous, previousDate, snapshots);
+      if (value === null || !test(value, previousValue, threshold)) return [];
+      const now = formatAlertValue(rule.field, value);
+      return [{
+        ruleId: rule.id,
+        ruleName: rule.name || describeAlertRule(rule, rankRules),
+        targetKey: getAssociateKey(row),
+        associateId: row['Associate ID'],
+        label,
+        field: rule.field,
+        value,
+        previousValue,
+        threshold,
+        message: t(previousValue === null ? 'alerts.message' : 'alerts.messageWithChange', {
+          label,
+          field: getAlertFieldLabel(rule.field),
+          comparison: getComparisonLabel(rule.comparison),
+          threshold: describeThreshold(rule, rankRules),
+          now,
+          was: previousValue === null ? '' : formatAlertValue(rule.field, previousValue),
+        }),
+      }];
+    });
+  });
+};
@@ -0,0 +1,61 @@
+import { ALERT_PRESETS, describeAlertRule, evaluateAlertRules, newAlertRule, newRuleFromPreset, normalizeAlertSettings, resolveThreshold } from './alerts';
+import { DEFAULT_RANK_RULES } from './qualification';
+import { importFixture, makeSnapshot } from './__fixtures__';
+
+const { report: { rows } } = importFixture('org-report.csv');
+
+const withChanges = (changes) => rows.map(row => ({ ...row, ...changes[row['Associate ID']] }));
+const rule = (overrides) => newAlertRule({ id: overrides.name, ...overrides });
+const preset = (key) => ({ ...newRuleFromPreset(ALERT_PRESETS.find(p => p.key === key)), id: key });
+
+const previous = makeSnapshot('mar-8', new Date(2025, 2, 8), withChanges({ 1000: { 'Org Premium MTD': 1600 }, 1002: { 'Org Premium MTD': 400 } }));
+const latest = makeSnapshot('mar-15', new Date(2025, 2, 15), withChanges({ 1001: { Status: 'H', 'Personal Premium MTD': 0 } }));
+const lastMonth = makeSnapshot('feb-14', new Date(2025, 1, 14), withChanges({ 1000: { 'Org Premium MTD': 1500 } }));
+const context = { snapshot: latest, previousSnapshot: previous, snapshots: [latest, previous, lastMonth], rankRules: DEFAULT_RANK_RULES };
+
+test('a top producer going on hold is caught even after their premium drops to zero', () => {
+  const alerts = evaluateAlertRules([preset('topProducerOnHold')], context);
+  expect(alerts).toEqual([expect.objectContaining({ associateId: '1001', label: 'Ellis, Avery', value: 'H', previousValue: '' })]);
+  expect(alerts[0].message).toBe('Ellis, Avery: Status becomes On Hold (H) (now On Hold (H), was Active)');
+});
+
+test('leg cap rules fire only for legs that crossed the cap since the previous upload', () => {
+  const alerts = evaluateAlertRules([preset('legBelowCap')], context);
+  // Gray Lin's leg was already under the cap, so only Frankie Moss's is reported.
+  expect(alerts.map(alert => [alert.associateId, alert.value, alert.previousValue, alert.threshold])).toEqual([['1002', 300, 400, 350]]);
+  expect(evaluateAlertRules([preset('legBelowCap')], { ...context, rankRules: { ...DEFAULT_RANK_RULES, 6: { ...DEFAULT_RANK_RULES[6], legCap: 200 } } })).toEqual([]);
+});
+
+test('org premium pace compares against the same point of last month', () => {
+  const [alert] = evaluateAlertRules([preset('premiumBehind')], context);
+  expect(alert.label).toBe('Organization');
+  expect(alert.value).toBeCloseTo((1150 / 1500 - 1) * 100);
+  expect(alert.previousValue).toBeCloseTo((1600 / 1500 - 1) * 100);
+});
+
+test('associate and leg scopes, plain comparisons and disabled rules', () => {
+  const rules = [
+    rule({ name: 'a', scope: { type: 'associate', associateKey: '1002' }, field: 'personalPremiumMTD', comparison: 'below', threshold: { type: 'value', value: 100 } }),
+    rule({ name: 'b', scope: { type: 'leg', associateKey: '1001' }, field: 'orgRecruitsMTD', comparison: 'above', threshold: { type: 'value', value: 10 } }),
+    rule({ name: 'c', enabled: false, scope: { type: 'org' }, field: 'orgPremiumMTD', comparison: 'above', threshold: { type: 'value', value: 0 } }),
+    rule({ name: 'd', scope: { type: 'associate', associateKey: 'gone' }, field: 'status', comparison: 'is', threshold: { type: 'value', value: 'H' } }),
+  ];
+  expect(evaluateAlertRules(rules, context).map(alert => [alert.ruleId, alert.label, alert.value])).toEqual([['a', 'Frankie Moss', 80]]);
+});
+
+test('without a previous upload, only rules that need no change can fire', () => {
+  const rules = [preset('legBelowCap'), rule({ name: 'on hold', scope: { type: 'depth1Legs' }, field: 'status', comparison: 'is', threshold: { type: 'value', value: 'H' } })];
+  expect(evaluateAlertRules(rules, { ...context, previousSnapshot: null }).map(alert => alert.ruleId)).toEqual(['on hold']);
+});
+
+test('settings are normalized and thresholds resolved against the rank rules', () => {
+  const settings = normalizeAlertSettings({
+    rules: [{ id: 'x', field: 'status', comparison: 'below', threshold: { type: 'legCap', level: 6 } }, { id: 'y', field: 'orgPremiumMTD', threshold: { type: 'value', value: '250' } }],
+    digestFormat: 'pdf',
+  });
+  expect(settings).toMatchObject({ webhookUrl: '', digestFormat: 'markdown' });
+  expect(settings.rules[0]).toMatchObject({ comparison: 'is', threshold: { type: 'value', value: 'H' }, scope: { type: 'org' }, enabled: true });
+  expect(settings.rules[1].threshold).toEqual({ type: 'value', value: 250 });
+  expect(resolveThreshold({ type: 'legCap', level: 7 }, DEFAULT_RANK_RULES)).toBe(700);
+  expect(describeAlertRule(preset('legBelowCap'), DEFAULT_RANK_RULES)).toBe('Every depth-1 leg: Org Premium MTD drops below the Senior Director leg cap ($350.00)');
+});
@@ -0,0 +1,191 @@
+import { getLevelTitle, getStatusLabel, normalizeStatus } from './associates';
+
+// --- Associate Filters, Sorting & Views ---
+
+// Production fields that get a min/max range filter. `param` is the short key
+// used in the URL so shared links stay readable. `labelKey` is the field's name in src/locales.
+export const RANGE_FIELDS = [
+  { key: 'Personal Premium MTD', param: 'ppm', labelKey: 'fields.premiumMTD', type: 'currency' },
+  { key: 'Personal Premium PMTD', param: 'ppp', labelKey: 'fields.premiumPMTD', type: 'currency' },
+  { key: 'Personal Premium YTD', param: 'ppy', labelKey: 'fields.premiumYTD', type: 'currency' },
+  { key: 'Personal Recruits MTD', param: 'prm', labelKey: 'fields.recruitsMTD', type: 'integer' },
+  { key: 'Personal Recruits PMTD', param: 'prp', labelKey: 'fields.recruitsPMTD', type: 'integer' },
+  { key: 'Personal Recruits YTD', param: 'pry', labelKey: 'fields.recruitsYTD', type: 'integer' },
+];
+
+// Status filter values; "active" stands in for the blank status code.
+export const STATUS_FILTERS = [
+  { value: 'active', code: '' },
+  { value: 'D', code: 'D' },
+  { value: 'H', code: 'H' },
+];
+
+export const EMPTY_FILTERS = {
+  search: '',
+  levels: [],
+  statuses: [],
+  depthMin: null,
+  depthMax: null,
+  ranges: {},
+  zeroProductionMTD: false,
+};
+
+export const SORT_FIELDS = [
+  { key: 'Name', labelKey: 'fields.name', type: 'string' },
+  { key: 'Associate ID', labelKey: 'fields.id', type: 'string' },
+  { key: 'Level', labelKey: 'fields.rank', type: 'number' },
+  { key: 'Status', labelKey: 'fields.status', type: 'string' },
+  { key: 'Depth Level', labelKey: 'fields.depth', type: 'number' },
+  ...RANGE_FIELDS.map(({ key, labelKey }) => ({ key, labelKey, type: 'number' })),
+];
+
+export const VIEW_MODES = ['list', 'table'];
+
+export const DEFAULT_VIEW = { filters: EMPTY_FILTERS, sort: null, mode: 'list' };
+
+const statusValue = (associate) => {
+  const code = normalizeStatus(associate.Status);
+  return code === '' ? 'active' : code;
+};
+
+const inRange = (value, min, max) => (min === null || min === undefined || value >= min)
+  && (max === null || max === undefined || value <= max);
+
+// "Zero production" means nothing personal this month: no premium and no recruits MTD.
+export const hasZeroProductionMTD = (associate) => !(associate['Personal Premium MTD'] > 0) && !(associate['Personal Recruits MTD'] > 0);
+
+export const filterAssociates = (associates, filters) => {
+  const search = (filters.search || '').trim().toLowerCase();
+  const levels = new Set(filters.levels.map(Number));
+  const statuses = new Set(filters.statuses);
+  const ranges = RANGE_FIELDS.filter(({ key }) => filters.ranges[key]);
+
+  return associates.filter(a => {
+    if (search && !(a.Name || '').toLowerCase().includes(search) && !(a['Associate ID'] || '').toString().toLowerCase().includes(search)) return false;
+    if (levels.size > 0 && !levels.has(Number(a.Level))) return false;
+    if (statuses.size > 0 && !statuses.has(statusValue(a))) return false;
+    if (!inRange(a['Depth Level'] ?? 0, filters.depthMin, filters.depthMax)) return false;
+    if (filters.zeroProductionMTD && !hasZeroProductionMTD(a)) return false;
+    return ranges.every(({ key }) => inRange(a[key] || 0, filters.ranges[key].min, filters.ranges[key].max));
+  });
+};
+
+export const countActiveFilters = (filters) => [
+  filters.search.trim() !== '',
+  filters.levels.length > 0,
+  filters.statuses.length > 0,
+  filters.depthMin !== null || filters.depthMax !== null,
+  filters.zeroProductionMTD,
+  ...RANGE_FIELDS.map(({ key }) => Boolean(filters.ranges[key])),
+].filter(Boolean).length;
+
+// A null sort keeps the CSV's own row order.
+export const sortAssociates = (associates, sort) => {
+  if (!sort) return associates;
+  const field = SORT_FIELDS.find(f => f.key === sort.key);
+  if (!field) return associates;
+  const direction = sort.direction === 'desc' ? -1 : 1;
+  const valueOf = field.key === 'Status' ? getStatusLabel : (value) => value;
+
+  return associates
+    .map((associate, index) => ({ associate, index }))
+    .sort((a, b) => {
+      const left = a.associate[field.key];
+      const right = b.associate[field.key];
+      const compared = field.type === 'number'
+        ? (Number(left) || 0) - (Number(right) || 0)
+        : String(valueOf(left) ?? '').localeCompare(String(valueOf(right) ?? ''), undefined, { numeric: true, sensitivity: 'base' });
+      // Ties fall back to CSV order so the sort is stable in both directions.
+      return compared * direction || a.index - b.index;
+    })
+    .map(({ associate }) => associate);
+};
+
+// Clicking a column sorts ascending, then descending, then back to CSV order.
+export const nextSort = (sort, key) => {
+  if (!sort || sort.key !== key) return { key, direction: 'asc' };
+  if (sort.direction === 'asc') return { key, direction: 'desc' };
+  return null;
+};
+
+export const getLevelOptions = (associates) => [...new Set(associates.map(a => Number(a.Level)).filter(Number.isFinite))]
+  .sort((a, b) => a - b)
+  .map(level => ({ value: level, label: getLevelTitle(level) }));
+
+// --- URL Encoding ---
+// Views travel in the query string, e.g. ?q=smith&level=3,4&status=active&depth=1~2&ppm=~0&sort=Name:desc&mode=table
+
+const VIEW_PARAMS = ['q', 'level', 'status', 'depth', 'zero', 'sort', 'mode', ...RANGE_FIELDS.map(f => f.param)];
+
+const parseNumber = (text) => {
+  if (text === undefined || text === '') return null;
+  const number = Number(text);
+  return Number.isFinite(number) ? number : null;
+};
+
+const encodeRange = (min, max) => `${min ?? ''}~${max ?? ''}`;
+
+const decodeRange = (text) => {
+  if (!text) return null;
+  const [min, max] = text.split('~');
+  const range = { min: parseNumber(min), max: parseNumber(max) };
+  return range.min === null && range.max === null ? null : range;
+};
+
+export const viewToParams = ({ filters, sort, mode }) => {
+  const params = new URLSearchParams();
+  if (filters.search.trim()) params.set('q', filters.search.trim());
+  if (filters.levels.length) params.set('level', filters.levels.join(','));
+  if (filters.statuses.length) params.set('status', filters.statuses.join(','));
+  if (filters.depthMin !== null || filters.depthMax !== null) params.set('depth', encodeRange(filters.depthMin, filters.depthMax));
+  if (filters.zeroProductionMTD) params.set('zero', '1');
+  RANGE_FIELDS.forEach(({ key, param }) => {
+    const range = filters.ranges[key];
+    if (range) params.set(param, encodeRange(range.min, range.max));
+  });
+  if (sort) params.set('sort', `${sort.key}:${sort.direction}`);
+  if (mode && mode !== DEFAULT_VIEW.mode) params.set('mode', mode);
+  return params;
+};
+
+export const paramsToView = (params) => {
+  const list = (name) => (params.get(name) || '').split(',').filter(Boolean);
+  const depth = decodeRange(params.get('depth'));
+  const ranges = {};
+  RANGE_FIELDS.forEach(({ key, param }) => {
+    const range = decodeRange(params.get(param));
+    if (range) ranges[key] = range;
+  });
+  const [sortKey, sortDirection] = (params.get('sort') || '').split(':');
+
+  return {
+    filters: {
+      search: params.get('q') || '',
+      levels: list('level').map(Number).filter(Number.isFinite),
+      statuses: list('status').filter(value => STATUS_FILTERS.some(s => s.value === value)),
+      depthMin: depth ? depth.min : null,
+      depthMax: depth ? depth.max : null,
+      ranges,
+      zeroProductionMTD: params.get('zero') === '1',
+    },
+    sort: SORT_FIELDS.some(f => f.key === sortKey) ? { key: sortKey, direction: sortDirection === 'desc' ? 'desc' : 'asc' } : null,
+    mode: VIEW_MODES.includes(params.get('mode')) ? params.get('mode') : DEFAULT_VIEW.mode,
+  };
+};
+
+// Replaces only the view's own query parameters, leaving any others in the URL alone.
+export const mergeViewIntoSearch = (search, view) => {
+  const params = new URLSearchParams(search);
+  VIEW_PARAMS.forEach(name => params.delete(name));
+  viewToParams(view).forEach((value, name) => params.set(name, value));
+  // These are all legal unescaped in a query string and keep shared links readable.
+  const text = params.toString().replace(/%2C/g, ',').replace(/%7E/g, '~').replace(/%3A/g, ':');
+  return text ? `?${text}` : '';
+};
+
+// Saved views are stored as plain objects; this fills in anything an older save lacks.
+export const normalizeView = (stored) => ({
+  filters: { ...EMPTY_FILTERS, ...(stored?.filters || {}), ranges: { ...(stored?.filters?.ranges || {}) } },
+  sort: stored?.sort || null,
+  mode: VIEW_MODES.includes(stored?.mode) ? stored.mode : DEFAULT_VIEW.mode,
+});
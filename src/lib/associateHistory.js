@@ -0,0 +1,87 @@
+import { getLevelTitle, getStatusLabel, isRegeneratedId, normalizeName, normalizeStatus } from './associates';
+import { getSnapshotDate, getSnapshotRows } from './snapshots';
+import { formatDate } from './format';
+import { t } from './i18n';
+
+// --- Associate History ---
+
+// Finds the associate in one snapshot's rows. IDs are the join key; a unique name
+// is only trusted when either side's ID was regenerated on import.
+export const findAssociateRow = (rows, associate) => {
+  const id = associate['Associate ID'];
+  const byId = rows.find(row => row['Associate ID'] === id);
+  if (byId) return byId;
+
+  const name = normalizeName(associate.Name);
+  if (!name) return null;
+  const sameName = rows.filter(row => normalizeName(row.Name) === name);
+  if (sameName.length !== 1) return null;
+  return isRegeneratedId(id) || isRegeneratedId(sameName[0]['Associate ID']) ? sameName[0] : null;
+};
+
+// One point per stored snapshot, oldest first. Snapshots the associate isn't in
+// are kept with present: false so gaps show up in charts and the history table.
+export const buildAssociateHistory = (snapshots, associate) => snapshots
+  .map(snapshot => ({ snapshot, date: getSnapshotDate(snapshot) }))
+  .filter(entry => entry.date)
+  .sort((a, b) => a.date - b.date)
+  .map(({ snapshot, date }) => {
+    const row = findAssociateRow(getSnapshotRows(snapshot), associate);
+    return {
+      snapshotId: snapshot.id,
+      date,
+      label: formatDate(date),
+      present: Boolean(row),
+      row,
+      level: row ? row.Level : null,
+      status: row ? normalizeStatus(row.Status) : null,
+      premiumMTD: row ? row['Personal Premium MTD'] || 0 : null,
+      recruitsMTD: row ? row['Personal Recruits MTD'] || 0 : null,
+      orgPremiumMTD: row ? row['Org Premium MTD'] || 0 : null,
+      orgRecruitsMTD: row ? row['Org Recruits MTD'] || 0 : null,
+    };
+  });
+
+// Rank and status changes between consecutive uploads, plus appearances and disappearances.
+export const getRankStatusChanges = (history) => {
+  const changes = [];
+  let previous = null;
+  history.forEach(point => {
+    if (!point.present) {
+      if (previous?.present) changes.push({ date: point.date, snapshotId: point.snapshotId, kind: 'left', text: t('profile.changes.left') });
+    } else if (!previous || !previous.present) {
+      changes.push({
+        date: point.date,
+        snapshotId: point.snapshotId,
+        kind: 'joined',
+        text: t(previous ? 'profile.changes.reappeared' : 'profile.changes.firstSeen', { rank: getLevelTitle(point.level), status: getStatusLabel(point.status) }),
+      });
+    } else {
+      if (Number(point.level) !== Number(previous.level)) {
+        changes.push({
+          date: point.date,
+          snapshotId: point.snapshotId,
+          kind: Number(point.level) > Number(previous.level) ? 'promoted' : 'demoted',
+          text: t('profile.changes.rank', { from: getLevelTitle(previous.level), to: getLevelTitle(point.level) }),
+        });
+      }
+      if (point.status !== previous.status) {
+        changes.push({ date: point.date, snapshotId: point.snapshotId, kind: 'status', text: t('profile.changes.status', { from: getStatusLabel(previous.status), to: getStatusLabel(point.status) }) });
+      }
+    }
+    previous = point;
+  });
+  return changes;
+};
+
+// The row to show on a profile: the one in the snapshot being viewed, else the
+// newest stored snapshot that has this ID (snapshots are newest first).
+export const findProfileAssociate = (rows, snapshots, associateId) => {
+  const current = rows.find(row => row['Associate ID'] === associateId);
+  if (current) return { associate: current, inCurrentSnapshot: true };
+  for (const snapshot of snapshots) {
+    const row = getSnapshotRows(snapshot).find(r => r['Associate ID'] === associateId);
+    if (row) return { associate: row, inCurrentSnapshot: false };
+  }
+  return { associate: null, inCurrentSnapshot: false };
+};
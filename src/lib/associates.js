@@ -0,0 +1,35 @@
+import { t } from './i18n';
+
+// --- Associate Field Helpers ---
+
+// The report's rank levels, Associate (1) through Platinum ED (11). Titles are translated
+// under `levels` in src/locales.
+export const LEVELS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11];
+
+export const getLevelTitle = (level) => (LEVELS.includes(Number(level)) ? t(`levels.${Number(level)}`) : t('levels.other', { level }));
+
+// Status codes in the report: blank is active, D is not vested, H is on hold.
+export const normalizeStatus = (status) => (status || '').trim().toUpperCase();
+
+const STATUS_LABEL_KEYS = { '': 'statuses.active', D: 'statuses.notVested', H: 'statuses.onHold' };
+
+export const getStatusLabel = (status) => {
+  const code = normalizeStatus(status);
+  return STATUS_LABEL_KEYS[code] ? t(STATUS_LABEL_KEYS[code]) : code;
+};
+
+// handleFileUpload swaps blank or duplicate IDs for crypto.randomUUID(), so a
+// UUID-shaped ID is not stable between uploads and can't be used as a join key.
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export const isRegeneratedId = (id) => UUID_PATTERN.test(String(id || ''));
+
+export const normalizeName = (name) => (name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// A key that follows an associate from one upload to the next: their Associate ID,
+// or their name when the ID was regenerated for this upload.
+export const getAssociateKey = (associate) => {
+  const id = associate?.['Associate ID'];
+  if (id && !isRegeneratedId(id)) return String(id);
+  return `name:${normalizeName(associate?.Name)}`;
+};
@@ -0,0 +1,37 @@
+import { collection, doc, serverTimestamp } from './store';
+import { getSnapshotRowCount, toDate } from './snapshots';
+import { commitInBatches } from './trash';
+import { t } from './i18n';
+
+// --- Audit Log ---
+// An append-only record of what happened to a team's snapshots, stored under the team
+// at auditLog/{entryId}. Security rules let owners add entries but nobody edit or delete them.
+
+export const AUDIT_ACTIONS = ['upload', 'replace', 'trash', 'restore', 'purge'];
+
+export const getAuditActionLabel = (action) => (AUDIT_ACTIONS.includes(action) ? t(`activity.actions.${action}`) : action);
+
+// The activity feed shows this many of the most recent entries.
+export const ACTIVITY_FEED_LIMIT = 100;
+
+export const auditLogPath = (teamPathPrefix) => `${teamPathPrefix}/auditLog`;
+
+// Describes one action on `snapshot` (stored metadata, or the fields of a new upload
+// with its id and rowCount). `details` adds action-specific fields such as replacedIds.
+export const buildAuditEntry = (action, snapshot, user, details = {}) => ({
+  action,
+  snapshotId: snapshot.id,
+  fileName: snapshot.originalFileName || null,
+  rowCount: getSnapshotRowCount(snapshot),
+  contentHash: snapshot.contentHash || null,
+  userId: user.uid,
+  userEmail: user.email || null,
+  ...details,
+});
+
+export const recordAuditEntries = (db, path, entries) => commitInBatches(db, entries, (batch, entry) => {
+  batch.set(doc(collection(db, path)), { ...entry, at: serverTimestamp() });
+});
+
+// A pending server timestamp reads as null until the write round-trips; treat it as "just now".
+export const getAuditDate = (entry) => toDate(entry?.at) || new Date();
@@ -0,0 +1,36 @@
+import 'fake-indexeddb/auto';
+import { openLocalStore } from './localStore';
+import { collection, getDocs, limit, orderBy, query } from './store';
+import { auditLogPath, buildAuditEntry, recordAuditEntries } from './auditLog';
+import { makeSnapshot } from './__fixtures__';
+
+const USER = { uid: 'user-1', email: 'owner@example.com' };
+
+test('buildAuditEntry describes the snapshot and who acted on it', () => {
+  const snapshot = makeSnapshot('s1', new Date(2026, 9, 1), [{ 'Associate ID': '1' }, { 'Associate ID': '2' }], { contentHash: 'abc' });
+  expect(buildAuditEntry('trash', snapshot, USER, { reason: 'clear-all' })).toEqual({
+    action: 'trash',
+    snapshotId: 's1',
+    fileName: 's1.csv',
+    rowCount: 2,
+    contentHash: 'abc',
+    userId: 'user-1',
+    userEmail: 'owner@example.com',
+    reason: 'clear-all',
+  });
+  expect(buildAuditEntry('upload', { id: 's2', rowCount: 40 }, { uid: 'local', email: null })).toMatchObject({ rowCount: 40, fileName: null, contentHash: null, userEmail: null });
+});
+
+test('recordAuditEntries appends timestamped entries', async () => {
+  const db = await openLocalStore('audit-log-test');
+  const path = auditLogPath('artifacts/test/teams/team-1');
+  await recordAuditEntries(db, path, [buildAuditEntry('upload', { id: 's1', rowCount: 3 }, USER)]);
+  await recordAuditEntries(db, path, [buildAuditEntry('trash', { id: 's1', rowCount: 3 }, USER)]);
+
+  const all = await getDocs(collection(db, path));
+  expect(all.size).toBe(2);
+  all.docs.forEach(entry => expect(entry.data().at).toBeInstanceOf(Date));
+
+  const latest = await getDocs(query(collection(db, path), orderBy('at', 'desc'), limit(1)));
+  expect(latest.size).toBe(1);
+});
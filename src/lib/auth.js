@@ -0,0 +1,72 @@
+import {
+  EmailAuthProvider,
+  createUserWithEmailAndPassword,
+  isSignInWithEmailLink,
+  linkWithCredential,
+  sendSignInLinkToEmail,
+  signInWithEmailAndPassword,
+  signInWithEmailLink,
+} from 'firebase/auth';
+import { t } from './i18n';
+
+// --- Account Auth ---
+
+const EMAIL_FOR_SIGN_IN_KEY = 'emailForSignIn';
+
+// Older versions of the app signed everyone in anonymously. Linking instead of
+// creating a new account keeps that uid, so data saved under it stays reachable
+// and can be migrated into a team.
+const signInOrLink = (auth, credential, fallback) => {
+  const current = auth.currentUser;
+  if (current && current.isAnonymous) return linkWithCredential(current, credential);
+  return fallback();
+};
+
+export const signInWithPassword = (auth, email, password) => signInWithEmailAndPassword(auth, email.trim(), password);
+
+export const signUpWithPassword = (auth, email, password) => signInOrLink(
+  auth,
+  EmailAuthProvider.credential(email.trim(), password),
+  () => createUserWithEmailAndPassword(auth, email.trim(), password),
+);
+
+export const sendEmailLink = async (auth, email) => {
+  await sendSignInLinkToEmail(auth, email.trim(), {
+    url: `${window.location.origin}${window.location.pathname}`,
+    handleCodeInApp: true,
+  });
+  window.localStorage.setItem(EMAIL_FOR_SIGN_IN_KEY, email.trim());
+};
+
+// Finishes an email-link sign-in when the app is opened from the link. Returns
+// false when the current URL isn't a sign-in link.
+export const completeEmailLinkSignIn = async (auth) => {
+  const href = window.location.href;
+  if (!isSignInWithEmailLink(auth, href)) return false;
+
+  const email = window.localStorage.getItem(EMAIL_FOR_SIGN_IN_KEY)
+    || window.prompt(t('auth.confirmEmailPrompt'));
+  if (!email) return false;
+
+  await signInOrLink(
+    auth,
+    EmailAuthProvider.credentialWithLink(email, href),
+    () => signInWithEmailLink(auth, email, href),
+  );
+  window.localStorage.removeItem(EMAIL_FOR_SIGN_IN_KEY);
+  window.history.replaceState(null, '', `${window.location.origin}${window.location.pathname}`);
+  return true;
+};
+
+const authErrorMessages = {
+  'auth/invalid-credential': 'auth.errors.incorrectPassword',
+  'auth/wrong-password': 'auth.errors.incorrectPassword',
+  'auth/user-not-found': 'auth.errors.noAccount',
+  'auth/email-already-in-use': 'auth.errors.accountExists',
+  'auth/credential-already-in-use': 'auth.errors.accountExists',
+  'auth/weak-password': 'auth.errors.weakPassword',
+  'auth/invalid-email': 'auth.errors.invalidEmail',
+  'auth/invalid-action-code': 'auth.errors.invalidLink',
+};
+
+export const describeAuthError = (err) => t(authErrorMessages[err?.code] || 'auth.errors.generic');
@@ -0,0 +1,132 @@
+import { getAssociateKey, normalizeStatus } from './associates';
+import { getSnapshotDate, getSnapshotRows, hasSnapshotRows, monthKey } from './snapshots';
+import { formatDate, formatMonth } from './format';
+
+// --- Recruit Cohorts ---
+// Associates grouped by the period they first appear in, then followed through the periods
+// after it: who is still in the report, their status, who produced premium and who moved up
+// a level. Everyone in the first period was already there when the history starts, so that
+// cohort is marked as the baseline rather than counted as recruits.
+
+export const COHORT_GROUPINGS = ['month', 'upload'];
+
+// What a cohort table cell counts; labels are under cohorts.metrics in src/locales.
+export const COHORT_METRICS = ['present', 'active', 'notVested', 'onHold', 'produced', 'advanced'];
+
+const STATUS_METRICS = { '': 'active', D: 'notVested', H: 'onHold' };
+
+const producedPremium = (row) => (row['Personal Premium MTD'] || 0) > 0;
+const levelOf = (row) => Number(row.Level) || 0;
+
+// Chronological periods, each with its rows keyed by associate. In 'month' mode a month is
+// its last upload, as in the month trend charts, so MTD premium covers the whole month.
+// Snapshots without a date or without loaded rows are left out.
+const buildPeriods = (snapshots, groupBy) => {
+  let dated = snapshots
+    .filter(hasSnapshotRows)
+    .map(snapshot => ({ snapshot, date: getSnapshotDate(snapshot) }))
+    .filter(entry => entry.date)
+    .sort((a, b) => a.date - b.date);
+  if (groupBy === 'month') {
+    const latestByMonth = new Map();
+    dated.forEach(entry => latestByMonth.set(monthKey(entry.date), entry));
+    dated = Array.from(latestByMonth.values());
+  }
+  return dated.map(({ snapshot, date }) => ({
+    id: groupBy === 'month' ? monthKey(date) : snapshot.id,
+    date,
+    label: groupBy === 'month' ? formatMonth(date, { short: true }) : formatDate(date),
+    rows: new Map(getSnapshotRows(snapshot).map(row => [getAssociateKey(row), row])),
+  }));
+};
+
+// Counts for one cohort in one period. Only members still in the report can be active,
+// produce or have advanced.
+const countPeriod = (members, period, offset) => {
+  const counts = { offset, periodId: period.id, label: period.label, present: 0, active: 0, notVested: 0, onHold: 0, produced: 0, advanced: 0 };
+  members.forEach(member => {
+    const row = period.rows.get(member.key);
+    if (!row) return;
+    counts.present++;
+    const statusMetric = STATUS_METRICS[normalizeStatus(row.Status)];
+    if (statusMetric) counts[statusMetric]++;
+    if (producedPremium(row)) counts.produced++;
+    if (levelOf(row) > member.level) counts.advanced++;
+  });
+  return counts;
+};
+
+// Cohorts oldest first. Each has its members as they were on joining, plus where each one
+// stands in the newest period, and `periods`: one count per period from joining (offset 0) on.
+export const buildCohorts = (snapshots, groupBy = 'month') => {
+  const periods = buildPeriods(snapshots, groupBy);
+  const seen = new Set();
+  const newest = periods[periods.length - 1];
+
+  const cohorts = periods.map((period, index) => {
+    const members = [];
+    period.rows.forEach((row, key) => {
+      if (seen.has(key)) return;
+      seen.add(key);
+      const later = periods.slice(index).map(p => p.rows.get(key)).filter(Boolean);
+      const current = newest.rows.get(key);
+      members.push({
+        key,
+        associateId: row['Associate ID'],
+        name: row.Name || row['Associate ID'],
+        sponsorId: String(row['Sponsor ID'] || '').trim(),
+        level: levelOf(row),
+        presentNow: Boolean(current),
+        activeNow: Boolean(current) && normalizeStatus(current.Status) === '',
+        producedSinceJoining: later.some(producedPremium),
+        advancedNow: Boolean(current) && levelOf(current) > levelOf(row),
+      });
+    });
+    return {
+      id: period.id,
+      label: period.label,
+      date: period.date,
+      baseline: index === 0,
+      size: members.length,
+      members,
+      periods: periods.slice(index).map((later, offset) => countPeriod(members, later, offset)),
+    };
+  });
+
+  // Later names win, so a sponsor who changed their name shows as they're known now.
+  const names = new Map();
+  periods.forEach(period => period.rows.forEach(row => names.set(String(row['Associate ID']), row.Name)));
+
+  return {
+    periods: periods.map(({ id, label, date }) => ({ id, label, date })),
+    cohorts,
+    hasSponsors: cohorts.some(cohort => cohort.members.some(member => member.sponsorId)),
+    sponsorNames: names,
+  };
+};
+
+// Recruits per sponsor across the chosen cohorts (all recruit cohorts when `cohortIds` is
+// empty), judged by the newest period. Members with no sponsor listed are left out.
+export const buildRecruiterBreakdown = ({ cohorts, sponsorNames }, cohortIds = []) => {
+  const bySponsor = new Map();
+  cohorts
+    .filter(cohort => (cohortIds.length > 0 ? cohortIds.includes(cohort.id) : !cohort.baseline))
+    .forEach(cohort => cohort.members.forEach(member => {
+      if (!member.sponsorId) return;
+      if (!bySponsor.has(member.sponsorId)) {
+        bySponsor.set(member.sponsorId, {
+          sponsorId: member.sponsorId, name: sponsorNames.get(member.sponsorId) || member.sponsorId, recruits: 0, present: 0, active: 0, produced: 0, advanced: 0,
+        });
+      }
+      const entry = bySponsor.get(member.sponsorId);
+      entry.recruits++;
+      if (member.presentNow) entry.present++;
+      if (member.activeNow) entry.active++;
+      if (member.producedSinceJoining) entry.produced++;
+      if (member.advancedNow) entry.advanced++;
+    }));
+  return [...bySponsor.values()].sort((a, b) => b.recruits - a.recruits || String(a.name).localeCompare(String(b.name)));
+};
+
+// Share of a cohort a period's count makes up, or null for an empty cohort.
+export const cohortRate = (cohort, count) => (cohort.size > 0 ? count / cohort.size : null);
@@ -0,0 +1,58 @@
+import { buildCohorts, buildRecruiterBreakdown, cohortRate } from './cohorts';
+import { generateDemoReports } from './demoData';
+import { importFixture, makeSnapshot } from './__fixtures__';
+
+const { report: { rows } } = importFixture('org-report.csv');
+const pick = (ids, changes = {}) => rows
+  .filter(row => ids.includes(row['Associate ID']))
+  .map(row => ({ ...row, ...changes[row['Associate ID']] }));
+
+// Harper and Indy join in February under Avery; Harper is gone by March, when Indy has moved
+// up a level and Jules has joined under Frankie. Early March is a partial-month upload.
+const january = makeSnapshot('jan', new Date(2025, 0, 31), pick(['1000', '1001', '1002', '1003']));
+const february = makeSnapshot('feb', new Date(2025, 1, 28), pick(['1000', '1001', '1002', '1003', '1004', '1005']));
+const earlyMarch = makeSnapshot('mar-8', new Date(2025, 2, 8), pick(['1000', '1001', '1002', '1003', '1005']));
+const march = makeSnapshot('mar-15', new Date(2025, 2, 15), pick(['1000', '1001', '1002', '1003', '1005', '1006'], { 1005: { Level: 2 } }));
+const snapshots = [march, earlyMarch, february, january];
+
+test('associates are grouped by the month they first appear in and followed after it', () => {
+  const { periods, cohorts, hasSponsors } = buildCohorts(snapshots);
+  expect(periods.map(period => period.id)).toEqual(['2025-01', '2025-02', '2025-03']);
+  expect(hasSponsors).toBe(true);
+  expect(cohorts.map(cohort => [cohort.id, cohort.size, cohort.baseline])).toEqual([['2025-01', 4, true], ['2025-02', 2, false], ['2025-03', 1, false]]);
+
+  const [joined, oneMonthLater] = cohorts[1].periods;
+  expect(joined).toMatchObject({ offset: 0, present: 2, active: 1, notVested: 0, onHold: 1, produced: 1, advanced: 0 });
+  expect(oneMonthLater).toMatchObject({ offset: 1, present: 1, active: 1, onHold: 0, produced: 1, advanced: 1 });
+  expect(cohortRate(cohorts[1], oneMonthLater.present)).toBe(0.5);
+  expect(cohorts[2].periods).toHaveLength(1);
+});
+
+test('by upload, every snapshot is its own period', () => {
+  const { periods, cohorts } = buildCohorts(snapshots, 'upload');
+  expect(periods.map(period => period.id)).toEqual(['jan', 'feb', 'mar-8', 'mar-15']);
+  expect(cohorts.find(cohort => cohort.id === 'mar-8').size).toBe(0);
+  expect(cohorts.find(cohort => cohort.id === 'feb').periods.map(period => period.present)).toEqual([2, 1, 1]);
+});
+
+test('recruiters are credited with their recruits and judged by the newest upload', () => {
+  const data = buildCohorts(snapshots);
+  expect(buildRecruiterBreakdown(data)).toEqual([
+    { sponsorId: '1001', name: 'Ellis, Avery', recruits: 2, present: 1, active: 1, produced: 1, advanced: 1 },
+    { sponsorId: '1002', name: 'Frankie Moss', recruits: 1, present: 1, active: 1, produced: 1, advanced: 0 },
+  ]);
+  expect(buildRecruiterBreakdown(data, ['2025-03']).map(entry => entry.sponsorId)).toEqual(['1002']);
+
+  const withoutSponsors = buildCohorts(snapshots.map(s => ({ ...s, data: s.data.map(({ 'Sponsor ID': _, ...row }) => row) })));
+  expect(withoutSponsors.hasSponsors).toBe(false);
+  expect(buildRecruiterBreakdown(withoutSponsors)).toEqual([]);
+});
+
+test("each month's cohort of a demo organization matches the report's own recruit count", () => {
+  const reports = generateDemoReports({ associates: 200, months: 5, seed: 3, endDate: new Date(2025, 4, 31) });
+  const demoSnapshots = reports.map((report, i) => makeSnapshot(`m${i}`, report.date, report.rows));
+  const { cohorts } = buildCohorts(demoSnapshots);
+  expect(cohorts.slice(1).map(cohort => cohort.size)).toEqual(reports.slice(1).map(report => report.rows[0]['Org Recruits MTD']));
+  // Nobody leaves a demo organization, so every cohort is still complete in the newest month.
+  cohorts.forEach(cohort => expect(cohort.periods[cohort.periods.length - 1].present).toBe(cohort.size));
+});
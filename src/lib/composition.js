@@ -0,0 +1,123 @@
+import { LEVELS, getLevelTitle, getStatusLabel, normalizeStatus } from './associates';
+import { EMPTY_FILTERS, STATUS_FILTERS } from './associateFilters';
+import { getRootAssociate } from './metrics';
+import { getSnapshotDate, getSnapshotRows } from './snapshots';
+import { formatDate } from './format';
+import { t } from './i18n';
+
+// --- Team Composition ---
+// How a team is spread across ranks, depth levels and statuses, where its
+// production comes from, and how concentrated it is. Production is Personal
+// Premium MTD, so shares across any grouping add up to the team's total. Every
+// bucket carries the associate-list filters that select its members.
+
+const PREMIUM_FIELD = 'Personal Premium MTD';
+
+// Rank tiers group the 11 ranks for production share.
+export const RANK_TIERS = [
+  { id: 'associate', levels: [1, 2] },
+  { id: 'manager', levels: [3, 4] },
+  { id: 'director', levels: [5, 6, 7] },
+  { id: 'ed', levels: [8, 9, 10, 11] },
+];
+
+export const getTierLabel = (tierId) => t(`composition.tiers.${tierId}`);
+
+const premiumOf = (associate) => associate[PREMIUM_FIELD] || 0;
+
+const sumPremium = (rows) => rows.reduce((total, associate) => total + premiumOf(associate), 0);
+
+const share = (part, total) => (total > 0 ? part / total : 0);
+
+// Counts and production for the rows matching `predicate`, as a chart bucket.
+const bucket = (rows, total, predicate, fields) => {
+  const members = rows.filter(predicate);
+  const premium = sumPremium(members);
+  return { ...fields, count: members.length, premium, share: share(premium, total) };
+};
+
+export const buildRankDistribution = (rows) => {
+  const total = sumPremium(rows);
+  // Every configured rank gets a bar, plus any level in the report that isn't configured.
+  const levels = Array.from(new Set([...LEVELS, ...rows.map(a => Number(a.Level)).filter(Number.isFinite)])).sort((a, b) => a - b);
+  return levels.map(level => bucket(rows, total, a => Number(a.Level) === level, {
+    key: String(level),
+    label: getLevelTitle(level),
+    filters: { ...EMPTY_FILTERS, levels: [level] },
+  }));
+};
+
+export const buildTierDistribution = (rows) => {
+  const total = sumPremium(rows);
+  return RANK_TIERS.map(tier => bucket(rows, total, a => tier.levels.includes(Number(a.Level)), {
+    key: tier.id,
+    label: getTierLabel(tier.id),
+    filters: { ...EMPTY_FILTERS, levels: tier.levels },
+  }));
+};
+
+export const buildDepthDistribution = (rows) => {
+  const total = sumPremium(rows);
+  const depths = Array.from(new Set(rows.map(a => a['Depth Level'] ?? 0))).sort((a, b) => a - b);
+  return depths.map(depth => bucket(rows, total, a => (a['Depth Level'] ?? 0) === depth, {
+    key: String(depth),
+    label: t('composition.depthLabel', { depth }),
+    filters: { ...EMPTY_FILTERS, depthMin: depth, depthMax: depth },
+  }));
+};
+
+export const buildStatusDistribution = (rows) => {
+  const total = sumPremium(rows);
+  return STATUS_FILTERS.map(status => bucket(rows, total, a => normalizeStatus(a.Status) === status.code, {
+    key: status.value,
+    label: getStatusLabel(status.code),
+    filters: { ...EMPTY_FILTERS, statuses: [status.value] },
+  }));
+};
+
+// Top 10% share: the premium written by the top tenth of the team (at least one
+// associate) over the team total. Leg dependence: the largest depth-1 leg's Org
+// Premium MTD over the root's, so 1 means a single leg carries the organization.
+export const buildConcentration = (rows) => {
+  const totalPremium = sumPremium(rows);
+  const topCount = Math.max(1, Math.ceil(rows.length * 0.1));
+  const topPremium = sumPremium([...rows].sort((a, b) => premiumOf(b) - premiumOf(a)).slice(0, topCount));
+
+  const root = getRootAssociate(rows);
+  const legs = rows.filter(a => a['Depth Level'] === 1);
+  const largestLeg = legs.reduce((best, leg) => ((leg['Org Premium MTD'] || 0) > (best?.['Org Premium MTD'] || 0) ? leg : best), null);
+  const orgPremium = root?.['Org Premium MTD'] || 0;
+
+  return {
+    totalPremium,
+    topCount,
+    topShare: share(topPremium, totalPremium),
+    largestLeg,
+    largestLegShare: largestLeg ? share(largestLeg['Org Premium MTD'] || 0, orgPremium) : 0,
+    legCount: legs.length,
+  };
+};
+
+// The per-upload figures the composition trend plots. Chunked snapshots store
+// these on their metadata document so the trend doesn't need every upload's rows.
+export const summarizeComposition = (rows) => {
+  const concentration = buildConcentration(rows);
+  return {
+    headcount: rows.length,
+    ...Object.fromEntries(buildTierDistribution(rows).map(tier => [tier.key, tier.count])),
+    ...Object.fromEntries(buildStatusDistribution(rows).map(status => [`status_${status.key}`, status.count])),
+    topShare: concentration.topShare,
+    largestLegShare: concentration.largestLegShare,
+  };
+};
+
+// One point per upload, oldest first: headcount by tier and status, and concentration.
+export const buildCompositionTrend = (snapshots) => snapshots
+  .map(snapshot => ({ snapshot, date: getSnapshotDate(snapshot) }))
+  .filter(entry => entry.date)
+  .sort((a, b) => a.date - b.date)
+  .map(({ snapshot, date }) => ({
+    id: snapshot.id,
+    label: formatDate(date),
+    ...(snapshot.composition || summarizeComposition(getSnapshotRows(snapshot))),
+  }));
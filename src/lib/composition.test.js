@@ -0,0 +1,44 @@
+import { buildCompositionTrend, buildConcentration, buildDepthDistribution, buildRankDistribution, buildStatusDistribution, buildTierDistribution } from './composition';
+import { filterAssociates } from './associateFilters';
+import { importFixture, makeSnapshot } from './__fixtures__';
+
+const { report: { rows } } = importFixture('org-report.csv');
+const byKey = (buckets) => Object.fromEntries(buckets.map(b => [b.key, b]));
+
+test('buildRankDistribution has a bar for every configured rank', () => {
+  const ranks = buildRankDistribution(rows);
+  expect(ranks).toHaveLength(11);
+  expect(ranks.reduce((total, rank) => total + rank.count, 0)).toBe(rows.length);
+  expect(byKey(ranks)['5']).toMatchObject({ label: 'Director', count: 1 });
+});
+
+test('production shares across tiers and depths add up to the whole team', () => {
+  const sum = (buckets) => buckets.reduce((total, b) => total + b.share, 0);
+  expect(sum(buildTierDistribution(rows))).toBeCloseTo(1);
+  expect(sum(buildDepthDistribution(rows))).toBeCloseTo(1);
+  expect(buildDepthDistribution(rows).map(d => d.key)).toEqual(['0', '1', '2']);
+});
+
+test('each bucket\'s filters select exactly its members', () => {
+  [...buildTierDistribution(rows), ...buildDepthDistribution(rows), ...buildStatusDistribution(rows)].forEach(b => {
+    expect(filterAssociates(rows, b.filters)).toHaveLength(b.count);
+  });
+  expect(byKey(buildStatusDistribution(rows))).toMatchObject({ D: { count: 1 }, H: { count: 1 } });
+});
+
+test('buildConcentration measures the top 10% and the largest leg', () => {
+  const concentration = buildConcentration(rows);
+  expect(concentration.topCount).toBe(1);
+  expect(concentration.largestLeg.Name).toBe('Ellis, Avery');
+  // Leg 1001's Org Premium MTD 600 over the root's 1150
+  expect(concentration.largestLegShare).toBeCloseTo(600 / 1150);
+  expect(buildConcentration([])).toMatchObject({ topShare: 0, largestLeg: null, largestLegShare: 0 });
+});
+
+test('buildCompositionTrend orders uploads oldest first', () => {
+  const trend = buildCompositionTrend([
+    makeSnapshot('new', new Date(2025, 1, 10), rows),
+    makeSnapshot('old', new Date(2025, 1, 3), rows.slice(0, 3)),
+  ]);
+  expect(trend.map(point => [point.id, point.headcount])).toEqual([['old', 3], ['new', 7]]);
+});
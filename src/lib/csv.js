@@ -0,0 +1,99 @@
+import { t } from './i18n';
+
+// --- CSV Parsing (RFC 4180) ---
+
+export const SUPPORTED_DELIMITERS = [',', ';', '\t', '|'];
+
+const DELIMITER_NAMES = { ',': 'comma', ';': 'semicolon', '\t': 'tab', '|': 'pipe' };
+
+export const delimiterLabel = (delimiter) => (DELIMITER_NAMES[delimiter] ? t(`import.delimiters.${DELIMITER_NAMES[delimiter]}`) : delimiter);
+
+const stripBom = (text) => (text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text);
+
+// Parses CSV text into records. Handles a leading BOM, CRLF/CR/LF line endings,
+// quoted fields containing delimiters or line breaks, and escaped quotes ("").
+// Each record carries the physical line it started on so problems can be reported
+// against the file the user actually has open. Fields are trimmed, matching how the
+// report has always been read.
+export const parseCsv = (input, delimiter = ',') => {
+  const text = stripBom(input);
+  const records = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => { fields.push(field.trim()); field = ''; };
+  const endRecord = () => {
+    endField();
+    records.push({ fields, line: recordLine });
+    fields = [];
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') { field += '"'; i += 2; continue; }
+        inQuotes = false; i++; continue;
+      }
+      if (char === '\r' || char === '\n') {
+        field += '\n';
+        line++;
+        i += (char === '\r' && text[i + 1] === '\n') ? 2 : 1;
+        continue;
+      }
+      field += char; i++; continue;
+    }
+
+    if (char === '"' && field.trim() === '') {
+      field = ''; inQuotes = true; i++; continue;
+    }
+    if (char === delimiter) { endField(); i++; continue; }
+    if (char === '\r' || char === '\n') {
+      endRecord();
+      i += (char === '\r' && text[i + 1] === '\n') ? 2 : 1;
+      line++;
+      recordLine = line;
+      continue;
+    }
+    field += char; i++;
+  }
+
+  if (inQuotes) {
+    endRecord();
+    records[records.length - 1].error = t('import.reasons.unterminatedQuote');
+  } else if (field !== '' || fields.length > 0) {
+    endRecord();
+  }
+
+  return records;
+};
+
+export const isBlankRecord = (record) => record.fields.every(value => value === '');
+
+// Picks the delimiter that splits the header row into the most fields.
+export const detectDelimiter = (input) => {
+  const sample = input.slice(0, 65536);
+  let best = ',', bestCount = 1;
+  SUPPORTED_DELIMITERS.forEach(delimiter => {
+    const header = parseCsv(sample, delimiter).find(record => !isBlankRecord(record));
+    const count = header ? header.fields.length : 0;
+    if (count > bestCount) { best = delimiter; bestCount = count; }
+  });
+  return best;
+};
+
+// Quotes a field only when it contains the delimiter, a quote, or a line break.
+const quoteField = (value, delimiter) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// The inverse of parseCsv: an array of rows (arrays of values) to RFC 4180 text.
+export const stringifyCsv = (rows, delimiter = ',') => rows
+  .map(row => row.map(value => quoteField(value, delimiter)).join(delimiter))
+  .join('\r\n');
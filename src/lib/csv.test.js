@@ -0,0 +1,57 @@
+import { detectDelimiter, parseCsv, stringifyCsv } from './csv';
+
+const fieldsOf = (records) => records.map(record => record.fields);
+
+describe('parseCsv', () => {
+  test('splits records on CRLF, CR and LF line endings', () => {
+    expect(fieldsOf(parseCsv('a,b\r\n1,2\r3,4\n5,6'))).toEqual([['a', 'b'], ['1', '2'], ['3', '4'], ['5', '6']]);
+  });
+
+  test('keeps delimiters, escaped quotes and line breaks inside quoted fields', () => {
+    const records = parseCsv('name,note\n"Ellis, Avery","said ""hi""\r\nthen left"\nnext,row');
+    expect(fieldsOf(records)).toEqual([['name', 'note'], ['Ellis, Avery', 'said "hi"\nthen left'], ['next', 'row']]);
+  });
+
+  test('reports the physical line each record starts on', () => {
+    const records = parseCsv('h1,h2\n"multi\nline",x\nlast,y');
+    expect(records.map(record => record.line)).toEqual([1, 2, 4]);
+  });
+
+  test('strips a leading byte order mark and trims fields', () => {
+    expect(fieldsOf(parseCsv('﻿ Associate ID , Name \n1, Dana '))).toEqual([['Associate ID', 'Name'], ['1', 'Dana']]);
+  });
+
+  test('flags an unterminated quoted field instead of dropping it', () => {
+    const records = parseCsv('a,b\n1,"open\n2,3');
+    expect(records).toHaveLength(2);
+    expect(records[1].error).toBe('Unterminated quoted field');
+  });
+
+  test('does not add an empty record for a trailing line break', () => {
+    expect(parseCsv('a,b\n1,2\n')).toHaveLength(2);
+  });
+});
+
+describe('detectDelimiter', () => {
+  test.each([
+    ['a;b;c\n1;2;3', ';'],
+    ['a\tb\tc\n1\t2\t3', '\t'],
+    ['a|b\n1|2', '|'],
+    ['a,b,c\n1,2,3', ','],
+  ])('detects the delimiter of %j', (text, delimiter) => {
+    expect(detectDelimiter(text)).toBe(delimiter);
+  });
+
+  test('ignores delimiters inside quoted header fields', () => {
+    expect(detectDelimiter('"Name; Full",ID\nx,1')).toBe(',');
+  });
+});
+
+describe('stringifyCsv', () => {
+  test('quotes only fields that need it and round-trips through parseCsv', () => {
+    const rows = [['Name', 'Note', 'Premium'], ['Ellis, Avery', 'said "hi"', 12.5], ['Plain', null, 0]];
+    const text = stringifyCsv(rows);
+    expect(text).toBe('Name,Note,Premium\r\n"Ellis, Avery","said ""hi""",12.5\r\nPlain,,0');
+    expect(fieldsOf(parseCsv(text))).toEqual(rows.map(row => row.map(value => (value === null ? '' : String(value)))));
+  });
+});
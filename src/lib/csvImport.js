@@ -0,0 +1,80 @@
+import { parseCsv, detectDelimiter, isBlankRecord } from './csv';
+import { CANONICAL_FIELDS, inferColumnType, parseFieldValue } from './schema';
+import { t } from './i18n';
+
+// --- CSV Import & Validation ---
+
+// Splits raw CSV text into a header row and data records. Throws for files that
+// can't produce a snapshot at all.
+export const readCsvFile = (text, { delimiter } = {}) => {
+  const resolvedDelimiter = delimiter || detectDelimiter(text);
+  const records = parseCsv(text, resolvedDelimiter).filter(record => !isBlankRecord(record));
+  if (records.length < 2) throw new Error(t('import.reasons.needsHeader'));
+
+  const [headerRecord, ...dataRecords] = records;
+  return { delimiter: resolvedDelimiter, headers: headerRecord.fields, dataRecords };
+};
+
+// Turns parsed records into snapshot rows keyed by canonical field names, plus a
+// validation report. `mapping` maps canonical field keys to incoming headers.
+// Nothing here touches Firestore; the caller decides whether to save.
+export const buildImport = ({ headers, dataRecords }, mapping) => {
+  const report = {
+    headers,
+    rows: [],
+    rowLines: [],
+    skipped: [],
+    regeneratedIds: [],
+    invalidValues: [],
+  };
+
+  const mappedHeaders = new Set(Object.values(mapping).filter(Boolean));
+  const columns = CANONICAL_FIELDS
+    .filter(field => mapping[field.key])
+    .map(field => ({ key: field.key, type: field.type, index: headers.indexOf(mapping[field.key]), header: mapping[field.key] }));
+
+  const wellFormed = [];
+  dataRecords.forEach(record => {
+    if (record.error) report.skipped.push({ line: record.line, reason: record.error });
+    else if (record.fields.length !== headers.length) report.skipped.push({ line: record.line, reason: t('import.reasons.fieldCount', { expected: headers.length, found: record.fields.length }) });
+    else wellFormed.push(record);
+  });
+
+  headers.forEach((header, index) => {
+    // An unmapped column named like a canonical field would shadow the mapped one, so it's dropped.
+    if (mappedHeaders.has(header) || CANONICAL_FIELDS.some(field => field.key === header)) return;
+    const type = inferColumnType(wellFormed.map(record => record.fields[index]));
+    columns.push({ key: header, type, index, header });
+  });
+
+  const nameIndex = mapping.Name ? headers.indexOf(mapping.Name) : -1;
+  const seenIds = new Map();
+  wellFormed.forEach(({ fields: values, line }) => {
+    // Without a mapped ID column every row still needs a key; the missing-field warning covers it.
+    const row = mapping['Associate ID'] ? {} : { 'Associate ID': crypto.randomUUID() };
+    columns.forEach(({ key, type, index, header }) => {
+      const raw = values[index];
+      if (key === 'Associate ID') {
+        let id = raw;
+        const name = nameIndex >= 0 ? values[nameIndex] : '';
+        if (!id || id === '0') {
+          report.regeneratedIds.push({ line, name, originalId: raw, reason: t('import.reasons.blankId') });
+          id = crypto.randomUUID();
+        } else if (seenIds.has(id)) {
+          report.regeneratedIds.push({ line, name, originalId: raw, reason: t('import.reasons.duplicateId', { line: seenIds.get(id) }) });
+          id = crypto.randomUUID();
+        }
+        seenIds.set(id, line);
+        row[key] = id;
+        return;
+      }
+      const { value, valid } = parseFieldValue(type, raw);
+      if (!valid) report.invalidValues.push({ line, column: header, field: key, type, value: raw });
+      row[key] = value;
+    });
+    report.rows.push(row);
+    report.rowLines.push(line);
+  });
+
+  return report;
+};
@@ -0,0 +1,119 @@
+import { readCsvFile } from './csvImport';
+import { getMissingRequiredFields, headerSignature, matchHeaders, parseLocalizedNumber } from './schema';
+import { isRegeneratedId } from './associates';
+import { importFixture } from './__fixtures__';
+
+describe('readCsvFile', () => {
+  test('rejects files without a data row', () => {
+    expect(() => readCsvFile('Associate ID,Name\n\n')).toThrow('CSV must have a header and at least one data row.');
+  });
+
+  test('detects the delimiter unless one is given', () => {
+    expect(readCsvFile('a;b\n1;2').delimiter).toBe(';');
+    expect(readCsvFile('a;b\n1;2', { delimiter: ',' }).headers).toEqual(['a;b']);
+  });
+});
+
+describe('buildImport with a clean report', () => {
+  const { mapping, report } = importFixture('org-report.csv');
+
+  test('maps every canonical header', () => {
+    expect(getMissingRequiredFields(mapping)).toEqual([]);
+    expect(mapping['Org Premium PMTD']).toBe('Org Premium PMTD');
+  });
+
+  test('types values and keeps quoted names intact', () => {
+    expect(report.rows).toHaveLength(7);
+    expect(report.rows[1]).toMatchObject({ 'Associate ID': '1001', Name: 'Ellis, Avery', Level: 4, 'Depth Level': 1, 'Org Premium MTD': 600 });
+    expect(report.skipped).toEqual([]);
+    expect(report.invalidValues).toEqual([]);
+    expect(report.regeneratedIds).toEqual([]);
+  });
+});
+
+describe('buildImport with malformed rows', () => {
+  const { report } = importFixture('malformed-rows.csv');
+
+  test('skips short and unterminated rows, reporting the line they start on', () => {
+    expect(report.skipped).toEqual([
+      { line: 4, reason: 'Expected 18 fields but found 4' },
+      { line: 9, reason: 'Unterminated quoted field' },
+    ]);
+  });
+
+  test('keeps multi-line names and records their starting line', () => {
+    const index = report.rows.findIndex(row => row['Associate ID'] === '2002');
+    expect(report.rows[index].Name).toBe('Quoted\nName');
+    expect(report.rowLines[index]).toBe(5);
+  });
+
+  test('reports values that had to be coerced', () => {
+    expect(report.invalidValues).toEqual([
+      { line: 7, column: 'Personal Premium MTD', field: 'Personal Premium MTD', type: 'currency', value: 'abc' },
+      { line: 7, column: 'Personal Recruits MTD', field: 'Personal Recruits MTD', type: 'integer', value: '1.5' },
+      { line: 8, column: 'Status', field: 'Status', type: 'status', value: 'X' },
+    ]);
+    expect(report.rows.find(row => row['Associate ID'] === '2003')['Personal Premium MTD']).toBe(0);
+  });
+});
+
+describe('buildImport with blank and duplicate IDs', () => {
+  const { report } = importFixture('regenerated-ids.csv');
+
+  test('regenerates blank, zero and duplicate IDs', () => {
+    expect(report.regeneratedIds.map(({ line, name, reason }) => ({ line, name, reason }))).toEqual([
+      { line: 3, name: 'Blank Id', reason: 'Blank ID' },
+      { line: 4, name: 'Zero Id', reason: 'Blank ID' },
+      { line: 6, name: 'Duplicate Holder', reason: 'Duplicate of line 5' },
+    ]);
+    const ids = report.rows.map(row => row['Associate ID']);
+    expect(new Set(ids).size).toBe(ids.length);
+    expect(ids.filter(isRegeneratedId)).toHaveLength(3);
+    expect(ids).toContain('3001');
+  });
+});
+
+describe('matchHeaders', () => {
+  test('matches renamed headers without crossing MTD and PMTD', () => {
+    const headers = ['Assoc ID', 'Associate Name', 'Rank', 'Depth', 'Status Code', 'Pers Premium MTD', 'Personal Premium Prior Month', 'Personal Recruits MTD', 'Organization Premium MTD', 'Org Recruits MTD'];
+    const { mapping, source } = matchHeaders(headers);
+    expect(source).toBe('detected');
+    expect(mapping).toMatchObject({
+      'Associate ID': 'Assoc ID',
+      Name: 'Associate Name',
+      Level: 'Rank',
+      'Personal Premium MTD': 'Pers Premium MTD',
+      'Personal Premium PMTD': 'Personal Premium Prior Month',
+      'Org Premium MTD': 'Organization Premium MTD',
+    });
+    expect(mapping['Org Premium PMTD']).toBeNull();
+  });
+
+  test('uses a saved mapping for the same header row', () => {
+    const { parsed } = importFixture('org-report.csv');
+    const saved = { id: headerSignature(parsed.headers), mapping: { ...matchHeaders(parsed.headers).mapping, 'Sponsor ID': null } };
+    const { mapping, source } = matchHeaders(parsed.headers, [saved]);
+    expect(source).toBe('saved');
+    expect(mapping['Sponsor ID']).toBeNull();
+    expect(mapping.Name).toBe('Name');
+  });
+});
+
+describe('buildImport with a report exported in another locale', () => {
+  const { parsed, report } = importFixture('localized-report.csv');
+
+  test('reads decimal commas, grouping points or spaces, currency marks and parenthesized negatives', () => {
+    expect(parsed.delimiter).toBe(';');
+    expect(report.rows[0]).toMatchObject({ 'Personal Premium MTD': 120.5, 'Personal Premium YTD': 9800.25, 'Org Premium MTD': 1150, 'Org Premium PMTD': 1400, 'Org Premium YTD': 9800 });
+    expect(report.rows[1]).toMatchObject({ 'Personal Premium MTD': -15.75, 'Personal Premium YTD': 1200, 'Org Premium YTD': 4100 });
+    expect(report.invalidValues).toEqual([]);
+  });
+});
+
+test('parseLocalizedNumber leaves a lone three-digit group as a US report means it', () => {
+  expect(parseLocalizedNumber('1,234')).toBe(1234);
+  expect(parseLocalizedNumber('1.234')).toBe(1.234);
+  expect(parseLocalizedNumber('1,23')).toBe(1.23);
+  expect(parseLocalizedNumber('-$1,234.50')).toBe(-1234.5);
+  expect(parseLocalizedNumber('12 abc')).toBeNull();
+});
@@ -0,0 +1,261 @@
+import { stringifyCsv } from './csv';
+import { buildImport, readCsvFile } from './csvImport';
+import { matchHeaders } from './schema';
+
+// --- Demo Data ---
+// Made-up but realistic organizations, written as the back office's report CSV so they go
+// through the same import as real uploads. The same options and seed always produce the
+// same files, so tests can depend on them and a demo can be rebuilt exactly.
+
+// The report's columns, in the order the back office writes them.
+export const REPORT_HEADERS = [
+  'Associate ID', 'Name', 'Level', 'Depth Level', 'Status', 'Sponsor ID',
+  'Personal Premium MTD', 'Personal Premium PMTD', 'Personal Premium YTD',
+  'Personal Recruits MTD', 'Personal Recruits PMTD', 'Personal Recruits YTD',
+  'Org Premium MTD', 'Org Premium PMTD', 'Org Premium YTD',
+  'Org Recruits MTD', 'Org Recruits PMTD', 'Org Recruits YTD',
+];
+
+// Relative weights of each level; higher levels go to the associates with the largest downlines.
+export const DEMO_RANK_MIXES = {
+  growing: { 1: 50, 2: 22, 3: 12, 4: 7, 5: 5, 6: 3, 7: 1 },
+  balanced: { 1: 35, 2: 20, 3: 15, 4: 11, 5: 8, 6: 6, 7: 3, 8: 1, 9: 1 },
+  established: { 1: 25, 2: 17, 3: 15, 4: 13, 5: 11, 6: 8, 7: 5, 8: 3, 9: 1.5, 10: 1, 11: 0.5 },
+};
+
+// The report's status code for each key of a status mix, whose values are relative weights.
+export const DEMO_STATUS_CODES = { active: '', notVested: 'D', onHold: 'H' };
+
+export const DEMO_LIMITS = {
+  associates: { min: 1, max: 5000 },
+  depth: { min: 1, max: 15 },
+  months: { min: 1, max: 24 },
+};
+
+export const DEFAULT_DEMO_OPTIONS = {
+  associates: 150,
+  depth: 5,
+  months: 6,
+  rankMix: DEMO_RANK_MIXES.balanced,
+  statusMix: { active: 80, notVested: 12, onHold: 8 },
+  seed: 1,
+};
+
+// How far before the first report associates may have joined, so its PMTD and YTD columns have history.
+const HISTORY_MONTHS = 12;
+// Share of the organization that already existed when the first report was run.
+const EXISTING_SHARE = 0.6;
+// Chance an associate's status carries over from one month to the next.
+const STATUS_STICKINESS = 0.8;
+
+const FIRST_NAMES = [
+  'Alex', 'Bailey', 'Camila', 'Dana', 'Elena', 'Frankie', 'Gabriel', 'Harper', 'Isaac', 'Jordan',
+  'Kendall', 'Lucia', 'Marcus', 'Nadia', 'Omar', 'Priya', 'Quinn', 'Rosa', 'Samuel', 'Tasha',
+  'Uma', 'Victor', 'Wren', 'Xavier', 'Yara', 'Zane', 'Andre', 'Beatriz', 'Caleb', 'Deja',
+];
+const LAST_NAMES = [
+  'Alvarez', 'Brooks', 'Carter', 'Diaz', 'Ellison', 'Foster', 'Garcia', 'Hughes', 'Ibarra', 'Jensen',
+  'Kim', 'Lopez', 'Morgan', 'Nguyen', 'Ortiz', 'Patel', 'Reyes', 'Santos', 'Turner', 'Vega',
+  'Washington', 'Young', 'Zamora', 'Bennett', 'Castillo', 'Flores', 'Hayes', 'Mendoza', 'Price', 'Ramirez',
+];
+
+// A small seeded generator (mulberry32), so the output depends on nothing but the options.
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const pickWeighted = (random, weights) => {
+  const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  let roll = random() * total;
+  for (const [key, weight] of entries) {
+    roll -= weight;
+    if (roll < 0) return key;
+  }
+  return entries[entries.length - 1][0];
+};
+
+const clampInteger = (value, { min, max }, fallback) => {
+  const number = Math.round(Number(value));
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+};
+
+// Keeps only positive numeric weights for known keys; with none left, the fallback is used.
+const normalizeWeights = (weights, keys, fallback) => {
+  const cleaned = Object.fromEntries(keys
+    .map(key => [key, Number(weights?.[key])])
+    .filter(([, weight]) => Number.isFinite(weight) && weight > 0));
+  return Object.keys(cleaned).length > 0 ? cleaned : fallback;
+};
+
+const LEVEL_KEYS = Array.from({ length: 11 }, (_, i) => String(i + 1));
+
+// Fills in defaults and clamps counts to DEMO_LIMITS. `endDate` is the date of the newest report.
+export const normalizeDemoOptions = (options = {}) => ({
+  associates: clampInteger(options.associates, DEMO_LIMITS.associates, DEFAULT_DEMO_OPTIONS.associates),
+  depth: clampInteger(options.depth, DEMO_LIMITS.depth, DEFAULT_DEMO_OPTIONS.depth),
+  months: clampInteger(options.months, DEMO_LIMITS.months, DEFAULT_DEMO_OPTIONS.months),
+  rankMix: normalizeWeights(options.rankMix, LEVEL_KEYS, DEFAULT_DEMO_OPTIONS.rankMix),
+  statusMix: normalizeWeights(options.statusMix, Object.keys(DEMO_STATUS_CODES), DEFAULT_DEMO_OPTIONS.statusMix),
+  seed: clampInteger(options.seed, { min: 0, max: 2 ** 32 - 1 }, DEFAULT_DEMO_OPTIONS.seed),
+  endDate: options.endDate instanceof Date && !Number.isNaN(options.endDate.getTime()) ? options.endDate : new Date(),
+});
+
+// The sponsor tree. Each associate is sponsored by someone added before them, no deeper than
+// `depth`, and joins no earlier than their sponsor. Join months count from the first report (0).
+const buildOrganization = (random, { associates, depth, months, rankMix }) => {
+  const people = [{ sponsor: null, depth: 0, children: [], size: 1 }];
+  const canSponsor = [0];
+  for (let index = 1; index < associates; index++) {
+    const sponsorIndex = canSponsor[Math.floor(random() * canSponsor.length)];
+    const person = { sponsor: sponsorIndex, depth: people[sponsorIndex].depth + 1, children: [], size: 1 };
+    people[sponsorIndex].children.push(index);
+    people.push(person);
+    if (person.depth < depth) canSponsor.push(index);
+  }
+
+  const joinMonths = people.slice(1)
+    .map(() => (random() < EXISTING_SHARE ? -1 - Math.floor(random() * HISTORY_MONTHS) : Math.floor(random() * months)))
+    .sort((a, b) => a - b);
+  people.forEach((person, index) => { person.joinMonth = index === 0 ? -HISTORY_MONTHS : joinMonths[index - 1]; });
+
+  for (let index = people.length - 1; index > 0; index--) people[people[index].sponsor].size += people[index].size;
+
+  // Levels are drawn from the mix, then handed out by downline size so leaders sit above their teams.
+  const levels = people.map(() => Number(pickWeighted(random, rankMix))).sort((a, b) => b - a);
+  people
+    .map((person, index) => index)
+    .sort((a, b) => people[b].size - people[a].size || a - b)
+    .forEach((index, rank) => { people[index].level = levels[rank]; });
+
+  people.forEach((person, index) => {
+    person.id = String(100001 + index);
+    person.name = `${FIRST_NAMES[Math.floor(random() * FIRST_NAMES.length)]} ${LAST_NAMES[Math.floor(random() * LAST_NAMES.length)]}`;
+    // Monthly premium when producing, and the chance of producing in a month, rise with level.
+    person.basePremium = 60 + person.level * 45;
+    person.activity = 0.45 + random() * 0.45;
+  });
+  return people;
+};
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+// Simulates every month from the earliest join to the newest report. Arrays are indexed by
+// month + HISTORY_MONTHS; the newest month's premium only covers the days up to `endDate`.
+const simulateMonths = (random, people, { months, statusMix, endDate }) => {
+  const total = HISTORY_MONTHS + months;
+  const endFraction = endDate.getDate() / daysInMonth(endDate.getFullYear(), endDate.getMonth());
+
+  people.forEach(person => {
+    person.status = [];
+    person.premium = [];
+    person.recruits = [];
+  });
+  for (let slot = 0; slot < total; slot++) {
+    const month = slot - HISTORY_MONTHS;
+    people.forEach((person, index) => {
+      if (person.joinMonth > month) {
+        person.status.push(null);
+        person.premium.push(0);
+        person.recruits.push(0);
+        return;
+      }
+      const previous = person.status[slot - 1];
+      const status = index === 0 ? '' : previous != null && random() < STATUS_STICKINESS
+        ? previous
+        : DEMO_STATUS_CODES[pickWeighted(random, statusMix)];
+      const producing = status === '' && random() < person.activity;
+      const fullMonth = producing ? Math.round(person.basePremium * (0.5 + random())) : 0;
+      person.status.push(status);
+      person.premium.push(slot === total - 1 ? Math.round(fullMonth * endFraction) : fullMonth);
+      person.recruits.push(person.children.filter(child => people[child].joinMonth === month).length);
+    });
+  }
+
+  // Organization totals include the associate; children always come after their sponsor.
+  people.forEach(person => {
+    person.orgPremium = [...person.premium];
+    person.orgRecruits = [...person.recruits];
+  });
+  for (let index = people.length - 1; index > 0; index--) {
+    const { sponsor, orgPremium, orgRecruits } = people[index];
+    for (let slot = 0; slot < total; slot++) {
+      people[sponsor].orgPremium[slot] += orgPremium[slot];
+      people[sponsor].orgRecruits[slot] += orgRecruits[slot];
+    }
+  }
+};
+
+// Sponsors before their downline, like the back office's report.
+const inTreeOrder = (people) => {
+  const order = [];
+  const visit = (index) => {
+    order.push(people[index]);
+    people[index].children.forEach(visit);
+  };
+  visit(0);
+  return order;
+};
+
+const sumSlots = (values, from, to) => values.slice(from, to + 1).reduce((sum, value) => sum + value, 0);
+
+const formatFileDate = (date) => [date.getFullYear(), date.getMonth() + 1, date.getDate()].map(part => String(part).padStart(2, '0')).join('-');
+
+// One report per month ending at `endDate`, oldest first. Earlier reports are dated the last day of
+// their month; each has `date`, a `fileName` with that date in it, and `rows` keyed by REPORT_HEADERS.
+export const generateDemoReports = (options = {}) => {
+  const settings = normalizeDemoOptions(options);
+  const random = createRandom(settings.seed);
+  const people = buildOrganization(random, settings);
+  simulateMonths(random, people, settings);
+  const ordered = inTreeOrder(people);
+  const { endDate, months } = settings;
+
+  return Array.from({ length: months }, (_, month) => {
+    const slot = month + HISTORY_MONTHS;
+    const monthStart = new Date(endDate.getFullYear(), endDate.getMonth() - (months - 1 - month), 1);
+    const date = month === months - 1
+      ? new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate(), 12)
+      : new Date(monthStart.getFullYear(), monthStart.getMonth(), daysInMonth(monthStart.getFullYear(), monthStart.getMonth()), 12);
+    const yearStart = slot - monthStart.getMonth();
+
+    const rows = ordered.filter(person => person.joinMonth <= month).map(person => ({
+      'Associate ID': person.id,
+      Name: person.name,
+      Level: person.level,
+      'Depth Level': person.depth,
+      Status: person.status[slot],
+      'Sponsor ID': person.sponsor === null ? '' : people[person.sponsor].id,
+      'Personal Premium MTD': person.premium[slot],
+      'Personal Premium PMTD': person.premium[slot - 1],
+      'Personal Premium YTD': sumSlots(person.premium, yearStart, slot),
+      'Personal Recruits MTD': person.recruits[slot],
+      'Personal Recruits PMTD': person.recruits[slot - 1],
+      'Personal Recruits YTD': sumSlots(person.recruits, yearStart, slot),
+      'Org Premium MTD': person.orgPremium[slot],
+      'Org Premium PMTD': person.orgPremium[slot - 1],
+      'Org Premium YTD': sumSlots(person.orgPremium, yearStart, slot),
+      'Org Recruits MTD': person.orgRecruits[slot],
+      'Org Recruits PMTD': person.orgRecruits[slot - 1],
+      'Org Recruits YTD': sumSlots(person.orgRecruits, yearStart, slot),
+    }));
+    return { date, fileName: `demo-report-${formatFileDate(date)}.csv`, rows };
+  });
+};
+
+export const demoReportToCsv = (report) => stringifyCsv([REPORT_HEADERS, ...report.rows.map(row => REPORT_HEADERS.map(header => row[header]))]);
+
+// The report's CSV read back through the upload's import, as snapshot rows ready to save.
+export const importDemoReport = (report) => {
+  const text = demoReportToCsv(report);
+  const parsed = readCsvFile(text);
+  const { mapping } = matchHeaders(parsed.headers);
+  return { text, mapping, rows: buildImport(parsed, mapping).rows };
+};
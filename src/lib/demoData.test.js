@@ -0,0 +1,72 @@
+import { REPORT_HEADERS, generateDemoReports, importDemoReport, normalizeDemoOptions } from './demoData';
+import { buildImport, readCsvFile } from './csvImport';
+import { getMissingRequiredFields, matchHeaders } from './schema';
+import { readFixture } from './__fixtures__';
+
+const endDate = new Date(2025, 2, 15);
+const reports = generateDemoReports({ associates: 120, depth: 4, months: 4, seed: 7, endDate });
+const newest = reports[reports.length - 1];
+
+test('the same options and seed always produce the same reports', () => {
+  expect(generateDemoReports({ associates: 120, depth: 4, months: 4, seed: 7, endDate })).toEqual(reports);
+  expect(generateDemoReports({ associates: 120, depth: 4, months: 4, seed: 8, endDate })).not.toEqual(reports);
+});
+
+test('one report per month, dated at month end except the newest', () => {
+  expect(reports.map(report => report.fileName)).toEqual([
+    'demo-report-2024-12-31.csv', 'demo-report-2025-01-31.csv', 'demo-report-2025-02-28.csv', 'demo-report-2025-03-15.csv',
+  ]);
+  expect(newest.date).toEqual(new Date(2025, 2, 15, 12));
+  expect(newest.rows).toHaveLength(120);
+  // The organization only grows, so each report contains everyone in the one before.
+  reports.slice(1).forEach((report, i) => {
+    const ids = new Set(report.rows.map(row => row['Associate ID']));
+    expect(reports[i].rows.every(row => ids.has(row['Associate ID']))).toBe(true);
+  });
+});
+
+test('the rows add up the way the back office report does', () => {
+  const byId = new Map(newest.rows.map(row => [row['Associate ID'], row]));
+  const [root] = newest.rows;
+  expect(root).toMatchObject({ 'Depth Level': 0, 'Sponsor ID': '', Status: '' });
+  expect(root['Org Premium MTD']).toBe(newest.rows.reduce((sum, row) => sum + row['Personal Premium MTD'], 0));
+  expect(root['Org Recruits YTD']).toBe(newest.rows.reduce((sum, row) => sum + row['Personal Recruits YTD'], 0));
+  newest.rows.slice(1).forEach(row => {
+    expect(byId.get(row['Sponsor ID'])['Depth Level']).toBe(row['Depth Level'] - 1);
+    expect(row['Depth Level']).toBeLessThanOrEqual(4);
+  });
+
+  // PMTD is the whole previous month, and a month's recruits are the new associates it sponsored.
+  const [, february, march] = reports.slice(1);
+  const previous = new Map(february.rows.map(row => [row['Associate ID'], row]));
+  march.rows.filter(row => previous.has(row['Associate ID'])).forEach(row => {
+    expect(row['Org Premium PMTD']).toBe(previous.get(row['Associate ID'])['Org Premium MTD']);
+    const joined = march.rows.filter(other => other['Sponsor ID'] === row['Associate ID'] && !previous.has(other['Associate ID']));
+    expect(row['Personal Recruits MTD']).toBe(joined.length);
+  });
+});
+
+test('rank and status mixes shape the organization', () => {
+  const [report] = generateDemoReports({ associates: 40, months: 1, rankMix: { 3: 1 }, statusMix: { onHold: 1 }, endDate });
+  expect(new Set(report.rows.map(row => row.Level))).toEqual(new Set([3]));
+  // The organization's own leader is always active.
+  expect(report.rows.slice(1).every(row => row.Status === 'H')).toBe(true);
+  expect(report.rows.every(row => row['Personal Premium MTD'] === 0 || row.Status === '')).toBe(true);
+});
+
+test('options are clamped, and empty mixes fall back to the defaults', () => {
+  expect(normalizeDemoOptions({ associates: 0, depth: '40', months: 'x', rankMix: { 12: 5 }, statusMix: { active: -1 } })).toMatchObject({
+    associates: 1, depth: 15, months: 6, rankMix: normalizeDemoOptions().rankMix, statusMix: { active: 80, notVested: 12, onHold: 8 },
+  });
+});
+
+test('reports are CSVs in the real report format that import without problems', () => {
+  expect(readCsvFile(readFixture('org-report.csv')).headers).toEqual(REPORT_HEADERS);
+  const { text, mapping, rows } = importDemoReport(newest);
+  const parsed = readCsvFile(text);
+  expect(parsed.headers).toEqual(REPORT_HEADERS);
+  expect(getMissingRequiredFields(matchHeaders(parsed.headers).mapping)).toEqual([]);
+  const { skipped, invalidValues, regeneratedIds } = buildImport(parsed, mapping);
+  expect([skipped, invalidValues, regeneratedIds]).toEqual([[], [], []]);
+  expect(rows[0]).toEqual(newest.rows[0]);
+});
@@ -0,0 +1,30 @@
+import { getSnapshotDate } from './snapshots';
+
+// --- Duplicate Uploads ---
+// Each upload records a hash of its file so re-uploading the same report, or a second
+// report for the same day, can be caught before it's saved alongside the first.
+
+export const DUPLICATE_CHOICES = ['skip', 'replace', 'keep'];
+
+// A byte-order mark, line endings and trailing blank lines depend on how the file was saved, not on the report.
+const normalizeContent = (text) => text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').trimEnd();
+
+// Hex SHA-256 of the file's text.
+export const hashContent = async (text) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(normalizeContent(text)));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+export const shortHash = (hash) => (hash ? hash.slice(0, 8) : '');
+
+const isSameDay = (a, b) => Boolean(a && b) && a.toDateString() === b.toDateString();
+
+// The live snapshots an upload would duplicate, each flagged with why: the same file
+// content, or a report for the same day. `reportDate` is now unless the upload is backdated.
+export const findDuplicateUploads = (snapshots, { contentHash, reportDate = new Date() }) => snapshots
+  .map(snapshot => ({
+    snapshot,
+    sameContent: Boolean(contentHash) && snapshot.contentHash === contentHash,
+    samePeriod: isSameDay(getSnapshotDate(snapshot), reportDate),
+  }))
+  .filter(match => match.sameContent || match.samePeriod);
@@ -0,0 +1,26 @@
+import { findDuplicateUploads, hashContent, shortHash } from './duplicates';
+import { makeSnapshot } from './__fixtures__';
+
+test('hashContent ignores how the file was saved but not what it says', async () => {
+  const hash = await hashContent('Associate ID,Name\n1,Avery\n');
+  expect(hash).toMatch(/^[0-9a-f]{64}$/);
+  await expect(hashContent('\uFEFFAssociate ID,Name\r\n1,Avery\r\n\r\n')).resolves.toBe(hash);
+  await expect(hashContent('Associate ID,Name\n1,Avery B\n')).resolves.not.toBe(hash);
+  expect(shortHash(hash)).toBe(hash.slice(0, 8));
+});
+
+test('findDuplicateUploads flags identical files and reports for the same day', () => {
+  const snapshots = [
+    makeSnapshot('today', new Date(2026, 9, 19, 8), [], { contentHash: 'other' }),
+    makeSnapshot('earlier', new Date(2026, 9, 12, 8), [], { contentHash: 'abc' }),
+    makeSnapshot('unrelated', new Date(2026, 9, 5, 8), [], { contentHash: 'xyz' }),
+    makeSnapshot('legacy', new Date(2026, 9, 1, 8), []),
+  ];
+  const matches = findDuplicateUploads(snapshots, { contentHash: 'abc', reportDate: new Date(2026, 9, 19, 17) });
+  expect(matches.map(({ snapshot, sameContent, samePeriod }) => [snapshot.id, sameContent, samePeriod])).toEqual([
+    ['today', false, true],
+    ['earlier', true, false],
+  ]);
+  // Snapshots saved before hashing never match on content, even when the upload has no hash either.
+  expect(findDuplicateUploads(snapshots, { contentHash: null, reportDate: new Date(2026, 8, 1) })).toEqual([]);
+});
@@ -0,0 +1,23 @@
+import { t } from './i18n';
+
+// --- Environments ---
+// Each environment keeps its data apart under artifacts/{environment}/..., so trying out
+// features, training and demos never touch production. The app reads REACT_APP_ENVIRONMENT
+// when it's built; the import CLI reads the same variable or its --env flag.
+
+export const ENVIRONMENTS = ['production', 'staging', 'demo'];
+
+// Unset means production, where all data lived before environments could be chosen.
+export const DEFAULT_ENVIRONMENT = 'production';
+
+// Throws on a name that isn't one of ENVIRONMENTS, rather than quietly falling back to production.
+export const resolveEnvironment = (value) => {
+  const name = String(value || '').trim().toLowerCase();
+  if (!name) return DEFAULT_ENVIRONMENT;
+  if (!ENVIRONMENTS.includes(name)) throw new Error(`Unknown environment "${value}". Use one of ${ENVIRONMENTS.join(', ')}.`);
+  return name;
+};
+
+export const isProduction = (environment) => environment === 'production';
+
+export const getEnvironmentLabel = (environment) => t(`environment.names.${environment}`);
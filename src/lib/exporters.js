@@ -0,0 +1,47 @@
+import { stringifyCsv } from './csv';
+import { materializeTable } from './reports';
+import { XLSX_MIME_TYPE, buildXlsx } from './xlsx';
+
+// --- File Exports ---
+
+export const EXPORT_FORMATS = [
+  { key: 'csv', label: 'CSV' },
+  { key: 'xlsx', label: 'Excel (XLSX)' },
+];
+
+// Turns "Acme Team" + "Premium Contributors" into acme-team-premium-contributors-2024-05-01.
+export const exportFileName = (...parts) => {
+  const date = new Date().toISOString().slice(0, 10);
+  return [...parts, date]
+    .filter(Boolean)
+    .map(part => String(part).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''))
+    .filter(Boolean)
+    .join('-');
+};
+
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// Numbers are written raw (no currency symbols) so spreadsheets can sum them.
+export const tableToCsv = (table) => {
+  const { columns, rows } = materializeTable(table);
+  return stringifyCsv([columns.map(col => col.label), ...rows]);
+};
+
+// CSV only holds one table, so multi-table exports in CSV format keep just the first.
+export const exportTables = (tables, format, baseName) => {
+  if (format === 'csv') {
+    // The BOM lets Excel detect UTF-8 when the file is double-clicked.
+    downloadBlob(new Blob(['\uFEFF', tableToCsv(tables[0])], { type: 'text/csv;charset=utf-8' }), `${baseName}.csv`);
+    return;
+  }
+  downloadBlob(new Blob([buildXlsx(tables.map(materializeTable))], { type: XLSX_MIME_TYPE }), `${baseName}.xlsx`);
+};
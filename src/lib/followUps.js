@@ -0,0 +1,120 @@
+import { doc, serverTimestamp, updateDoc } from './store';
+import { getAssociateKey, normalizeStatus } from './associates';
+import { commitInBatches } from './trash';
+import { t } from './i18n';
+
+// --- Follow-up Queue ---
+// One item per associate who needs a call, stored under the team at
+// followUps/{followUpId}. The queue is rebuilt from each upload: new at-risk
+// associates are added, reasons are refreshed, and items whose associate no
+// longer needs attention, or is no longer in the report, close themselves.
+
+export const FOLLOW_UP_REASONS = ['onHold', 'notVested', 'stalled'];
+
+export const OUTCOMES = ['contacted', 'resolved', 'lost'];
+
+export const getReasonLabel = (reason) => t(`followUps.reasons.${reason}`);
+export const getOutcomeLabel = (outcome) => t(`followUps.outcomes.${outcome}`);
+
+// Outcomes that take an item out of the open queue.
+const CLOSING_OUTCOMES = ['resolved', 'lost'];
+
+export const followUpsPath = (teamPathPrefix) => `${teamPathPrefix}/followUps`;
+
+// Associate keys can contain slashes (names, odd IDs), which Firestore doc IDs can't.
+export const followUpId = (associateKey) => encodeURIComponent(associateKey);
+
+// "Stalled" means some personal production last month and none so far this month.
+export const getFollowUpReasons = (associate) => {
+  const reasons = [];
+  const status = normalizeStatus(associate.Status);
+  if (status === 'H') reasons.push('onHold');
+  if (status === 'D') reasons.push('notVested');
+  const producedPMTD = (associate['Personal Premium PMTD'] || 0) > 0 || (associate['Personal Recruits PMTD'] || 0) > 0;
+  const producedMTD = (associate['Personal Premium MTD'] || 0) > 0 || (associate['Personal Recruits MTD'] || 0) > 0;
+  if (producedPMTD && !producedMTD) reasons.push('stalled');
+  return reasons;
+};
+
+const sameReasons = (a = [], b = []) => a.length === b.length && a.every(reason => b.includes(reason));
+
+// Works out what an upload changes in the queue. `existing` is the current queue,
+// with each item's doc ID from followUpId. Returns plain write descriptions so the plan
+// can be checked without Firestore.
+export const planFollowUpSync = (rows, existing, snapshotId) => {
+  const existingByKey = new Map(existing.map(item => [item.id, item]));
+  const seen = new Set();
+  const writes = [];
+
+  rows.forEach(associate => {
+    const associateKey = getAssociateKey(associate);
+    const key = followUpId(associateKey);
+    if (seen.has(key)) return;
+    seen.add(key);
+
+    const reasons = getFollowUpReasons(associate);
+    const item = existingByKey.get(key);
+    const identity = { associateKey, associateId: associate['Associate ID'], associateName: associate.Name || '', lastSnapshotId: snapshotId };
+
+    if (reasons.length > 0) {
+      if (!item) {
+        writes.push({ type: 'create', id: key, data: { ...identity, reasons, status: 'open', assigneeId: null, dueDate: null, outcome: null } });
+      } else if (item.status === 'open') {
+        if (!sameReasons(item.reasons, reasons) || item.associateId !== identity.associateId) {
+          writes.push({ type: 'update', id: key, data: { ...identity, reasons } });
+        }
+      } else if (item.outcome !== 'lost') {
+        // Flagged again after it was closed: reopen with a fresh outcome but keep the assignee.
+        writes.push({ type: 'reopen', id: key, data: { ...identity, reasons, status: 'open', outcome: null, closedReason: null, closedAt: null } });
+      }
+      return;
+    }
+
+    if (item && item.status === 'open') {
+      // Nothing flags them any more, e.g. their status went back to active.
+      writes.push({ type: 'close', id: key, data: { ...identity, reasons: [], status: 'closed', outcome: 'resolved', closedReason: 'auto' } });
+    }
+  });
+
+  // Open items for associates who dropped out of the report. The outcome is left as it
+  // was, so they reopen if they come back still flagged. An empty report says nothing
+  // about who left (its rows may not have loaded), so it never closes the queue.
+  if (rows.length > 0) {
+    existing
+      .filter(item => item.status === 'open' && !seen.has(item.id))
+      .forEach(item => writes.push({ type: 'close', id: item.id, data: { status: 'closed', closedReason: 'left', lastSnapshotId: snapshotId } }));
+  }
+
+  return writes;
+};
+
+export const syncFollowUps = (db, path, rows, existing, snapshotId) => {
+  const writes = planFollowUpSync(rows, existing, snapshotId);
+  return commitInBatches(db, writes, (batch, write) => {
+    const ref = doc(db, path, write.id);
+    const now = serverTimestamp();
+    if (write.type === 'create') batch.set(ref, { ...write.data, openedAt: now, updatedAt: now });
+    else if (write.type === 'reopen') batch.update(ref, { ...write.data, openedAt: now, updatedAt: now });
+    else if (write.type === 'close' && write.data.outcome) batch.update(ref, { ...write.data, outcomeAt: now, closedAt: now, updatedAt: now });
+    else if (write.type === 'close') batch.update(ref, { ...write.data, closedAt: now, updatedAt: now });
+    else batch.update(ref, { ...write.data, updatedAt: now });
+  });
+};
+
+// Manual edits from the queue. Setting a closing outcome closes the item; any
+// other outcome (or clearing it) keeps it open.
+export const updateFollowUp = (db, path, itemId, changes, userId) => {
+  const data = { ...changes, updatedAt: serverTimestamp(), updatedBy: userId };
+  if ('outcome' in changes) {
+    data.outcomeAt = changes.outcome ? serverTimestamp() : null;
+    data.status = CLOSING_OUTCOMES.includes(changes.outcome) ? 'closed' : 'open';
+    data.closedReason = CLOSING_OUTCOMES.includes(changes.outcome) ? 'manual' : null;
+    data.closedAt = CLOSING_OUTCOMES.includes(changes.outcome) ? serverTimestamp() : null;
+  }
+  return updateDoc(doc(db, path, itemId), data);
+};
+
+// Today as yyyy-mm-dd in local time, the format <input type="date"> stores.
+export const localDateString = (date = new Date()) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+export const isOverdue = (item, today = localDateString()) => item.status === 'open' && Boolean(item.dueDate) && item.dueDate < today;
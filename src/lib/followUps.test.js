@@ -0,0 +1,31 @@
+import { followUpId, planFollowUpSync } from './followUps';
+import { getAssociateKey } from './associates';
+
+const row = (id, fields = {}) => ({ 'Associate ID': id, Name: `Associate ${id}`, Status: '', ...fields });
+const openItem = (associate, fields = {}) => ({ id: followUpId(getAssociateKey(associate)), status: 'open', reasons: ['onHold'], associateId: associate['Associate ID'], ...fields });
+
+test('flagged associates get an item and cleared ones close on upload', () => {
+  const cleared = row('2');
+  const writes = planFollowUpSync([row('1', { Status: 'H' }), cleared], [openItem(cleared)], 'snap-1');
+  expect(writes.map(write => [write.type, write.data.associateId, write.data.closedReason])).toEqual([
+    ['create', '1', undefined],
+    ['close', '2', 'auto'],
+  ]);
+});
+
+test('open items for associates who left the report close, keeping their outcome', () => {
+  const stays = row('1', { Status: 'H' });
+  const left = row('2', { Status: 'H' });
+  const existing = [openItem(stays), openItem(left, { outcome: 'contacted' }), openItem(row('3'), { status: 'closed', outcome: 'lost' })];
+
+  const writes = planFollowUpSync([stays], existing, 'snap-2');
+  expect(writes).toEqual([
+    { type: 'close', id: existing[1].id, data: { status: 'closed', closedReason: 'left', lastSnapshotId: 'snap-2' } },
+  ]);
+
+  expect(planFollowUpSync([], existing, 'snap-2')).toEqual([]);
+
+  // Back in the next report and still on hold, the item reopens.
+  const reopened = planFollowUpSync([stays, left], [existing[0], { ...existing[1], status: 'closed', closedReason: 'left' }], 'snap-3');
+  expect(reopened.map(write => write.type)).toEqual(['reopen']);
+});
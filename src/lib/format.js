@@ -0,0 +1,47 @@
+import { getLocaleSettings } from './i18n';
+
+// --- Number & Date Formatting ---
+// Intl-based formatting in the user's locale and display currency (see i18n). Use these
+// instead of toFixed or a bare toLocaleString so every screen follows the same settings.
+
+const formatters = new Map();
+
+// Intl formatters are slow to build, so one is kept per locale, currency and option set.
+const getFormatter = (Type, options) => {
+  const { locale, currency } = getLocaleSettings();
+  const key = `${Type.name}|${locale}|${currency}|${JSON.stringify(options)}`;
+  if (!formatters.has(key)) formatters.set(key, new Type(locale, options.style === 'currency' ? { currency, ...options } : options));
+  return formatters.get(key);
+};
+
+const toNumber = (value) => (Number.isFinite(Number(value)) ? Number(value) : 0);
+
+// $1,234.56 in en-US, 1234,56 US$ in es-ES. `compact` gives $1.2K for tight spaces like chart axes.
+export const formatCurrency = (value, { compact = false } = {}) => getFormatter(Intl.NumberFormat, compact
+  ? { style: 'currency', notation: 'compact', maximumFractionDigits: 1 }
+  : { style: 'currency', minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(toNumber(value));
+
+// Counts and other plain numbers, with the locale's grouping: 12,345 or 12.345.
+export const formatNumber = (value, { maximumFractionDigits = 0 } = {}) => getFormatter(Intl.NumberFormat, { maximumFractionDigits })
+  .format(toNumber(value));
+
+export const formatCompactNumber = (value) => getFormatter(Intl.NumberFormat, { notation: 'compact', maximumFractionDigits: 1 })
+  .format(toNumber(value));
+
+// `fraction` is a ratio: 0.125 → 12.5%. `signed` adds a + to gains.
+export const formatPercent = (fraction, { digits = 1, signed = false } = {}) => getFormatter(Intl.NumberFormat, {
+  style: 'percent',
+  minimumFractionDigits: digits,
+  maximumFractionDigits: digits,
+  ...(signed ? { signDisplay: 'exceptZero' } : {}),
+}).format(toNumber(fraction));
+
+export const formatDate = (date) => (date ? getFormatter(Intl.DateTimeFormat, {}).format(date) : '');
+
+export const formatDateTime = (date) => (date
+  ? getFormatter(Intl.DateTimeFormat, { year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: '2-digit', second: '2-digit' }).format(date)
+  : '');
+
+export const formatMonth = (date, { short = false } = {}) => (date
+  ? getFormatter(Intl.DateTimeFormat, { month: short ? 'short' : 'long', year: 'numeric' }).format(date)
+  : '');
@@ -0,0 +1,108 @@
+// --- Genealogy ---
+
+const depthOf = (row) => (typeof row['Depth Level'] === 'number' ? row['Depth Level'] : null);
+
+// Sponsor columns hold an ID in some reports and a name in others, so resolve either.
+const buildSponsorLookup = (nodes) => {
+  const byId = new Map();
+  const byName = new Map();
+  nodes.forEach(node => {
+    byId.set(String(node.id), node);
+    const name = (node.associate.Name || '').trim().toLowerCase();
+    if (name) byName.set(name, byName.has(name) ? null : node);
+  });
+  return (value) => {
+    const key = String(value || '').trim();
+    if (!key) return null;
+    return byId.get(key) || byName.get(key.toLowerCase()) || null;
+  };
+};
+
+const isAncestor = (candidate, node) => {
+  for (let current = candidate; current; current = current.parent) {
+    if (current === node) return true;
+  }
+  return false;
+};
+
+// Rebuilds parent/child links for a snapshot. When rows carry a Sponsor ID the
+// tree follows it; otherwise it is inferred from row order plus Depth Level, the
+// way the report lists each associate directly under their upline.
+export const buildGenealogy = (rows) => {
+  const nodes = rows.map((associate, index) => ({
+    id: associate['Associate ID'],
+    associate,
+    index,
+    parent: null,
+    children: [],
+    depth: 0,
+    rollup: { premiumMTD: 0, recruitsMTD: 0, size: 0 },
+  }));
+
+  const source = rows.some(row => row['Sponsor ID']) ? 'sponsor' : 'depth';
+
+  if (source === 'sponsor') {
+    const lookup = buildSponsorLookup(nodes);
+    nodes.forEach(node => {
+      const parent = lookup(node.associate['Sponsor ID']);
+      // A sponsor that is the node itself or one of its descendants would form a cycle.
+      if (parent && !isAncestor(parent, node)) {
+        node.parent = parent;
+        parent.children.push(node);
+      }
+    });
+  } else {
+    const stack = [];
+    nodes.forEach(node => {
+      const depth = depthOf(node.associate);
+      if (depth === null) return;
+      while (stack.length > 0 && depthOf(stack[stack.length - 1].associate) >= depth) stack.pop();
+      const parent = stack[stack.length - 1];
+      if (parent) {
+        node.parent = parent;
+        parent.children.push(node);
+      }
+      stack.push(node);
+    });
+  }
+
+  const roots = nodes.filter(node => !node.parent);
+
+  // Iterative walk so very deep downlines can't overflow the call stack.
+  const order = [];
+  const pending = roots.map(root => ({ node: root, depth: 0 }));
+  while (pending.length > 0) {
+    const { node, depth } = pending.pop();
+    node.depth = depth;
+    order.push(node);
+    node.children.forEach(child => pending.push({ node: child, depth: depth + 1 }));
+  }
+  for (let i = order.length - 1; i >= 0; i--) {
+    const node = order[i];
+    node.rollup.premiumMTD += node.associate['Personal Premium MTD'] || 0;
+    node.rollup.recruitsMTD += node.associate['Personal Recruits MTD'] || 0;
+    node.rollup.size += 1;
+    if (node.parent) {
+      node.parent.rollup.premiumMTD += node.rollup.premiumMTD;
+      node.parent.rollup.recruitsMTD += node.rollup.recruitsMTD;
+      node.parent.rollup.size += node.rollup.size;
+    }
+  }
+
+  const byId = new Map(nodes.map(node => [node.id, node]));
+  return { roots, byId, source };
+};
+
+// All rows in a node's downline (including itself), in report order, with Depth
+// Level rebased so the focused associate sits at depth 0. Lets every summary
+// that keys off Depth Level 0/1 work unchanged for a single leg.
+export const getLegRows = (node) => {
+  const collected = [];
+  const pending = [{ node, depth: 0 }];
+  while (pending.length > 0) {
+    const { node: current, depth } = pending.pop();
+    collected.push({ index: current.index, row: { ...current.associate, 'Depth Level': depth } });
+    current.children.forEach(child => pending.push({ node: child, depth: depth + 1 }));
+  }
+  return collected.sort((a, b) => a.index - b.index).map(entry => entry.row);
+};
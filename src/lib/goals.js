@@ -0,0 +1,33 @@
+import { doc, serverTimestamp, setDoc } from './store';
+
+// --- Monthly Goals ---
+// One doc per team per calendar month at goals/{yyyy-mm}: a team goal plus
+// per-associate goals keyed by getAssociateKey. Goals are measured against Org
+// Premium/Recruits MTD, so an associate's goal covers their whole leg.
+
+export const EMPTY_GOAL = { premium: null, recruits: null };
+
+export const goalsDocPath = (teamPathPrefix, month) => `${teamPathPrefix}/goals/${month}`;
+
+export const normalizeGoals = (data) => ({
+  team: { ...EMPTY_GOAL, ...(data?.team || {}) },
+  associates: data?.associates || {},
+});
+
+export const getAssociateGoal = (goals, associateKey) => ({ ...EMPTY_GOAL, ...(goals.associates[associateKey] || {}) });
+
+// Turns the goal form's strings into numbers; blank or invalid entries clear that goal.
+export const parseGoal = (draft) => Object.fromEntries(Object.keys(EMPTY_GOAL).map(key => {
+  const value = draft[key] === '' || draft[key] === null || draft[key] === undefined ? NaN : Number(draft[key]);
+  return [key, Number.isFinite(value) && value > 0 ? value : null];
+}));
+
+export const hasGoal = (goal) => goal.premium > 0 || goal.recruits > 0;
+
+export const saveTeamGoal = (db, path, goal) => setDoc(doc(db, path), {
+  team: goal, updatedAt: serverTimestamp(),
+}, { merge: true });
+
+export const saveAssociateGoal = (db, path, associateKey, goal) => setDoc(doc(db, path), {
+  associates: { [associateKey]: goal }, updatedAt: serverTimestamp(),
+}, { merge: true });
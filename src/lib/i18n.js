@@ -0,0 +1,106 @@
+import React, { useEffect, useState } from 'react';
+import en from '../locales/en';
+import es from '../locales/es';
+
+// --- Locale & Translations ---
+// The user's locale (language and number/date conventions) and display currency, kept in
+// this browser's localStorage. UI text comes from the catalogs in src/locales, looked up by
+// dotted key; a key missing from a translation falls back to English. Changing the
+// settings dispatches a 'localechange' event that useLocale re-renders on.
+
+export const LOCALES = [
+  { key: 'en-US', label: 'English (United States)', currency: 'USD' },
+  { key: 'en-CA', label: 'English (Canada)', currency: 'CAD' },
+  { key: 'es-US', label: 'Español (Estados Unidos)', currency: 'USD' },
+  { key: 'es-MX', label: 'Español (México)', currency: 'MXN' },
+  { key: 'es-ES', label: 'Español (España)', currency: 'EUR' },
+];
+
+// Only the symbol and conventions change; amounts are shown as reported, never converted.
+export const CURRENCIES = ['USD', 'CAD', 'MXN', 'EUR'];
+
+const CATALOGS = { en, es };
+
+const SETTINGS_KEY = 'localeSettings';
+const DEFAULT_LOCALE = 'en-US';
+
+const findLocale = (key) => LOCALES.find(locale => locale.key === key)
+  || LOCALES.find(locale => locale.key.split('-')[0] === String(key || '').split('-')[0])
+  || null;
+
+// The closest supported locale to the browser's languages; en-US outside a browser.
+const detectLocale = () => {
+  const preferred = typeof navigator === 'undefined' ? [] : (navigator.languages || [navigator.language]);
+  return (preferred.map(findLocale).find(Boolean) || findLocale(DEFAULT_LOCALE)).key;
+};
+
+export const normalizeLocaleSettings = (settings = {}) => {
+  const locale = findLocale(settings.locale)?.key || detectLocale();
+  const currency = CURRENCIES.includes(settings.currency) ? settings.currency : findLocale(locale).currency;
+  return { locale, currency };
+};
+
+const readStoredSettings = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(SETTINGS_KEY)) || {};
+  } catch (err) {
+    return {};
+  }
+};
+
+let current = null;
+
+export const getLocaleSettings = () => {
+  if (!current) current = normalizeLocaleSettings(typeof window === 'undefined' ? {} : readStoredSettings());
+  return current;
+};
+
+export const setLocaleSettings = (settings) => {
+  current = normalizeLocaleSettings({ ...getLocaleSettings(), ...settings });
+  if (typeof window === 'undefined') return;
+  window.localStorage.setItem(SETTINGS_KEY, JSON.stringify(current));
+  document.documentElement.lang = current.locale;
+  window.dispatchEvent(new Event('localechange'));
+};
+
+export const getLanguage = () => getLocaleSettings().locale.split('-')[0];
+
+// Re-renders the calling component when the locale or currency changes.
+export const useLocale = () => {
+  const [settings, setSettings] = useState(getLocaleSettings);
+
+  useEffect(() => {
+    const handleChange = () => setSettings(getLocaleSettings());
+    window.addEventListener('localechange', handleChange);
+    return () => window.removeEventListener('localechange', handleChange);
+  }, []);
+
+  return settings;
+};
+
+const lookup = (catalog, key) => key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+
+// Messages with a `count` param may be { one, other } objects, chosen by the language's plural rules.
+const resolveMessage = (key, params) => {
+  const language = getLanguage();
+  let message = lookup(CATALOGS[language], key) ?? lookup(CATALOGS.en, key);
+  if (message && typeof message === 'object' && typeof params.count === 'number') {
+    message = message[new Intl.PluralRules(language).select(params.count)] ?? message.other;
+  }
+  return typeof message === 'string' ? message : key;
+};
+
+// t('trash.title', { count: 3 }) → "Trash (3)". Unknown keys come back as the key itself.
+export const t = (key, params = {}) => resolveMessage(key, params)
+  .replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+
+// Like t, but params may be React elements (a bolded name, a link), so the result is a
+// list of nodes for JSX rather than a string.
+export const tNodes = (key, params = {}) => resolveMessage(key, params)
+  .split(/(\{\w+\})/)
+  .filter(part => part !== '')
+  .map((part, i) => {
+    const name = /^\{(\w+)\}$/.exec(part)?.[1];
+    const value = name && params[name] !== undefined ? params[name] : part;
+    return React.isValidElement(value) ? React.cloneElement(value, { key: i }) : String(value);
+  });
@@ -0,0 +1,37 @@
+import { getLocaleSettings, normalizeLocaleSettings, setLocaleSettings, t } from './i18n';
+import { formatCurrency, formatDate, formatNumber, formatPercent } from './format';
+
+afterEach(() => setLocaleSettings({ locale: 'en-US', currency: 'USD' }));
+
+test('looks up messages by key, fills in parameters and picks plural forms', () => {
+  expect(t('trash.title', { count: 3 })).toBe('Trash (3)');
+  expect(t('alerts.digest.count', { count: 1 })).toBe('1 alert fired.');
+  expect(t('alerts.digest.count', { count: 2 })).toBe('2 alerts fired.');
+  expect(t('goals.edit')).toBe('Edit {label}');
+  expect(t('no.such.key')).toBe('no.such.key');
+});
+
+test('switching to Spanish translates and formats in that locale', () => {
+  setLocaleSettings({ locale: 'es-ES', currency: 'EUR' });
+  expect(getLocaleSettings()).toEqual({ locale: 'es-ES', currency: 'EUR' });
+  expect(document.documentElement.lang).toBe('es-ES');
+  expect(t('alerts.digest.count', { count: 1 })).toBe('Se activó 1 alerta.');
+  expect(t('levels.7')).toBe('Director Ejecutivo');
+  expect(formatCurrency(1234.5)).toBe('1234,50 €');
+  expect(formatNumber(12345)).toBe('12.345');
+  expect(formatPercent(0.125)).toBe('12,5 %');
+  expect(formatDate(new Date(2025, 2, 15))).toBe('15/3/2025');
+});
+
+test('the display currency can differ from the locale default, and settings persist', () => {
+  setLocaleSettings({ locale: 'en-US', currency: 'CAD' });
+  expect(formatCurrency(1150)).toBe('CA$1,150.00');
+  expect(formatCurrency(1500, { compact: true })).toBe('CA$1.5K');
+  expect(formatPercent(-0.05, { signed: true })).toBe('-5.0%');
+  expect(JSON.parse(window.localStorage.getItem('localeSettings'))).toEqual({ locale: 'en-US', currency: 'CAD' });
+});
+
+test('unknown settings fall back to a supported locale and its currency', () => {
+  expect(normalizeLocaleSettings({ locale: 'es-AR', currency: 'ARS' })).toEqual({ locale: 'es-US', currency: 'USD' });
+  expect(normalizeLocaleSettings({ locale: 'en-CA' })).toEqual({ locale: 'en-CA', currency: 'CAD' });
+});
@@ -0,0 +1,174 @@
+import { buildImport, readCsvFile } from './csvImport';
+import { getMissingRequiredFields, matchHeaders } from './schema';
+import { teamPath } from './teams';
+import { ENVIRONMENTS, resolveEnvironment } from './environment';
+
+// --- Command-line Import ---
+// Argument handling and per-file preparation for scripts/import-snapshots.js. Files
+// go through the same parsing, mapping and validation as the browser's import preview.
+
+export const USAGE = `Usage: npm run import -- [options] <file.csv> [more.csv ...]
+       npm run import -- [options] --watch <folder>
+
+Target (one is required unless --dry-run):
+  --team <teamId>      Save to the team's snapshots (you must be an owner)
+  --user               Save to the signed-in account's own snapshots
+
+Options:
+  --email <address>    Account to sign in with; the password is read from IMPORT_PASSWORD
+  --env <name>         Environment to import into: ${ENVIRONMENTS.join(', ')} (default:
+                       REACT_APP_ENVIRONMENT, or production when that's unset)
+  --date <date>        Upload date for historical files: YYYY-MM-DD, or "file" to read it
+                       from each file name (e.g. report-2024-03-31.csv)
+  --delimiter <char>   Field delimiter; detected from the file by default
+  --allow-missing      Save even when required columns can't be mapped
+  --duplicates <mode>  When a file was already uploaded, or a snapshot exists for the same
+                       day: skip (default), replace (trashes the old ones) or keep both
+  --dry-run            Parse and validate only; nothing is saved
+  --json               Print a JSON summary instead of text
+  --watch <folder>     Import each new CSV that appears in the folder until stopped
+  --emulator           Use the local Firebase emulators
+  --help               Show this message`;
+
+export const DUPLICATE_MODES = ['skip', 'replace', 'keep'];
+
+// --app-id is the older name for --env, kept so existing scripts still run.
+const VALUE_FLAGS = {
+  '--team': 'teamId', '--email': 'email', '--env': 'appId', '--app-id': 'appId', '--date': 'date', '--delimiter': 'delimiter', '--watch': 'watch', '--duplicates': 'duplicates',
+};
+const BOOLEAN_FLAGS = { '--user': 'user', '--allow-missing': 'allowMissing', '--dry-run': 'dryRun', '--json': 'json', '--emulator': 'emulator', '--help': 'help' };
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const FILE_NAME_DATE_PATTERN = /(\d{4})[-_.]?(\d{2})[-_.]?(\d{2})/;
+
+// Report dates are stored at local noon so they show on the same day in any nearby time zone.
+const toReportDate = (year, month, day) => {
+  const date = new Date(Number(year), Number(month) - 1, Number(day), 12);
+  return date.getMonth() === Number(month) - 1 && date.getDate() === Number(day) ? date : null;
+};
+
+export const parseUploadDate = (value) => {
+  const match = DATE_PATTERN.exec(value || '');
+  return match ? toReportDate(match[1], match[2], match[3]) : null;
+};
+
+// The first YYYY-MM-DD (or YYYYMMDD) in the file's name, ignoring any folders.
+export const dateFromFileName = (filePath) => {
+  const match = FILE_NAME_DATE_PATTERN.exec(filePath.split(/[\\/]/).pop());
+  return match ? toReportDate(match[1], match[2], match[3]) : null;
+};
+
+// Throws with a message for the user when the arguments don't make a valid run.
+export const parseImportArgs = (argv) => {
+  const options = { appId: process.env.REACT_APP_ENVIRONMENT, duplicates: 'skip', files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (VALUE_FLAGS[arg]) {
+      const value = argv[++i];
+      if (value === undefined || value.startsWith('--')) throw new Error(`${arg} needs a value.`);
+      options[VALUE_FLAGS[arg]] = value;
+    } else if (BOOLEAN_FLAGS[arg]) {
+      options[BOOLEAN_FLAGS[arg]] = true;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}.`);
+    } else {
+      options.files.push(arg);
+    }
+  }
+  if (options.help) return options;
+
+  options.appId = resolveEnvironment(options.appId);
+
+  if (options.files.length === 0 && !options.watch) throw new Error('Give at least one CSV file or a folder to --watch.');
+  if (options.teamId && options.user) throw new Error('Choose either --team or --user, not both.');
+  if (!options.dryRun && !options.teamId && !options.user) throw new Error('Choose a target with --team <teamId> or --user, or use --dry-run.');
+  if (!options.dryRun && !options.email) throw new Error('Give the account to sign in with using --email.');
+  if (!DUPLICATE_MODES.includes(options.duplicates)) throw new Error(`--duplicates must be one of ${DUPLICATE_MODES.join(', ')}.`);
+  if (options.date && options.date !== 'file' && !parseUploadDate(options.date)) throw new Error(`--date must be YYYY-MM-DD or "file", not "${options.date}".`);
+  return options;
+};
+
+export const snapshotsPathFor = ({ appId, teamId }, userId) => (teamId
+  ? `${teamPath(appId, teamId)}/snapshots`
+  : `artifacts/${appId}/users/${userId}/snapshots`);
+
+// The upload date to store for a file, or null to use the server's clock.
+export const resolveUploadDate = (dateOption, filePath) => {
+  if (!dateOption) return null;
+  if (dateOption === 'file') {
+    const date = dateFromFileName(filePath);
+    if (!date) throw new Error('No YYYY-MM-DD date in the file name.');
+    return date;
+  }
+  return parseUploadDate(dateOption);
+};
+
+// Parses and validates one file the way the import preview does, with the detected
+// mapping standing in for the user's review. `error` is set when the file can't be saved.
+export const prepareFile = (text, { savedMappings = [], delimiter, allowMissing = false } = {}) => {
+  let parsed;
+  try {
+    parsed = readCsvFile(text, { delimiter });
+  } catch (err) {
+    return { error: err.message };
+  }
+
+  const { mapping, source } = matchHeaders(parsed.headers, savedMappings);
+  const missingFields = getMissingRequiredFields(mapping);
+  const report = buildImport(parsed, mapping);
+
+  let error = null;
+  if (report.rows.length === 0) error = 'No rows could be imported.';
+  else if (missingFields.length > 0 && !allowMissing) error = `Required columns are missing: ${missingFields.join(', ')}. Pass --allow-missing to save anyway.`;
+
+  return { headers: parsed.headers, delimiter: parsed.delimiter, mapping, mappingSource: source, missingFields, report, error };
+};
+
+// The per-file entry for the summary. `status` is 'saved', 'validated' (dry run), 'skipped'
+// (a duplicate) or 'failed'. `duplicates` are the matches from findDuplicateUploads, which
+// were kept or replaced by a saved file according to `duplicateMode`.
+export const describeFile = (filePath, prepared, {
+  status, snapshotId = null, uploadDate = null, contentHash = null, duplicates = [], duplicateMode = null, error = prepared?.error || null,
+}) => ({
+  file: filePath,
+  status,
+  snapshotId,
+  uploadDate: uploadDate ? uploadDate.toISOString() : null,
+  contentHash,
+  duplicateOf: duplicates.map(match => match.snapshot.id),
+  duplicateMode: duplicates.length > 0 ? duplicateMode : null,
+  rows: prepared?.report?.rows.length || 0,
+  skippedRows: prepared?.report?.skipped.length || 0,
+  invalidValues: prepared?.report?.invalidValues.length || 0,
+  regeneratedIds: prepared?.report?.regeneratedIds.length || 0,
+  missingFields: prepared?.missingFields || [],
+  mappingSource: prepared?.mappingSource || null,
+  error,
+});
+
+export const summarizeRun = (results) => ({
+  files: results.length,
+  saved: results.filter(result => result.status === 'saved').length,
+  validated: results.filter(result => result.status === 'validated').length,
+  skipped: results.filter(result => result.status === 'skipped').length,
+  failed: results.filter(result => result.status === 'failed').length,
+  results,
+});
+
+export const formatFileResult = (result) => {
+  if (result.status === 'failed') return `✗ ${result.file}: ${result.error}`;
+  if (result.status === 'skipped') return `– ${result.file}: skipped, duplicates ${result.duplicateOf.join(', ')}`;
+  const warnings = [
+    result.skippedRows && `${result.skippedRows} skipped`,
+    result.invalidValues && `${result.invalidValues} invalid values`,
+    result.regeneratedIds && `${result.regeneratedIds} regenerated IDs`,
+    result.missingFields.length > 0 && `missing ${result.missingFields.join(', ')}`,
+  ].filter(Boolean);
+  const action = result.status === 'saved' ? `saved as ${result.snapshotId}` : 'validated (dry run)';
+  if (result.duplicateOf.length > 0) {
+    const verb = result.status !== 'saved' ? 'duplicates' : result.duplicateMode === 'replace' ? 'replaced' : 'kept alongside';
+    warnings.push(`${verb} ${result.duplicateOf.join(', ')}`);
+  }
+  const date = result.uploadDate ? `, dated ${result.uploadDate.slice(0, 10)}` : '';
+  return `✓ ${result.file}: ${result.rows} rows ${action}${date}${warnings.length ? ` (${warnings.join('; ')})` : ''}`;
+};
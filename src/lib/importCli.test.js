@@ -0,0 +1,96 @@
+import {
+  dateFromFileName, describeFile, formatFileResult, parseImportArgs, parseUploadDate,
+  prepareFile, resolveUploadDate, snapshotsPathFor, summarizeRun,
+} from './importCli';
+import { readFixture } from './__fixtures__';
+
+describe('parseImportArgs', () => {
+  test('reads flags and files', () => {
+    const options = parseImportArgs(['--team', 't1', '--email', 'a@b.co', '--date', 'file', '--json', 'a.csv', 'b.csv']);
+    expect(options).toMatchObject({ appId: 'production', teamId: 't1', email: 'a@b.co', date: 'file', json: true, files: ['a.csv', 'b.csv'] });
+  });
+
+  test('the environment comes from --env or REACT_APP_ENVIRONMENT', () => {
+    expect(parseImportArgs(['--dry-run', '--env', 'Demo', 'a.csv']).appId).toBe('demo');
+    process.env.REACT_APP_ENVIRONMENT = 'staging';
+    try {
+      expect(parseImportArgs(['--dry-run', 'a.csv']).appId).toBe('staging');
+    } finally {
+      delete process.env.REACT_APP_ENVIRONMENT;
+    }
+    expect(() => parseImportArgs(['--dry-run', '--env', 'prod', 'a.csv'])).toThrow('Unknown environment "prod". Use one of production, staging, demo.');
+  });
+
+  test('a dry run needs no target or account', () => {
+    expect(parseImportArgs(['--dry-run', 'a.csv'])).toMatchObject({ dryRun: true, duplicates: 'skip', files: ['a.csv'] });
+  });
+
+  test('rejects runs that could not save', () => {
+    expect(() => parseImportArgs(['a.csv'])).toThrow('Choose a target');
+    expect(() => parseImportArgs(['--team', 't1', '--user', '--email', 'a@b.co', 'a.csv'])).toThrow('not both');
+    expect(() => parseImportArgs(['--team', 't1', 'a.csv'])).toThrow('--email');
+    expect(() => parseImportArgs(['--dry-run'])).toThrow('at least one CSV');
+    expect(() => parseImportArgs(['--dry-run', '--date', '2024-02-30', 'a.csv'])).toThrow('--date must be');
+    expect(() => parseImportArgs(['--dry-run', '--team'])).toThrow('--team needs a value.');
+    expect(() => parseImportArgs(['--dry-run', '--force', 'a.csv'])).toThrow('Unknown option --force.');
+    expect(() => parseImportArgs(['--dry-run', '--duplicates', 'merge', 'a.csv'])).toThrow('--duplicates must be one of skip, replace, keep.');
+  });
+});
+
+test('upload dates come from the option or the file name, at local noon', () => {
+  expect(parseUploadDate('2024-03-31')).toEqual(new Date(2024, 2, 31, 12));
+  expect(parseUploadDate('03/31/2024')).toBeNull();
+  expect(dateFromFileName('reports/2023-12-01/weekly_20240315.csv')).toEqual(new Date(2024, 2, 15, 12));
+  expect(resolveUploadDate(undefined, 'a.csv')).toBeNull();
+  expect(resolveUploadDate('file', 'org-2024-01-05.csv')).toEqual(new Date(2024, 0, 5, 12));
+  expect(() => resolveUploadDate('file', 'org.csv')).toThrow('No YYYY-MM-DD date');
+});
+
+test('snapshotsPathFor matches the paths the app reads', () => {
+  expect(snapshotsPathFor({ appId: 'production', teamId: 't1' }, 'u1')).toBe('artifacts/production/teams/t1/snapshots');
+  expect(snapshotsPathFor({ appId: 'production', user: true }, 'u1')).toBe('artifacts/production/users/u1/snapshots');
+});
+
+describe('prepareFile', () => {
+  test('parses a clean report like the import preview', () => {
+    const prepared = prepareFile(readFixture('org-report.csv'));
+    expect(prepared.error).toBeNull();
+    expect(prepared.mappingSource).toBe('detected');
+    expect(prepared.report.rows).toHaveLength(7);
+  });
+
+  test('refuses files missing required columns unless allowed', () => {
+    const text = 'Associate ID,Name\n1,Avery';
+    expect(prepareFile(text).error).toMatch(/^Required columns are missing: /);
+    expect(prepareFile(text, { allowMissing: true }).error).toBeNull();
+  });
+
+  test('reports files that cannot be parsed', () => {
+    expect(prepareFile('Associate ID,Name\n')).toEqual({ error: 'CSV must have a header and at least one data row.' });
+  });
+});
+
+test('describeFile and summarizeRun report each file and the totals', () => {
+  const prepared = prepareFile(readFixture('malformed-rows.csv'));
+  const saved = describeFile('a.csv', prepared, { status: 'saved', snapshotId: 's1', uploadDate: new Date(2024, 2, 31, 12) });
+  const failed = describeFile('b.csv', { error: 'Broken' }, { status: 'failed' });
+
+  expect(saved).toMatchObject({ file: 'a.csv', status: 'saved', snapshotId: 's1', skippedRows: prepared.report.skipped.length, error: null });
+  expect(failed).toMatchObject({ status: 'failed', rows: 0, error: 'Broken' });
+  expect(summarizeRun([saved, failed])).toMatchObject({ files: 2, saved: 1, validated: 0, failed: 1 });
+  expect(formatFileResult(saved)).toMatch(/^✓ a\.csv: \d+ rows saved as s1, dated 2024-03-31/);
+  expect(formatFileResult(failed)).toBe('✗ b.csv: Broken');
+});
+
+test('duplicates are reported with what was done about them', () => {
+  const prepared = prepareFile(readFixture('org-report.csv'));
+  const duplicates = [{ snapshot: { id: 'old' }, sameContent: true, samePeriod: false }];
+  const skipped = describeFile('a.csv', prepared, { status: 'skipped', contentHash: 'abc', duplicates, duplicateMode: 'skip' });
+  const replaced = describeFile('a.csv', prepared, { status: 'saved', snapshotId: 'new', duplicates, duplicateMode: 'replace' });
+
+  expect(skipped).toMatchObject({ contentHash: 'abc', duplicateOf: ['old'], duplicateMode: 'skip' });
+  expect(formatFileResult(skipped)).toBe('– a.csv: skipped, duplicates old');
+  expect(formatFileResult(replaced)).toBe('✓ a.csv: 7 rows saved as new (replaced old)');
+  expect(summarizeRun([skipped, replaced])).toMatchObject({ saved: 1, skipped: 1 });
+  expect(describeFile('b.csv', prepared, { status: 'saved', duplicateMode: 'replace' }).duplicateMode).toBeNull();
+});
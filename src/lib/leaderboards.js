@@ -0,0 +1,149 @@
+import { getAssociateKey } from './associates';
+import { getSnapshotDate, getSnapshotRows } from './snapshots';
+import { formatCurrency, formatNumber } from './format';
+import { t } from './i18n';
+
+// --- Leaderboards ---
+// Rankings over the report's MTD, PMTD and YTD columns, production across a range
+// of stored snapshots, improvement since the previous upload, and first-time
+// producers. Every board is a list of entries { associate, value, rank, detail }.
+
+// These name the report columns (see metricField); labels for display come from src/locales.
+export const MEASURES = { premium: 'Premium', recruits: 'Recruits' };
+export const BASES = { personal: 'Personal', org: 'Org' };
+export const PERIODS = ['MTD', 'PMTD', 'YTD', 'range'];
+
+export const DEFAULT_BOARD = { type: 'ranking', basis: 'personal', measure: 'premium', period: 'MTD' };
+
+export const metricField = (basis, measure, period) => `${BASES[basis]} ${MEASURES[measure]} ${period}`;
+
+// Boards are described by { type, basis, measure, period }; type is 'ranking',
+// 'improved' (MTD gain since the previous upload) or 'firstTime' (personal only).
+export const boardTitle = ({ type = 'ranking', basis, measure, period }) => {
+  const params = { basis: t(`leaderboards.bases.${basis}`), measure: t(`leaderboards.measures.${measure}`), period: t(`leaderboards.periods.${period}`) };
+  if (type === 'improved') return t('leaderboards.titles.improved', params);
+  if (type === 'firstTime') return t('leaderboards.titles.firstTime', params);
+  return t('leaderboards.titles.ranking', params);
+};
+
+export const formatMetric = (measure, value) => (measure === 'premium' ? formatCurrency(value) : formatNumber(value));
+
+// Sorts by value and assigns competition ranks (1, 1, 3), dropping anyone at zero.
+// Ties keep report order.
+export const rankEntries = (entries, limit = Infinity) => {
+  const sorted = entries.filter(entry => entry.value > 0).sort((a, b) => b.value - a.value);
+  return sorted.slice(0, limit).map(entry => ({
+    ...entry,
+    rank: sorted.findIndex(other => other.value === entry.value) + 1,
+  }));
+};
+
+const indexByKey = (rows) => new Map(rows.map(row => [getAssociateKey(row), row]));
+
+export const buildLeaderboard = (rows, { basis, measure, period }, limit) => {
+  const field = metricField(basis, measure, period);
+  return rankEntries(rows.map(associate => ({ associate, value: associate[field] || 0 })), limit);
+};
+
+// Stored snapshots from `startId` to `endId` inclusive, oldest first.
+export const getSnapshotRange = (snapshots, startId, endId) => {
+  const dated = snapshots.filter(getSnapshotDate).sort((a, b) => getSnapshotDate(a) - getSnapshotDate(b));
+  let from = dated.findIndex(s => s.id === startId);
+  let to = dated.findIndex(s => s.id === endId);
+  if (from < 0 || to < 0) return [];
+  if (from > to) [from, to] = [to, from];
+  return dated.slice(from, to + 1);
+};
+
+// Production between the first and last snapshot of a range, from the YTD columns.
+// Each step adds the YTD growth since the previous upload; when a step crosses into
+// a new year, YTD has reset, so the new YTD counts in full.
+export const buildRangeLeaderboard = (rows, rangeSnapshots, { basis, measure }, limit) => {
+  const field = metricField(basis, measure, 'YTD');
+  const totals = new Map();
+  for (let i = 1; i < rangeSnapshots.length; i++) {
+    const previous = indexByKey(getSnapshotRows(rangeSnapshots[i - 1]));
+    const sameYear = getSnapshotDate(rangeSnapshots[i]).getFullYear() === getSnapshotDate(rangeSnapshots[i - 1]).getFullYear();
+    getSnapshotRows(rangeSnapshots[i]).forEach(row => {
+      const key = getAssociateKey(row);
+      const before = sameYear ? previous.get(key)?.[field] || 0 : 0;
+      totals.set(key, (totals.get(key) || 0) + Math.max((row[field] || 0) - before, 0));
+    });
+  }
+  return rankEntries(rows.map(associate => ({ associate, value: totals.get(getAssociateKey(associate)) || 0 })), limit);
+};
+
+// The upload stored just before `snapshot`; snapshots are newest first.
+export const findPreviousSnapshot = (snapshots, snapshot) => {
+  const date = getSnapshotDate(snapshot);
+  if (!date) return null;
+  return snapshots.find(other => other.id !== snapshot.id && getSnapshotDate(other) && getSnapshotDate(other) < date) || null;
+};
+
+// Biggest MTD gains since the previous upload, for associates in both. Across a
+// month boundary the previous figure is last month's MTD at that upload.
+export const buildMostImproved = (rows, previousRows, { basis, measure }, limit) => {
+  const field = metricField(basis, measure, 'MTD');
+  const previous = indexByKey(previousRows);
+  return rankEntries(rows
+    .filter(associate => previous.has(getAssociateKey(associate)))
+    .map(associate => {
+      const before = previous.get(getAssociateKey(associate))[field] || 0;
+      const after = associate[field] || 0;
+      return { associate, value: after - before, detail: `${formatMetric(measure, before)} → ${formatMetric(measure, after)}` };
+    }), limit);
+};
+
+// The uploads from months before `snapshot`'s, whose rows the first-time board checks.
+export const getFirstTimeHistory = (snapshots, snapshot) => {
+  const date = getSnapshotDate(snapshot);
+  if (!date) return [];
+  const monthStart = new Date(date.getFullYear(), date.getMonth(), 1);
+  return snapshots.filter(other => {
+    const otherDate = getSnapshotDate(other);
+    return Boolean(otherDate) && otherDate < monthStart;
+  });
+};
+
+// Associates producing personally this month for the first time: nothing last month,
+// nothing earlier this year, and nothing in any upload from an earlier month. Those
+// uploads' rows need to be loaded first (see getFirstTimeHistory).
+export const buildFirstTimeProducers = (rows, snapshots, snapshot, measure) => {
+  const [mtd, pmtd, ytd] = ['MTD', 'PMTD', 'YTD'].map(period => metricField('personal', measure, period));
+
+  const producedBefore = new Set();
+  getFirstTimeHistory(snapshots, snapshot).forEach(other => {
+    getSnapshotRows(other).forEach(row => {
+      if ((row[mtd] || 0) > 0 || (row[ytd] || 0) > 0) producedBefore.add(getAssociateKey(row));
+    });
+  });
+
+  return rankEntries(rows
+    .filter(associate => (associate[mtd] || 0) > 0
+      && !(associate[pmtd] > 0)
+      && (associate[ytd] || 0) <= associate[mtd]
+      && !producedBefore.has(getAssociateKey(associate)))
+    .map(associate => ({ associate, value: associate[mtd] })));
+};
+
+// Builds one board for the snapshot in view. `rows` are the associates to rank (the
+// whole organization or a focused leg); `range` is { startId, endId } for range boards.
+export const buildBoard = ({ rows, snapshots, snapshot, range }, board, limit) => {
+  if (board.type === 'improved') {
+    const previous = findPreviousSnapshot(snapshots, snapshot);
+    return previous ? buildMostImproved(rows, getSnapshotRows(previous), board, limit) : [];
+  }
+  if (board.type === 'firstTime') return buildFirstTimeProducers(rows, snapshots, snapshot, board.measure).slice(0, limit);
+  if (board.period === 'range') {
+    return buildRangeLeaderboard(rows, getSnapshotRange(snapshots, range?.startId, range?.endId), board, limit);
+  }
+  return buildLeaderboard(rows, board, limit);
+};
+
+// The boards a presentation cycles through: every basis and measure for the chosen
+// period, then most improved and first-time producers for the chosen measure.
+export const getPresentationBoards = ({ basis, measure, period }) => [
+  ...Object.keys(BASES).flatMap(b => Object.keys(MEASURES).map(m => ({ type: 'ranking', basis: b, measure: m, period }))),
+  { type: 'improved', basis, measure },
+  { type: 'firstTime', basis: 'personal', measure },
+];
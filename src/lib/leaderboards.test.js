@@ -0,0 +1,75 @@
+import { buildBoard, buildFirstTimeProducers, buildLeaderboard, buildMostImproved, buildRangeLeaderboard, findPreviousSnapshot, getFirstTimeHistory, getSnapshotRange, rankEntries } from './leaderboards';
+import { importFixture, makeSnapshot } from './__fixtures__';
+
+const { report: { rows } } = importFixture('org-report.csv');
+
+const associate = (id, fields = {}) => ({ 'Associate ID': id, Name: `Associate ${id}`, ...fields });
+const ranked = (entries) => entries.map(entry => [entry.associate['Associate ID'], entry.value, entry.rank]);
+
+test('rankEntries gives ties the same rank and drops zeros', () => {
+  const entries = [5, 9, 5, 0, 2].map((value, i) => ({ associate: associate(String(i)), value }));
+  expect(ranked(rankEntries(entries))).toEqual([['1', 9, 1], ['0', 5, 2], ['2', 5, 2], ['4', 2, 4]]);
+  expect(rankEntries(entries, 2)).toHaveLength(2);
+});
+
+test('buildLeaderboard ranks the report column for the basis, measure and period', () => {
+  const board = buildLeaderboard(rows, { basis: 'org', measure: 'premium', period: 'MTD' }, 3);
+  expect(board.map(entry => entry.associate.Name)).toEqual(['Dana Root', 'Ellis, Avery', expect.any(String)]);
+  expect(board[0].value).toBe(1150);
+});
+
+describe('snapshot ranges', () => {
+  const rowsAt = (ytd) => Object.entries(ytd).map(([id, value]) => associate(id, { 'Personal Premium YTD': value }));
+  const snapshots = [
+    makeSnapshot('jan-5', new Date(2025, 0, 5), rowsAt({ a: 100, b: 50 })),
+    makeSnapshot('dec-20', new Date(2024, 11, 20), rowsAt({ a: 900, b: 40 })),
+    makeSnapshot('dec-1', new Date(2024, 11, 1), rowsAt({ a: 800, b: 0 })),
+  ];
+
+  test('getSnapshotRange returns the uploads between two IDs oldest first, in either order', () => {
+    expect(getSnapshotRange(snapshots, 'jan-5', 'dec-1').map(s => s.id)).toEqual(['dec-1', 'dec-20', 'jan-5']);
+    expect(getSnapshotRange(snapshots, 'missing', 'dec-1')).toEqual([]);
+  });
+
+  test('buildRangeLeaderboard sums YTD growth and counts a new year\'s YTD in full', () => {
+    const board = buildRangeLeaderboard(rowsAt({ a: 0, b: 0 }), getSnapshotRange(snapshots, 'dec-1', 'jan-5'), { basis: 'personal', measure: 'premium' });
+    // a: 100 in December, then 100 into the new year; b: 40, then 50
+    expect(ranked(board)).toEqual([['a', 200, 1], ['b', 90, 2]]);
+  });
+});
+
+describe('most improved', () => {
+  const current = [associate('a', { 'Personal Recruits MTD': 3 }), associate('b', { 'Personal Recruits MTD': 5 }), associate('c', { 'Personal Recruits MTD': 4 })];
+  const previous = [associate('a', { 'Personal Recruits MTD': 0 }), associate('b', { 'Personal Recruits MTD': 5 })];
+
+  test('buildMostImproved ranks gains for associates in both uploads', () => {
+    const board = buildMostImproved(current, previous, { basis: 'personal', measure: 'recruits' });
+    expect(ranked(board)).toEqual([['a', 3, 1]]);
+    expect(board[0].detail).toBe('0 → 3');
+  });
+
+  test('findPreviousSnapshot picks the next older upload', () => {
+    const snapshots = [makeSnapshot('new', new Date(2025, 1, 10), current), makeSnapshot('old', new Date(2025, 1, 3), previous)];
+    expect(findPreviousSnapshot(snapshots, snapshots[0]).id).toBe('old');
+    expect(findPreviousSnapshot(snapshots, snapshots[1])).toBeNull();
+    expect(buildBoard({ rows: current, snapshots, snapshot: snapshots[0] }, { type: 'improved', basis: 'personal', measure: 'recruits' })).toHaveLength(1);
+  });
+});
+
+test('buildFirstTimeProducers skips anyone with earlier production in the report or stored uploads', () => {
+  const producing = (id, mtd, pmtd = 0, ytd = mtd) => associate(id, { 'Personal Premium MTD': mtd, 'Personal Premium PMTD': pmtd, 'Personal Premium YTD': ytd });
+  const snapshot = makeSnapshot('mar', new Date(2025, 2, 15), [
+    producing('new', 200),
+    producing('lastMonth', 200, 50, 250),
+    producing('earlierThisYear', 200, 0, 500),
+    producing('storedBefore', 100),
+    producing('idle', 0),
+  ]);
+  const older = makeSnapshot('jan', new Date(2025, 0, 20), [producing('storedBefore', 80)]);
+
+  const earlyMarch = makeSnapshot('mar-1', new Date(2025, 2, 1), [producing('storedBefore', 100)]);
+  expect(getFirstTimeHistory([snapshot, earlyMarch, older], snapshot).map(s => s.id)).toEqual(['jan']);
+
+  const board = buildFirstTimeProducers(snapshot.data, [snapshot, earlyMarch, older], snapshot, 'premium');
+  expect(ranked(board)).toEqual([['new', 200, 1]]);
+});
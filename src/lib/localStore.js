@@ -0,0 +1,264 @@
+// --- Local Store ---
+// A device-only stand-in for the slice of the Firestore API the app uses, backed by
+// IndexedDB. Local mode runs every feature against it when no Firebase project is
+// configured. Documents live in memory keyed by full path and every write is
+// persisted before its promise resolves.
+
+const STORE_NAME = 'documents';
+
+const SERVER_TIMESTAMP = { op: 'serverTimestamp' };
+const DELETE_FIELD = { op: 'deleteField' };
+
+let openStore = null;
+
+// True once openLocalStore has run; store.js routes every call here from then on.
+export const isLocalStoreOpen = () => openStore !== null;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+class LocalStore {
+  constructor(idb, docs) {
+    this.idb = idb;
+    this.docs = docs;
+    this.listeners = new Set();
+  }
+
+  // Applies writes in memory, persists them in one transaction, then notifies listeners.
+  async commit(writes) {
+    const changed = new Set();
+    writes.forEach(({ path, data }) => {
+      if (data === null) this.docs.delete(path);
+      else this.docs.set(path, data);
+      changed.add(path);
+    });
+
+    const transaction = this.idb.transaction(STORE_NAME, 'readwrite');
+    const objectStore = transaction.objectStore(STORE_NAME);
+    changed.forEach(path => {
+      if (this.docs.has(path)) objectStore.put(this.docs.get(path), path);
+      else objectStore.delete(path);
+    });
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+
+    this.listeners.forEach(listener => {
+      const affected = Array.from(changed).some(path => (listener.docPath ? path === listener.docPath : parentPath(path) === listener.collectionPath));
+      if (affected) listener.emit();
+    });
+  }
+}
+
+export const openLocalStore = async (name) => {
+  if (openStore) return openStore;
+  const request = indexedDB.open(name, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+  const idb = await requestToPromise(request);
+
+  const objectStore = idb.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+  const [keys, values] = await Promise.all([requestToPromise(objectStore.getAllKeys()), requestToPromise(objectStore.getAll())]);
+  openStore = new LocalStore(idb, new Map(keys.map((key, i) => [key, values[i]])));
+  return openStore;
+};
+
+// --- Paths and references ---
+
+const joinPath = (...segments) => segments.filter(Boolean).join('/').split('/').filter(Boolean).join('/');
+
+const parentPath = (path) => path.split('/').slice(0, -1).join('/');
+
+const lastSegment = (path) => path.split('/').pop();
+
+const randomId = () => (window.crypto?.randomUUID ? window.crypto.randomUUID().replace(/-/g, '').slice(0, 20) : Math.random().toString(36).slice(2, 22));
+
+const docRef = (store, path) => ({ type: 'document', store, path, id: lastSegment(path) });
+
+// Takes the store itself or a reference as the base, like the Firestore functions.
+const storeOf = (base) => (base instanceof LocalStore ? base : base.store);
+
+const basePath = (base) => (base instanceof LocalStore ? '' : base.path);
+
+export const collection = (base, ...segments) => {
+  const path = joinPath(basePath(base), ...segments);
+  return { type: 'collection', store: storeOf(base), path, id: lastSegment(path) };
+};
+
+export const doc = (base, ...segments) => {
+  const path = segments.length > 0 ? joinPath(basePath(base), ...segments) : joinPath(base.path, randomId());
+  return docRef(storeOf(base), path);
+};
+
+// --- Field values ---
+
+export const serverTimestamp = () => SERVER_TIMESTAMP;
+
+export const deleteField = () => DELETE_FIELD;
+
+export const arrayUnion = (...elements) => ({ op: 'arrayUnion', elements });
+
+const isPlainObject = (value) => Boolean(value) && Object.getPrototypeOf(value) === Object.prototype;
+
+// Resolves sentinels against the current value. Returns undefined for a deleted field.
+const resolveValue = (value, current) => {
+  if (value === SERVER_TIMESTAMP) return new Date();
+  if (value === DELETE_FIELD) return undefined;
+  if (isPlainObject(value) && value.op === 'arrayUnion') {
+    const existing = Array.isArray(current) ? current : [];
+    return [...existing, ...value.elements.filter(element => !existing.includes(element))];
+  }
+  if (isPlainObject(value)) return mergeFields({}, value);
+  if (Array.isArray(value)) return value.map(item => resolveValue(item));
+  return value;
+};
+
+// Merges `fields` into a copy of `target`. With `deep`, nested maps merge too (setDoc with merge).
+const mergeFields = (target, fields, deep = false) => {
+  const result = { ...target };
+  Object.entries(fields).forEach(([key, value]) => {
+    const resolved = deep && isPlainObject(value) && !value.op && isPlainObject(result[key])
+      ? mergeFields(result[key], value, true)
+      : resolveValue(value, result[key]);
+    if (resolved === undefined) delete result[key];
+    else result[key] = resolved;
+  });
+  return result;
+};
+
+// Applies updateDoc-style fields, where 'roles.abc' addresses a nested field.
+const applyUpdate = (target, fields) => Object.entries(fields).reduce((result, [fieldPath, value]) => {
+  const [key, ...rest] = fieldPath.split('.');
+  if (rest.length === 0) return mergeFields(result, { [key]: value });
+  return { ...result, [key]: applyUpdate(isPlainObject(result[key]) ? result[key] : {}, { [rest.join('.')]: value }) };
+}, target);
+
+const getField = (data, fieldPath) => fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+
+// --- Writes ---
+
+const notFound = (path) => Object.assign(new Error(`No document to update: ${path}`), { code: 'not-found' });
+
+// Turns a write into the document's new data (null for a delete) against the given docs.
+const resolveWrite = (docs, write) => {
+  const current = docs.get(write.ref.path);
+  if (write.type === 'delete') return null;
+  if (write.type === 'set') return write.merge ? mergeFields(current || {}, write.data, true) : mergeFields({}, write.data);
+  if (!current) throw notFound(write.ref.path);
+  return applyUpdate(current, write.data);
+};
+
+const commitWrites = (store, writes) => {
+  // Later writes in a batch see earlier ones, so resolve against a working copy.
+  const working = new Map();
+  const view = { get: (path) => (working.has(path) ? working.get(path) : store.docs.get(path)) };
+  try {
+    writes.forEach(write => working.set(write.ref.path, resolveWrite(view, write)));
+  } catch (err) {
+    return Promise.reject(err);
+  }
+  return store.commit(Array.from(working, ([path, data]) => ({ path, data })));
+};
+
+export const setDoc = (ref, data, options = {}) => commitWrites(ref.store, [{ type: 'set', ref, data, merge: Boolean(options.merge) }]);
+
+export const updateDoc = (ref, data) => commitWrites(ref.store, [{ type: 'update', ref, data }]);
+
+export const deleteDoc = (ref) => commitWrites(ref.store, [{ type: 'delete', ref }]);
+
+export const addDoc = async (collectionRef, data) => {
+  const ref = doc(collectionRef);
+  await setDoc(ref, data);
+  return ref;
+};
+
+export const writeBatch = (store) => {
+  const writes = [];
+  const batch = {
+    set: (ref, data, options = {}) => { writes.push({ type: 'set', ref, data, merge: Boolean(options.merge) }); return batch; },
+    update: (ref, data) => { writes.push({ type: 'update', ref, data }); return batch; },
+    delete: (ref) => { writes.push({ type: 'delete', ref }); return batch; },
+    commit: () => commitWrites(store, writes),
+  };
+  return batch;
+};
+
+// --- Reads ---
+
+export const where = (fieldPath, opStr, value) => ({ type: 'where', fieldPath, opStr, value });
+
+export const orderBy = (fieldPath, direction = 'asc') => ({ type: 'orderBy', fieldPath, direction });
+
+export const limit = (count) => ({ type: 'limit', count });
+
+export const query = (collectionRef, ...constraints) => ({ ...collectionRef, type: 'query', constraints: [...(collectionRef.constraints || []), ...constraints] });
+
+const matches = (data, { fieldPath, opStr, value }) => {
+  const field = getField(data, fieldPath);
+  if (opStr === '==') return field === value;
+  if (opStr === '!=') return field !== value;
+  if (opStr === 'array-contains') return Array.isArray(field) && field.includes(value);
+  if (opStr === 'in') return value.includes(field);
+  throw new Error(`Unsupported query operator in local mode: ${opStr}`);
+};
+
+const compareValues = (a, b) => {
+  if (a == null || b == null) return (a == null) - (b == null);
+  const left = a instanceof Date ? a.getTime() : a;
+  const right = b instanceof Date ? b.getTime() : b;
+  if (left < right) return -1;
+  return left > right ? 1 : 0;
+};
+
+const documentSnapshot = (store, path) => {
+  const data = store.docs.get(path);
+  return {
+    id: lastSegment(path),
+    ref: docRef(store, path),
+    exists: () => data !== undefined,
+    data: () => data,
+    metadata: { hasPendingWrites: false, fromCache: true },
+  };
+};
+
+const runQuery = (ref) => {
+  const constraints = ref.constraints || [];
+  let docs = Array.from(ref.store.docs.keys())
+    .filter(path => parentPath(path) === ref.path)
+    .map(path => documentSnapshot(ref.store, path))
+    .filter(snapshot => constraints.filter(c => c.type === 'where').every(c => matches(snapshot.data(), c)));
+
+  constraints.filter(c => c.type === 'orderBy').reverse().forEach(({ fieldPath, direction }) => {
+    docs = [...docs].sort((a, b) => compareValues(getField(a.data(), fieldPath), getField(b.data(), fieldPath)) * (direction === 'desc' ? -1 : 1));
+  });
+  constraints.filter(c => c.type === 'limit').forEach(({ count }) => { docs = docs.slice(0, count); });
+
+  return { docs, size: docs.length, empty: docs.length === 0, metadata: { hasPendingWrites: false, fromCache: true } };
+};
+
+export const getDocs = async (ref) => runQuery(ref);
+
+// onSnapshot(ref, [options], onNext, [onError]). Listeners fire once right away
+// and again after every write to the document or collection they watch.
+export const onSnapshot = (ref, ...args) => {
+  const [onNext, onError] = typeof args[0] === 'function' ? args : args.slice(1);
+  const listener = {
+    docPath: ref.type === 'document' ? ref.path : null,
+    collectionPath: ref.type === 'document' ? null : ref.path,
+    emit: () => {
+      try {
+        onNext(ref.type === 'document' ? documentSnapshot(ref.store, ref.path) : runQuery(ref));
+      } catch (err) {
+        if (onError) onError(err);
+        else console.error("Local Store Listener Error:", err);
+      }
+    },
+  };
+  ref.store.listeners.add(listener);
+  // Firestore never calls back synchronously; callers rely on that when they subscribe in effects.
+  Promise.resolve().then(() => { if (ref.store.listeners.has(listener)) listener.emit(); });
+  return () => ref.store.listeners.delete(listener);
+};
@@ -0,0 +1,59 @@
+import { normalizeStatus } from './associates';
+import { evaluateNextRanks, evaluateRank, isRuleConfigured } from './qualification';
+
+// --- Dashboard Metrics ---
+// The numbers behind the summary cards, status counts and contributor lists. Each
+// takes snapshot rows (the whole organization, or one leg in focus mode) where the
+// depth-0 row is the associate the figures belong to.
+
+export const getRootAssociate = (rows) => rows.find(assoc => assoc['Depth Level'] === 0) || null;
+
+export const buildOrganizationalSummary = (rows) => {
+  const root = getRootAssociate(rows);
+  if (!root) return null;
+
+  return {
+    orgPremiumMTD: root['Org Premium MTD'] || 0,
+    orgPremiumPMTD: root['Org Premium PMTD'] || 0,
+    orgRecruitsMTD: root['Org Recruits MTD'] || 0,
+    orgRecruitsPMTD: root['Org Recruits PMTD'] || 0,
+    premiumContributorsPMTD: rows.filter(assoc => (assoc['Personal Premium PMTD'] || 0) > 0).length,
+    recruitsContributorsPMTD: rows.filter(assoc => (assoc['Personal Recruits PMTD'] || 0) > 0).length,
+  };
+};
+
+// SD and ED keep their own summary cards; nextRanks covers the root associate's next two ranks.
+export const buildQualificationStatus = (rows, rankRules) => {
+  const root = getRootAssociate(rows);
+  if (!root) return null;
+
+  const legs = rows.filter(assoc => assoc['Depth Level'] === 1);
+  const evaluate = (level) => (isRuleConfigured(rankRules[level]) ? evaluateRank(rankRules[level], root, legs) : null);
+
+  return {
+    sd: evaluate(6),
+    ed: evaluate(7),
+    root,
+    legs,
+    nextRanks: evaluateNextRanks(rankRules, root, legs),
+  };
+};
+
+export const buildStatusSummary = (rows) => {
+  const summary = { active: 0, notVested: 0, onHold: 0, onHoldList: [] };
+  rows.forEach(associate => {
+    const status = normalizeStatus(associate.Status);
+    if (status === '') summary.active++;
+    else if (status === 'D') summary.notVested++;
+    else if (status === 'H') {
+      summary.onHold++;
+      summary.onHoldList.push(associate);
+    }
+  });
+  return summary;
+};
+
+// Associates with something in `field`, highest first.
+export const rankContributors = (rows, field) => rows
+  .filter(a => (a[field] || 0) > 0)
+  .sort((a, b) => (b[field] || 0) - (a[field] || 0));
@@ -0,0 +1,60 @@
+import { buildOrganizationalSummary, buildQualificationStatus, buildStatusSummary, getRootAssociate, rankContributors } from './metrics';
+import { normalizeRankRules } from './qualification';
+import { importFixture } from './__fixtures__';
+
+const { report: { rows } } = importFixture('org-report.csv');
+const ids = (associates) => associates.map(a => a['Associate ID']);
+
+test('getRootAssociate finds the depth-0 row', () => {
+  expect(getRootAssociate(rows).Name).toBe('Dana Root');
+  expect(getRootAssociate(rows.slice(1))).toBeNull();
+});
+
+describe('buildOrganizationalSummary', () => {
+  test('reads org totals from the root and counts last month\'s contributors', () => {
+    expect(buildOrganizationalSummary(rows)).toEqual({
+      orgPremiumMTD: 1150,
+      orgPremiumPMTD: 1400,
+      orgRecruitsMTD: 9,
+      orgRecruitsPMTD: 11,
+      premiumContributorsPMTD: 5,
+      recruitsContributorsPMTD: 4,
+    });
+  });
+
+  test('returns null without a root associate', () => {
+    expect(buildOrganizationalSummary([])).toBeNull();
+  });
+});
+
+describe('buildQualificationStatus', () => {
+  test('evaluates SD and ED against the depth-1 legs with leg capping', () => {
+    const status = buildQualificationStatus(rows, normalizeRankRules());
+    expect(ids(status.legs)).toEqual(['1001', '1002', '1003']);
+    // 120 personal + 600 capped to 350 + 300 + 130
+    expect(status.sd).toMatchObject({ qualified: true, totalCountablePremium: 900 });
+    // 120 personal + 600 (under the 700 cap) + 300 + 130
+    expect(status.ed).toMatchObject({ qualified: false, totalCountablePremium: 1150, needed: 250 });
+    expect(status.nextRanks.map(rank => rank.level)).toEqual([6, 7]);
+  });
+
+  test('leaves out ranks without a rule', () => {
+    const status = buildQualificationStatus(rows, normalizeRankRules({ 7: { threshold: null } }));
+    expect(status.ed).toBeNull();
+  });
+});
+
+test('buildStatusSummary counts active, not vested and on-hold associates', () => {
+  const summary = buildStatusSummary(rows);
+  expect(summary).toMatchObject({ active: 5, notVested: 1, onHold: 1 });
+  expect(ids(summary.onHoldList)).toEqual(['1004']);
+});
+
+test('buildStatusSummary reads status codes case-insensitively', () => {
+  expect(buildStatusSummary([{ Status: ' h ' }, { Status: 'd' }, {}])).toMatchObject({ active: 1, notVested: 1, onHold: 1 });
+});
+
+test('rankContributors lists producers highest first, keeping report order for ties', () => {
+  expect(ids(rankContributors(rows, 'Personal Premium MTD'))).toEqual(['1005', '1006', '1001', '1000', '1002']);
+  expect(ids(rankContributors(rows, 'Personal Recruits MTD'))).toEqual(['1001', '1005', '1006', '1000']);
+});
@@ -0,0 +1,25 @@
+import { addDoc, collection, deleteDoc, doc, serverTimestamp, updateDoc } from './store';
+import { getAssociateKey } from './associates';
+
+// --- Associate Notes ---
+// Private to the user who writes them, and keyed by getAssociateKey so a note
+// stays attached to the associate across uploads.
+
+export const notesPath = (appId, userId) => `artifacts/${appId}/users/${userId}/associateNotes`;
+
+export const addNote = (db, path, { associate, text, followUpDate }) => addDoc(collection(db, path), {
+  associateKey: getAssociateKey(associate),
+  associateId: associate['Associate ID'],
+  associateName: associate.Name || '',
+  text: text.trim(),
+  followUpDate: followUpDate || null,
+  done: false,
+  createdAt: serverTimestamp(),
+});
+
+export const setNoteDone = (db, path, noteId, done) => updateDoc(doc(db, path, noteId), {
+  done,
+  doneAt: done ? serverTimestamp() : null,
+});
+
+export const deleteNote = (db, path, noteId) => deleteDoc(doc(db, path, noteId));
@@ -0,0 +1,54 @@
+import { doc, serverTimestamp, setDoc } from './store';
+import { getSnapshotDate, toDate } from './snapshots';
+import { commitInBatches } from './trash';
+
+// --- Notifications ---
+// Alerts that fired for the signed-in user, stored per user at
+// users/{userId}/notifications/{notificationId}. Every member's browser evaluates new
+// uploads for its own user; notification IDs come from the team, upload, rule and
+// associate, so two open tabs write the same documents instead of duplicates.
+
+export const notificationsPath = (appId, userId) => `artifacts/${appId}/users/${userId}/notifications`;
+
+// Remembers the newest upload evaluated for a team, so each one is only checked once.
+export const alertStatePath = (appId, userId, teamId) => `artifacts/${appId}/users/${userId}/alertState/${teamId}`;
+
+export const notificationId = (teamId, snapshotId, alert) => encodeURIComponent(`${teamId}_${snapshotId}_${alert.ruleId}_${alert.targetKey}`);
+
+export const isUnread = (notification) => !notification.readAt;
+
+// Newest first; a pending server timestamp counts as "just now".
+export const getNotificationDate = (notification) => toDate(notification?.createdAt) || new Date();
+
+export const sortNotifications = (notifications) => [...notifications].sort((a, b) => getNotificationDate(b) - getNotificationDate(a));
+
+// Only uploads newer than the last one evaluated count as new: restoring or trashing
+// snapshots can change which one is latest without anything new arriving.
+export const shouldEvaluateSnapshot = (snapshot, state) => {
+  if (!snapshot) return false;
+  if (!state) return true;
+  if (state.snapshotId === snapshot.id) return false;
+  const evaluatedDate = toDate(state.snapshotDate);
+  return !evaluatedDate || getSnapshotDate(snapshot) > evaluatedDate;
+};
+
+export const saveNotifications = (db, path, teamId, snapshot, alerts) => commitInBatches(db, alerts, (batch, alert) => {
+  batch.set(doc(db, path, notificationId(teamId, snapshot.id, alert)), {
+    ...alert,
+    teamId,
+    snapshotId: snapshot.id,
+    snapshotDate: getSnapshotDate(snapshot),
+    createdAt: serverTimestamp(),
+    readAt: null,
+  });
+});
+
+export const saveAlertState = (db, path, snapshot) => setDoc(doc(db, path), {
+  snapshotId: snapshot.id,
+  snapshotDate: getSnapshotDate(snapshot),
+  evaluatedAt: serverTimestamp(),
+});
+
+export const markNotificationsRead = (db, path, ids) => commitInBatches(db, ids, (batch, id) => {
+  batch.update(doc(db, path, id), { readAt: serverTimestamp() });
+});
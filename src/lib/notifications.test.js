@@ -0,0 +1,27 @@
+import { notificationId, shouldEvaluateSnapshot, sortNotifications } from './notifications';
+import { makeSnapshot } from './__fixtures__';
+
+test('only uploads newer than the last one evaluated are checked', () => {
+  const snapshot = makeSnapshot('new', new Date(2025, 2, 15), []);
+  expect(shouldEvaluateSnapshot(snapshot, null)).toBe(true);
+  expect(shouldEvaluateSnapshot(snapshot, { snapshotId: 'new', snapshotDate: new Date(2025, 2, 15) })).toBe(false);
+  expect(shouldEvaluateSnapshot(snapshot, { snapshotId: 'old', snapshotDate: new Date(2025, 2, 8) })).toBe(true);
+  // A restored older upload becoming the latest again isn't news.
+  expect(shouldEvaluateSnapshot(snapshot, { snapshotId: 'later', snapshotDate: new Date(2025, 2, 20) })).toBe(false);
+  expect(shouldEvaluateSnapshot(undefined, null)).toBe(false);
+});
+
+test('notification IDs are stable per upload, rule and associate', () => {
+  const alert = { ruleId: 'r1', targetKey: 'id:1001/x' };
+  expect(notificationId('t1', 's1', alert)).toBe(notificationId('t1', 's1', { ...alert }));
+  expect(notificationId('t1', 's1', alert)).not.toContain('/');
+});
+
+test('notifications sort newest first, with pending ones on top', () => {
+  const sorted = sortNotifications([
+    { id: 'a', createdAt: new Date(2025, 2, 1) },
+    { id: 'b', createdAt: null },
+    { id: 'c', createdAt: new Date(2025, 2, 5) },
+  ]);
+  expect(sorted.map(n => n.id)).toEqual(['b', 'c', 'a']);
+});
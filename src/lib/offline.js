@@ -0,0 +1,34 @@
+import { useEffect, useState } from 'react';
+
+// --- Offline Support ---
+// With offline persistence, Firestore applies a write to the local cache right
+// away but only resolves its promise once the server acknowledges it. Offline,
+// that leaves the UI waiting until the connection returns, so writes are treated
+// as saved once they're queued.
+
+// Outside a browser (the command-line importer) there's no navigator, and writes are awaited.
+export const isOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+
+// Awaits the write when online. Offline, resolves immediately and reports a
+// rejection that arrives after reconnecting through `onLateError`.
+export const settleWrite = (promise, onLateError) => {
+  if (isOnline()) return promise;
+  promise.catch(onLateError);
+  return Promise.resolve();
+};
+
+export const useOnlineStatus = () => {
+  const [online, setOnline] = useState(isOnline);
+
+  useEffect(() => {
+    const update = () => setOnline(isOnline());
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  return online;
+};
@@ -0,0 +1,94 @@
+import { findAssociateRow } from './associateHistory';
+import { getSnapshotDate, getSnapshotRows, monthKey } from './snapshots';
+import { evaluateRank } from './qualification';
+import { applyHypotheticals, PERSONAL } from './planner';
+
+// --- Month-end Pacing ---
+// MTD figures cover part of a month while PMTD covers all of the previous one,
+// so raw comparisons flatter last month early on. Pacing scales MTD by how much
+// of the month had passed when the report was uploaded.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far through its calendar month a moment is. The fraction never drops below
+// one day so a report uploaded just after midnight on the 1st doesn't project to infinity.
+export const getMonthProgress = (date) => {
+  const start = new Date(date.getFullYear(), date.getMonth(), 1);
+  const end = new Date(date.getFullYear(), date.getMonth() + 1, 1);
+  const daysInMonth = Math.round((end - start) / DAY_MS);
+  const elapsedDays = Math.min(Math.max((date - start) / DAY_MS, 1), daysInMonth);
+  return {
+    month: monthKey(date),
+    daysInMonth,
+    elapsedDays,
+    daysLeft: Math.max(daysInMonth - elapsedDays, 0),
+    fraction: elapsedDays / daysInMonth,
+  };
+};
+
+export const projectMonthEnd = (mtd, progress) => mtd / progress.fraction;
+
+// Stored uploads from the calendar month before `date`.
+export const getPriorMonthSnapshots = (snapshots, date) => {
+  const priorMonth = monthKey(new Date(date.getFullYear(), date.getMonth() - 1, 1));
+  return snapshots.filter(snapshot => getSnapshotDate(snapshot) && monthKey(getSnapshotDate(snapshot)) === priorMonth);
+};
+
+// The root associate's org totals at the same point of the previous month. Prefers
+// a stored snapshot from that month uploaded closest to the same fraction of the
+// month; without one, falls back to a straight-line share of PMTD.
+export const findPriorSamePoint = (snapshots, root, date, progress, pmtd) => {
+  let best = null;
+  getPriorMonthSnapshots(snapshots, date).forEach(snapshot => {
+    const snapshotDate = getSnapshotDate(snapshot);
+    const row = findAssociateRow(getSnapshotRows(snapshot), root);
+    if (!row) return;
+    const distance = Math.abs(getMonthProgress(snapshotDate).fraction - progress.fraction);
+    if (!best || distance < best.distance) best = { row, date: snapshotDate, distance };
+  });
+
+  if (best) {
+    return { source: 'snapshot', date: best.date, premium: best.row['Org Premium MTD'] || 0, recruits: best.row['Org Recruits MTD'] || 0 };
+  }
+  return { source: 'estimate', date: null, premium: pmtd.premium * progress.fraction, recruits: pmtd.recruits * progress.fraction };
+};
+
+const metricPace = (mtd, pmtd, samePoint, progress) => ({
+  mtd,
+  pmtd,
+  projected: projectMonthEnd(mtd, progress),
+  samePoint,
+  // Relative to last month at the same point: 0.1 is 10% ahead, -0.2 is 20% behind.
+  vsSamePoint: samePoint > 0 ? mtd / samePoint - 1 : null,
+});
+
+// Pace for the organization summary of the snapshot being viewed. `root` is the
+// associate the summary belongs to (the focused leg's head in focus mode).
+export const buildOrgPace = (snapshot, snapshots, organizationalSummary, root) => {
+  const date = getSnapshotDate(snapshot);
+  if (!date || !organizationalSummary || !root) return null;
+  const progress = getMonthProgress(date);
+  const prior = findPriorSamePoint(snapshots, root, date, progress, {
+    premium: organizationalSummary.orgPremiumPMTD,
+    recruits: organizationalSummary.orgRecruitsPMTD,
+  });
+
+  return {
+    date,
+    progress,
+    prior,
+    premium: metricPace(organizationalSummary.orgPremiumMTD, organizationalSummary.orgPremiumPMTD, prior.premium, progress),
+    recruits: metricPace(organizationalSummary.orgRecruitsMTD, organizationalSummary.orgRecruitsPMTD, prior.recruits, progress),
+  };
+};
+
+// Evaluates a rank as if the associate and every leg keep their current pace to month-end.
+export const projectRank = (rule, associate, legs, progress) => {
+  const overrides = { [PERSONAL]: projectMonthEnd(associate['Personal Premium MTD'] || 0, progress) };
+  legs.forEach(leg => { overrides[leg['Associate ID']] = projectMonthEnd(leg['Org Premium MTD'] || 0, progress); });
+  const projected = applyHypotheticals(associate, legs, overrides);
+  return evaluateRank(rule, projected.associate, projected.legs);
+};
+
+// Share of a goal reached, capped at 1 for progress bars; null when there's no goal.
+export const goalProgress = (value, goal) => (goal > 0 ? Math.min(value / goal, 1) : null);
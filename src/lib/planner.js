@@ -0,0 +1,120 @@
+import { evaluateRank } from './qualification';
+import { t } from './i18n';
+
+// --- "What It Takes" Planner ---
+
+// Key used for the associate's own premium alongside leg Associate IDs.
+export const PERSONAL = 'personal';
+
+// Applies hypothetical premium values to an associate and their legs. `overrides`
+// maps a leg's Associate ID (or 'personal') to a replacement premium figure.
+export const applyHypotheticals = (associate, legs, overrides) => ({
+  associate: PERSONAL in overrides
+    ? { ...associate, 'Personal Premium MTD': overrides[PERSONAL] }
+    : associate,
+  legs: legs.map(leg => (leg['Associate ID'] in overrides
+    ? { ...leg, 'Org Premium MTD': overrides[leg['Associate ID']] }
+    : leg)),
+});
+
+// Room left under the cap for each leg; uncapped legs can always take more.
+const headroomOf = (leg, legCap) => (legCap > 0 ? Math.max(legCap - leg.premium, 0) : Infinity);
+
+// Premium that makes a leg qualifying: the cap, or when uncapped any premium at all,
+// which the planner suggests as a whole dollar.
+const MIN_UNCAPPED_LEG_PREMIUM = 1;
+const qualifyingPremiumOf = (legCap) => (legCap > 0 ? legCap : MIN_UNCAPPED_LEG_PREMIUM);
+
+const addIncrease = (increases, key, amount) => {
+  if (amount <= 0) return;
+  increases.set(key, (increases.get(key) || 0) + amount);
+};
+
+// Builds the increases needed to meet a rule: personal and leg minimums first,
+// then the remaining premium gap. With `preferLegs` the gap is filled from the legs
+// with the most headroom (fewest legs), and only what legs can't absorb falls to
+// personal premium; otherwise personal premium covers the whole gap.
+const buildPlan = (rule, evaluation, preferLegs) => {
+  const increases = new Map();
+  const legPremium = new Map(evaluation.legs.map(leg => [leg.associate['Associate ID'], leg.premium]));
+
+  if (!evaluation.personalMet) addIncrease(increases, PERSONAL, rule.personalMin - evaluation.personalPremium);
+
+  if (!evaluation.legsMet) {
+    const qualifyingPremium = qualifyingPremiumOf(rule.legCap);
+    evaluation.legs
+      .filter(leg => !leg.qualifying)
+      .sort((a, b) => b.premium - a.premium)
+      .slice(0, rule.minLegs - evaluation.qualifyingLegs)
+      .forEach(leg => {
+        const id = leg.associate['Associate ID'];
+        addIncrease(increases, id, qualifyingPremium - leg.premium);
+        legPremium.set(id, qualifyingPremium);
+      });
+  }
+
+  const countableAfterMinimums = evaluation.legs.reduce((total, leg) => {
+    const premium = legPremium.get(leg.associate['Associate ID']);
+    return total + (rule.legCap > 0 ? Math.min(premium, rule.legCap) : premium);
+  }, 0) + (evaluation.personalMet ? evaluation.personalPremium : rule.personalMin);
+
+  let remaining = Math.max(rule.threshold - countableAfterMinimums, 0);
+
+  if (preferLegs && remaining > 0) {
+    const candidates = evaluation.legs
+      .map(leg => ({ id: leg.associate['Associate ID'], room: headroomOf({ premium: legPremium.get(leg.associate['Associate ID']) }, rule.legCap) }))
+      .filter(leg => leg.room > 0)
+      .sort((a, b) => b.room - a.room);
+    for (const { id, room } of candidates) {
+      if (remaining <= 0) break;
+      const amount = Math.min(room, remaining);
+      addIncrease(increases, id, amount);
+      remaining -= amount;
+    }
+  }
+  addIncrease(increases, PERSONAL, remaining);
+
+  return Array.from(increases, ([key, amount]) => ({ key, amount }));
+};
+
+// Whether `increases` would qualify once entered as what-if values, which hold whole
+// cents. Summing cents in floating point can land a hair under the threshold, so the
+// premium still needed only has to be under half a cent.
+const reachesRank = (rule, evaluation, associate, legs, increases) => {
+  const premiumOf = new Map(evaluation.legs.map(leg => [leg.associate['Associate ID'], leg.premium]));
+  const overrides = Object.fromEntries(increases.map(({ key, amount }) => [
+    key, Number(((key === PERSONAL ? evaluation.personalPremium : premiumOf.get(key)) + amount).toFixed(2)),
+  ]));
+  const hypothetical = applyHypotheticals(associate, legs, overrides);
+  const result = evaluateRank(rule, hypothetical.associate, hypothetical.legs);
+  return result.personalMet && result.legsMet && result.needed < 0.005;
+};
+
+// Breaks down a rank evaluation per leg and suggests the smallest sets of increases
+// that would qualify: one leaning on leg premium, one on personal premium. Each
+// suggestion is checked against the rule, and any that still wouldn't qualify (a
+// rule needing more qualifying legs than the associate has) is left out, with
+// `unreachable` set when none are left.
+export const planQualification = (rule, associate, legs) => {
+  const evaluation = evaluateRank(rule, associate, legs);
+  const legBreakdown = evaluation.legs.map(leg => ({
+    ...leg,
+    capped: leg.premium - leg.countable,
+    headroom: headroomOf(leg, rule.legCap),
+    maxed: rule.legCap > 0 && leg.premium >= rule.legCap,
+  }));
+
+  if (evaluation.qualified) return { evaluation, legBreakdown, suggestions: [], unreachable: false };
+
+  const legPlan = buildPlan(rule, evaluation, true);
+  const personalPlan = buildPlan(rule, evaluation, false);
+  const candidates = [{ label: t('planner.legHeadroomFirst'), increases: legPlan }];
+  const samePlan = personalPlan.length === legPlan.length
+    && personalPlan.every(step => legPlan.some(other => other.key === step.key && other.amount === step.amount));
+  if (!samePlan) candidates.push({ label: t('planner.personalPremium'), increases: personalPlan });
+  const suggestions = candidates
+    .filter(suggestion => reachesRank(rule, evaluation, associate, legs, suggestion.increases))
+    .sort((a, b) => a.increases.length - b.increases.length);
+
+  return { evaluation, legBreakdown, suggestions, unreachable: suggestions.length === 0 };
+};
@@ -0,0 +1,36 @@
+import { PERSONAL, planQualification } from './planner';
+
+const associate = (premium) => ({ 'Associate ID': 'root', Level: 5, 'Personal Premium MTD': premium });
+const leg = (id, orgPremium) => ({ 'Associate ID': id, 'Org Premium MTD': orgPremium });
+
+test('fills the gap from leg headroom first, or from personal premium', () => {
+  const rule = { threshold: 700, legCap: 350, minLegs: 0, personalMin: 0 };
+  const { suggestions, unreachable } = planQualification(rule, associate(50), [leg('a', 900), leg('b', 200)]);
+  expect(unreachable).toBe(false);
+  expect(suggestions.map(s => s.increases)).toEqual([
+    [{ key: 'b', amount: 100 }],
+    [{ key: PERSONAL, amount: 100 }],
+  ]);
+});
+
+test('without a leg cap, legs that need to qualify are given a minimal increase', () => {
+  const rule = { threshold: 500, legCap: 0, minLegs: 2, personalMin: 0 };
+  const { evaluation, suggestions } = planQualification(rule, associate(0), [leg('a', 600), leg('b', 0), leg('c', 0)]);
+  expect(evaluation).toMatchObject({ legsMet: false, needed: 0 });
+  expect(suggestions).toHaveLength(1);
+  expect(suggestions[0].increases).toEqual([{ key: 'b', amount: 1 }]);
+});
+
+test('plans are left out when more qualifying legs are needed than there are legs', () => {
+  const capped = { threshold: 700, legCap: 350, minLegs: 3, personalMin: 0 };
+  expect(planQualification(capped, associate(0), [leg('a', 100), leg('b', 200)])).toMatchObject({ suggestions: [], unreachable: true });
+
+  const uncapped = { ...capped, legCap: 0 };
+  expect(planQualification(uncapped, associate(0), [leg('a', 0)])).toMatchObject({ suggestions: [], unreachable: true });
+});
+
+test('every suggestion qualifies when entered to the cent', () => {
+  const rule = { threshold: 1989.32, legCap: 0, minLegs: 1, personalMin: 374.22 };
+  const { suggestions } = planQualification(rule, associate(472.32), [leg('a', 35.82)]);
+  expect(suggestions.length).toBeGreaterThan(0);
+});
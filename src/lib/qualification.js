@@ -0,0 +1,90 @@
+import { LEVELS } from './associates';
+
+// --- Rank Qualification Rules ---
+
+// Per-rank requirements, keyed by Level. A null threshold means the rank has no
+// rule configured yet and is skipped when showing progress.
+//   threshold   - countable premium needed (personal premium + capped leg premium)
+//   legCap      - most any one depth-1 leg can contribute (0 = uncapped)
+//   minLegs     - depth-1 legs that must be qualifying (at or above the leg cap, or producing when uncapped)
+//   personalMin - personal premium MTD the associate must write themselves
+export const DEFAULT_RANK_RULES = Object.fromEntries(LEVELS.map(level => [level, {
+  threshold: null, legCap: 0, minLegs: 0, personalMin: 0,
+}]));
+DEFAULT_RANK_RULES[6] = { threshold: 700, legCap: 350, minLegs: 0, personalMin: 0 };
+DEFAULT_RANK_RULES[7] = { threshold: 1400, legCap: 700, minLegs: 0, personalMin: 0 };
+
+export const RANK_LEVELS = LEVELS;
+
+const toNumber = (value, fallback) => {
+  if (value === null || value === undefined || value === '') return fallback;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+};
+
+// Merges stored rules over the defaults, dropping anything malformed.
+export const normalizeRankRules = (stored = {}) => Object.fromEntries(RANK_LEVELS.map(level => {
+  const defaults = DEFAULT_RANK_RULES[level];
+  const rule = stored[level] || {};
+  return [level, {
+    threshold: toNumber(rule.threshold, rule.threshold === null ? null : defaults.threshold),
+    legCap: toNumber(rule.legCap, defaults.legCap),
+    minLegs: Math.round(toNumber(rule.minLegs, defaults.minLegs)),
+    personalMin: toNumber(rule.personalMin, defaults.personalMin),
+  }];
+}));
+
+export const isRuleConfigured = (rule) => Boolean(rule) && rule.threshold !== null;
+
+// Evaluates one associate against one rank rule. `legs` are the associate's
+// depth-1 rows; each contributes its Org Premium MTD up to the rule's leg cap.
+export const evaluateRank = (rule, associate, legs) => {
+  const { threshold, legCap, minLegs, personalMin } = rule;
+  const personalPremium = associate['Personal Premium MTD'] || 0;
+
+  const legResults = legs.map(leg => {
+    const premium = leg['Org Premium MTD'] || 0;
+    return {
+      associate: leg,
+      premium,
+      countable: legCap > 0 ? Math.min(premium, legCap) : premium,
+      qualifying: legCap > 0 ? premium >= legCap : premium > 0,
+    };
+  });
+
+  const totalCountablePremium = legResults.reduce((total, leg) => total + leg.countable, 0) + personalPremium;
+  const qualifyingLegs = legResults.filter(leg => leg.qualifying).length;
+
+  const premiumMet = totalCountablePremium >= threshold;
+  const personalMet = personalPremium >= personalMin;
+  const legsMet = qualifyingLegs >= minLegs;
+
+  return {
+    qualified: premiumMet && personalMet && legsMet,
+    threshold,
+    legCap,
+    minLegs,
+    personalMin,
+    totalCountablePremium,
+    needed: premiumMet ? 0 : threshold - totalCountablePremium,
+    progress: threshold > 0 ? Math.min(totalCountablePremium / threshold, 1) : 1,
+    personalPremium,
+    personalMet,
+    qualifyingLegs,
+    legsMet,
+    legs: legResults,
+  };
+};
+
+// Progress toward the next `count` configured ranks above the associate's current Level.
+export const evaluateNextRanks = (rules, associate, legs, count = 2) => {
+  const currentLevel = Number(associate.Level) || 0;
+  return RANK_LEVELS
+    .filter(level => level > currentLevel)
+    .slice(0, count)
+    .map(level => ({
+      level,
+      configured: isRuleConfigured(rules[level]),
+      result: isRuleConfigured(rules[level]) ? evaluateRank(rules[level], associate, legs) : null,
+    }));
+};
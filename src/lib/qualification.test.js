@@ -0,0 +1,75 @@
+import { DEFAULT_RANK_RULES, evaluateNextRanks, evaluateRank, isRuleConfigured, normalizeRankRules } from './qualification';
+
+const associate = (premium, fields = {}) => ({ 'Associate ID': 'root', Level: 5, 'Personal Premium MTD': premium, ...fields });
+const leg = (id, orgPremium) => ({ 'Associate ID': id, 'Org Premium MTD': orgPremium });
+
+describe('evaluateRank', () => {
+  const rule = { threshold: 700, legCap: 350, minLegs: 0, personalMin: 0 };
+
+  test('caps each leg at the leg cap when counting premium', () => {
+    const result = evaluateRank(rule, associate(50), [leg('a', 900), leg('b', 200)]);
+    expect(result.legs.map(l => l.countable)).toEqual([350, 200]);
+    expect(result.totalCountablePremium).toBe(600);
+    expect(result.qualified).toBe(false);
+    expect(result.needed).toBe(100);
+    expect(result.progress).toBeCloseTo(600 / 700);
+  });
+
+  test('qualifies once capped premium reaches the threshold', () => {
+    const result = evaluateRank(rule, associate(0), [leg('a', 350), leg('b', 400)]);
+    expect(result.totalCountablePremium).toBe(700);
+    expect(result).toMatchObject({ qualified: true, needed: 0, progress: 1, qualifyingLegs: 2 });
+  });
+
+  test('counts legs in full when uncapped', () => {
+    const result = evaluateRank({ ...rule, legCap: 0 }, associate(0), [leg('a', 900)]);
+    expect(result.totalCountablePremium).toBe(900);
+    expect(result.legs[0].qualifying).toBe(true);
+  });
+
+  test('requires qualifying legs and personal premium when the rule asks for them', () => {
+    const strict = { threshold: 700, legCap: 350, minLegs: 2, personalMin: 100 };
+    const result = evaluateRank(strict, associate(50), [leg('a', 2000), leg('b', 340), leg('c', 340)]);
+    expect(result.totalCountablePremium).toBe(1080);
+    expect(result).toMatchObject({ qualified: false, needed: 0, personalMet: false, legsMet: false, qualifyingLegs: 1 });
+  });
+
+  test('treats missing figures as zero', () => {
+    const result = evaluateRank(rule, {}, [{}]);
+    expect(result.totalCountablePremium).toBe(0);
+    expect(result.needed).toBe(700);
+  });
+});
+
+describe('normalizeRankRules', () => {
+  test('falls back to the defaults for missing or malformed values', () => {
+    const rules = normalizeRankRules({ 6: { threshold: '900', legCap: -5, minLegs: 'two', personalMin: '' } });
+    expect(rules[6]).toEqual({ threshold: 900, legCap: DEFAULT_RANK_RULES[6].legCap, minLegs: 0, personalMin: 0 });
+    expect(rules[7]).toEqual(DEFAULT_RANK_RULES[7]);
+  });
+
+  test('keeps an explicitly cleared threshold as unconfigured', () => {
+    const rules = normalizeRankRules({ 6: { threshold: null } });
+    expect(isRuleConfigured(rules[6])).toBe(false);
+    expect(isRuleConfigured(rules[7])).toBe(true);
+  });
+});
+
+describe('evaluateNextRanks', () => {
+  test('evaluates the next configured ranks above the current level', () => {
+    const evaluations = evaluateNextRanks(normalizeRankRules(), associate(800), []);
+    expect(evaluations.map(e => [e.level, e.configured, e.result.qualified])).toEqual([[6, true, true], [7, true, false]]);
+  });
+
+  test('marks ranks without a rule as unconfigured', () => {
+    const evaluations = evaluateNextRanks(normalizeRankRules(), associate(0, { Level: 1 }), []);
+    expect(evaluations).toEqual([
+      { level: 2, configured: false, result: null },
+      { level: 3, configured: false, result: null },
+    ]);
+  });
+
+  test('returns nothing at the top rank', () => {
+    expect(evaluateNextRanks(normalizeRankRules(), associate(0, { Level: 11 }), [])).toEqual([]);
+  });
+});
@@ -0,0 +1,80 @@
+import { getLevelTitle, getStatusLabel } from './associates';
+
+// --- Report Tables ---
+// Exports are built from the same memoized values the dashboard renders
+// (organizationalSummary, qualificationStatus, statusSummary, the contributor
+// lists), so a downloaded file never disagrees with the screen.
+
+const column = (label, type, value) => ({ label, type, value });
+const field = (key, type, label = key) => column(label, type, row => row[key] ?? (type === 'string' ? '' : 0));
+
+const ASSOCIATE_COLUMNS = [
+  field('Associate ID', 'string'),
+  field('Name', 'string'),
+  column('Rank', 'string', row => getLevelTitle(row.Level)),
+  column('Status', 'string', row => getStatusLabel(row.Status)),
+  field('Depth Level', 'integer'),
+  field('Personal Premium MTD', 'currency'),
+  field('Personal Premium PMTD', 'currency'),
+  field('Personal Premium YTD', 'currency'),
+  field('Personal Recruits MTD', 'integer'),
+  field('Personal Recruits PMTD', 'integer'),
+  field('Personal Recruits YTD', 'integer'),
+  field('Org Premium MTD', 'currency'),
+  field('Org Recruits MTD', 'integer'),
+];
+
+export const associatesTable = (associates, name = 'Associates') => ({ name, columns: ASSOCIATE_COLUMNS, rows: associates });
+
+export const premiumContributorsTable = (contributors) => ({
+  name: 'Premium Contributors',
+  columns: [field('Associate ID', 'string'), field('Name', 'string'), field('Personal Premium MTD', 'currency'), field('Personal Premium PMTD', 'currency')],
+  rows: contributors,
+});
+
+export const recruitsContributorsTable = (contributors) => ({
+  name: 'Recruits Contributors',
+  columns: [field('Associate ID', 'string'), field('Name', 'string'), field('Personal Recruits MTD', 'integer'), field('Personal Recruits PMTD', 'integer')],
+  rows: contributors,
+});
+
+export const onHoldTable = (statusSummary) => associatesTable(statusSummary.onHoldList, 'On Hold');
+
+const rankRows = (label, evaluation) => (evaluation ? [
+  { metric: `${label} Status`, value: evaluation.qualified ? 'QUALIFIED' : 'NOT QUALIFIED', type: 'string' },
+  { metric: `${label} Countable Premium`, value: evaluation.totalCountablePremium, type: 'currency' },
+  { metric: `${label} Threshold`, value: evaluation.threshold, type: 'currency' },
+  { metric: `${label} Still Needed`, value: evaluation.needed, type: 'currency' },
+] : []);
+
+// One metric per row; the value column mixes types, so each row carries its own.
+export const summaryTable = ({ organizationalSummary, qualificationStatus, statusSummary, premiumContributors, recruitsContributors }) => ({
+  name: 'Summary',
+  columns: [column('Metric', 'string', row => row.metric), column('Value', 'mixed', row => row.value)],
+  rows: [
+    ...(qualificationStatus ? [{ metric: 'Organization Leader', value: qualificationStatus.root.Name, type: 'string' }] : []),
+    ...(organizationalSummary ? [
+      { metric: 'Org Premium MTD', value: organizationalSummary.orgPremiumMTD, type: 'currency' },
+      { metric: 'Org Premium PMTD', value: organizationalSummary.orgPremiumPMTD, type: 'currency' },
+      { metric: 'Org Recruits MTD', value: organizationalSummary.orgRecruitsMTD, type: 'integer' },
+      { metric: 'Org Recruits PMTD', value: organizationalSummary.orgRecruitsPMTD, type: 'integer' },
+      { metric: 'Premium Contributors MTD', value: premiumContributors.length, type: 'integer' },
+      { metric: 'Premium Contributors PMTD', value: organizationalSummary.premiumContributorsPMTD, type: 'integer' },
+      { metric: 'Recruits Contributors MTD', value: recruitsContributors.length, type: 'integer' },
+      { metric: 'Recruits Contributors PMTD', value: organizationalSummary.recruitsContributorsPMTD, type: 'integer' },
+    ] : []),
+    ...(qualificationStatus ? [...rankRows('SD', qualificationStatus.sd), ...rankRows('ED', qualificationStatus.ed)] : []),
+    { metric: 'Active Associates', value: statusSummary.active, type: 'integer' },
+    { metric: 'Not Vested (D)', value: statusSummary.notVested, type: 'integer' },
+    { metric: 'On Hold (H)', value: statusSummary.onHold, type: 'integer' },
+  ],
+});
+
+// Resolves a table's column accessors into plain value rows. "mixed" columns
+// take their type from the row, which only the summary table uses.
+export const materializeTable = ({ name, columns, rows }) => ({
+  name,
+  columns: columns.map(({ label, type }) => ({ label, type })),
+  rows: rows.map(row => columns.map(col => col.value(row))),
+  types: rows.map(row => columns.map(col => (col.type === 'mixed' ? row.type : col.type))),
+});
@@ -0,0 +1,36 @@
+import { useEffect, useState } from 'react';
+
+// --- Routing ---
+// A small History API router. There are only a couple of pages, and the query
+// string is left to the associates view (see associateFilters), so navigating
+// between pages keeps the current filters.
+
+export const dashboardPath = () => '/';
+
+export const associatePath = (associateId) => `/associates/${encodeURIComponent(associateId)}`;
+
+export const parseRoute = (pathname) => {
+  const associateMatch = pathname.match(/^\/associates\/([^/]+)\/?$/);
+  if (associateMatch) return { name: 'associate', associateId: decodeURIComponent(associateMatch[1]) };
+  return { name: 'dashboard' };
+};
+
+export const navigate = (path, { replace = false } = {}) => {
+  const url = `${path}${window.location.search}`;
+  if (replace) window.history.replaceState(null, '', url);
+  else window.history.pushState(null, '', url);
+  window.dispatchEvent(new PopStateEvent('popstate'));
+  if (!replace) window.scrollTo(0, 0);
+};
+
+export const useRoute = () => {
+  const [route, setRoute] = useState(() => parseRoute(window.location.pathname));
+
+  useEffect(() => {
+    const handlePopState = () => setRoute(parseRoute(window.location.pathname));
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  return route;
+};
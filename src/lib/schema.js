@@ -0,0 +1,221 @@
+import { normalizeStatus } from './associates';
+import { t } from './i18n';
+
+// --- Import Schema ---
+
+// The canonical fields the dashboard reads. Incoming CSV headers are mapped onto
+// these keys so the rest of the app can keep looking up exact strings like
+// 'Org Premium MTD' regardless of what the back office calls the column.
+export const CANONICAL_FIELDS = [
+  { key: 'Associate ID', type: 'string', required: true, aliases: ['associate id', 'assoc id', 'associate number', 'associate #', 'member id', 'id'] },
+  { key: 'Name', type: 'string', required: true, aliases: ['name', 'associate name', 'full name', 'associate'] },
+  { key: 'Level', type: 'integer', required: true, aliases: ['level', 'rank', 'rank level', 'title level', 'current level'] },
+  { key: 'Depth Level', type: 'integer', required: true, aliases: ['depth level', 'depth', 'generation', 'downline depth', 'level depth'] },
+  { key: 'Status', type: 'status', required: true, aliases: ['status', 'status code', 'associate status'] },
+  { key: 'Personal Premium MTD', type: 'currency', required: true, aliases: ['personal premium mtd', 'pers premium mtd', 'personal prem mtd'] },
+  { key: 'Personal Premium PMTD', type: 'currency', required: false, aliases: ['personal premium pmtd', 'pers premium pmtd', 'personal premium prior month'] },
+  { key: 'Personal Premium YTD', type: 'currency', required: false, aliases: ['personal premium ytd', 'pers premium ytd'] },
+  { key: 'Personal Recruits MTD', type: 'integer', required: true, aliases: ['personal recruits mtd', 'pers recruits mtd', 'personal enrollments mtd'] },
+  { key: 'Personal Recruits PMTD', type: 'integer', required: false, aliases: ['personal recruits pmtd', 'pers recruits pmtd', 'personal recruits prior month'] },
+  { key: 'Personal Recruits YTD', type: 'integer', required: false, aliases: ['personal recruits ytd', 'pers recruits ytd'] },
+  { key: 'Org Premium MTD', type: 'currency', required: true, aliases: ['org premium mtd', 'organization premium mtd', 'org prem mtd', 'team premium mtd'] },
+  { key: 'Org Premium PMTD', type: 'currency', required: false, aliases: ['org premium pmtd', 'organization premium pmtd', 'org premium prior month'] },
+  { key: 'Org Premium YTD', type: 'currency', required: false, aliases: ['org premium ytd', 'organization premium ytd'] },
+  { key: 'Org Recruits MTD', type: 'integer', required: true, aliases: ['org recruits mtd', 'organization recruits mtd', 'team recruits mtd'] },
+  { key: 'Org Recruits PMTD', type: 'integer', required: false, aliases: ['org recruits pmtd', 'organization recruits pmtd', 'org recruits prior month'] },
+  { key: 'Org Recruits YTD', type: 'integer', required: false, aliases: ['org recruits ytd', 'organization recruits ytd'] },
+  { key: 'Sponsor ID', type: 'string', required: false, aliases: ['sponsor id', 'sponsor', 'sponsor number', 'sponsor name', 'upline id', 'upline', 'enroller id', 'enroller'] },
+];
+
+export const getFieldTypeLabel = (type) => t(`import.types.${type}`);
+
+export const STATUS_CODES = ['', 'D', 'H'];
+
+const MIN_MATCH_SCORE = 0.6;
+
+// Common spellings of the reporting periods and prefixes, folded before comparing.
+const HEADER_SYNONYMS = [
+  [/\b(prior|previous|last) month( to date)?\b/g, 'pmtd'],
+  [/\bmonth to date\b/g, 'mtd'],
+  [/\byear to date\b/g, 'ytd'],
+  [/\borganization(al)?\b/g, 'org'],
+  [/\bpers\b/g, 'personal'],
+  [/\bprem\b/g, 'premium'],
+];
+
+const normalizeHeader = (header) => HEADER_SYNONYMS.reduce(
+  (text, [pattern, replacement]) => text.replace(pattern, replacement),
+  (header || '').toLowerCase().replace(/[^a-z0-9#]+/g, ' ').trim(),
+);
+
+const PERIODS = ['mtd', 'pmtd', 'ytd'];
+const periodOf = (normalized) => normalized.split(' ').find(token => PERIODS.includes(token)) || null;
+
+const bigrams = (text) => {
+  const compact = text.replace(/\s+/g, '');
+  const grams = [];
+  for (let i = 0; i < compact.length - 1; i++) grams.push(compact.slice(i, i + 2));
+  return grams;
+};
+
+// Dice coefficient over character bigrams; 1 for identical strings.
+const similarity = (a, b) => {
+  if (a === b) return 1;
+  const aGrams = bigrams(a), bGrams = bigrams(b);
+  if (aGrams.length === 0 || bGrams.length === 0) return 0;
+  const counts = new Map();
+  aGrams.forEach(g => counts.set(g, (counts.get(g) || 0) + 1));
+  let overlap = 0;
+  bGrams.forEach(g => {
+    if (counts.get(g) > 0) { overlap++; counts.set(g, counts.get(g) - 1); }
+  });
+  return (2 * overlap) / (aGrams.length + bGrams.length);
+};
+
+// Order-independent key for a header row, used as the Firestore doc ID for saved mappings.
+export const headerSignature = (headers) => {
+  const text = [...headers].map(normalizeHeader).sort().join('|');
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+  return `h${hash.toString(16)}`;
+};
+
+const scoreHeader = (field, header, learnedAliases) => {
+  const normalized = normalizeHeader(header);
+  if (normalized === normalizeHeader(field.key)) return 1;
+  if ((learnedAliases[field.key] || []).some(alias => normalizeHeader(alias) === normalized)) return 0.99;
+  // 'MTD' and 'PMTD' are one letter apart, so never fuzzy-match across periods.
+  const period = periodOf(normalizeHeader(field.key));
+  if (period !== periodOf(normalized)) return 0;
+  return Math.max(...field.aliases.map(alias => similarity(normalizeHeader(alias), normalized)));
+};
+
+// Maps canonical fields to incoming headers. A saved mapping for the exact same
+// header row wins outright; otherwise headers are matched greedily by score, using
+// aliases learned from earlier saved mappings before falling back to fuzzy matching.
+export const matchHeaders = (headers, savedMappings = []) => {
+  const signature = headerSignature(headers);
+  const exact = savedMappings.find(saved => saved.id === signature);
+  if (exact) {
+    const mapping = {};
+    CANONICAL_FIELDS.forEach(field => {
+      const header = exact.mapping?.[field.key];
+      mapping[field.key] = header && headers.includes(header) ? header : null;
+    });
+    return { mapping, scores: {}, source: 'saved' };
+  }
+
+  const learnedAliases = {};
+  savedMappings.forEach(saved => {
+    Object.entries(saved.mapping || {}).forEach(([key, header]) => {
+      if (!header) return;
+      learnedAliases[key] = [...(learnedAliases[key] || []), header];
+    });
+  });
+
+  const candidates = [];
+  CANONICAL_FIELDS.forEach(field => {
+    headers.forEach(header => {
+      const score = scoreHeader(field, header, learnedAliases);
+      if (score >= MIN_MATCH_SCORE) candidates.push({ field: field.key, header, score });
+    });
+  });
+  candidates.sort((a, b) => b.score - a.score);
+
+  const mapping = Object.fromEntries(CANONICAL_FIELDS.map(field => [field.key, null]));
+  const scores = {};
+  const usedHeaders = new Set();
+  candidates.forEach(({ field, header, score }) => {
+    if (mapping[field] || usedHeaders.has(header)) return;
+    mapping[field] = header;
+    scores[field] = score;
+    usedHeaders.add(header);
+  });
+
+  return { mapping, scores, source: 'detected' };
+};
+
+export const getMissingRequiredFields = (mapping) => CANONICAL_FIELDS
+  .filter(field => field.required && !mapping[field.key])
+  .map(field => field.key);
+
+// Symbols and upper-case ISO codes only, so a word like "abc" after a number isn't taken for one.
+const CURRENCY_PREFIX = /^(?:[A-Z]{0,3}\$|[A-Z]{3}(?=[\s\d])|[€£¥])\s*/;
+const CURRENCY_SUFFIX = /\s*(?:[A-Z]{0,3}\$|[A-Z]{3}|[€£¥])$/;
+const GROUP_SPACES = /['\s\u00A0\u202F]/g;
+
+// Reads numbers as back offices and spreadsheets in other locales write them: 1.234,56,
+// 1 234,56, $1,234.56, USD 1,234.56, 1.234,56 € or (1,234.56) for a negative. When a single
+// separator is followed by exactly three digits it's ambiguous; a comma is read as grouping
+// (1,234 → 1234) and a point as a decimal (1.234 → 1.234), as a US report would mean them.
+// Returns null when the text isn't a number.
+export const parseLocalizedNumber = (raw) => {
+  let text = String(raw ?? '').trim();
+  let negative = false;
+  const takeSign = () => {
+    if (!/^[-−]/.test(text)) return;
+    negative = !negative;
+    text = text.slice(1).trim();
+  };
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1).trim();
+  }
+  takeSign();
+  text = text.replace(CURRENCY_PREFIX, '').replace(CURRENCY_SUFFIX, '');
+  takeSign();
+  if (!/^(?:\d[\d.,'\s\u00A0\u202F]*|[.,]\d+)$/.test(text)) return null;
+
+  const digits = text.replace(GROUP_SPACES, '');
+  const lastDot = digits.lastIndexOf('.');
+  const lastComma = digits.lastIndexOf(',');
+  let decimal = null;
+  if (lastDot >= 0 && lastComma >= 0) {
+    decimal = lastDot > lastComma ? '.' : ',';
+  } else if (lastDot >= 0 || lastComma >= 0) {
+    const separator = lastDot >= 0 ? '.' : ',';
+    const parts = digits.split(separator);
+    if (parts.length === 2 && (parts[1].length !== 3 || separator === '.')) decimal = separator;
+  }
+
+  const [whole, fraction = '', extra] = decimal ? digits.split(decimal) : [digits];
+  if (extra !== undefined) return null;
+  const wholeDigits = whole.replace(/[.,]/g, '');
+  if (!/^\d*$/.test(wholeDigits) || !/^\d*$/.test(fraction) || wholeDigits + fraction === '') return null;
+  const number = Number(`${wholeDigits || '0'}.${fraction || '0'}`);
+  return negative ? -number : number;
+};
+
+// Plain numbers as JavaScript reads them, then localized and currency-formatted ones.
+const parseNumericCell = (value) => {
+  const number = Number(value);
+  return Number.isNaN(number) ? parseLocalizedNumber(value) : number;
+};
+
+// Parses a raw cell for a declared field type. `valid` is false when the value
+// had to be coerced (e.g. text in a numeric column).
+export const parseFieldValue = (type, raw) => {
+  const value = (raw || '').trim();
+  switch (type) {
+    case 'currency':
+    case 'integer': {
+      if (value === '') return { value: 0, valid: true };
+      const number = parseNumericCell(value);
+      if (number === null) return { value: parseFloat(value) || 0, valid: false };
+      return { value: type === 'integer' ? Math.round(number) : number, valid: type === 'currency' || Number.isInteger(number) };
+    }
+    case 'status': {
+      const code = normalizeStatus(value);
+      return { value: code, valid: STATUS_CODES.includes(code) };
+    }
+    default:
+      return { value, valid: true };
+  }
+};
+
+// Columns the mapping doesn't cover are kept under their original header. They are
+// stored as numbers only when every non-empty value is numeric.
+export const inferColumnType = (values) => {
+  const nonEmpty = values.filter(value => value !== '');
+  return nonEmpty.length > 0 && nonEmpty.every(value => parseNumericCell(value) !== null) ? 'currency' : 'string';
+};
@@ -0,0 +1,134 @@
+import { isRegeneratedId, normalizeName, normalizeStatus } from './associates';
+
+// --- Snapshot Diff ---
+
+const number = (value) => (typeof value === 'number' && !Number.isNaN(value) ? value : 0);
+
+// Groups rows by normalized name, keeping only names that appear exactly once so a
+// fallback match is never ambiguous.
+const indexUniqueNames = (rows) => {
+  const byName = new Map();
+  rows.forEach(row => {
+    const key = normalizeName(row.Name);
+    if (!key) return;
+    byName.set(key, byName.has(key) ? null : row);
+  });
+  return byName;
+};
+
+// Pairs rows from two snapshots. Stable Associate IDs are matched first; rows whose
+// ID was regenerated on upload (or whose partner was) fall back to a unique name match.
+// Regenerated rows that still can't be paired are returned separately instead of
+// being reported as joined/left.
+export const matchAssociates = (fromRows, toRows) => {
+  const pairs = [];
+  const toById = new Map();
+  toRows.forEach(row => {
+    const id = row['Associate ID'];
+    if (!isRegeneratedId(id)) toById.set(String(id), row);
+  });
+
+  const unmatchedFrom = [];
+  const matchedTo = new Set();
+  fromRows.forEach(row => {
+    const id = row['Associate ID'];
+    const partner = isRegeneratedId(id) ? null : toById.get(String(id));
+    if (partner && !matchedTo.has(partner)) {
+      pairs.push({ from: row, to: partner, matchedBy: 'id' });
+      matchedTo.add(partner);
+    } else {
+      unmatchedFrom.push(row);
+    }
+  });
+  const unmatchedTo = toRows.filter(row => !matchedTo.has(row));
+
+  const fromByName = indexUniqueNames(unmatchedFrom);
+  const toByName = indexUniqueNames(unmatchedTo);
+  const nameMatchedFrom = new Set();
+  const nameMatchedTo = new Set();
+  unmatchedFrom.forEach(row => {
+    const key = normalizeName(row.Name);
+    const candidate = fromByName.get(key) && toByName.get(key);
+    if (!candidate) return;
+    // Only fall back to names when at least one side lacks a stable ID; two different
+    // real IDs with the same name are different people.
+    if (!isRegeneratedId(row['Associate ID']) && !isRegeneratedId(candidate['Associate ID'])) return;
+    pairs.push({ from: row, to: candidate, matchedBy: 'name' });
+    nameMatchedFrom.add(row);
+    nameMatchedTo.add(candidate);
+  });
+
+  const leftover = (rows, used) => rows.filter(row => !used.has(row));
+  const removed = leftover(unmatchedFrom, nameMatchedFrom);
+  const added = leftover(unmatchedTo, nameMatchedTo);
+
+  return {
+    pairs,
+    added: added.filter(row => !isRegeneratedId(row['Associate ID'])),
+    removed: removed.filter(row => !isRegeneratedId(row['Associate ID'])),
+    unresolved: [
+      ...removed.filter(row => isRegeneratedId(row['Associate ID'])).map(row => ({ side: 'from', row })),
+      ...added.filter(row => isRegeneratedId(row['Associate ID'])).map(row => ({ side: 'to', row })),
+    ],
+  };
+};
+
+const buildEntry = (change, from, to, matchedBy) => {
+  const row = to || from;
+  const levelFrom = from ? number(from.Level) : null;
+  const levelTo = to ? number(to.Level) : null;
+  let levelChange = null;
+  if (from && to && levelTo > levelFrom) levelChange = 'promotion';
+  else if (from && to && levelTo < levelFrom) levelChange = 'demotion';
+
+  const statusFrom = from ? normalizeStatus(from.Status) : null;
+  const statusTo = to ? normalizeStatus(to.Status) : null;
+
+  return {
+    key: `${change}:${from?.['Associate ID'] || ''}:${to?.['Associate ID'] || ''}`,
+    id: row['Associate ID'],
+    name: row.Name || '',
+    change,
+    matchedBy,
+    statusFrom,
+    statusTo,
+    statusChanged: Boolean(from && to && statusFrom !== statusTo),
+    levelFrom,
+    levelTo,
+    levelChange,
+    premiumDelta: number(to?.['Personal Premium MTD']) - number(from?.['Personal Premium MTD']),
+    recruitsDelta: number(to?.['Personal Recruits MTD']) - number(from?.['Personal Recruits MTD']),
+    orgPremiumDelta: number(to?.['Org Premium MTD']) - number(from?.['Org Premium MTD']),
+  };
+};
+
+// Compares two snapshots' rows (older first) and returns per-associate entries plus a summary.
+export const diffSnapshots = (fromRows, toRows) => {
+  const { pairs, added, removed, unresolved } = matchAssociates(fromRows, toRows);
+
+  const entries = [
+    ...added.map(row => buildEntry('joined', null, row, null)),
+    ...removed.map(row => buildEntry('left', row, null, null)),
+    ...pairs.map(({ from, to, matchedBy }) => buildEntry('matched', from, to, matchedBy)),
+  ];
+
+  const summary = {
+    joined: added.length,
+    left: removed.length,
+    statusChanges: entries.filter(e => e.statusChanged).length,
+    promotions: entries.filter(e => e.levelChange === 'promotion').length,
+    demotions: entries.filter(e => e.levelChange === 'demotion').length,
+    matchedByName: pairs.filter(p => p.matchedBy === 'name').length,
+    unresolved: unresolved.length,
+    premiumDelta: entries.reduce((total, e) => total + e.premiumDelta, 0),
+    recruitsDelta: entries.reduce((total, e) => total + e.recruitsDelta, 0),
+  };
+
+  return { entries, unresolved, summary };
+};
+
+export const hasChanges = (entry) => entry.change !== 'matched'
+  || entry.statusChanged
+  || entry.levelChange !== null
+  || entry.premiumDelta !== 0
+  || entry.recruitsDelta !== 0;
@@ -0,0 +1,108 @@
+import { collection, doc, onSnapshot, orderBy, query, serverTimestamp, setDoc, updateDoc } from './store';
+import { getSnapshotDate, getSnapshotRows } from './snapshots';
+import { purgeSnapshots, restoreSnapshots, splitTrashed, trashSnapshots } from './trash';
+import { chunkRows, chunksPath, deleteChunks, describeRows, isLegacySnapshot, legacyMigrationFields, readChunks, writeChunks } from './snapshotStorage';
+import { isOnline } from './offline';
+
+// --- Snapshot Repository ---
+// Where a team's uploads are read and written. The dashboard talks to this
+// interface rather than Firestore so it can run against the in-memory version in
+// tests:
+//   subscribe(onChange, onError) - calls onChange({ live, trashed, hasPendingWrites }), newest first; returns an unsubscribe.
+//                                  Snapshots carry metadata only; legacy ones still include their `data` rows.
+//   add(fields, onProgress)      - stores a new snapshot stamped with the upload date, its `data` rows chunked; returns { id, saved }
+//                                  An `id` in the fields keeps a snapshot's ID when it moves between workspaces.
+//   loadRows(snapshot)           - resolves to the snapshot's rows
+//   migrate(snapshot)            - moves a legacy snapshot's rows into chunks
+//   trash(ids, deletedBy), restore(ids), purge(ids)
+
+export const createFirestoreSnapshotRepository = (db, path) => ({
+  subscribe: (onChange, onError) => onSnapshot(
+    query(collection(db, path), orderBy('uploadDate', 'desc')),
+    { includeMetadataChanges: true },
+    (snapshot) => {
+      // Estimated timestamps keep a just-deleted snapshot in the trash while the server write is pending.
+      const all = snapshot.docs.map(snapshotDoc => ({ id: snapshotDoc.id, ...snapshotDoc.data({ serverTimestamps: 'estimate' }) }));
+      onChange({ ...splitTrashed(all), hasPendingWrites: snapshot.metadata.hasPendingWrites });
+    },
+    onError,
+  ),
+  // The ID is generated up front so an offline upload can be queued without waiting for the server.
+  // Online, the metadata document is written once every chunk is saved so a failed chunk never
+  // leaves a snapshot that can't load; offline, both are queued together and sync in order.
+  // An `uploadDate` in the fields backdates a historical report; otherwise the server's clock is used.
+  add: ({ id, data: rows, uploadDate, ...fields }, onProgress) => {
+    const ref = id ? doc(db, path, id) : doc(collection(db, path));
+    const chunks = chunkRows(rows);
+    const chunksSaved = writeChunks(db, chunksPath(path, ref.id), chunks, onProgress);
+    const writeMetadata = () => setDoc(ref, { ...fields, ...describeRows(rows, chunks.length), uploadDate: uploadDate || serverTimestamp() });
+    const saved = isOnline()
+      ? chunksSaved.then(writeMetadata)
+      : Promise.all([chunksSaved, writeMetadata()]);
+    return { id: ref.id, saved };
+  },
+  loadRows: (snapshot) => (isLegacySnapshot(snapshot)
+    ? Promise.resolve(getSnapshotRows(snapshot))
+    : readChunks(db, chunksPath(path, snapshot.id), snapshot.chunkCount)),
+  migrate: async (snapshot) => {
+    const rows = getSnapshotRows(snapshot);
+    const chunks = chunkRows(rows);
+    await writeChunks(db, chunksPath(path, snapshot.id), chunks);
+    await updateDoc(doc(db, path, snapshot.id), legacyMigrationFields(rows, chunks.length));
+  },
+  trash: (ids, deletedBy) => trashSnapshots(db, path, ids, deletedBy),
+  restore: (ids) => restoreSnapshots(db, path, ids),
+  purge: async (ids) => {
+    await Promise.all(ids.map(id => deleteChunks(db, chunksPath(path, id))));
+    return purgeSnapshots(db, path, ids);
+  },
+});
+
+// Keeps snapshots in memory, with rows held apart from the metadata the way
+// Firestore stores them. `initial` snapshots need an id and an uploadDate Date;
+// any with a `data` array stay legacy until migrated.
+export const createMemorySnapshotRepository = (initial = []) => {
+  let snapshots = [...initial];
+  const rowsById = new Map();
+  let nextId = 1;
+  const listeners = new Set();
+
+  const emit = () => {
+    const sorted = [...snapshots].sort((a, b) => getSnapshotDate(b) - getSnapshotDate(a));
+    listeners.forEach(listener => listener({ ...splitTrashed(sorted), hasPendingWrites: false }));
+  };
+  const update = (ids, change) => {
+    snapshots = snapshots.map(snapshot => (ids.includes(snapshot.id) ? change(snapshot) : snapshot));
+    emit();
+    return Promise.resolve(ids.length);
+  };
+
+  return {
+    subscribe: (onChange) => {
+      listeners.add(onChange);
+      emit();
+      return () => listeners.delete(onChange);
+    },
+    add: ({ id = `snapshot-${nextId++}`, data: rows, uploadDate, ...fields }, onProgress) => {
+      rowsById.set(id, rows);
+      snapshots = [...snapshots, { ...fields, ...describeRows(rows, 1), id, uploadDate: uploadDate || new Date() }];
+      if (onProgress) onProgress({ saved: rows.length, total: rows.length });
+      emit();
+      return { id, saved: Promise.resolve() };
+    },
+    loadRows: (snapshot) => Promise.resolve(isLegacySnapshot(snapshot) ? getSnapshotRows(snapshot) : rowsById.get(snapshot.id) || []),
+    migrate: (snapshot) => {
+      const rows = getSnapshotRows(snapshot);
+      rowsById.set(snapshot.id, rows);
+      return update([snapshot.id], ({ data, ...metadata }) => ({ ...metadata, ...describeRows(rows, 1) }));
+    },
+    trash: (ids, deletedBy) => update(ids, snapshot => ({ ...snapshot, deletedAt: new Date(), deletedBy })),
+    restore: (ids) => update(ids, ({ deletedAt, deletedBy, ...snapshot }) => snapshot),
+    purge: (ids) => {
+      snapshots = snapshots.filter(snapshot => !ids.includes(snapshot.id));
+      ids.forEach(id => rowsById.delete(id));
+      emit();
+      return Promise.resolve(ids.length);
+    },
+  };
+};
@@ -0,0 +1,76 @@
+import { createMemorySnapshotRepository } from './snapshotRepository';
+import { makeSnapshot } from './__fixtures__';
+
+const setup = () => {
+  const repository = createMemorySnapshotRepository([
+    makeSnapshot('older', new Date(2026, 8, 1), [{ 'Associate ID': '1' }]),
+    makeSnapshot('newer', new Date(2026, 9, 1), [{ 'Associate ID': '1' }, { 'Associate ID': '2' }]),
+  ]);
+  const onChange = jest.fn();
+  const unsubscribe = repository.subscribe(onChange);
+  const latest = () => onChange.mock.calls[onChange.mock.calls.length - 1][0];
+  return { repository, onChange, unsubscribe, latest };
+};
+
+const ids = (snapshots) => snapshots.map(s => s.id);
+
+test('subscribe reports live snapshots newest first', () => {
+  const { latest } = setup();
+  expect(ids(latest().live)).toEqual(['newer', 'older']);
+  expect(latest().trashed).toEqual([]);
+});
+
+test('add stamps the upload date and notifies subscribers', async () => {
+  const { repository, latest } = setup();
+  const { id, saved } = repository.add({ data: [], originalFileName: 'upload.csv' });
+  await saved;
+  expect(latest().live[0]).toMatchObject({ id, originalFileName: 'upload.csv' });
+  expect(latest().live[0].uploadDate).toBeInstanceOf(Date);
+});
+
+test('add keeps a given upload date so historical reports sort into place', async () => {
+  const { repository, latest } = setup();
+  const { id, saved } = repository.add({ data: [], originalFileName: 'march.csv', uploadDate: new Date(2026, 8, 15) });
+  await saved;
+  expect(ids(latest().live)).toEqual(['newer', id, 'older']);
+});
+
+test('trash, restore and purge move snapshots between the lists', async () => {
+  const { repository, latest } = setup();
+  await repository.trash(['older'], 'user-1');
+  expect(ids(latest().live)).toEqual(['newer']);
+  expect(latest().trashed[0]).toMatchObject({ id: 'older', deletedBy: 'user-1' });
+
+  await repository.restore(['older']);
+  expect(ids(latest().live)).toEqual(['newer', 'older']);
+  expect(latest().live[1]).not.toHaveProperty('deletedAt');
+
+  await repository.trash(['older'], 'user-1');
+  await repository.purge(['older']);
+  expect(ids(latest().live)).toEqual(['newer']);
+  expect(latest().trashed).toEqual([]);
+});
+
+test('unsubscribe stops updates', () => {
+  const { repository, onChange, unsubscribe } = setup();
+  unsubscribe();
+  repository.add({ data: [] });
+  expect(onChange).toHaveBeenCalledTimes(1);
+});
+
+test('added snapshots carry metadata only and load their rows on request', async () => {
+  const { repository, latest } = setup();
+  const rows = [{ 'Associate ID': '1', 'Depth Level': 0 }];
+  repository.add({ data: rows });
+  expect(latest().live[0]).not.toHaveProperty('data');
+  expect(latest().live[0].rowCount).toBe(1);
+  await expect(repository.loadRows(latest().live[0])).resolves.toEqual(rows);
+});
+
+test('migrate moves a legacy snapshot\'s rows out of its document', async () => {
+  const { repository, latest } = setup();
+  await repository.migrate(latest().live[1]);
+  expect(latest().live[1]).toMatchObject({ id: 'older', storage: 'chunked', rowCount: 1 });
+  expect(latest().live[1]).not.toHaveProperty('data');
+  await expect(repository.loadRows(latest().live[1])).resolves.toEqual([{ 'Associate ID': '1' }]);
+});
@@ -0,0 +1,90 @@
+import { collection, deleteField, doc, getDocs, orderBy, query, writeBatch } from './store';
+import { summarizeSnapshot } from './snapshots';
+import { summarizeComposition } from './composition';
+import { commitInBatches } from './trash';
+
+// --- Chunked Snapshot Storage ---
+// A snapshot is a small metadata document (file name, row count, headline
+// summary) plus its rows split across a `chunks` subcollection, so a large
+// organization stays under Firestore's 1 MB document limit and listing uploads
+// doesn't download every row. Snapshots saved before this kept their rows in a
+// `data` array on the document itself; those are "legacy" until migrated.
+
+export const CHUNKED = 'chunked';
+
+// Firestore counts field names and values toward the 1 MB limit; serialized JSON
+// length is a close enough estimate with this much headroom.
+const MAX_CHUNK_CHARS = 500000;
+
+// Firestore also caps a commit at 10 MiB, so a batch holds a handful of chunks.
+const CHUNKS_PER_BATCH = 8;
+
+export const isLegacySnapshot = (snapshot) => snapshot?.storage !== CHUNKED;
+
+export const chunksPath = (snapshotsPath, snapshotId) => `${snapshotsPath}/${snapshotId}/chunks`;
+
+// Splits rows into consecutive chunks that each serialize under the size limit.
+export const chunkRows = (rows, maxChars = MAX_CHUNK_CHARS) => {
+  const chunks = [];
+  let current = [];
+  let size = 0;
+  rows.forEach(row => {
+    const rowSize = JSON.stringify(row).length;
+    if (current.length > 0 && size + rowSize > maxChars) {
+      chunks.push(current);
+      current = [];
+      size = 0;
+    }
+    current.push(row);
+    size += rowSize;
+  });
+  if (current.length > 0) chunks.push(current);
+  return chunks;
+};
+
+// What the metadata document stores about its rows, so history, trends and
+// composition charts work without loading them.
+export const describeRows = (rows, chunkCount) => ({
+  storage: CHUNKED,
+  rowCount: rows.length,
+  chunkCount,
+  summary: summarizeSnapshot(rows),
+  composition: summarizeComposition(rows),
+});
+
+// Writes `chunks` in bounded batches, committing them all up front (offline, a
+// commit only resolves after reconnecting). `onProgress({ saved, total })` counts
+// rows as each batch is acknowledged.
+export const writeChunks = (db, path, chunks, onProgress) => {
+  const total = chunks.reduce((count, chunk) => count + chunk.length, 0);
+  const batches = [];
+  for (let i = 0; i < chunks.length; i += CHUNKS_PER_BATCH) batches.push({ first: i, chunks: chunks.slice(i, i + CHUNKS_PER_BATCH) });
+
+  let saved = 0;
+  return Promise.all(batches.map(({ first, chunks: batchChunks }) => {
+    const batch = writeBatch(db);
+    batchChunks.forEach((rows, offset) => batch.set(doc(db, path, String(first + offset)), { index: first + offset, rows }));
+    return batch.commit().then(() => {
+      saved += batchChunks.reduce((count, chunk) => count + chunk.length, 0);
+      if (onProgress) onProgress({ saved, total });
+    });
+  }));
+};
+
+// Reads a snapshot's rows back in order. A chunk count short of the metadata's
+// means the upload is still syncing from another device.
+export const readChunks = async (db, path, chunkCount) => {
+  const result = await getDocs(query(collection(db, path), orderBy('index')));
+  if (result.docs.length < chunkCount) {
+    throw Object.assign(new Error(`Expected ${chunkCount} chunks at ${path}, found ${result.docs.length}`), { code: 'incomplete' });
+  }
+  return result.docs.flatMap(chunkDoc => chunkDoc.data().rows);
+};
+
+export const deleteChunks = async (db, path) => {
+  const result = await getDocs(collection(db, path));
+  return commitInBatches(db, result.docs, (batch, chunkDoc) => batch.delete(chunkDoc.ref));
+};
+
+// The metadata update that finishes migrating a legacy snapshot once its chunks are written.
+export const legacyMigrationFields = (rows, chunkCount) => ({ ...describeRows(rows, chunkCount), data: deleteField() });
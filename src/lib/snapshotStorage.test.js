@@ -0,0 +1,81 @@
+import 'fake-indexeddb/auto';
+import { openLocalStore } from './localStore';
+import { collection, doc, getDocs, setDoc } from './store';
+import { createFirestoreSnapshotRepository } from './snapshotRepository';
+import { chunkRows, chunksPath, describeRows, isLegacySnapshot } from './snapshotStorage';
+
+const PATH = 'artifacts/test/teams/team-1/snapshots';
+
+// About 240 characters per row, so 3,000 rows need two chunks.
+const makeRows = (count) => Array.from({ length: count }, (_, i) => ({
+  'Associate ID': String(i),
+  Name: `Associate ${i} ${'x'.repeat(150)}`,
+  'Depth Level': i === 0 ? 0 : 1,
+  'Personal Premium MTD': i % 3 === 0 ? 50 : 0,
+}));
+
+// Resolves with the first listener update matching `predicate`.
+const nextUpdate = (repository, predicate) => new Promise(resolve => {
+  const unsubscribe = repository.subscribe(update => {
+    if (!predicate(update)) return;
+    Promise.resolve().then(unsubscribe);
+    resolve(update);
+  });
+});
+
+let db;
+beforeAll(async () => {
+  db = await openLocalStore('snapshot-storage-test');
+});
+
+test('chunkRows keeps each chunk under the size limit without splitting rows', () => {
+  const rows = Array.from({ length: 10 }, (_, i) => ({ 'Associate ID': String(i), Name: 'Same length' }));
+  const chunks = chunkRows(rows, JSON.stringify(rows[0]).length * 3);
+  expect(chunks.map(chunk => chunk.length)).toEqual([3, 3, 3, 1]);
+  expect(chunks.flat()).toEqual(rows);
+  expect(chunkRows([])).toEqual([]);
+});
+
+test('describeRows records counts and summaries for the metadata document', () => {
+  const description = describeRows(makeRows(9), 1);
+  expect(description).toMatchObject({ storage: 'chunked', rowCount: 9, chunkCount: 1 });
+  expect(description.summary.premiumContributorsMTD).toBe(3);
+  expect(description.composition.headcount).toBe(9);
+});
+
+test('add stores metadata apart from chunked rows and loadRows reads them back', async () => {
+  const repository = createFirestoreSnapshotRepository(db, PATH);
+  const rows = makeRows(3000);
+  const progress = jest.fn();
+
+  const { id, saved } = repository.add({ data: rows, originalFileName: 'big.csv' }, progress);
+  await saved;
+
+  expect(progress).toHaveBeenLastCalledWith({ saved: 3000, total: 3000 });
+  const { live } = await nextUpdate(repository, update => update.live.some(s => s.id === id));
+  const snapshot = live.find(s => s.id === id);
+  expect(snapshot).not.toHaveProperty('data');
+  expect(snapshot).toMatchObject({ originalFileName: 'big.csv', rowCount: 3000, chunkCount: 2 });
+  expect(isLegacySnapshot(snapshot)).toBe(false);
+  await expect(repository.loadRows(snapshot)).resolves.toEqual(rows);
+
+  await repository.purge([id]);
+  expect((await getDocs(collection(db, chunksPath(PATH, id)))).size).toBe(0);
+});
+
+test('migrate moves a single-document snapshot into chunks', async () => {
+  const repository = createFirestoreSnapshotRepository(db, PATH);
+  const rows = makeRows(5);
+  await setDoc(doc(db, PATH, 'legacy'), { data: rows, uploadDate: new Date(2024, 0, 1) });
+
+  const { live } = await nextUpdate(repository, update => update.live.some(s => s.id === 'legacy'));
+  const legacy = live.find(s => s.id === 'legacy');
+  expect(isLegacySnapshot(legacy)).toBe(true);
+  await expect(repository.loadRows(legacy)).resolves.toEqual(rows);
+
+  await repository.migrate(legacy);
+  const migrated = (await nextUpdate(repository, update => update.live.some(s => s.id === 'legacy' && s.storage))).live.find(s => s.id === 'legacy');
+  expect(migrated).not.toHaveProperty('data');
+  expect(migrated.rowCount).toBe(5);
+  await expect(repository.loadRows(migrated)).resolves.toEqual(rows);
+});
@@ -0,0 +1,63 @@
+import { Timestamp } from 'firebase/firestore';
+import { formatDate, formatDateTime, formatMonth } from './format';
+import { t } from './i18n';
+
+// --- Snapshot Helpers ---
+
+// Resolves a Firestore Timestamp or plain Date (such as a snapshot's uploadDate) to
+// a JS Date. Anything else, including a pending server timestamp on a local write
+// that hasn't round-tripped yet, reads as null.
+export const toDate = (value) => {
+  if (value instanceof Timestamp) return value.toDate();
+  if (value instanceof Date) return value;
+  return null;
+};
+
+export const getSnapshotDate = (snapshot) => toDate(snapshot?.uploadDate);
+
+export const formatSnapshotDate = (snapshot) => {
+  const date = getSnapshotDate(snapshot);
+  return date ? formatDateTime(date) : t('common.notAvailable');
+};
+
+export const getSnapshotRows = (snapshot) => (snapshot && Array.isArray(snapshot.data) ? snapshot.data : []);
+
+// Chunked snapshots only carry `data` once their rows have been loaded.
+export const hasSnapshotRows = (snapshot) => Array.isArray(snapshot?.data);
+
+export const getSnapshotRowCount = (snapshot) => snapshot?.rowCount ?? getSnapshotRows(snapshot).length;
+
+// Headline numbers for a single snapshot, used by the history list and trend charts.
+export const summarizeSnapshot = (rows) => {
+  const depthZeroAssociate = rows.find(assoc => assoc['Depth Level'] === 0);
+  return {
+    orgPremiumMTD: depthZeroAssociate?.['Org Premium MTD'] || 0,
+    orgRecruitsMTD: depthZeroAssociate?.['Org Recruits MTD'] || 0,
+    premiumContributorsMTD: rows.filter(a => (a['Personal Premium MTD'] || 0) > 0).length,
+    recruitsContributorsMTD: rows.filter(a => (a['Personal Recruits MTD'] || 0) > 0).length,
+  };
+};
+
+export const monthKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+// Builds chart points in chronological order. In 'month' mode only the last
+// upload of each calendar month is kept, since MTD figures only grow within a month.
+export const buildTrendSeries = (snapshots, groupBy = 'upload') => {
+  const dated = snapshots
+    .map(snapshot => ({ snapshot, date: getSnapshotDate(snapshot) }))
+    .filter(entry => entry.date)
+    .sort((a, b) => a.date - b.date);
+
+  let points = dated;
+  if (groupBy === 'month') {
+    const latestByMonth = new Map();
+    dated.forEach(entry => latestByMonth.set(monthKey(entry.date), entry));
+    points = Array.from(latestByMonth.values());
+  }
+
+  return points.map(({ snapshot, date }) => ({
+    id: snapshot.id,
+    label: groupBy === 'month' ? formatMonth(date, { short: true }) : formatDate(date),
+    ...(snapshot.summary || summarizeSnapshot(getSnapshotRows(snapshot))),
+  }));
+};
@@ -0,0 +1,26 @@
+import * as firestore from 'firebase/firestore';
+import * as local from './localStore';
+
+// --- Data Store ---
+// The Firestore functions the app uses, routed to the IndexedDB local store once
+// local mode has opened it. Import these instead of 'firebase/firestore' so every
+// feature works in both modes.
+
+const route = (name) => (...args) => (local.isLocalStoreOpen() ? local : firestore)[name](...args);
+
+export const collection = route('collection');
+export const doc = route('doc');
+export const query = route('query');
+export const where = route('where');
+export const orderBy = route('orderBy');
+export const limit = route('limit');
+export const onSnapshot = route('onSnapshot');
+export const getDocs = route('getDocs');
+export const addDoc = route('addDoc');
+export const setDoc = route('setDoc');
+export const updateDoc = route('updateDoc');
+export const deleteDoc = route('deleteDoc');
+export const writeBatch = route('writeBatch');
+export const serverTimestamp = route('serverTimestamp');
+export const deleteField = route('deleteField');
+export const arrayUnion = route('arrayUnion');
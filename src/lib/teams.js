@@ -0,0 +1,105 @@
+import { collection, doc, getDocs, setDoc, updateDoc, deleteDoc, serverTimestamp, writeBatch, arrayUnion, deleteField } from './store';
+import { createFirestoreSnapshotRepository } from './snapshotRepository';
+import { chunksPath, deleteChunks } from './snapshotStorage';
+import { t } from './i18n';
+
+// --- Team Workspaces ---
+
+export const ROLES = ['owner', 'viewer'];
+
+export const getRoleLabel = (role) => (ROLES.includes(role) ? t(`roles.${role}`) : role || t('roles.unknown'));
+
+export const canEdit = (role) => role === 'owner';
+
+export const normalizeEmail = (email) => (email || '').trim().toLowerCase();
+
+export const teamPath = (appId, teamId) => `artifacts/${appId}/teams/${teamId}`;
+
+// Invite IDs are derived from team and email so security rules can look one up
+// when the invitee adds themselves to the team.
+export const inviteId = (teamId, email) => `${teamId}_${normalizeEmail(email)}`;
+
+export const createTeam = async (db, appId, { name, user }) => {
+  const teamRef = doc(collection(db, `artifacts/${appId}/teams`));
+  await setDoc(teamRef, {
+    name: name.trim(),
+    ownerId: user.uid,
+    memberIds: [user.uid],
+    roles: { [user.uid]: 'owner' },
+    memberEmails: { [user.uid]: user.email || '' },
+    createdAt: serverTimestamp(),
+  });
+  return teamRef.id;
+};
+
+// Local mode keeps a single workspace on the device, owned by the local user.
+export const LOCAL_TEAM_ID = 'local';
+
+export const ensureLocalTeam = (db, appId, user) => setDoc(doc(db, teamPath(appId, LOCAL_TEAM_ID)), {
+  name: 'This Device',
+  ownerId: user.uid,
+  memberIds: [user.uid],
+  roles: { [user.uid]: 'owner' },
+  memberEmails: { [user.uid]: '' },
+}, { merge: true });
+
+export const inviteMember = async (db, appId, { team, email, role, invitedBy }) => {
+  await setDoc(doc(db, `artifacts/${appId}/invites`, inviteId(team.id, email)), {
+    teamId: team.id,
+    teamName: team.name,
+    email: normalizeEmail(email),
+    role,
+    invitedBy,
+    status: 'pending',
+    createdAt: serverTimestamp(),
+  });
+};
+
+export const revokeInvite = (db, appId, invite) => deleteDoc(doc(db, `artifacts/${appId}/invites`, invite.id));
+
+// Adds the signed-in user to the invite's team with the invited role and marks the invite used.
+export const acceptInvite = async (db, appId, { invite, user }) => {
+  const batch = writeBatch(db);
+  batch.update(doc(db, teamPath(appId, invite.teamId)), {
+    memberIds: arrayUnion(user.uid),
+    [`roles.${user.uid}`]: invite.role,
+    [`memberEmails.${user.uid}`]: user.email || '',
+  });
+  batch.update(doc(db, `artifacts/${appId}/invites`, invite.id), {
+    status: 'accepted', acceptedBy: user.uid, acceptedAt: serverTimestamp(),
+  });
+  await batch.commit();
+};
+
+export const updateMemberRole = (db, appId, { team, memberId, role }) => updateDoc(doc(db, teamPath(appId, team.id)), {
+  [`roles.${memberId}`]: role,
+});
+
+export const removeMember = (db, appId, { team, memberId }) => updateDoc(doc(db, teamPath(appId, team.id)), {
+  memberIds: team.memberIds.filter(id => id !== memberId),
+  [`roles.${memberId}`]: deleteField(),
+  [`memberEmails.${memberId}`]: deleteField(),
+});
+
+// Moves snapshots stored under a user's own path (how anonymous sessions and
+// `npm run import -- --user` saved data) into a team workspace, keeping their IDs.
+// Returns the number of snapshots moved.
+// Snapshots move one after another through the repository, so each lands in
+// chunked storage (legacy ones included) with its metadata written last, and the
+// source is only deleted once the copy is saved: a failure leaves every snapshot
+// whole in one place or the other.
+export const migrateUserSnapshots = async (db, appId, { userId, teamId }) => {
+  const sourcePath = `artifacts/${appId}/users/${userId}/snapshots`;
+  const source = createFirestoreSnapshotRepository(db, sourcePath);
+  const target = createFirestoreSnapshotRepository(db, `${teamPath(appId, teamId)}/snapshots`);
+  const sourceDocs = (await getDocs(collection(db, sourcePath))).docs;
+
+  for (const snapshotDoc of sourceDocs) {
+    const snapshot = { id: snapshotDoc.id, ...snapshotDoc.data() };
+    const rows = await source.loadRows(snapshot);
+    await target.add({ ...snapshot, data: rows, migratedFrom: userId }).saved;
+    await deleteChunks(db, chunksPath(sourcePath, snapshot.id));
+    await deleteDoc(snapshotDoc.ref);
+  }
+  return sourceDocs.length;
+};
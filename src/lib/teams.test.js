@@ -0,0 +1,47 @@
+import 'fake-indexeddb/auto';
+import { openLocalStore } from './localStore';
+import { collection, doc, getDocs, setDoc } from './store';
+import { createFirestoreSnapshotRepository } from './snapshotRepository';
+import { chunksPath, isLegacySnapshot } from './snapshotStorage';
+import { migrateUserSnapshots, teamPath } from './teams';
+
+const USER_PATH = 'artifacts/test/users/user-1/snapshots';
+const TEAM_PATH = `${teamPath('test', 'team-1')}/snapshots`;
+
+// About 240 characters per row, so 3,000 rows need two chunks.
+const makeRows = (count) => Array.from({ length: count }, (_, i) => ({
+  'Associate ID': String(i),
+  Name: `Associate ${i} ${'x'.repeat(150)}`,
+  'Depth Level': i === 0 ? 0 : 1,
+}));
+
+let db;
+beforeAll(async () => {
+  db = await openLocalStore('teams-test');
+});
+
+test('user snapshots move into the team in chunked storage, chunks and all', async () => {
+  const chunkedRows = makeRows(3000);
+  const legacyRows = makeRows(4);
+  const { id, saved } = createFirestoreSnapshotRepository(db, USER_PATH)
+    .add({ data: chunkedRows, originalFileName: 'imported.csv', uploadDate: new Date(2025, 1, 28) });
+  await saved;
+  await setDoc(doc(db, USER_PATH, 'legacy'), { data: legacyRows, originalFileName: 'old.csv', uploadDate: new Date(2025, 0, 31) });
+
+  await expect(migrateUserSnapshots(db, 'test', { userId: 'user-1', teamId: 'team-1' })).resolves.toBe(2);
+
+  expect((await getDocs(collection(db, USER_PATH))).size).toBe(0);
+  expect((await getDocs(collection(db, chunksPath(USER_PATH, id)))).size).toBe(0);
+
+  const team = createFirestoreSnapshotRepository(db, TEAM_PATH);
+  const moved = new Map((await getDocs(collection(db, TEAM_PATH))).docs.map(d => [d.id, { id: d.id, ...d.data() }]));
+  expect([...moved.keys()].sort()).toEqual([id, 'legacy'].sort());
+  expect(moved.get(id)).toMatchObject({ originalFileName: 'imported.csv', migratedFrom: 'user-1', rowCount: 3000, chunkCount: 2 });
+  expect(moved.get(id).uploadDate).toEqual(new Date(2025, 1, 28));
+  await expect(team.loadRows(moved.get(id))).resolves.toEqual(chunkedRows);
+
+  const legacy = moved.get('legacy');
+  expect(isLegacySnapshot(legacy)).toBe(false);
+  expect(legacy).not.toHaveProperty('data');
+  await expect(team.loadRows(legacy)).resolves.toEqual(legacyRows);
+});
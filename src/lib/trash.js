@@ -0,0 +1,56 @@
+import { doc, writeBatch, serverTimestamp, deleteField } from './store';
+import { toDate } from './snapshots';
+
+// --- Snapshot Trash ---
+
+// Deleted snapshots stay restorable for this long before they're purged for good.
+export const TRASH_RETENTION_DAYS = 30;
+
+// Firestore rejects batches over 500 writes.
+const MAX_BATCH_WRITES = 450;
+
+// Applies `write(batch, item)` to every item, committing a new batch whenever the
+// current one fills up. `writesPerItem` covers callers that issue several writes per item.
+// Every batch is committed before any is awaited: offline, a commit only resolves
+// after reconnecting, and later batches shouldn't wait behind it to reach the cache.
+export const commitInBatches = async (db, items, write, writesPerItem = 1) => {
+  const chunkSize = Math.max(1, Math.floor(MAX_BATCH_WRITES / writesPerItem));
+  const commits = [];
+  for (let i = 0; i < items.length; i += chunkSize) {
+    const batch = writeBatch(db);
+    items.slice(i, i + chunkSize).forEach(item => write(batch, item));
+    commits.push(batch.commit());
+  }
+  await Promise.all(commits);
+  return items.length;
+};
+
+export const isTrashed = (snapshot) => Boolean(snapshot?.deletedAt);
+
+// A pending server timestamp reads as null until the write round-trips; treat it as "just now".
+export const getDeletedDate = (snapshot) => toDate(snapshot?.deletedAt) || new Date();
+
+export const getPurgeDate = (snapshot) => {
+  const purgeDate = new Date(getDeletedDate(snapshot));
+  purgeDate.setDate(purgeDate.getDate() + TRASH_RETENTION_DAYS);
+  return purgeDate;
+};
+
+export const isPastRetention = (snapshot, now = new Date()) => isTrashed(snapshot) && getPurgeDate(snapshot) <= now;
+
+export const splitTrashed = (snapshots) => ({
+  live: snapshots.filter(s => !isTrashed(s)),
+  trashed: snapshots.filter(isTrashed),
+});
+
+export const trashSnapshots = (db, colPath, ids, deletedBy) => commitInBatches(db, ids, (batch, id) => {
+  batch.update(doc(db, colPath, id), { deletedAt: serverTimestamp(), deletedBy });
+});
+
+export const restoreSnapshots = (db, colPath, ids) => commitInBatches(db, ids, (batch, id) => {
+  batch.update(doc(db, colPath, id), { deletedAt: deleteField(), deletedBy: deleteField() });
+});
+
+export const purgeSnapshots = (db, colPath, ids) => commitInBatches(db, ids, (batch, id) => {
+  batch.delete(doc(db, colPath, id));
+});
@@ -0,0 +1,32 @@
+import { useCallback, useLayoutEffect, useRef, useState } from 'react';
+
+// --- Virtualized Rows ---
+// Long lists only render the rows near the visible part of their scroll container,
+// padded above and below to keep the scrollbar true. Rows must share one fixed height.
+
+const OVERSCAN_ROWS = 10;
+
+// Without a measured viewport (first render, or jsdom) assume a tall one rather than render nothing.
+const FALLBACK_VIEWPORT = 800;
+
+export const getVirtualRange = (scrollTop, viewportHeight, rowHeight, count, overscan = OVERSCAN_ROWS) => {
+  const start = Math.min(count, Math.max(0, Math.floor(scrollTop / rowHeight) - overscan));
+  const end = Math.min(count, Math.ceil((scrollTop + viewportHeight) / rowHeight) + overscan);
+  return { start, end, paddingTop: start * rowHeight, paddingBottom: (count - end) * rowHeight };
+};
+
+// Returns the range to render plus `ref` and `onScroll` for the scroll container.
+export const useVirtualRows = (count, rowHeight) => {
+  const ref = useRef(null);
+  const [viewport, setViewport] = useState({ scrollTop: 0, height: FALLBACK_VIEWPORT });
+
+  const measure = useCallback(() => {
+    const element = ref.current;
+    if (element) setViewport({ scrollTop: element.scrollTop, height: element.clientHeight || FALLBACK_VIEWPORT });
+  }, []);
+
+  // The browser clamps scrollTop when the list shrinks (say, after filtering), so re-measure on every count change.
+  useLayoutEffect(measure, [measure, count]);
+
+  return { ref, onScroll: measure, ...getVirtualRange(viewport.scrollTop, viewport.height, rowHeight, count) };
+};
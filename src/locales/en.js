@@ -0,0 +1,957 @@
+// --- English UI Text ---
+// The reference catalog: every key used with t() lives here, and other languages fall back
+// to it for anything they don't translate. `{name}` marks a parameter; a { one, other }
+// object is picked by count.
+
+const en = {
+  app: {
+    title: 'Sales Organization Dashboard',
+    initializing: 'Initializing & Authenticating...',
+    loading: 'Loading...',
+    syncing: 'Syncing changes made while offline...',
+    offline: "You're offline. Showing data saved on this device; uploads and changes will sync when you reconnect.",
+    associateNotFound: 'No associate with ID {id} in any stored snapshot.',
+    header: {
+      localMode: 'Local mode: data stays in this browser',
+      signedInAs: 'Signed in as {email}',
+      team: 'Team:',
+      teamSettings: 'Team',
+      notifications: 'Notifications',
+      print: 'Print Report',
+      exportAll: 'Export All',
+      language: 'Language',
+      currency: 'Currency',
+      environment: 'Data is stored in the {name} environment',
+    },
+    clearAll: {
+      button: 'Clear All Data',
+      title: 'Clear All Data?',
+      body: 'This will move all uploaded snapshots for {team} to the trash, for every member. You can restore them for {days} days.',
+      thisTeam: 'this team',
+    },
+    snapshot: 'snapshot',
+    movedToTrash: 'Moved {name} to the trash.',
+    movedAllToTrash: {
+      one: 'Moved the only snapshot to the trash.',
+      other: 'Moved all {count} snapshots to the trash.',
+    },
+    undo: 'Undo',
+    dismiss: 'Dismiss',
+    upload: {
+      title: 'Upload Sales Data',
+      input: 'Sales data CSV',
+      viewOnly: 'You have view-only access to this team. Ask an owner to upload new reports.',
+      reportToUpload: 'Report to upload: {report}',
+      lastLoaded: 'Last Loaded: {name}',
+      loadedFromDb: 'Loaded from DB: {date}',
+      saving: 'Saving {saved} of {total} rows...',
+      processing: 'Processing...',
+      loadingRows: 'Loading snapshot data...',
+      demoData: 'Generate demo data',
+    },
+    exportOnHold: 'Export On Hold',
+    historical: {
+      title: 'Viewing historical snapshot from {date}.',
+      withFile: 'Viewing historical snapshot from {date} ({file}).',
+      returnToLatest: 'Return to Latest',
+    },
+    legacy: {
+      converting: 'Converting snapshots... {done} of {total}',
+      notice: {
+        one: "{formatted} snapshot uses the older single-document format, which is slower to load and can't hold large reports.",
+        other: "{formatted} snapshots use the older single-document format, which is slower to load and can't hold large reports.",
+      },
+      convert: 'Convert now',
+    },
+    focus: {
+      notice: {
+        one: "Focused on {name}'s leg ({formatted} associate). Depth levels are relative to them.",
+        other: "Focused on {name}'s leg ({formatted} associates). Depth levels are relative to them.",
+      },
+      showAll: 'Show Whole Organization',
+    },
+    sections: {
+      followUps: 'Follow-up Queue',
+      history: 'Snapshot History ({count})',
+      trends: 'Trends',
+      compare: 'Compare Snapshots',
+      activity: 'Activity',
+      summary: 'Organization & Qualification Summary',
+      pace: 'Month-End Pace',
+      contributors: 'Monthly Contributor Snapshot',
+      leaderboards: 'Leaderboards',
+      cohorts: 'Recruit Cohorts',
+      composition: 'Team Composition',
+      genealogy: 'Genealogy',
+      associates: 'Associates ({count})',
+    },
+    editRankRules: 'Edit rank rules',
+    needs: 'Needs {value}',
+    minimumNotMet: 'Leg or personal minimum not met',
+    rankProgressFor: 'Rank Progress: {name}',
+    currently: '(currently {rank})',
+    showPlanner: 'Show what it takes',
+    hidePlanner: 'Hide what it takes',
+    viewModes: {
+      list: 'List',
+      table: 'Table',
+    },
+    search: 'Search by name or ID...',
+    sortBy: 'Sort by',
+    reportOrder: 'Report order',
+    noAssociates: 'No associates found.',
+    listLine: 'ID: {id} | Rank: {rank}',
+    details: {
+      id: 'ID: {id}',
+      openProfile: 'Open full profile, history & notes →',
+    },
+    selectPrompt: 'Select an associate to view details.',
+    uploadPrompt: 'Upload a CSV file to begin.',
+    errors: {
+      localStorage: "Couldn't open this browser's local storage. Private browsing windows can block it.",
+      initialize: 'Failed to initialize the application. Please check the console for details.',
+      environment: 'Unknown environment "{name}" in REACT_APP_ENVIRONMENT. Use one of {names}.',
+      loadTeams: 'Error loading your teams.',
+      loadData: 'Error loading data.',
+      loadRows: 'Error loading snapshot data.',
+      snapshotIncomplete: 'This snapshot is still uploading. Try again in a moment.',
+      uploadNotReady: 'Cannot upload file. Not ready or not authenticated.',
+      readFile: 'Failed to read file.',
+      offlineSync: "A change made offline couldn't be synced. {message}",
+      activityLog: "The change was saved, but it couldn't be added to the activity log.",
+      followUpSync: "The snapshot was saved, but the follow-up queue couldn't be updated.",
+      followUpUpdate: 'Failed to update the follow-up. Please try again.',
+      saveFile: 'Failed to save file. {message}',
+      saveAlertRules: 'Failed to save alert rules. Please try again.',
+      markRead: 'Failed to mark notifications as read.',
+      digestWebhook: "Couldn't reach the digest webhook. Check the URL in the alert rules.",
+      saveRankRules: 'Failed to save rank rules. Please try again.',
+      saveGoal: 'Failed to save the goal. Please try again.',
+      saveView: 'Failed to save the view. Please try again.',
+      deleteView: 'Failed to delete the view. Please try again.',
+      signOut: 'Failed to sign out. Please try again.',
+      deleteNotReady: 'Cannot delete data. Application not ready.',
+      delete: 'Failed to delete data. Please try again.',
+      restore: 'Failed to restore data. Please try again.',
+      purge: 'Failed to permanently delete data. Please try again.',
+      migrate: "Some snapshots couldn't be converted. Converted ones are kept; try again to finish the rest.",
+      loadDemo: 'Failed to load the demo data. {message}',
+    },
+  },
+
+  common: {
+    notAvailable: 'N/A',
+    save: 'Save',
+    cancel: 'Cancel',
+    confirm: 'Confirm',
+    close: 'Close',
+    delete: 'Delete',
+    saving: 'Saving...',
+  },
+
+  environment: {
+    names: {
+      production: 'Production',
+      staging: 'Staging',
+      demo: 'Demo',
+    },
+  },
+
+  demo: {
+    title: 'Demo Data',
+    intro: 'Generates a made-up organization as report CSVs, one per month, in the same format as the back office report. The same settings and seed always produce the same files.',
+    associates: 'Associates',
+    depth: 'Depth (levels below the top)',
+    months: 'Months of reports',
+    rankMix: 'Rank mix',
+    rankMixes: {
+      growing: 'Growing: mostly new associates',
+      balanced: 'Balanced',
+      established: 'Established: more leaders',
+    },
+    statusMix: 'Status mix (%)',
+    seed: 'Seed',
+    download: 'Download CSVs',
+    load: 'Load into Dashboard',
+    loading: 'Loading...',
+    productionNote: 'Loading demo data is turned off in the production environment. Download the CSVs instead, or switch to the demo environment.',
+    ownerNote: 'Only team owners can load demo data into the dashboard.',
+  },
+
+  levels: {
+    1: 'Associate',
+    2: 'Senior Associate',
+    3: 'Manager',
+    4: 'Senior Manager',
+    5: 'Director',
+    6: 'Senior Director',
+    7: 'Executive Director',
+    8: 'Bronze ED',
+    9: 'Silver ED',
+    10: 'Gold ED',
+    11: 'Platinum ED',
+    other: 'Level {level}',
+  },
+
+  statuses: {
+    active: 'Active',
+    notVested: 'Not Vested (D)',
+    onHold: 'On Hold (H)',
+  },
+
+  roles: {
+    owner: 'Owner',
+    viewer: 'Viewer',
+    unknown: 'Unknown',
+  },
+
+  auth: {
+    modes: {
+      signIn: 'Sign In',
+      signUp: 'Create Account',
+      emailLink: 'Email Link',
+    },
+    submit: {
+      signIn: 'Sign In',
+      signUp: 'Create Account',
+      emailLink: 'Send Sign-in Link',
+    },
+    anonymousNotice: "You're using a temporary anonymous session. Create an account (or use an email link) to keep your uploaded snapshots; you can then move them into a team workspace.",
+    linkSent: 'Check {email} for a sign-in link. Open it on this device to finish signing in.',
+    email: 'Email',
+    emailPlaceholder: 'Email address',
+    password: 'Password',
+    pleaseWait: 'Please wait...',
+    signOut: 'Sign out',
+    confirmEmailPrompt: 'Please confirm the email address you used to request the sign-in link.',
+    errors: {
+      incorrectPassword: 'Incorrect email or password.',
+      noAccount: 'No account exists for that email.',
+      accountExists: 'An account already exists for that email. Sign in instead.',
+      weakPassword: 'Password must be at least 6 characters.',
+      invalidEmail: 'That email address is not valid.',
+      invalidLink: 'This sign-in link is invalid or has expired.',
+      generic: 'Authentication failed. Please try again.',
+    },
+  },
+
+  teams: {
+    welcome: 'Welcome',
+    onboardingIntro: "Signed in as {email}. Join a team you've been invited to, or start your own.",
+    invitations: 'Invitations',
+    asRole: 'as {role}',
+    accept: 'Accept',
+    joining: 'Joining...',
+    createTitle: 'Create a Team',
+    createAnother: 'Create Another Team',
+    namePlaceholder: 'Team name',
+    create: 'Create',
+    creating: 'Creating...',
+    yourRole: 'Your role: {role}',
+    members: 'Members',
+    memberYou: '{email} (you)',
+    remove: 'Remove',
+    inviteTitle: 'Invite Someone',
+    invite: 'Invite',
+    invited: "Invited {email}. They'll see the invite after signing in with that address.",
+    pendingInvite: '({role}, pending)',
+    revoke: 'Revoke',
+    legacySnapshots: {
+      one: "{formatted} snapshot from your earlier anonymous session isn't in any team.",
+      other: "{formatted} snapshots from your earlier anonymous session aren't in any team.",
+    },
+    moveInto: 'Move into {team}',
+    migrated: {
+      one: 'Moved {count} snapshot into {team}.',
+      other: 'Moved {count} snapshots into {team}.',
+    },
+    errors: {
+      acceptInvite: "Couldn't accept the invite. It may have been revoked.",
+      create: "Couldn't create the team. Please try again.",
+      permissionDenied: 'Permission denied.',
+      generic: 'Something went wrong. Please try again.',
+    },
+  },
+
+  fields: {
+    premiumMTD: 'Premium MTD',
+    premiumPMTD: 'Premium PMTD',
+    premiumYTD: 'Premium YTD',
+    recruitsMTD: 'Recruits MTD',
+    recruitsPMTD: 'Recruits PMTD',
+    recruitsYTD: 'Recruits YTD',
+    name: 'Name',
+    id: 'ID',
+    rank: 'Rank',
+    status: 'Status',
+    depth: 'Depth',
+  },
+
+  import: {
+    delimiters: {
+      comma: 'Comma',
+      semicolon: 'Semicolon',
+      tab: 'Tab',
+      pipe: 'Pipe',
+    },
+    types: {
+      currency: 'Currency',
+      integer: 'Integer',
+      string: 'Text',
+      status: 'Status code',
+    },
+    review: 'Review Import',
+    delimiter: 'Delimiter',
+    autoDetect: 'Auto-detect',
+    autoDetected: 'Auto-detect ({delimiter})',
+    missingFields: 'Required fields are missing: {fields}',
+    missingHelp: 'The dashboard will show zeros or blanks for these. Map them to a CSV column below, or import anyway.',
+    acknowledgeMissing: 'I understand, import without them',
+    columnMapping: 'Column Mapping',
+    usingSavedMapping: 'Using your saved mapping for these headers',
+    hideMapping: 'Hide',
+    editMapping: 'Edit mapping',
+    allMatched: {
+      one: 'The {count} known field matched its column.',
+      other: 'All {count} known fields matched their columns.',
+    },
+    notMapped: '— Not mapped —',
+    columns: {
+      field: 'Field',
+      type: 'Type',
+      csvColumn: 'CSV Column',
+      match: 'Match',
+      line: 'Line',
+    },
+    match: {
+      manual: 'Manual',
+      saved: 'Saved mapping',
+      exact: 'Exact',
+      fuzzy: 'Fuzzy ({score})',
+    },
+    stats: {
+      rows: 'Rows to import',
+      skipped: 'Rows skipped',
+      regenerated: 'IDs regenerated',
+      invalid: 'Invalid values',
+    },
+    issues: {
+      skipped: 'Skipped rows',
+      regenerated: 'IDs that will be regenerated',
+      invalid: "Values that don't match the column type",
+    },
+    line: 'Line {line}:',
+    unnamed: 'Unnamed',
+    expected: '(expected {type})',
+    preview: 'Preview (first {shown} of {total})',
+    save: {
+      one: 'Save Snapshot ({formatted} row)',
+      other: 'Save Snapshot ({formatted} rows)',
+    },
+    reasons: {
+      needsHeader: 'CSV must have a header and at least one data row.',
+      unterminatedQuote: 'Unterminated quoted field',
+      fieldCount: 'Expected {expected} fields but found {found}',
+      blankId: 'Blank ID',
+      duplicateId: 'Duplicate of line {line}',
+    },
+  },
+
+  activity: {
+    empty: 'No activity recorded yet.',
+    you: 'You',
+    reasons: {
+      clearAll: 'Cleared all data',
+      expired: 'Restore window ended',
+      replacedBy: 'Replaced by a newer upload',
+      replaced: {
+        one: 'Replaced {count} snapshot',
+        other: 'Replaced {count} snapshots',
+      },
+    },
+    actions: {
+      upload: 'Uploaded',
+      replace: 'Replaced',
+      trash: 'Moved to trash',
+      restore: 'Restored',
+      purge: 'Deleted permanently',
+    },
+  },
+
+  snapshots: {
+    empty: 'No snapshots uploaded yet.',
+    uploaded: 'Uploaded',
+    file: 'File',
+    rowCount: 'Rows',
+    latest: 'Latest',
+    viewing: 'Viewing',
+    view: 'View',
+    delete: 'Delete',
+    moveToTrash: 'Move to trash',
+    untitled: 'Untitled upload',
+    rows: {
+      one: '{rows} row',
+      other: '{rows} rows',
+    },
+  },
+
+  tree: {
+    expand: 'Expand',
+    collapse: 'Collapse',
+    expandAll: 'Expand all',
+    collapseAll: 'Collapse all',
+    focus: 'Focus',
+    recruits: {
+      one: '{formatted} recruit',
+      other: '{formatted} recruits',
+    },
+    downline: '{count} downline',
+    empty: 'No associates to show.',
+    fromSponsor: 'Built from the sponsor column.',
+    inferred: 'Inferred from row order and Depth Level (no sponsor column in this report).',
+  },
+
+  pace: {
+    orgPremium: 'Org Premium',
+    orgRecruits: 'Org Recruits',
+    dayOf: 'Day {day} of {days} ({percent} of {month}).',
+    comparedWith: 'Compared with the upload from {date}.',
+    straightLine: 'No upload from the same point last month, so the comparison is a straight-line share of PMTD.',
+    noComparison: 'Nothing at this point last month to compare.',
+    vsSamePoint: 'vs last month at this point ({value})',
+    projected: '{label}: Projected Month-End',
+    rankAtMonthEnd: '{rank} at Month-End',
+    onPace: 'ON PACE',
+    offPace: 'OFF PACE',
+    projectedPremium: 'Projected {current} / {target}',
+    short: '{value} short',
+    minimumNotMet: 'Leg or personal minimum not met',
+  },
+
+  goals: {
+    goal: 'Goal: {value}',
+    onPace: 'On pace to hit the goal',
+    onPaceFor: 'On pace for {percent} of the goal',
+    edit: 'Edit {label}',
+    set: 'Set {label}',
+    labelForMonth: '{label} for {month}',
+    teamGoals: 'team goals',
+    associateGoals: "{name}'s goals",
+    goals: 'goals',
+    premium: 'Premium',
+    recruits: 'Recruits',
+    monthGoals: '{month} Goals',
+    valueProjected: '{value} (projected {projected})',
+    none: 'No goals set for this month.',
+  },
+
+  notes: {
+    placeholder: 'Add a note (only you can see it)...',
+    followUpOn: 'Follow up on',
+    add: 'Add Note',
+    empty: 'No notes yet.',
+    followUp: 'Follow up {date}',
+    errors: {
+      load: "Couldn't load notes.",
+      save: "Couldn't save your change. Please try again.",
+    },
+  },
+
+  followUps: {
+    filters: {
+      open: 'Open',
+      mine: 'Assigned to me',
+      unassigned: 'Unassigned',
+      overdue: 'Overdue',
+      closed: 'Closed',
+    },
+    reasons: {
+      onHold: 'On Hold (H)',
+      notVested: 'Not Vested (D)',
+      stalled: 'Produced PMTD, nothing MTD',
+    },
+    outcomes: {
+      contacted: 'Contacted',
+      resolved: 'Resolved',
+      lost: 'Lost',
+    },
+    columns: {
+      associate: 'Associate',
+      why: 'Why',
+      assignee: 'Assignee',
+      due: 'Due',
+      outcome: 'Outcome',
+      updated: 'Updated',
+    },
+    rebuild: 'Rebuild from latest upload',
+    rebuilding: 'Rebuilding...',
+    emptyOpen: 'Nobody needs a follow-up right now.',
+    empty: 'No items.',
+    clearedOnUpload: 'Cleared on upload',
+    leftReport: 'No longer in the report',
+    me: 'Me',
+  },
+
+  summary: {
+    orgPremiumMTD: 'Org Premium MTD',
+    orgRecruitsMTD: 'Org Recruits MTD',
+    premiumContributors: 'Premium Contributors',
+    recruitsContributors: 'Recruits Contributors',
+    vsPMTD: 'vs PMTD: {value}',
+    pmtd: 'PMTD: {value}',
+    sdTitle: 'Senior Director (SD)',
+    edTitle: 'Executive Director (ED)',
+    qualified: 'QUALIFIED',
+    notQualified: 'NOT QUALIFIED',
+    progress: '{current} / {target}',
+    progressNeeds: '{current} / {target} (needs {needed})',
+    associateStatus: 'Associate Status',
+    activeCount: '{count} active',
+    statusBreakdown: '{notVested} not vested · {onHold} on hold',
+    onHoldCount: 'On Hold ({count})',
+  },
+
+  report: {
+    title: '{team} — Leader Report',
+    subtitle: '{name} ({rank}) · Snapshot: {snapshot} · Printed {date}',
+    topPremium: 'Top Premium Contributors',
+    topRecruits: 'Top Recruits Contributors',
+    none: 'None',
+  },
+
+  presentation: {
+    pause: 'Pause',
+    resume: 'Resume',
+    keys: '← → to switch boards · Space to pause · Esc to close',
+    keysPaused: '← → to switch boards · Space to resume · Esc to close',
+  },
+
+  trash: {
+    title: 'Trash ({count})',
+    retention: "Deleted snapshots can be restored for {days} days, then they're removed permanently.",
+    empty: 'Trash is empty.',
+    deleted: 'Deleted',
+    restorableUntil: 'Restorable Until',
+    restore: 'Restore',
+    deleteForever: 'Delete forever',
+    restoreAll: 'Restore All',
+    confirmEmpty: 'Permanently delete {count}?',
+    emptyTrash: 'Empty Trash',
+  },
+
+  rankProgress: {
+    topRank: 'Already at the top rank.',
+    qualified: 'QUALIFIED',
+    countablePremium: '{current} / {target} countable premium',
+    legsCapped: '(legs capped at {cap})',
+    personalPremium: '{current} / {target} personal premium',
+    qualifyingLegs: '{current} / {target} qualifying legs',
+    noRule: 'No qualification rule configured for this rank.',
+  },
+
+  diff: {
+    needTwo: 'Upload at least two snapshots to compare them.',
+    from: 'From (older)',
+    to: 'To (newer)',
+    loading: 'Loading snapshots...',
+    pickTwo: 'Pick two different snapshots to compare.',
+    summary: {
+      joined: 'Joined',
+      left: 'Left',
+      statusChanges: 'Status Changes',
+      promotions: 'Promotions',
+      demotions: 'Demotions',
+    },
+    columns: {
+      name: 'Associate',
+      change: 'Change',
+      status: 'Status',
+      level: 'Rank',
+      premiumDelta: 'Premium MTD Δ',
+      recruitsDelta: 'Recruits MTD Δ',
+      orgPremiumDelta: 'Org Premium MTD Δ',
+    },
+    changes: {
+      joined: 'Joined',
+      left: 'Left',
+      matched: 'Changed',
+      unchanged: 'Unchanged',
+    },
+    matchedByName: {
+      one: '{count} associate without a stable ID was matched by name.',
+      other: '{count} associates without a stable ID were matched by name.',
+    },
+    unresolved: {
+      one: '{count} row with a regenerated ID could not be matched and is excluded from joined/left counts.',
+      other: '{count} rows with a regenerated ID could not be matched and are excluded from joined/left counts.',
+    },
+    showUnchanged: 'Show unchanged associates',
+    byName: '(by name)',
+    byNameTitle: 'Matched by name because the Associate ID was regenerated',
+    none: 'No differences.',
+  },
+
+  rankRules: {
+    title: 'Rank Qualification Rules',
+    intro: "Countable premium is personal premium MTD plus each depth-1 leg's Org Premium MTD, capped at the per-leg cap. A leg is qualifying when it reaches the cap (or produces anything, when uncapped).",
+    fields: {
+      threshold: 'Threshold',
+      legCap: 'Per-leg Cap',
+      minLegs: 'Min. Qualifying Legs',
+      personalMin: 'Min. Personal',
+    },
+    hints: {
+      threshold: 'Blank = no rule',
+      legCap: '0 = uncapped',
+    },
+    reset: 'Reset to defaults',
+    save: 'Save Rules',
+  },
+
+  trends: {
+    needTwo: 'Upload at least two snapshots to see trends.',
+    groupBy: {
+      month: 'Month over month',
+      upload: 'Every upload',
+    },
+    orgPremiumMTD: 'Org Premium MTD',
+    orgRecruitsMTD: 'Org Recruits MTD',
+    premiumContributors: 'Premium Contributors',
+    recruitsContributors: 'Recruits Contributors',
+  },
+
+  cohorts: {
+    needHistory: {
+      one: 'Cohorts follow associates through every stored upload. Load the {count} upload to see them.',
+      other: 'Cohorts follow associates through every stored upload. Load all {count} uploads to see them.',
+    },
+    loadHistory: 'Load Upload History',
+    loading: 'Loading upload history...',
+    needTwo: 'Upload reports from at least two periods to see cohorts.',
+    cohort: 'Cohort',
+    size: 'Joined',
+    baseline: 'Already in the first upload',
+    offsets: {
+      month: 'Month {count}',
+      upload: 'Upload {count}',
+    },
+    cell: '{count} of {size} in {period}',
+    metrics: {
+      present: 'Still Present',
+      active: 'Active',
+      notVested: 'Not Vested (D)',
+      onHold: 'On Hold (H)',
+      produced: 'Produced Premium',
+      advanced: 'Advanced a Level',
+    },
+    metricHelp: {
+      present: 'Share of each cohort still in the report, by periods since they first appeared.',
+      active: 'Share of each cohort still in the report with Active status.',
+      notVested: 'Share of each cohort still in the report as Not Vested (D).',
+      onHold: 'Share of each cohort still in the report as On Hold (H).',
+      produced: 'Share of each cohort with Personal Premium MTD in that period.',
+      advanced: 'Share of each cohort at a higher Level than when they first appeared.',
+    },
+    recruiters: {
+      title: 'By Recruiter',
+      allCohorts: 'All recruit cohorts',
+      help: "Each sponsor's recruits and where they stand in the newest upload. Produced counts anyone with premium since joining.",
+      recruiter: 'Recruiter',
+      columns: {
+        recruits: 'Recruits',
+        present: 'Still Present',
+        active: 'Active',
+        produced: 'Produced',
+        advanced: 'Advanced',
+      },
+      none: 'No recruits with a sponsor listed in these cohorts.',
+    },
+  },
+
+  associates: {
+    columns: {
+      premiumMTD: 'Prem MTD',
+      premiumPMTD: 'Prem PMTD',
+      recruitsMTD: 'Rec MTD',
+      recruitsPMTD: 'Rec PMTD',
+    },
+  },
+
+  filters: {
+    toggle: 'Filters',
+    toggleActive: 'Filters ({count})',
+    clearAll: 'Clear all',
+    min: 'Min',
+    max: 'Max',
+    depthLevel: 'Depth Level',
+    zeroProduction: 'Zero production this month (no premium or recruits MTD)',
+  },
+
+  views: {
+    placeholder: 'Saved views…',
+    delete: 'Delete',
+    save: 'Save view',
+    namePlaceholder: 'e.g. Managers with no premium MTD',
+  },
+
+  duplicates: {
+    title: 'Possible Duplicate Upload',
+    sameContent: '{fileName} has already been uploaded.',
+    sameDay: "There's already a snapshot for today's report. Is {fileName} a replacement?",
+    identical: 'Identical file',
+    sameDayBadge: 'Same day',
+    choices: {
+      skip: 'Skip this upload',
+      replace: 'Replace the existing snapshot(s)',
+      keep: 'Keep both',
+    },
+  },
+
+  export: {
+    label: 'Export',
+    failed: 'Export failed.',
+  },
+
+  profile: {
+    back: '← Back to dashboard',
+    idLine: 'ID: {id} · {rank} · {status}',
+    upline: 'Upline: {name}',
+    notInSnapshot: "Not in the snapshot you're viewing. Showing their most recent numbers on record.",
+    personalPremium: 'Personal Premium',
+    personalRecruits: 'Personal Recruits',
+    mtd: 'MTD',
+    pmtd: 'PMTD',
+    ytd: 'YTD',
+    rollup: 'Downline Roll-up (MTD)',
+    associates: 'Associates',
+    downlineCount: '{total} ({direct} direct)',
+    premium: 'Premium',
+    recruits: 'Recruits',
+    focusLeg: 'Focus on this leg',
+    noDownline: 'No downline in this snapshot.',
+    noGenealogy: 'From the report; genealogy not available.',
+    history: 'History Across Snapshots',
+    needMoreSnapshots: {
+      one: 'They appear in {count} snapshot; upload more to see a trend.',
+      other: 'They appear in {count} snapshots; upload more to see a trend.',
+    },
+    rankHistory: 'Rank & Status History',
+    noChanges: 'No changes recorded.',
+    rankProgress: 'Rank Progress',
+    directDownline: 'Direct Downline ({count})',
+    inLeg: '{count} in leg',
+    notes: 'Notes & Follow-ups',
+    signInForNotes: 'Sign in to keep notes.',
+    changes: {
+      left: 'Not in this upload',
+      firstSeen: 'First seen as {rank}, {status}',
+      reappeared: 'Reappeared as {rank}, {status}',
+      rank: 'Rank {from} → {to}',
+      status: 'Status {from} → {to}',
+    },
+  },
+
+  composition: {
+    depthLabel: 'Depth {depth}',
+    topShare: 'Top 10% Share',
+    topShareNote: {
+      one: 'Premium MTD from the top {count} associate',
+      other: 'Premium MTD from the top {count} associates',
+    },
+    largestLegShare: 'Largest Leg Share',
+    largestLegNote: {
+      one: 'Org Premium MTD from {name} across {count} leg',
+      other: 'Org Premium MTD from {name} across {count} legs',
+    },
+    noLegs: 'No legs in view',
+    teamPremium: 'Team Premium MTD',
+    teamPremiumNote: {
+      one: 'Personal premium across {count} associate',
+      other: 'Personal premium across {count} associates',
+    },
+    views: {
+      headcount: 'Headcount',
+      production: 'Production share',
+    },
+    byRank: 'By Rank',
+    byRankTier: 'By Rank Tier',
+    byDepth: 'By Depth Level',
+    byStatus: 'By Status',
+    sharePremium: 'Share of premium MTD',
+    associates: 'Associates',
+    drillDownHint: 'Click a bar to filter the associates list.',
+    tierTrend: 'Headcount by Rank Tier Over Time',
+    concentrationTrend: 'Concentration Over Time',
+    topShareSeries: 'Top 10% share',
+    largestLegSeries: 'Largest leg share',
+    tiers: {
+      associate: 'Associates',
+      manager: 'Managers',
+      director: 'Directors',
+      ed: 'Elite EDs',
+    },
+  },
+
+  planner: {
+    legHeadroomFirst: 'Using leg headroom first',
+    personalPremium: 'Using personal premium',
+    noRules: 'No rank rules are configured.',
+    personal: 'Personal premium',
+    targetRank: 'Target rank',
+    whatIfTag: '(what-if)',
+    columns: {
+      source: 'Source',
+      whatIf: 'What-if',
+      countable: 'Countable',
+      cappedOff: 'Capped Off',
+      room: 'Room',
+    },
+    personalRow: 'Personal ({name})',
+    uncapped: 'Uncapped',
+    min: 'min {value}',
+    maxed: 'Maxed',
+    room: '{value} room',
+    noLegs: 'No depth-1 legs.',
+    requiredLegs: '{current} of {required} required qualifying legs.',
+    unreachable: "Premium increases alone can't reach this rank: it needs more qualifying legs than there are depth-1 legs.",
+    changes: {
+      one: '({count} change)',
+      other: '({count} changes)',
+    },
+    tryIt: 'Try it',
+    increasePersonal: '+{value} personal premium',
+    increaseLeg: "+{value} in {name}'s leg",
+    clearWhatIf: 'Clear what-if values',
+  },
+
+  leaderboards: {
+    emptyBoard: 'Nobody on this board yet.',
+    present: 'Present',
+    from: 'From',
+    to: 'To',
+    rangeHelp: 'Production is the growth in YTD figures between the uploads in the range.',
+    loadingUploads: 'Loading uploads...',
+    noRangeProduction: 'No production between these uploads.',
+    noProduction: 'No production yet.',
+    noGains: 'No gains since the previous upload.',
+    needPrevious: 'Upload another snapshot to compare.',
+    noFirstTime: 'No first-time producers this month.',
+    bases: {
+      personal: 'Personal',
+      org: 'Org',
+    },
+    measures: {
+      premium: 'Premium',
+      recruits: 'Recruits',
+    },
+    periods: {
+      MTD: 'This month',
+      PMTD: 'Last month',
+      YTD: 'Year to date',
+      range: 'Snapshot range',
+    },
+    titles: {
+      ranking: '{basis} {measure}: {period}',
+      improved: 'Most Improved: {basis} {measure} MTD',
+      firstTime: 'First-Time Producers: {measure}',
+    },
+  },
+
+  alerts: {
+    scopes: {
+      org: 'Whole organization',
+      associate: 'One associate',
+      leg: "One associate's leg",
+      depth1Legs: 'Every depth-1 leg',
+      topProducers: 'Top producers',
+    },
+    scopeDescriptions: {
+      org: 'whole organization',
+      depth1Legs: 'every depth-1 leg',
+    },
+    fields: {
+      status: 'Status',
+      personalPremiumMTD: 'Personal Premium MTD',
+      personalRecruitsMTD: 'Personal Recruits MTD',
+      orgPremiumMTD: 'Org Premium MTD',
+      orgRecruitsMTD: 'Org Recruits MTD',
+      premiumPace: 'Org premium vs. last month (%)',
+    },
+    comparisons: {
+      below: 'is below',
+      above: 'is above',
+      dropsBelow: 'drops below',
+      risesAbove: 'rises above',
+      is: 'is',
+      becomes: 'becomes',
+    },
+    presets: {
+      topProducerOnHold: 'Top producer goes on hold',
+      legBelowCap: 'Depth-1 leg falls below the SD leg cap',
+      premiumBehind: 'Org premium falls behind last month',
+    },
+    legCapThreshold: 'the {rank} leg cap ({value})',
+    anAssociate: 'an associate',
+    legOf: "{name}'s leg",
+    topProducers: 'the top {count} producers',
+    organization: 'Organization',
+    ruleDescription: '{scope}: {field} {comparison} {threshold}',
+    message: '{label}: {field} {comparison} {threshold} (now {now})',
+    messageWithChange: '{label}: {field} {comparison} {threshold} (now {now}, was {was})',
+    settings: {
+      title: 'Alert Rules',
+      intro: 'Rules are checked against every new upload, and each member sees the alerts in their notification center. "Drops below", "rises above" and "becomes" only fire on a change since the previous upload.',
+      empty: 'No rules yet. Start from a preset or add your own.',
+      add: 'Add rule',
+      orStartFrom: 'or start from:',
+      on: 'On',
+      name: 'Rule name',
+      namePlaceholder: 'Rule name (optional)',
+      remove: 'Remove',
+      scope: 'Scope',
+      associate: 'Associate',
+      chooseAssociate: 'Choose an associate…',
+      notInLatest: '{name} (not in the latest upload)',
+      topCount: 'Number of top producers',
+      field: 'Field',
+      comparison: 'Comparison',
+      status: 'Status',
+      thresholdType: 'Threshold type',
+      aValueOf: 'a value of',
+      legCapOption: 'the {rank} leg cap',
+      threshold: 'Threshold',
+      webhookUrl: 'Digest webhook URL (optional)',
+      webhookHelp: "The uploader's browser posts a digest here whenever an upload triggers alerts.",
+      digestFormat: 'Digest format',
+      missingAssociate: 'Choose an associate for every associate or leg rule.',
+      invalidUrl: 'The webhook URL must start with http:// or https://.',
+      save: 'Save Rules',
+    },
+    center: {
+      title: 'Notifications ({count} unread)',
+      unreadOnly: 'Unread only',
+      markAllRead: 'Mark all read',
+      editRules: 'Edit alert rules',
+      empty: 'No alerts yet. They appear here when a new upload matches an alert rule.',
+      nothingUnread: 'Nothing unread.',
+      uploadOf: 'Upload of {date}',
+      alertCount: {
+        one: '{count} alert',
+        other: '{count} alerts',
+      },
+      downloadDigest: 'Download digest',
+      sending: 'Sending...',
+      sendDigest: 'Send to webhook',
+      markRead: 'Mark read',
+    },
+    digest: {
+      title: '{team} alerts for the {date} upload',
+      count: {
+        one: '{count} alert fired.',
+        other: '{count} alerts fired.',
+      },
+    },
+  },
+};
+
+export default en;
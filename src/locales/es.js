@@ -0,0 +1,956 @@
+// --- Spanish UI Text ---
+// Same keys as en.js; anything missing here falls back to English. MTD, PMTD and YTD stay
+// as in the uploaded report so column names match what associates see there.
+
+const es = {
+  app: {
+    title: 'Panel de la Organización de Ventas',
+    initializing: 'Iniciando y autenticando...',
+    loading: 'Cargando...',
+    syncing: 'Sincronizando los cambios hechos sin conexión...',
+    offline: 'Sin conexión. Se muestran los datos guardados en este dispositivo; las cargas y los cambios se sincronizarán al reconectar.',
+    associateNotFound: 'Ninguna instantánea guardada tiene un asociado con el ID {id}.',
+    header: {
+      localMode: 'Modo local: los datos se quedan en este navegador',
+      signedInAs: 'Sesión iniciada como {email}',
+      team: 'Equipo:',
+      teamSettings: 'Equipo',
+      notifications: 'Notificaciones',
+      print: 'Imprimir informe',
+      exportAll: 'Exportar todo',
+      language: 'Idioma',
+      currency: 'Moneda',
+      environment: 'Los datos se guardan en el entorno de {name}',
+    },
+    clearAll: {
+      button: 'Borrar todos los datos',
+      title: '¿Borrar todos los datos?',
+      body: 'Se moverán a la papelera todas las instantáneas cargadas de {team}, para todos los miembros. Podrás restaurarlas durante {days} días.',
+      thisTeam: 'este equipo',
+    },
+    snapshot: 'la instantánea',
+    movedToTrash: 'Se movió {name} a la papelera.',
+    movedAllToTrash: {
+      one: 'Se movió la única instantánea a la papelera.',
+      other: 'Se movieron las {count} instantáneas a la papelera.',
+    },
+    undo: 'Deshacer',
+    dismiss: 'Descartar',
+    upload: {
+      title: 'Cargar datos de ventas',
+      input: 'CSV de datos de ventas',
+      viewOnly: 'Tienes acceso de solo lectura a este equipo. Pide a un propietario que cargue los nuevos informes.',
+      reportToUpload: 'Informe que se debe cargar: {report}',
+      lastLoaded: 'Última carga: {name}',
+      loadedFromDb: 'Cargado de la base de datos: {date}',
+      saving: 'Guardando {saved} de {total} filas...',
+      processing: 'Procesando...',
+      loadingRows: 'Cargando los datos de la instantánea...',
+      demoData: 'Generar datos de demostración',
+    },
+    exportOnHold: 'Exportar en espera',
+    historical: {
+      title: 'Viendo la instantánea histórica del {date}.',
+      withFile: 'Viendo la instantánea histórica del {date} ({file}).',
+      returnToLatest: 'Volver a la más reciente',
+    },
+    legacy: {
+      converting: 'Convirtiendo instantáneas... {done} de {total}',
+      notice: {
+        one: '{formatted} instantánea usa el formato antiguo de un solo documento, que carga más lento y no admite informes grandes.',
+        other: '{formatted} instantáneas usan el formato antiguo de un solo documento, que carga más lento y no admite informes grandes.',
+      },
+      convert: 'Convertir ahora',
+    },
+    focus: {
+      notice: {
+        one: 'Enfocado en la línea de {name} ({formatted} asociado). Los niveles de profundidad son relativos a esta persona.',
+        other: 'Enfocado en la línea de {name} ({formatted} asociados). Los niveles de profundidad son relativos a esta persona.',
+      },
+      showAll: 'Mostrar toda la organización',
+    },
+    sections: {
+      followUps: 'Cola de seguimiento',
+      history: 'Historial de instantáneas ({count})',
+      trends: 'Tendencias',
+      compare: 'Comparar instantáneas',
+      activity: 'Actividad',
+      summary: 'Resumen de organización y calificación',
+      pace: 'Ritmo al cierre del mes',
+      contributors: 'Contribuyentes del mes',
+      leaderboards: 'Clasificaciones',
+      cohorts: 'Cohortes de reclutas',
+      composition: 'Composición del equipo',
+      genealogy: 'Genealogía',
+      associates: 'Asociados ({count})',
+    },
+    editRankRules: 'Editar reglas de rango',
+    needs: 'Faltan {value}',
+    minimumNotMet: 'No se cumple el mínimo de líneas o personal',
+    rankProgressFor: 'Progreso de rango: {name}',
+    currently: '(actualmente {rank})',
+    showPlanner: 'Mostrar lo que hace falta',
+    hidePlanner: 'Ocultar lo que hace falta',
+    viewModes: {
+      list: 'Lista',
+      table: 'Tabla',
+    },
+    search: 'Buscar por nombre o ID...',
+    sortBy: 'Ordenar por',
+    reportOrder: 'Orden del informe',
+    noAssociates: 'No se encontraron asociados.',
+    listLine: 'ID: {id} | Rango: {rank}',
+    details: {
+      id: 'ID: {id}',
+      openProfile: 'Abrir perfil completo, historial y notas →',
+    },
+    selectPrompt: 'Selecciona un asociado para ver los detalles.',
+    uploadPrompt: 'Carga un archivo CSV para empezar.',
+    errors: {
+      localStorage: 'No se pudo abrir el almacenamiento local del navegador. Las ventanas de navegación privada pueden bloquearlo.',
+      initialize: 'No se pudo iniciar la aplicación. Revisa la consola para ver los detalles.',
+      environment: 'Entorno desconocido "{name}" en REACT_APP_ENVIRONMENT. Usa uno de estos: {names}.',
+      loadTeams: 'Error al cargar tus equipos.',
+      loadData: 'Error al cargar los datos.',
+      loadRows: 'Error al cargar los datos de la instantánea.',
+      snapshotIncomplete: 'Esta instantánea todavía se está cargando. Inténtalo de nuevo en un momento.',
+      uploadNotReady: 'No se puede cargar el archivo. La aplicación no está lista o no has iniciado sesión.',
+      readFile: 'No se pudo leer el archivo.',
+      offlineSync: 'No se pudo sincronizar un cambio hecho sin conexión. {message}',
+      activityLog: 'El cambio se guardó, pero no se pudo añadir al registro de actividad.',
+      followUpSync: 'La instantánea se guardó, pero no se pudo actualizar la cola de seguimiento.',
+      followUpUpdate: 'No se pudo actualizar el seguimiento. Inténtalo de nuevo.',
+      saveFile: 'No se pudo guardar el archivo. {message}',
+      saveAlertRules: 'No se pudieron guardar las reglas de alerta. Inténtalo de nuevo.',
+      markRead: 'No se pudieron marcar las notificaciones como leídas.',
+      digestWebhook: 'No se pudo contactar con el webhook del resumen. Revisa la URL en las reglas de alerta.',
+      saveRankRules: 'No se pudieron guardar las reglas de rango. Inténtalo de nuevo.',
+      saveGoal: 'No se pudo guardar la meta. Inténtalo de nuevo.',
+      saveView: 'No se pudo guardar la vista. Inténtalo de nuevo.',
+      deleteView: 'No se pudo eliminar la vista. Inténtalo de nuevo.',
+      signOut: 'No se pudo cerrar la sesión. Inténtalo de nuevo.',
+      deleteNotReady: 'No se pueden eliminar los datos. La aplicación no está lista.',
+      delete: 'No se pudieron eliminar los datos. Inténtalo de nuevo.',
+      restore: 'No se pudieron restaurar los datos. Inténtalo de nuevo.',
+      purge: 'No se pudieron eliminar los datos de forma permanente. Inténtalo de nuevo.',
+      migrate: 'Algunas instantáneas no se pudieron convertir. Las convertidas se conservan; inténtalo de nuevo para terminar el resto.',
+      loadDemo: 'No se pudieron cargar los datos de demostración. {message}',
+    },
+  },
+
+  common: {
+    notAvailable: 'N/D',
+    save: 'Guardar',
+    cancel: 'Cancelar',
+    confirm: 'Confirmar',
+    close: 'Cerrar',
+    delete: 'Eliminar',
+    saving: 'Guardando...',
+  },
+
+  environment: {
+    names: {
+      production: 'Producción',
+      staging: 'Pruebas',
+      demo: 'Demostración',
+    },
+  },
+
+  demo: {
+    title: 'Datos de demostración',
+    intro: 'Genera una organización ficticia como archivos CSV del informe, uno por mes, con el mismo formato que el informe de la oficina central. Con la misma configuración y semilla siempre se obtienen los mismos archivos.',
+    associates: 'Asociados',
+    depth: 'Profundidad (niveles por debajo del primero)',
+    months: 'Meses de informes',
+    rankMix: 'Mezcla de rangos',
+    rankMixes: {
+      growing: 'En crecimiento: sobre todo asociados nuevos',
+      balanced: 'Equilibrada',
+      established: 'Consolidada: más líderes',
+    },
+    statusMix: 'Mezcla de estados (%)',
+    seed: 'Semilla',
+    download: 'Descargar CSV',
+    load: 'Cargar en el panel',
+    loading: 'Cargando...',
+    productionNote: 'La carga de datos de demostración está desactivada en el entorno de producción. Descarga los CSV o cambia al entorno de demostración.',
+    ownerNote: 'Solo los propietarios del equipo pueden cargar datos de demostración en el panel.',
+  },
+
+  levels: {
+    1: 'Asociado',
+    2: 'Asociado Sénior',
+    3: 'Gerente',
+    4: 'Gerente Sénior',
+    5: 'Director',
+    6: 'Director Sénior',
+    7: 'Director Ejecutivo',
+    8: 'ED Bronce',
+    9: 'ED Plata',
+    10: 'ED Oro',
+    11: 'ED Platino',
+    other: 'Nivel {level}',
+  },
+
+  statuses: {
+    active: 'Activo',
+    notVested: 'No consolidado (D)',
+    onHold: 'En espera (H)',
+  },
+
+  roles: {
+    owner: 'Propietario',
+    viewer: 'Lector',
+    unknown: 'Desconocido',
+  },
+
+  auth: {
+    modes: {
+      signIn: 'Iniciar sesión',
+      signUp: 'Crear cuenta',
+      emailLink: 'Enlace por correo',
+    },
+    submit: {
+      signIn: 'Iniciar sesión',
+      signUp: 'Crear cuenta',
+      emailLink: 'Enviar enlace de inicio de sesión',
+    },
+    anonymousNotice: 'Estás usando una sesión anónima temporal. Crea una cuenta (o usa un enlace por correo) para conservar tus instantáneas cargadas; después podrás moverlas a un espacio de equipo.',
+    linkSent: 'Revisa {email} para encontrar el enlace de inicio de sesión. Ábrelo en este dispositivo para terminar.',
+    email: 'Correo electrónico',
+    emailPlaceholder: 'Dirección de correo',
+    password: 'Contraseña',
+    pleaseWait: 'Espera un momento...',
+    signOut: 'Cerrar sesión',
+    confirmEmailPrompt: 'Confirma la dirección de correo con la que pediste el enlace de inicio de sesión.',
+    errors: {
+      incorrectPassword: 'Correo o contraseña incorrectos.',
+      noAccount: 'No existe ninguna cuenta con ese correo.',
+      accountExists: 'Ya existe una cuenta con ese correo. Inicia sesión.',
+      weakPassword: 'La contraseña debe tener al menos 6 caracteres.',
+      invalidEmail: 'Esa dirección de correo no es válida.',
+      invalidLink: 'Este enlace de inicio de sesión no es válido o ha caducado.',
+      generic: 'Error de autenticación. Inténtalo de nuevo.',
+    },
+  },
+
+  teams: {
+    welcome: 'Bienvenido',
+    onboardingIntro: 'Sesión iniciada como {email}. Únete a un equipo al que te hayan invitado o crea el tuyo.',
+    invitations: 'Invitaciones',
+    asRole: 'como {role}',
+    accept: 'Aceptar',
+    joining: 'Uniéndote...',
+    createTitle: 'Crear un equipo',
+    createAnother: 'Crear otro equipo',
+    namePlaceholder: 'Nombre del equipo',
+    create: 'Crear',
+    creating: 'Creando...',
+    yourRole: 'Tu rol: {role}',
+    members: 'Miembros',
+    memberYou: '{email} (tú)',
+    remove: 'Quitar',
+    inviteTitle: 'Invitar a alguien',
+    invite: 'Invitar',
+    invited: 'Se invitó a {email}. Verá la invitación al iniciar sesión con esa dirección.',
+    pendingInvite: '({role}, pendiente)',
+    revoke: 'Revocar',
+    legacySnapshots: {
+      one: '{formatted} instantánea de tu sesión anónima anterior no está en ningún equipo.',
+      other: '{formatted} instantáneas de tu sesión anónima anterior no están en ningún equipo.',
+    },
+    moveInto: 'Mover a {team}',
+    migrated: {
+      one: 'Se movió {count} instantánea a {team}.',
+      other: 'Se movieron {count} instantáneas a {team}.',
+    },
+    errors: {
+      acceptInvite: 'No se pudo aceptar la invitación. Puede que la hayan revocado.',
+      create: 'No se pudo crear el equipo. Inténtalo de nuevo.',
+      permissionDenied: 'Permiso denegado.',
+      generic: 'Algo salió mal. Inténtalo de nuevo.',
+    },
+  },
+
+  fields: {
+    premiumMTD: 'Prima MTD',
+    premiumPMTD: 'Prima PMTD',
+    premiumYTD: 'Prima YTD',
+    recruitsMTD: 'Reclutas MTD',
+    recruitsPMTD: 'Reclutas PMTD',
+    recruitsYTD: 'Reclutas YTD',
+    name: 'Nombre',
+    id: 'ID',
+    rank: 'Rango',
+    status: 'Estado',
+    depth: 'Profundidad',
+  },
+
+  import: {
+    delimiters: {
+      comma: 'Coma',
+      semicolon: 'Punto y coma',
+      tab: 'Tabulador',
+      pipe: 'Barra vertical',
+    },
+    types: {
+      currency: 'Moneda',
+      integer: 'Entero',
+      string: 'Texto',
+      status: 'Código de estado',
+    },
+    review: 'Revisar importación',
+    delimiter: 'Delimitador',
+    autoDetect: 'Detección automática',
+    autoDetected: 'Detección automática ({delimiter})',
+    missingFields: 'Faltan campos obligatorios: {fields}',
+    missingHelp: 'El panel mostrará ceros o espacios en blanco para ellos. Asígnalos a una columna del CSV abajo o importa de todos modos.',
+    acknowledgeMissing: 'Entiendo, importar sin ellos',
+    columnMapping: 'Asignación de columnas',
+    usingSavedMapping: 'Se usa tu asignación guardada para estos encabezados',
+    hideMapping: 'Ocultar',
+    editMapping: 'Editar asignación',
+    allMatched: {
+      one: 'El único campo conocido coincidió con su columna.',
+      other: 'Los {count} campos conocidos coincidieron con sus columnas.',
+    },
+    notMapped: '— Sin asignar —',
+    columns: {
+      field: 'Campo',
+      type: 'Tipo',
+      csvColumn: 'Columna del CSV',
+      match: 'Coincidencia',
+      line: 'Línea',
+    },
+    match: {
+      manual: 'Manual',
+      saved: 'Asignación guardada',
+      exact: 'Exacta',
+      fuzzy: 'Aproximada ({score})',
+    },
+    stats: {
+      rows: 'Filas a importar',
+      skipped: 'Filas omitidas',
+      regenerated: 'IDs regenerados',
+      invalid: 'Valores no válidos',
+    },
+    issues: {
+      skipped: 'Filas omitidas',
+      regenerated: 'IDs que se regenerarán',
+      invalid: 'Valores que no coinciden con el tipo de la columna',
+    },
+    line: 'Línea {line}:',
+    unnamed: 'Sin nombre',
+    expected: '(se esperaba {type})',
+    preview: 'Vista previa (primeras {shown} de {total})',
+    save: {
+      one: 'Guardar instantánea ({formatted} fila)',
+      other: 'Guardar instantánea ({formatted} filas)',
+    },
+    reasons: {
+      needsHeader: 'El CSV debe tener un encabezado y al menos una fila de datos.',
+      unterminatedQuote: 'Campo entre comillas sin cerrar',
+      fieldCount: 'Se esperaban {expected} campos pero hay {found}',
+      blankId: 'ID vacío',
+      duplicateId: 'Duplicado de la línea {line}',
+    },
+  },
+
+  activity: {
+    empty: 'Todavía no hay actividad registrada.',
+    you: 'Tú',
+    reasons: {
+      clearAll: 'Se borraron todos los datos',
+      expired: 'Terminó el plazo de restauración',
+      replacedBy: 'Reemplazada por una carga más reciente',
+      replaced: {
+        one: 'Reemplazó {count} instantánea',
+        other: 'Reemplazó {count} instantáneas',
+      },
+    },
+    actions: {
+      upload: 'Cargó',
+      replace: 'Reemplazó',
+      trash: 'Movió a la papelera',
+      restore: 'Restauró',
+      purge: 'Eliminó definitivamente',
+    },
+  },
+
+  snapshots: {
+    empty: 'Todavía no se ha cargado ninguna instantánea.',
+    uploaded: 'Cargada',
+    file: 'Archivo',
+    rowCount: 'Filas',
+    latest: 'Más reciente',
+    viewing: 'En vista',
+    view: 'Ver',
+    delete: 'Eliminar',
+    moveToTrash: 'Mover a la papelera',
+    untitled: 'Carga sin título',
+    rows: {
+      one: '{rows} fila',
+      other: '{rows} filas',
+    },
+  },
+
+  tree: {
+    expand: 'Expandir',
+    collapse: 'Contraer',
+    expandAll: 'Expandir todo',
+    collapseAll: 'Contraer todo',
+    focus: 'Enfocar',
+    recruits: {
+      one: '{formatted} recluta',
+      other: '{formatted} reclutas',
+    },
+    downline: '{count} en la línea descendente',
+    empty: 'No hay asociados para mostrar.',
+    fromSponsor: 'Construido a partir de la columna de patrocinador.',
+    inferred: 'Deducido del orden de las filas y el nivel de profundidad (el informe no tiene columna de patrocinador).',
+  },
+
+  pace: {
+    orgPremium: 'Prima de la organización',
+    orgRecruits: 'Reclutas de la organización',
+    dayOf: 'Día {day} de {days} ({percent} de {month}).',
+    comparedWith: 'Comparado con la carga del {date}.',
+    straightLine: 'No hay una carga del mismo punto del mes pasado, así que la comparación es una parte proporcional del PMTD.',
+    noComparison: 'No hay nada de este punto del mes pasado para comparar.',
+    vsSamePoint: 'frente al mes pasado en este punto ({value})',
+    projected: '{label}: proyección al cierre del mes',
+    rankAtMonthEnd: '{rank} al cierre del mes',
+    onPace: 'EN RITMO',
+    offPace: 'FUERA DE RITMO',
+    projectedPremium: 'Proyección {current} / {target}',
+    short: 'Faltan {value}',
+    minimumNotMet: 'No se cumple el mínimo de líneas o personal',
+  },
+
+  goals: {
+    goal: 'Meta: {value}',
+    onPace: 'En ritmo para alcanzar la meta',
+    onPaceFor: 'En ritmo para el {percent} de la meta',
+    edit: 'Editar {label}',
+    set: 'Definir {label}',
+    labelForMonth: '{label} de {month}',
+    teamGoals: 'metas del equipo',
+    associateGoals: 'metas de {name}',
+    goals: 'metas',
+    premium: 'Prima',
+    recruits: 'Reclutas',
+    monthGoals: 'Metas de {month}',
+    valueProjected: '{value} (proyección {projected})',
+    none: 'No hay metas definidas para este mes.',
+  },
+
+  notes: {
+    placeholder: 'Añade una nota (solo tú puedes verla)...',
+    followUpOn: 'Hacer seguimiento el',
+    add: 'Añadir nota',
+    empty: 'Todavía no hay notas.',
+    followUp: 'Seguimiento el {date}',
+    errors: {
+      load: 'No se pudieron cargar las notas.',
+      save: 'No se pudo guardar el cambio. Inténtalo de nuevo.',
+    },
+  },
+
+  followUps: {
+    filters: {
+      open: 'Abiertos',
+      mine: 'Asignados a mí',
+      unassigned: 'Sin asignar',
+      overdue: 'Vencidos',
+      closed: 'Cerrados',
+    },
+    reasons: {
+      onHold: 'En espera (H)',
+      notVested: 'No consolidado (D)',
+      stalled: 'Produjo en PMTD, nada en MTD',
+    },
+    outcomes: {
+      contacted: 'Contactado',
+      resolved: 'Resuelto',
+      lost: 'Perdido',
+    },
+    columns: {
+      associate: 'Asociado',
+      why: 'Motivo',
+      assignee: 'Responsable',
+      due: 'Vence',
+      outcome: 'Resultado',
+      updated: 'Actualizado',
+    },
+    rebuild: 'Reconstruir desde la última carga',
+    rebuilding: 'Reconstruyendo...',
+    emptyOpen: 'Nadie necesita seguimiento ahora mismo.',
+    empty: 'No hay elementos.',
+    clearedOnUpload: 'Resuelto al cargar',
+    leftReport: 'Ya no aparece en el reporte',
+    me: 'Yo',
+  },
+
+  summary: {
+    orgPremiumMTD: 'Prima de la organización MTD',
+    orgRecruitsMTD: 'Reclutas de la organización MTD',
+    premiumContributors: 'Contribuyentes de prima',
+    recruitsContributors: 'Contribuyentes de reclutas',
+    vsPMTD: 'frente a PMTD: {value}',
+    pmtd: 'PMTD: {value}',
+    sdTitle: 'Director Sénior (SD)',
+    edTitle: 'Director Ejecutivo (ED)',
+    qualified: 'CALIFICADO',
+    notQualified: 'NO CALIFICADO',
+    progress: '{current} / {target}',
+    progressNeeds: '{current} / {target} (faltan {needed})',
+    associateStatus: 'Estado de los asociados',
+    activeCount: '{count} activos',
+    statusBreakdown: '{notVested} no consolidados · {onHold} en espera',
+    onHoldCount: 'En espera ({count})',
+  },
+
+  report: {
+    title: '{team} — Informe del líder',
+    subtitle: '{name} ({rank}) · Instantánea: {snapshot} · Impreso el {date}',
+    topPremium: 'Principales contribuyentes de prima',
+    topRecruits: 'Principales contribuyentes de reclutas',
+    none: 'Ninguno',
+  },
+
+  presentation: {
+    pause: 'Pausar',
+    resume: 'Reanudar',
+    keys: '← → para cambiar de tabla · Espacio para pausar · Esc para cerrar',
+    keysPaused: '← → para cambiar de tabla · Espacio para reanudar · Esc para cerrar',
+  },
+
+  trash: {
+    title: 'Papelera ({count})',
+    retention: 'Las instantáneas eliminadas se pueden restaurar durante {days} días; después se eliminan definitivamente.',
+    empty: 'La papelera está vacía.',
+    deleted: 'Eliminada',
+    restorableUntil: 'Restaurable hasta',
+    restore: 'Restaurar',
+    deleteForever: 'Eliminar definitivamente',
+    restoreAll: 'Restaurar todo',
+    confirmEmpty: '¿Eliminar definitivamente {count}?',
+    emptyTrash: 'Vaciar papelera',
+  },
+
+  rankProgress: {
+    topRank: 'Ya está en el rango más alto.',
+    qualified: 'CALIFICADO',
+    countablePremium: '{current} / {target} de prima computable',
+    legsCapped: '(líneas con tope de {cap})',
+    personalPremium: '{current} / {target} de prima personal',
+    qualifyingLegs: '{current} / {target} líneas calificadas',
+    noRule: 'No hay ninguna regla de calificación configurada para este rango.',
+  },
+
+  diff: {
+    needTwo: 'Carga al menos dos instantáneas para compararlas.',
+    from: 'Desde (anterior)',
+    to: 'Hasta (posterior)',
+    loading: 'Cargando instantáneas...',
+    pickTwo: 'Elige dos instantáneas distintas para compararlas.',
+    summary: {
+      joined: 'Incorporados',
+      left: 'Bajas',
+      statusChanges: 'Cambios de estado',
+      promotions: 'Ascensos',
+      demotions: 'Descensos',
+    },
+    columns: {
+      name: 'Asociado',
+      change: 'Cambio',
+      status: 'Estado',
+      level: 'Rango',
+      premiumDelta: 'Δ Prima MTD',
+      recruitsDelta: 'Δ Reclutas MTD',
+      orgPremiumDelta: 'Δ Prima de la org. MTD',
+    },
+    changes: {
+      joined: 'Incorporado',
+      left: 'Baja',
+      matched: 'Cambió',
+      unchanged: 'Sin cambios',
+    },
+    matchedByName: {
+      one: '{count} asociado sin un ID estable se emparejó por nombre.',
+      other: '{count} asociados sin un ID estable se emparejaron por nombre.',
+    },
+    unresolved: {
+      one: '{count} fila con un ID regenerado no se pudo emparejar y queda fuera de las incorporaciones y bajas.',
+      other: '{count} filas con un ID regenerado no se pudieron emparejar y quedan fuera de las incorporaciones y bajas.',
+    },
+    showUnchanged: 'Mostrar asociados sin cambios',
+    byName: '(por nombre)',
+    byNameTitle: 'Emparejado por nombre porque se regeneró el ID del asociado',
+    none: 'No hay diferencias.',
+  },
+
+  rankRules: {
+    title: 'Reglas de calificación de rango',
+    intro: 'La prima computable es la prima personal MTD más la prima de la organización MTD de cada línea de profundidad 1, limitada al tope por línea. Una línea califica cuando alcanza el tope (o cuando produce algo, si no tiene tope).',
+    fields: {
+      threshold: 'Umbral',
+      legCap: 'Tope por línea',
+      minLegs: 'Mín. de líneas calificadas',
+      personalMin: 'Mín. personal',
+    },
+    hints: {
+      threshold: 'Vacío = sin regla',
+      legCap: '0 = sin tope',
+    },
+    reset: 'Restablecer valores predeterminados',
+    save: 'Guardar reglas',
+  },
+
+  trends: {
+    needTwo: 'Carga al menos dos instantáneas para ver tendencias.',
+    groupBy: {
+      month: 'Mes a mes',
+      upload: 'Cada carga',
+    },
+    orgPremiumMTD: 'Prima de la organización MTD',
+    orgRecruitsMTD: 'Reclutas de la organización MTD',
+    premiumContributors: 'Contribuyentes de prima',
+    recruitsContributors: 'Contribuyentes de reclutas',
+  },
+
+  cohorts: {
+    needHistory: {
+      one: 'Las cohortes siguen a los asociados en todas las cargas guardadas. Carga la {count} carga para verlas.',
+      other: 'Las cohortes siguen a los asociados en todas las cargas guardadas. Carga las {count} cargas para verlas.',
+    },
+    loadHistory: 'Cargar historial de cargas',
+    loading: 'Cargando el historial de cargas...',
+    needTwo: 'Carga informes de al menos dos periodos para ver cohortes.',
+    cohort: 'Cohorte',
+    size: 'Ingresaron',
+    baseline: 'Ya estaban en la primera carga',
+    offsets: {
+      month: 'Mes {count}',
+      upload: 'Carga {count}',
+    },
+    cell: '{count} de {size} en {period}',
+    metrics: {
+      present: 'Siguen presentes',
+      active: 'Activos',
+      notVested: 'No consolidados (D)',
+      onHold: 'En espera (H)',
+      produced: 'Produjeron prima',
+      advanced: 'Subieron de nivel',
+    },
+    metricHelp: {
+      present: 'Porcentaje de cada cohorte que sigue en el informe, por periodos desde su primera aparición.',
+      active: 'Porcentaje de cada cohorte que sigue en el informe con estado Activo.',
+      notVested: 'Porcentaje de cada cohorte que sigue en el informe como No consolidado (D).',
+      onHold: 'Porcentaje de cada cohorte que sigue en el informe como En espera (H).',
+      produced: 'Porcentaje de cada cohorte con Personal Premium MTD en ese periodo.',
+      advanced: 'Porcentaje de cada cohorte con un Level más alto que cuando apareció por primera vez.',
+    },
+    recruiters: {
+      title: 'Por reclutador',
+      allCohorts: 'Todas las cohortes de reclutas',
+      help: 'Los reclutas de cada patrocinador y su situación en la carga más reciente. Produjeron cuenta a quienes tuvieron prima desde que ingresaron.',
+      recruiter: 'Reclutador',
+      columns: {
+        recruits: 'Reclutas',
+        present: 'Siguen presentes',
+        active: 'Activos',
+        produced: 'Produjeron',
+        advanced: 'Subieron',
+      },
+      none: 'Ningún recluta de estas cohortes tiene patrocinador.',
+    },
+  },
+
+  associates: {
+    columns: {
+      premiumMTD: 'Prima MTD',
+      premiumPMTD: 'Prima PMTD',
+      recruitsMTD: 'Recl. MTD',
+      recruitsPMTD: 'Recl. PMTD',
+    },
+  },
+
+  filters: {
+    toggle: 'Filtros',
+    toggleActive: 'Filtros ({count})',
+    clearAll: 'Quitar todos',
+    min: 'Mín.',
+    max: 'Máx.',
+    depthLevel: 'Nivel de profundidad',
+    zeroProduction: 'Sin producción este mes (ni prima ni reclutas MTD)',
+  },
+
+  views: {
+    placeholder: 'Vistas guardadas…',
+    delete: 'Eliminar',
+    save: 'Guardar vista',
+    namePlaceholder: 'p. ej., Gerentes sin prima MTD',
+  },
+
+  duplicates: {
+    title: 'Posible carga duplicada',
+    sameContent: '{fileName} ya se cargó antes.',
+    sameDay: 'Ya hay una instantánea del informe de hoy. ¿{fileName} la reemplaza?',
+    identical: 'Archivo idéntico',
+    sameDayBadge: 'Mismo día',
+    choices: {
+      skip: 'Omitir esta carga',
+      replace: 'Reemplazar las instantáneas existentes',
+      keep: 'Conservar ambas',
+    },
+  },
+
+  export: {
+    label: 'Exportar',
+    failed: 'No se pudo exportar.',
+  },
+
+  profile: {
+    back: '← Volver al panel',
+    idLine: 'ID: {id} · {rank} · {status}',
+    upline: 'Línea ascendente: {name}',
+    notInSnapshot: 'No está en la instantánea que estás viendo. Se muestran sus cifras más recientes registradas.',
+    personalPremium: 'Prima personal',
+    personalRecruits: 'Reclutas personales',
+    mtd: 'MTD',
+    pmtd: 'PMTD',
+    ytd: 'YTD',
+    rollup: 'Acumulado de la línea descendente (MTD)',
+    associates: 'Asociados',
+    downlineCount: '{total} ({direct} directos)',
+    premium: 'Prima',
+    recruits: 'Reclutas',
+    focusLeg: 'Enfocar esta línea',
+    noDownline: 'Sin línea descendente en esta instantánea.',
+    noGenealogy: 'Datos del informe; genealogía no disponible.',
+    history: 'Historial entre instantáneas',
+    needMoreSnapshots: {
+      one: 'Aparece en {count} instantánea; carga más para ver una tendencia.',
+      other: 'Aparece en {count} instantáneas; carga más para ver una tendencia.',
+    },
+    rankHistory: 'Historial de rango y estado',
+    noChanges: 'No hay cambios registrados.',
+    rankProgress: 'Progreso de rango',
+    directDownline: 'Línea descendente directa ({count})',
+    inLeg: '{count} en la línea',
+    notes: 'Notas y seguimientos',
+    signInForNotes: 'Inicia sesión para guardar notas.',
+    changes: {
+      left: 'No está en esta carga',
+      firstSeen: 'Aparece por primera vez como {rank}, {status}',
+      reappeared: 'Reaparece como {rank}, {status}',
+      rank: 'Rango {from} → {to}',
+      status: 'Estado {from} → {to}',
+    },
+  },
+
+  composition: {
+    depthLabel: 'Profundidad {depth}',
+    topShare: 'Participación del 10 % superior',
+    topShareNote: {
+      one: 'Prima MTD del asociado principal',
+      other: 'Prima MTD de los {count} asociados principales',
+    },
+    largestLegShare: 'Participación de la línea mayor',
+    largestLegNote: {
+      one: 'Prima de la organización MTD de {name} entre {count} línea',
+      other: 'Prima de la organización MTD de {name} entre {count} líneas',
+    },
+    noLegs: 'No hay líneas en la vista',
+    teamPremium: 'Prima del equipo MTD',
+    teamPremiumNote: {
+      one: 'Prima personal de {count} asociado',
+      other: 'Prima personal de {count} asociados',
+    },
+    views: {
+      headcount: 'Número de personas',
+      production: 'Participación en la producción',
+    },
+    byRank: 'Por rango',
+    byRankTier: 'Por nivel de rango',
+    byDepth: 'Por nivel de profundidad',
+    byStatus: 'Por estado',
+    sharePremium: 'Participación en la prima MTD',
+    associates: 'Asociados',
+    drillDownHint: 'Haz clic en una barra para filtrar la lista de asociados.',
+    tierTrend: 'Personas por nivel de rango a lo largo del tiempo',
+    concentrationTrend: 'Concentración a lo largo del tiempo',
+    topShareSeries: 'Participación del 10 % superior',
+    largestLegSeries: 'Participación de la línea mayor',
+    tiers: {
+      associate: 'Asociados',
+      manager: 'Gerentes',
+      director: 'Directores',
+      ed: 'EDs de élite',
+    },
+  },
+
+  planner: {
+    legHeadroomFirst: 'Primero con el margen de las líneas',
+    personalPremium: 'Con prima personal',
+    noRules: 'No hay reglas de rango configuradas.',
+    personal: 'Prima personal',
+    targetRank: 'Rango objetivo',
+    whatIfTag: '(simulación)',
+    columns: {
+      source: 'Origen',
+      whatIf: 'Simulación',
+      countable: 'Computable',
+      cappedOff: 'Sobre el tope',
+      room: 'Margen',
+    },
+    personalRow: 'Personal ({name})',
+    uncapped: 'Sin tope',
+    min: 'mín. {value}',
+    maxed: 'Al máximo',
+    room: '{value} de margen',
+    noLegs: 'Sin líneas de profundidad 1.',
+    requiredLegs: '{current} de {required} líneas calificadas requeridas.',
+    unreachable: 'Aumentar la prima no basta para alcanzar este rango: requiere más líneas calificadas de las que hay en profundidad 1.',
+    changes: {
+      one: '({count} cambio)',
+      other: '({count} cambios)',
+    },
+    tryIt: 'Probar',
+    increasePersonal: '+{value} de prima personal',
+    increaseLeg: '+{value} en la línea de {name}',
+    clearWhatIf: 'Borrar valores de simulación',
+  },
+
+  leaderboards: {
+    emptyBoard: 'Todavía no hay nadie en esta tabla.',
+    present: 'Presentar',
+    from: 'Desde',
+    to: 'Hasta',
+    rangeHelp: 'La producción es el crecimiento de las cifras YTD entre las cargas del rango.',
+    loadingUploads: 'Cargando las cargas...',
+    noRangeProduction: 'No hubo producción entre estas cargas.',
+    noProduction: 'Todavía no hay producción.',
+    noGains: 'Sin aumentos desde la carga anterior.',
+    needPrevious: 'Carga otra instantánea para comparar.',
+    noFirstTime: 'No hay productores por primera vez este mes.',
+    bases: {
+      personal: 'personal',
+      org: 'de la organización',
+    },
+    measures: {
+      premium: 'Prima',
+      recruits: 'Reclutas',
+    },
+    periods: {
+      MTD: 'Este mes',
+      PMTD: 'Mes pasado',
+      YTD: 'En lo que va del año',
+      range: 'Rango de instantáneas',
+    },
+    titles: {
+      ranking: '{measure} {basis}: {period}',
+      improved: 'Mayor mejora: {measure} {basis} MTD',
+      firstTime: 'Productores por primera vez: {measure}',
+    },
+  },
+
+  alerts: {
+    scopes: {
+      org: 'Toda la organización',
+      associate: 'Un asociado',
+      leg: 'La línea de un asociado',
+      depth1Legs: 'Cada línea de profundidad 1',
+      topProducers: 'Principales productores',
+    },
+    scopeDescriptions: {
+      org: 'toda la organización',
+      depth1Legs: 'cada línea de profundidad 1',
+    },
+    fields: {
+      status: 'Estado',
+      personalPremiumMTD: 'Prima personal MTD',
+      personalRecruitsMTD: 'Reclutas personales MTD',
+      orgPremiumMTD: 'Prima de la organización MTD',
+      orgRecruitsMTD: 'Reclutas de la organización MTD',
+      premiumPace: 'Prima de la organización frente al mes pasado (%)',
+    },
+    comparisons: {
+      below: 'es menor que',
+      above: 'es mayor que',
+      dropsBelow: 'baja de',
+      risesAbove: 'supera',
+      is: 'es',
+      becomes: 'pasa a ser',
+    },
+    presets: {
+      topProducerOnHold: 'Un productor principal queda en espera',
+      legBelowCap: 'Una línea de profundidad 1 baja del tope de línea de SD',
+      premiumBehind: 'La prima de la organización va por detrás del mes pasado',
+    },
+    legCapThreshold: 'el tope de línea de {rank} ({value})',
+    anAssociate: 'un asociado',
+    legOf: 'la línea de {name}',
+    topProducers: 'los {count} principales productores',
+    organization: 'Organización',
+    ruleDescription: '{scope}: {field} {comparison} {threshold}',
+    message: '{label}: {field} {comparison} {threshold} (ahora {now})',
+    messageWithChange: '{label}: {field} {comparison} {threshold} (ahora {now}, antes {was})',
+    settings: {
+      title: 'Reglas de alerta',
+      intro: 'Las reglas se comprueban con cada carga nueva y cada miembro ve las alertas en su centro de notificaciones. "Baja de", "supera" y "pasa a ser" solo se activan con un cambio desde la carga anterior.',
+      empty: 'Todavía no hay reglas. Empieza con una plantilla o crea la tuya.',
+      add: 'Añadir regla',
+      orStartFrom: 'o empieza con:',
+      on: 'Activa',
+      name: 'Nombre de la regla',
+      namePlaceholder: 'Nombre de la regla (opcional)',
+      remove: 'Quitar',
+      scope: 'Alcance',
+      associate: 'Asociado',
+      chooseAssociate: 'Elige un asociado…',
+      notInLatest: '{name} (no está en la última carga)',
+      topCount: 'Número de productores principales',
+      field: 'Campo',
+      comparison: 'Comparación',
+      status: 'Estado',
+      thresholdType: 'Tipo de umbral',
+      aValueOf: 'un valor de',
+      legCapOption: 'el tope de línea de {rank}',
+      threshold: 'Umbral',
+      webhookUrl: 'URL del webhook para resúmenes (opcional)',
+      webhookHelp: 'El navegador de quien carga el informe envía aquí un resumen cada vez que una carga activa alertas.',
+      digestFormat: 'Formato del resumen',
+      missingAssociate: 'Elige un asociado para cada regla de asociado o de línea.',
+      invalidUrl: 'La URL del webhook debe empezar por http:// o https://.',
+      save: 'Guardar reglas',
+    },
+    center: {
+      title: 'Notificaciones ({count} sin leer)',
+      unreadOnly: 'Solo sin leer',
+      markAllRead: 'Marcar todo como leído',
+      editRules: 'Editar reglas de alerta',
+      empty: 'Todavía no hay alertas. Aparecen aquí cuando una carga nueva cumple una regla de alerta.',
+      nothingUnread: 'No hay nada sin leer.',
+      uploadOf: 'Carga del {date}',
+      alertCount: {
+        one: '{count} alerta',
+        other: '{count} alertas',
+      },
+      downloadDigest: 'Descargar resumen',
+      sending: 'Enviando...',
+      sendDigest: 'Enviar al webhook',
+      markRead: 'Marcar como leída',
+    },
+    digest: {
+      title: 'Alertas de {team} para la carga del {date}',
+      count: {
+        one: 'Se activó {count} alerta.',
+        other: 'Se activaron {count} alertas.',
+      },
+    },
+  },
+};
+
+export default es;
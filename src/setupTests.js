@@ -3,3 +3,28 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom has no structuredClone, which fake-indexeddb uses to store values.
+if (typeof global.structuredClone !== 'function') {
+  const v8 = require('v8');
+  global.structuredClone = (value) => v8.deserialize(v8.serialize(value));
+}
+
+// Imports regenerate IDs with crypto.randomUUID, which jsdom doesn't provide either.
+if (!global.crypto?.randomUUID) {
+  Object.defineProperty(global, 'crypto', { value: require('crypto').webcrypto, configurable: true });
+}
+
+// Upload hashing encodes file text with TextEncoder, another global jsdom leaves out.
+if (typeof global.TextEncoder !== 'function') {
+  global.TextEncoder = require('util').TextEncoder;
+}
+
+// Recharts' ResponsiveContainer measures itself with ResizeObserver; charts render empty without layout anyway.
+if (typeof global.ResizeObserver !== 'function') {
+  global.ResizeObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+}